@@ -1,7 +1,7 @@
 // @flow
-import type { AsyncState } from 'reducers/bridgeSync'
+import type { AccountSyncState } from 'reducers/bridgeSync'
 
-export const setAccountSyncState = (accountId: string, state: AsyncState) => ({
+export const setAccountSyncState = (accountId: string, state: AccountSyncState) => ({
   type: 'SET_ACCOUNT_SYNC_STATE',
   accountId,
   state,
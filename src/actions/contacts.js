@@ -0,0 +1,25 @@
+// @flow
+
+import db from 'helpers/db'
+import type { Contact } from 'reducers/contacts'
+
+// contacts are encrypted like the accounts: they can only be fetched once the app is unlocked
+export const fetchContacts = () => ({
+  type: 'SET_CONTACTS',
+  payload: db.get('contacts', []),
+})
+
+export const addContact = (contact: Contact) => ({
+  type: 'ADD_CONTACT',
+  payload: contact,
+})
+
+export const updateContact = (contact: Contact) => ({
+  type: 'UPDATE_CONTACT',
+  payload: contact,
+})
+
+export const removeContact = (contactId: string) => ({
+  type: 'REMOVE_CONTACT',
+  payload: contactId,
+})
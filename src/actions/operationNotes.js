@@ -0,0 +1,16 @@
+// @flow
+
+import db from 'helpers/db'
+import type { OperationNote } from 'reducers/operationNotes'
+
+// notes are encrypted like the accounts: they can only be fetched once the app is unlocked
+export const fetchOperationNotes = () => ({
+  type: 'SET_OPERATION_NOTES',
+  payload: db.get('operationNotes', {}),
+})
+
+// an empty note removes the note of the operation
+export const setOperationNote = (operationId: string, note: OperationNote) => ({
+  type: 'SET_OPERATION_NOTE',
+  payload: { operationId, note },
+})
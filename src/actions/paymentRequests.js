@@ -0,0 +1,20 @@
+// @flow
+
+import db from 'helpers/db'
+import type { TrackedPaymentRequest } from 'reducers/paymentRequests'
+
+// encrypted like the contacts: they can only be fetched once the app is unlocked
+export const fetchPaymentRequests = () => ({
+  type: 'SET_PAYMENT_REQUESTS',
+  payload: db.get('paymentRequests', []),
+})
+
+export const addPaymentRequest = (request: TrackedPaymentRequest) => ({
+  type: 'ADD_PAYMENT_REQUEST',
+  payload: request,
+})
+
+export const removePaymentRequest = (requestId: string) => ({
+  type: 'REMOVE_PAYMENT_REQUEST',
+  payload: requestId,
+})
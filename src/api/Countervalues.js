@@ -0,0 +1,38 @@
+// @flow
+import type { Currency } from '@ledgerhq/live-common/lib/types'
+import { LEDGER_COUNTERVALUES_API } from 'config/constants'
+import { createCustomErrorClass } from 'helpers/errors'
+import network from './network'
+
+export const CounterValuesUnavailable = createCustomErrorClass('CounterValuesUnavailable')
+
+// rates by day (YYYY-MM-DD) like in the countervalues store, `latest` being the current rate
+export type DailyRates = { [day: string]: number }
+
+// rates of a pair that is not polled by the app (e.g. to another fiat than the one of the settings)
+export const getDailyRates = async (
+  from: Currency,
+  to: Currency,
+  exchange: ?string,
+): Promise<DailyRates> => {
+  const pair: Object = { from: from.ticker, to: to.ticker }
+  if (exchange) {
+    pair.exchange = exchange
+  }
+  const { data } = await network({
+    method: 'POST',
+    url: `${LEDGER_COUNTERVALUES_API}/rates/daily`,
+    data: { pairs: [pair] },
+  })
+  const ratesByExchange = data && data[to.ticker] && data[to.ticker][from.ticker]
+  if (!ratesByExchange || typeof ratesByExchange !== 'object') {
+    throw new CounterValuesUnavailable()
+  }
+  // fallback on any exchange if the requested one is not available
+  const rates =
+    (exchange && ratesByExchange[exchange]) || ratesByExchange[Object.keys(ratesByExchange)[0]]
+  if (!rates) {
+    throw new CounterValuesUnavailable()
+  }
+  return rates
+}
@@ -2,11 +2,29 @@
 import type { CryptoCurrency } from '@ledgerhq/live-common/lib/types'
 import { createCustomErrorClass } from 'helpers/errors'
 import network from './network'
+import type { CancelTokenSource } from './network'
 import { blockchainBaseURL } from './Ledger'
 
 export const LedgerAPINotAvailable = createCustomErrorClass('LedgerAPINotAvailable')
 
 export type Block = { height: number } // TODO more fields actually
+
+// an ERC-20 Transfer event emitted by a transaction
+export type TransferEvent = {
+  contract: string,
+  from: string,
+  to: string,
+  count: string,
+  decimal: ?number,
+  symbol: ?string,
+}
+
+// a transfer of ethers made by a contract while executing a transaction
+export type InternalTransfer = {
+  from: string,
+  to: string,
+  value: number,
+}
 export type Tx = {
   hash: string,
   received_at: string,
@@ -26,6 +44,22 @@ export type Tx = {
     time: string,
   },
   confirmations: number,
+  // 0 when the execution failed (e.g. reverted): only the fees were paid
+  status?: number,
+  actions?: InternalTransfer[],
+  transfer_events?: {
+    list: TransferEvent[],
+    truncated: boolean,
+  },
+}
+
+// the transaction to estimate the gas of, like the eth_estimateGas call of the nodes
+export type GasEstimationRequest = {
+  from: string,
+  to: string,
+  value: number,
+  // hex of the contract call data
+  data?: string,
 }
 
 export type API = {
@@ -40,9 +74,14 @@ export type API = {
   getAccountNonce: (address: string) => Promise<number>,
   broadcastTransaction: (signedTransaction: string) => Promise<string>,
   getAccountBalance: (address: string) => Promise<number>,
+  estimateGasLimit: (request: GasEstimationRequest) => Promise<number>,
 }
 
-export const apiForCurrency = (currency: CryptoCurrency): API => {
+// the requests are cancelled with the source of the cancelToken, if one is given
+export const apiForCurrency = (
+  currency: CryptoCurrency,
+  cancelToken?: $PropertyType<CancelTokenSource, 'token'>,
+): API => {
   const baseURL = blockchainBaseURL(currency)
   if (!baseURL) {
     throw new LedgerAPINotAvailable(`LedgerAPINotAvailable ${currency.id}`, {
@@ -54,7 +93,8 @@ export const apiForCurrency = (currency: CryptoCurrency): API => {
       const { data } = await network({
         method: 'GET',
         url: `${baseURL}/addresses/${address}/transactions`,
-        params: { blockHash, noToken: 1 },
+        params: { blockHash },
+        cancelToken,
       })
       return data
     },
@@ -62,6 +102,7 @@ export const apiForCurrency = (currency: CryptoCurrency): API => {
       const { data } = await network({
         method: 'GET',
         url: `${baseURL}/blocks/current`,
+        cancelToken,
       })
       return data
     },
@@ -69,6 +110,7 @@ export const apiForCurrency = (currency: CryptoCurrency): API => {
       const { data } = await network({
         method: 'GET',
         url: `${baseURL}/addresses/${address}/nonce`,
+        cancelToken,
       })
       return data[0].nonce
     },
@@ -77,6 +119,7 @@ export const apiForCurrency = (currency: CryptoCurrency): API => {
         method: 'POST',
         url: `${baseURL}/transactions/send`,
         data: { tx },
+        cancelToken,
       })
       return data.result
     },
@@ -84,8 +127,18 @@ export const apiForCurrency = (currency: CryptoCurrency): API => {
       const { data } = await network({
         method: 'GET',
         url: `${baseURL}/addresses/${address}/balance`,
+        cancelToken,
       })
       return data[0].balance
     },
+    async estimateGasLimit({ from, to, value, data }) {
+      const { data: result } = await network({
+        method: 'POST',
+        url: `${baseURL}/addresses/${to}/estimate-gas-limit`,
+        data: { from, value: `0x${value.toString(16)}`, data: data || '0x' },
+        cancelToken,
+      })
+      return result.estimated_gas_limit
+    },
   }
 }
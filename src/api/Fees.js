@@ -1,7 +1,7 @@
 // @flow
 import invariant from 'invariant'
 import LRU from 'lru-cache'
-import type { Currency } from '@ledgerhq/live-common/lib/types'
+import type { Currency, CryptoCurrency } from '@ledgerhq/live-common/lib/types'
 import { createCustomErrorClass } from 'helpers/errors'
 import { blockchainBaseURL } from './Ledger'
 import network from './network'
@@ -31,3 +31,31 @@ export const getEstimatedFees = async (currency: Currency): Promise<Fees> => {
   }
   throw new FeeEstimationFailed(`FeeEstimationFailed ${status}`, { httpStatus: status })
 }
+
+export type FeeEstimate = {
+  // the number of blocks the transaction is expected to wait for its first confirmation
+  blockCount: number,
+  // the fees per byte
+  value: number,
+}
+
+// the estimates of the fees of a bitcoin-like currency, from the fastest to the slowest.
+// (ethereum only has one gas price, without a time target)
+export const getFeeEstimates = (fees: Fees): FeeEstimate[] => {
+  const estimates = []
+  for (const key of Object.keys(fees)) {
+    const blockCount = parseInt(key, 10)
+    // the fees are given per kilobyte
+    const value = Math.ceil(fees[key] / 1000)
+    if (!isNaN(blockCount) && !isNaN(value)) {
+      estimates.push({ blockCount, value })
+    }
+  }
+  return estimates.sort((a, b) => a.blockCount - b.blockCount)
+}
+
+// in seconds, when the average time between 2 blocks of the currency is known
+export const getExpectedConfirmationTime = (
+  currency: CryptoCurrency,
+  blockCount: number,
+): ?number => (currency.blockAvgTime ? currency.blockAvgTime * blockCount : null)
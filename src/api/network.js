@@ -10,8 +10,18 @@ export const LedgerAPIErrorWithMessage = createCustomErrorClass('LedgerAPIErrorW
 export const LedgerAPIError = createCustomErrorClass('LedgerAPIError')
 export const NetworkDown = createCustomErrorClass('NetworkDown')
 
+// the token given to the requests (cancelToken) cancels them when the source is cancelled.
+// a cancelled request rejects with the axios Cancel, it is neither retried nor wrapped
+export type CancelTokenSource = {
+  token: Object,
+  cancel: (message?: string) => void,
+}
+
+export const createCancelTokenSource = (): CancelTokenSource => axios.CancelToken.source()
+
 const userFriendlyError = <A>(p: Promise<A>, { url, method, startTime }): Promise<A> =>
   p.catch(error => {
+    if (axios.isCancel(error)) throw error
     let errorToThrow
     if (error.response) {
       // The request was made and the server responded with a status code
@@ -77,6 +87,7 @@ let implementation = (arg: Object) => {
     }
     promise = retry(() => axios(arg), {
       maxRetry: GET_CALLS_RETRY,
+      shouldRetry: e => !axios.isCancel(e),
     })
   } else {
     promise = axios(arg)
@@ -3,7 +3,6 @@
 // it handles automatically re-calling synchronize
 // this is an even high abstraction than the bridge
 
-import invariant from 'invariant'
 import logger from 'logger'
 import shuffle from 'lodash/shuffle'
 import { timeout } from 'rxjs/operators/timeout'
@@ -15,15 +14,18 @@ import { createStructuredSelector } from 'reselect'
 import { updateAccountWithUpdater } from 'actions/accounts'
 import { setAccountSyncState } from 'actions/bridgeSync'
 import { bridgeSyncSelector, syncStateLocalSelector } from 'reducers/bridgeSync'
-import type { BridgeSyncState } from 'reducers/bridgeSync'
+import type { AccountSyncState, BridgeSyncState } from 'reducers/bridgeSync'
 import { accountsSelector } from 'reducers/accounts'
 import {
   SYNC_BOOT_DELAY,
   SYNC_ALL_INTERVAL,
   SYNC_MAX_CONCURRENT,
   SYNC_TIMEOUT,
+  SYNC_RETRY_MIN_DELAY,
+  SYNC_RETRY_MAX_DELAY,
 } from 'config/constants'
 import { getBridgeForCurrency } from '.'
+import type { Subscription } from './types'
 
 type BridgeSyncProviderProps = {
   children: *,
@@ -33,12 +35,7 @@ type BridgeSyncProviderOwnProps = BridgeSyncProviderProps & {
   bridgeSync: BridgeSyncState,
   accounts: Account[],
   updateAccountWithUpdater: (string, (Account) => Account) => void,
-  setAccountSyncState: (string, AsyncState) => *,
-}
-
-type AsyncState = {
-  pending: boolean,
-  error: ?Error,
+  setAccountSyncState: (string, AccountSyncState) => *,
 }
 
 export type BehaviorAction =
@@ -47,9 +44,17 @@ export type BehaviorAction =
   | { type: 'SYNC_ONE_ACCOUNT', accountId: string, priority: number }
   | { type: 'SYNC_SOME_ACCOUNTS', accountIds: string[], priority: number }
   | { type: 'SYNC_ALL_ACCOUNTS', priority: number }
+  | { type: 'RETRY_ONE_ACCOUNT', accountId: string, priority: number }
 
 export type Sync = (action: BehaviorAction) => void
 
+// like the background sync, a retry waits for the modals needing the device to be closed
+const SYNC_RETRY_PRIORITY = 0
+
+// the delay doubles with each failure in a row
+export const getRetryDelay = (failureCount: number) =>
+  Math.min(SYNC_RETRY_MAX_DELAY, SYNC_RETRY_MIN_DELAY * 2 ** (failureCount - 1))
+
 const BridgeSyncContext = React.createContext((_: BehaviorAction) => {})
 
 const mapStateToProps = createStructuredSelector({
@@ -72,14 +77,23 @@ class Provider extends Component<BridgeSyncProviderOwnProps, Sync> {
         return
       }
       const account = this.props.accounts.find(a => a.id === accountId)
-      invariant(account, 'account not found')
+      if (!account) {
+        // it was removed while the sync was queued
+        next()
+        return
+      }
 
       const bridge = getBridgeForCurrency(account.currency)
 
-      this.props.setAccountSyncState(accountId, { pending: true, error: null })
+      clearTimeout(this.retryTimeouts[accountId])
+      this.props.setAccountSyncState(accountId, { ...state, pending: true, nextRetryDate: null })
+
+      const onEnd = () => {
+        delete this.syncs[accountId]
+        next()
+      }
 
-      // TODO use Subscription to unsubscribe at relevant time
-      bridge
+      const subscription = bridge
         .synchronize(account)
         .pipe(timeout(SYNC_TIMEOUT))
         .subscribe({
@@ -87,14 +101,35 @@ class Provider extends Component<BridgeSyncProviderOwnProps, Sync> {
             this.props.updateAccountWithUpdater(accountId, accountUpdater)
           },
           complete: () => {
-            this.props.setAccountSyncState(accountId, { pending: false, error: null })
-            next()
+            this.props.setAccountSyncState(accountId, {
+              pending: false,
+              error: null,
+              lastSuccessDate: Date.now(),
+              failureCount: 0,
+              nextRetryDate: null,
+            })
+            onEnd()
           },
           error: error => {
-            this.props.setAccountSyncState(accountId, { pending: false, error })
-            next()
+            const failureCount = state.failureCount + 1
+            const retryDelay = getRetryDelay(failureCount)
+            this.props.setAccountSyncState(accountId, {
+              pending: false,
+              error,
+              lastSuccessDate: state.lastSuccessDate,
+              failureCount,
+              nextRetryDate: Date.now() + retryDelay,
+            })
+            this.retryTimeouts[accountId] = setTimeout(() => {
+              this.api({ type: 'RETRY_ONE_ACCOUNT', accountId, priority: SYNC_RETRY_PRIORITY })
+            }, retryDelay)
+            onEnd()
           },
         })
+      // it may already have ended synchronously
+      if (!subscription.closed) {
+        this.syncs[accountId] = { subscription, next }
+      }
     }
 
     const syncQueue = priorityQueue(synchronize, SYNC_MAX_CONCURRENT)
@@ -112,13 +147,26 @@ class Provider extends Component<BridgeSyncProviderOwnProps, Sync> {
     // don't always sync in same order to avoid potential "never account never reached"
     const shuffledAccountIds = () => shuffle(this.props.accounts.map(a => a.id))
 
+    // the accounts which failed to sync are left to their retry
+    const isWaitingRetry = (accountId: string) => {
+      const { nextRetryDate } = syncStateLocalSelector(this.props.bridgeSync, { accountId })
+      return !!nextRetryDate && nextRetryDate > Date.now()
+    }
+
     const handlers = {
       BACKGROUND_TICK: () => {
         if (syncQueue.idle()) {
-          schedule(shuffledAccountIds(), -1)
+          schedule(shuffledAccountIds().filter(id => !isWaitingRetry(id)), -1)
         }
       },
 
+      // not scheduled like the others: the retries of several accounts must not replace each other
+      RETRY_ONE_ACCOUNT: ({ accountId, priority }) => {
+        if (priority < skipUnderPriority) return
+        syncQueue.remove(o => o.data === accountId)
+        syncQueue.push(accountId, -priority)
+      },
+
       SET_SKIP_UNDER_PRIORITY: ({ priority }) => {
         if (priority === skipUnderPriority) return
         skipUnderPriority = priority
@@ -157,13 +205,53 @@ class Provider extends Component<BridgeSyncProviderOwnProps, Sync> {
       this.syncTimeout = setTimeout(syncLoop, SYNC_ALL_INTERVAL)
     }
     this.syncTimeout = setTimeout(syncLoop, SYNC_BOOT_DELAY)
+    // the app can quit without the provider being unmounted
+    window.addEventListener('beforeunload', this.stopAll)
+  }
+
+  componentDidUpdate(prevProps: BridgeSyncProviderOwnProps) {
+    const { accounts } = this.props
+    if (prevProps.accounts === accounts) return
+    prevProps.accounts.forEach(({ id }) => {
+      if (!accounts.some(a => a.id === id)) {
+        this.stop(id)
+      }
+    })
   }
 
   componentWillUnmount() {
     clearTimeout(this.syncTimeout)
+    window.removeEventListener('beforeunload', this.stopAll)
+    this.stopAll()
+  }
+
+  // the sync of a removed account is no longer needed: its job is interrupted
+  stop(accountId: string) {
+    clearTimeout(this.retryTimeouts[accountId])
+    delete this.retryTimeouts[accountId]
+    const sync = this.syncs[accountId]
+    if (sync) {
+      delete this.syncs[accountId]
+      sync.subscription.unsubscribe()
+      // frees its slot in the queue
+      sync.next()
+    }
+  }
+
+  stopAll = () => {
+    Object.keys(this.retryTimeouts).forEach(accountId => {
+      clearTimeout(this.retryTimeouts[accountId])
+    })
+    this.retryTimeouts = {}
+    Object.keys(this.syncs).forEach(accountId => {
+      this.syncs[accountId].subscription.unsubscribe()
+    })
+    this.syncs = {}
   }
 
   syncTimeout: *
+  retryTimeouts: { [accountId: string]: TimeoutID } = {}
+  syncs: { [accountId: string]: { subscription: Subscription, next: () => void } } = {}
   api: Sync
 
   render() {
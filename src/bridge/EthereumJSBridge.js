@@ -1,22 +1,33 @@
 // @flow
 import { Observable } from 'rxjs'
 import React from 'react'
+import LRU from 'lru-cache'
 import FeesField from 'components/FeesField/EthereumKind'
 import AdvancedOptions from 'components/AdvancedOptions/EthereumKind'
 import throttle from 'lodash/throttle'
 import flatMap from 'lodash/flatMap'
 import uniqBy from 'lodash/uniqBy'
-import type { Account, Operation } from '@ledgerhq/live-common/lib/types'
+import BigNumber from 'bignumber.js'
+import type { Account, Operation, Unit } from '@ledgerhq/live-common/lib/types'
+import type { TokenAccount, TokenOperation } from 'types/common'
 import { apiForCurrency } from 'api/Ethereum'
+import { createCancelTokenSource } from 'api/network'
 import type { Tx } from 'api/Ethereum'
-import { getDerivations } from 'helpers/derivations'
+import { encodeTransferData, findTokenInformation } from 'helpers/erc20'
+import { getNetworkId } from 'helpers/signTransactionForCurrency/ethereum'
+import { getTokenAccounts, getTokenAccountById } from 'helpers/tokenAccounts'
+import { getDerivationsToScan } from 'helpers/derivations'
 import getAddressCommand from 'commands/getAddress'
 import signTransactionCommand from 'commands/signTransaction'
 import { getAccountPlaceholderName, getNewAccountPlaceholderName } from 'helpers/accountName'
 import { createCustomErrorClass } from 'helpers/errors'
+import { isWatchOnlyAccount, WatchOnlyAccount } from 'helpers/watchOnly'
 import type { EditProps, WalletBridge } from './types'
 
 const NotEnoughBalance = createCustomErrorClass('NotEnoughBalance')
+const ReplacementFeeTooLow = createCustomErrorClass('ReplacementFeeTooLow')
+const InvalidAddress = createCustomErrorClass('InvalidAddress')
+const InvalidContractData = createCustomErrorClass('InvalidContractData')
 
 // TODO in future it would be neat to support eip55
 
@@ -25,102 +36,345 @@ type Transaction = {
   recipient: string,
   gasPrice: number,
   gasLimit: number,
+  // set when the user overrides the estimated gas limit
+  isGasLimitCustom?: boolean,
+  // hex of the data of a contract call, as typed by the user
+  data?: string,
+  // set when the transaction replaces a pending one: it reuses its nonce
+  nonce?: number,
+  replacedGasPrice?: number,
+  useAllAmount?: boolean,
+  // set when sending a token of the account instead of ethers
+  tokenAccountId?: string,
 }
 
+// the pending operations of this bridge keep what is needed to replace them
+// (these fields are not in the common Operation type)
+type EthereumOperationFields = {
+  gasPrice: number,
+  // the data of a contract call
+  data?: string,
+  // the transfer of a token, the operation itself being the contract call
+  tokenTransfer: ?{
+    tokenAccountId: string,
+    recipient: string,
+    amount: number,
+    useAllAmount?: boolean,
+  },
+}
+
+type EthereumOperation = $Shape<Operation & EthereumOperationFields>
+
+// a token transfer costs more gas than the 21000 of a simple transfer. unused gas is refunded.
+const TOKEN_TRANSFER_GAS_LIMIT = 100000
+
+// nodes only accept a replacement transaction if its gas price is at least 10% higher
+const REPLACEMENT_GAS_PRICE_FACTOR = 1.1
+
+const getMinReplacementGasPrice = (replacedGasPrice: number) =>
+  Math.ceil(replacedGasPrice * REPLACEMENT_GAS_PRICE_FACTOR)
+
 const EditFees = ({ account, onChange, value }: EditProps<Transaction>) => (
   <FeesField
     onChange={gasPrice => {
       onChange({ ...value, gasPrice })
     }}
     gasPrice={value.gasPrice}
+    gasLimit={value.gasLimit}
+    amount={getTokenAccountById(account, value.tokenAccountId) ? null : value.amount}
     account={account}
   />
 )
 
-const EditAdvancedOptions = ({ onChange, value }: EditProps<Transaction>) => (
+// the hex of the contract call data with its 0x prefix, null if there is none
+const getContractData = (t: Transaction): ?string => {
+  const hex = (t.data || '').trim().replace(/^0x/i, '')
+  return hex ? `0x${hex.toLowerCase()}` : null
+}
+
+const isContractDataValid = (t: Transaction): boolean =>
+  /^(0x)?([0-9a-f]{2})*$/i.test((t.data || '').trim())
+
+// the exact amount of a token transfer: sending the max is sending the whole (exact) balance
+const getTokenTransferAmount = (tokenAccount: TokenAccount, t: Transaction): number | string =>
+  t.useAllAmount ? tokenAccount.balance : t.amount
+
+const gasLimitLRU = LRU({ max: 100, maxAge: 60 * 1000 })
+
+// the token transfers are calls to the token contract
+const getGasLimitRequest = (a: Account, t: Transaction) => {
+  const tokenAccount = getTokenAccountById(a, t.tokenAccountId)
+  return tokenAccount
+    ? {
+        from: a.freshAddress,
+        to: tokenAccount.contractAddress,
+        value: 0,
+        data: encodeTransferData(t.recipient, getTokenTransferAmount(tokenAccount, t)),
+      }
+    : {
+        from: a.freshAddress,
+        to: t.recipient,
+        value: t.amount,
+        data: getContractData(t) || undefined,
+      }
+}
+
+const getGasLimitKey = (a: Account, request) =>
+  `${a.currency.id}_${request.from}_${request.to}_${request.value}_${request.data || ''}`
+
+// the gas used by the transaction if it was mined now
+const estimateGasLimit = (a: Account, t: Transaction): Promise<number> => {
+  const request = getGasLimitRequest(a, t)
+  const key = getGasLimitKey(a, request)
+  let promise = gasLimitLRU.get(key)
+  if (promise) return promise
+  promise = apiForCurrency(a.currency).estimateGasLimit(request)
+  promise.catch(() => gasLimitLRU.del(key))
+  gasLimitLRU.set(key, promise)
+  return promise
+}
+
+const gasLimitEstimatorLRU = LRU({ max: 100 })
+
+// the gas limit field estimates it again when it's given another function:
+// the same one is given as long as the estimated call doesn't change
+const getGasLimitEstimator = (a: Account, t: Transaction): (() => Promise<number>) => {
+  const key = getGasLimitKey(a, getGasLimitRequest(a, t))
+  let estimator = gasLimitEstimatorLRU.get(key)
+  if (!estimator) {
+    estimator = () => estimateGasLimit(a, t)
+    gasLimitEstimatorLRU.set(key, estimator)
+  }
+  return estimator
+}
+
+const EditAdvancedOptions = ({ account, onChange, value }: EditProps<Transaction>) => (
   <AdvancedOptions
     gasLimit={value.gasLimit}
-    onChangeGasLimit={gasLimit => {
-      onChange({ ...value, gasLimit })
+    isGasLimitCustom={!!value.isGasLimitCustom}
+    onChangeGasLimit={(gasLimit, isGasLimitCustom) => {
+      onChange({ ...value, gasLimit, isGasLimitCustom })
+    }}
+    estimateGasLimit={
+      value.recipient &&
+      isRecipientValid(account.currency, value.recipient) &&
+      isContractDataValid(value)
+        ? getGasLimitEstimator(account, value)
+        : null
+    }
+    isTokenTransfer={!!getTokenAccountById(account, value.tokenAccountId)}
+    data={value.data || ''}
+    isDataValid={isContractDataValid(value)}
+    onChangeData={data => {
+      onChange({ ...value, data })
     }}
   />
 )
 
+const isTxFailed = (tx: Tx) => tx.status === 0
+
 // in case of a SELF send, 2 ops are returned.
+// a failed transaction only costs its fees: its value is not transferred.
 const txToOps = (account: Account) => (tx: Tx): Operation[] => {
   const freshAddress = account.freshAddress.toLowerCase()
   const from = tx.from.toLowerCase()
   const to = tx.to.toLowerCase()
   const sending = freshAddress === from
   const receiving = freshAddress === to
+  const hasFailed = isTxFailed(tx)
   const ops = []
   const fee = tx.gas_price * tx.gas_used
+  const op = {
+    hash: tx.hash,
+    fee,
+    blockHeight: tx.block && tx.block.height,
+    blockHash: tx.block && tx.block.hash,
+    accountId: account.id,
+    senders: [tx.from],
+    recipients: [tx.to],
+    hasFailed: hasFailed || undefined,
+  }
   if (sending) {
     ops.push({
+      ...op,
       id: `${account.id}-${tx.hash}-OUT`,
-      hash: tx.hash,
       type: 'OUT',
-      value: tx.value,
-      fee,
-      blockHeight: tx.block && tx.block.height,
-      blockHash: tx.block && tx.block.hash,
-      accountId: account.id,
-      senders: [tx.from],
-      recipients: [tx.to],
+      value: hasFailed ? fee : tx.value,
       date: new Date(tx.received_at),
     })
   }
   if (receiving) {
     ops.push({
+      ...op,
       id: `${account.id}-${tx.hash}-IN`,
-      hash: tx.hash,
       type: 'IN',
-      value: tx.value,
-      fee,
-      blockHeight: tx.block && tx.block.height,
-      blockHash: tx.block && tx.block.hash,
-      accountId: account.id,
-      senders: [tx.from],
-      recipients: [tx.to],
+      value: hasFailed ? 0 : tx.value,
       date: new Date(new Date(tx.received_at) + 1), // hack: make the IN appear after the OUT in history.
     })
   }
+  // the ethers sent to us by contracts, they are reverted with a failed transaction
+  const internalTransfers = hasFailed || !tx.actions ? [] : tx.actions
+  internalTransfers.forEach((action, i) => {
+    if (action.to.toLowerCase() !== freshAddress || !action.value) return
+    // the call of the transaction itself is already the IN above
+    if (receiving && action.from.toLowerCase() === from && action.value === tx.value) return
+    ops.push({
+      ...op,
+      id: `${account.id}-${tx.hash}-IN-${i}`,
+      type: 'IN',
+      value: action.value,
+      senders: [action.from],
+      recipients: [action.to],
+      date: new Date(new Date(tx.received_at) + 1),
+    })
+  })
   return ops
 }
 
+const getTokenAccountId = (account: Account, contractAddress: string) =>
+  `${account.id}+${contractAddress.toLowerCase()}`
+
+// the unit of a token from the information signed by Ledger (see findTokenInformation)
+const getSignedTokenUnit = (account: Account, contractAddress: string): ?Unit => {
+  const chainId = getNetworkId(account.currency.id)
+  const info = chainId ? findTokenInformation(contractAddress, chainId) : null
+  return info ? { name: info.ticker, code: info.ticker, magnitude: info.decimals } : null
+}
+
+// token accounts are built from the ERC-20 Transfer events of the account transactions.
+// the amounts stay decimal strings: they commonly exceed the precision of numbers
+const mergeTokenAccounts = (account: Account, txs: Tx[]): TokenAccount[] => {
+  const freshAddress = account.freshAddress.toLowerCase()
+  // the units of the accounts created before the token was signed are refreshed
+  const tokenAccounts = getTokenAccounts(account).map(tokenAccount => {
+    const unit = getSignedTokenUnit(account, tokenAccount.contractAddress)
+    return unit ? { ...tokenAccount, unit } : tokenAccount
+  })
+  const newOpsById: { [_: string]: TokenOperation[] } = {}
+  const truncatedIds = {}
+  for (const tx of txs) {
+    const events = tx.transfer_events && !isTxFailed(tx) ? tx.transfer_events.list : []
+    // the explorer doesn't page the events of a transaction: the rest of them is unknown
+    const isTruncated = !!tx.transfer_events && tx.transfer_events.truncated
+    events.forEach((event, i) => {
+      const sending = event.from.toLowerCase() === freshAddress
+      const receiving = event.to.toLowerCase() === freshAddress
+      if (!sending && !receiving) return
+      const id = getTokenAccountId(account, event.contract)
+      if (!tokenAccounts.some(t => t.id === id)) {
+        const code = event.symbol || event.contract
+        tokenAccounts.push({
+          id,
+          parentId: account.id,
+          contractAddress: event.contract.toLowerCase(),
+          // the explorer decimals are only used for the tokens the Ethereum app doesn't know
+          unit: getSignedTokenUnit(account, event.contract) || {
+            name: code,
+            code,
+            magnitude: event.decimal || 0,
+          },
+          balance: '0',
+          operations: [],
+        })
+      }
+      if (isTruncated) truncatedIds[id] = true
+      const ops = newOpsById[id] || (newOpsById[id] = [])
+      const op = {
+        hash: tx.hash,
+        amount: new BigNumber(event.count).toFixed(),
+        fee: tx.gas_price * tx.gas_used,
+        blockHeight: tx.block && tx.block.height,
+        blockHash: tx.block && tx.block.hash,
+        accountId: id,
+        senders: [event.from],
+        recipients: [event.to],
+        date: new Date(tx.received_at),
+      }
+      if (sending) ops.push({ ...op, id: `${id}-${tx.hash}-${i}-OUT`, type: 'OUT' })
+      if (receiving) ops.push({ ...op, id: `${id}-${tx.hash}-${i}-IN`, type: 'IN' })
+    })
+  }
+  return tokenAccounts.map(tokenAccount => {
+    const newOps = newOpsById[tokenAccount.id]
+    if (!newOps) return tokenAccount
+    const operations = mergeOps(tokenAccount.operations, newOps)
+    let balance = new BigNumber(0)
+    operations.forEach(op => {
+      balance = op.type === 'IN' ? balance.plus(op.amount) : balance.minus(op.amount)
+    })
+    return {
+      ...tokenAccount,
+      operations,
+      balance: balance.toFixed(),
+      isHistoryTruncated: tokenAccount.isHistoryTruncated || !!truncatedIds[tokenAccount.id],
+    }
+  })
+}
+
 function isRecipientValid(currency, recipient) {
   return !!recipient.match(/^0x[0-9a-fA-F]{40}$/)
 }
 
-function mergeOps(existing: Operation[], newFetched: Operation[]) {
+function mergeOps<T: { id: string, date: Date }>(existing: T[], newFetched: T[]): T[] {
   const ids = newFetched.map(o => o.id)
   const all = newFetched.concat(existing.filter(o => !ids.includes(o.id)))
   return uniqBy(all.sort((a, b) => b.date - a.date), 'id')
 }
 
+// the api returns the transactions by pages, from the most recent one
+const fetchOlderTransactions = async (currency, address: string, txs: Tx[]): Promise<Tx[]> => {
+  const api = apiForCurrency(currency)
+  for (let i = 0; i < 50 && txs.length > 0; i++) {
+    const { block } = txs[txs.length - 1]
+    if (!block) break
+    const next = await api.getTransactions(address, block.hash)
+    if (next.txs.length === 0) break
+    txs = txs.concat(next.txs)
+  }
+  return txs
+}
+
 const signAndBroadcast = async ({
   a,
   t,
   deviceId,
+  signOnly,
   isCancelled,
   onSigned,
   onOperationBroadcasted,
 }) => {
+  if (isWatchOnlyAccount(a)) {
+    throw new WatchOnlyAccount()
+  }
+
   const api = apiForCurrency(a.currency)
 
-  const nonce = await api.getAccountNonce(a.freshAddress)
+  const nonce = typeof t.nonce === 'number' ? t.nonce : await api.getAccountNonce(a.freshAddress)
+
+  // a token transfer is a call to the token contract
+  const tokenAccount = getTokenAccountById(a, t.tokenAccountId)
+  const transactionToSign = tokenAccount
+    ? {
+        ...t,
+        nonce,
+        recipient: tokenAccount.contractAddress,
+        amount: 0,
+        data: encodeTransferData(t.recipient, getTokenTransferAmount(tokenAccount, t)),
+      }
+    : { ...t, nonce, data: getContractData(t) || undefined }
 
   const transaction = await signTransactionCommand
     .send({
       currencyId: a.currency.id,
       devicePath: deviceId,
       path: a.freshAddressPath,
-      transaction: { ...t, nonce },
+      transaction: transactionToSign,
     })
     .toPromise()
 
   if (!isCancelled()) {
-    onSigned()
+    onSigned(transaction, nonce)
+    if (signOnly) return
 
     const hash = await api.broadcastTransaction(transaction)
 
@@ -128,15 +382,26 @@ const signAndBroadcast = async ({
       id: `${a.id}-${hash}-OUT`,
       hash,
       type: 'OUT',
-      value: t.amount,
+      value: transactionToSign.amount,
       fee: t.gasPrice * t.gasLimit,
       blockHeight: null,
       blockHash: null,
       accountId: a.id,
       senders: [a.freshAddress],
-      recipients: [t.recipient],
+      recipients: [transactionToSign.recipient],
       transactionSequenceNumber: nonce,
       date: new Date(),
+      // needed to replace the transaction while it's pending
+      gasPrice: t.gasPrice,
+      data: tokenAccount ? undefined : transactionToSign.data,
+      tokenTransfer: tokenAccount
+        ? {
+            tokenAccountId: tokenAccount.id,
+            recipient: t.recipient,
+            amount: t.amount,
+            useAllAmount: t.useAllAmount,
+          }
+        : undefined,
     })
   }
 }
@@ -159,7 +424,7 @@ const fetchCurrentBlock = (perCurrencyId => currency => {
 })({})
 
 const EthereumBridge: WalletBridge<Transaction> = {
-  scanAccountsOnDevice: (currency, deviceId) =>
+  scanAccountsOnDevice: (currency, deviceId, options = {}) =>
     Observable.create(o => {
       let finished = false
       const unsubscribe = () => {
@@ -176,7 +441,7 @@ const EthereumBridge: WalletBridge<Transaction> = {
         index,
         { address, path: freshAddressPath, publicKey },
         isStandard,
-      ): { account?: Account, complete?: boolean } {
+      ): { account?: Account, empty?: boolean, complete?: boolean } {
         const balance = await api.getAccountBalance(address)
         if (finished) return { complete: true }
         const currentBlock = await fetchCurrentBlock(currency)
@@ -189,30 +454,27 @@ const EthereumBridge: WalletBridge<Transaction> = {
 
         if (txs.length === 0) {
           // this is an empty account
-          if (isStandard) {
-            if (newAccountCount === 0) {
-              // first zero account will emit one account as opportunity to create a new account..
-              const account: $Exact<Account> = {
-                id: accountId,
-                xpub: '',
-                freshAddress,
-                freshAddressPath,
-                name: getNewAccountPlaceholderName(currency, index),
-                balance,
-                blockHeight: currentBlock.height,
-                index,
-                currency,
-                operations: [],
-                pendingOperations: [],
-                unit: currency.units[0],
-                lastSyncDate: new Date(),
-              }
-              return { account, complete: true }
+          if (isStandard && newAccountCount++ === 0) {
+            // first zero account will emit one account as opportunity to create a new account..
+            const account: $Exact<Account> = {
+              id: accountId,
+              xpub: '',
+              freshAddress,
+              freshAddressPath,
+              name: getNewAccountPlaceholderName(currency, index),
+              balance,
+              blockHeight: currentBlock.height,
+              index,
+              currency,
+              operations: [],
+              pendingOperations: [],
+              unit: currency.units[0],
+              lastSyncDate: new Date(),
             }
-            newAccountCount++
+            return { account, empty: true }
           }
-          // NB for legacy addresses maybe we will continue at least for the first 10 addresses
-          return { complete: true }
+          // the scan of a derivation goes on until its gap limit is reached
+          return { empty: true }
         }
 
         const account: $Exact<Account> = {
@@ -230,33 +492,31 @@ const EthereumBridge: WalletBridge<Transaction> = {
           unit: currency.units[0],
           lastSyncDate: new Date(),
         }
-        for (let i = 0; i < 50; i++) {
-          const api = apiForCurrency(account.currency)
-          const { block } = txs[txs.length - 1]
-          if (!block) break
-          const next = await api.getTransactions(account.freshAddress, block.hash)
-          if (next.txs.length === 0) break
-          txs = txs.concat(next.txs)
-        }
+        txs = await fetchOlderTransactions(currency, address, txs)
         txs.reverse()
         account.operations = mergeOps([], flatMap(txs, txToOps(account)))
-        return { account }
+        return { account: { ...account, tokenAccounts: mergeTokenAccounts(account, txs) } }
       }
 
       async function main() {
         try {
-          const derivations = getDerivations(currency)
-          const last = derivations[derivations.length - 1]
-          for (const derivation of derivations) {
-            const isStandard = last === derivation
+          const { onProgress } = options
+          for (const { derivation, isStandard, gapLimit } of getDerivationsToScan(
+            currency,
+            options,
+          )) {
+            let emptyCount = 0
             for (let index = 0; index < 255; index++) {
               const freshAddressPath = derivation({ currency, x: index, segwit: false })
+              if (onProgress) onProgress({ path: freshAddressPath })
               const res = await getAddressCommand
                 .send({ currencyId: currency.id, devicePath: deviceId, path: freshAddressPath })
                 .toPromise()
               const r = await stepAddress(index, res, isStandard)
+              if (r.complete) return
               if (r.account) o.next(r.account)
-              if (r.complete) {
+              emptyCount = r.empty ? emptyCount + 1 : 0
+              if (emptyCount >= gapLimit) {
                 break
               }
             }
@@ -272,10 +532,68 @@ const EthereumBridge: WalletBridge<Transaction> = {
       return unsubscribe
     }),
 
+  importWatchOnlyAccount: (currency, address) =>
+    Observable.create(o => {
+      let finished = false
+      const unsubscribe = () => {
+        finished = true
+      }
+
+      async function main() {
+        try {
+          if (!isRecipientValid(currency, address)) {
+            throw new InvalidAddress()
+          }
+          const api = apiForCurrency(currency)
+          const balance = await api.getAccountBalance(address)
+          if (finished) return
+          const currentBlock = await fetchCurrentBlock(currency)
+          if (finished) return
+          const { txs } = await api.getTransactions(address)
+          if (finished) return
+          const allTxs = await fetchOlderTransactions(currency, address, txs)
+          if (finished) return
+          allTxs.reverse()
+
+          const account: $Exact<Account> = {
+            id: `ethereumjs:${currency.id}:${address}:watchonly`,
+            xpub: '',
+            // the derivation path is unknown without the device
+            freshAddress: address,
+            freshAddressPath: '',
+            name: getAccountPlaceholderName(currency, 0),
+            balance,
+            blockHeight: currentBlock.height,
+            index: 0,
+            currency,
+            operations: [],
+            pendingOperations: [],
+            unit: currency.units[0],
+            lastSyncDate: new Date(),
+          }
+          account.operations = mergeOps([], flatMap(allTxs, txToOps(account)))
+          o.next({
+            ...account,
+            tokenAccounts: mergeTokenAccounts(account, allTxs),
+            watchOnly: true,
+          })
+          o.complete()
+        } catch (e) {
+          o.error(e)
+        }
+      }
+
+      main()
+
+      return unsubscribe
+    }),
+
   synchronize: ({ freshAddress, blockHeight, currency, operations }) =>
     Observable.create(o => {
       let unsubscribed = false
-      const api = apiForCurrency(currency)
+      // the pending requests of the explorer are aborted on unsubscribe
+      const cancelTokenSource = createCancelTokenSource()
+      const api = apiForCurrency(currency, cancelTokenSource.token)
       async function main() {
         try {
           const block = await fetchCurrentBlock(currency)
@@ -307,9 +625,11 @@ const EthereumBridge: WalletBridge<Transaction> = {
               const currentOps = a.operations.filter(filterConfirmedOperations)
               const newOps = flatMap(txs, txToOps(a))
               const operations = mergeOps(currentOps, newOps)
+              // once a nonce is used by a confirmed transaction, all pending operations
+              // sharing it (a transaction and its replacements) are obsolete
               const pendingOperations = a.pendingOperations.filter(
                 o =>
-                  o.transactionSequenceNumber &&
+                  typeof o.transactionSequenceNumber === 'number' &&
                   o.transactionSequenceNumber >= nonce &&
                   !operations.some(op => o.hash === op.hash),
               )
@@ -317,6 +637,7 @@ const EthereumBridge: WalletBridge<Transaction> = {
                 ...a,
                 pendingOperations,
                 operations,
+                tokenAccounts: mergeTokenAccounts(a, txs),
                 balance,
                 blockHeight: block.height,
                 lastSyncDate: new Date(),
@@ -332,6 +653,7 @@ const EthereumBridge: WalletBridge<Transaction> = {
 
       return () => {
         unsubscribed = true
+        cancelTokenSource.cancel()
       }
     }),
 
@@ -353,6 +675,13 @@ const EthereumBridge: WalletBridge<Transaction> = {
 
   getTransactionAmount: (a, t) => t.amount,
 
+  editTransactionUseAllAmount: (account, t, useAllAmount) => ({
+    ...t,
+    useAllAmount,
+  }),
+
+  getTransactionUseAllAmount: (a, t) => !!t.useAllAmount,
+
   editTransactionRecipient: (account, t, recipient) => ({
     ...t,
     recipient,
@@ -360,28 +689,78 @@ const EthereumBridge: WalletBridge<Transaction> = {
 
   getTransactionRecipient: (a, t) => t.recipient,
 
-  isValidTransaction: (a, t) => (t.amount > 0 && t.recipient && true) || false,
+  editTransactionTokenAccount: (account, t, tokenAccountId) => ({
+    ...t,
+    tokenAccountId: tokenAccountId || undefined,
+    // the amount unit changes
+    amount: 0,
+    useAllAmount: false,
+    gasLimit: tokenAccountId ? TOKEN_TRANSFER_GAS_LIMIT : 0x5208,
+    isGasLimitCustom: false,
+    // the data of a token transfer is the transfer call
+    data: undefined,
+  }),
+
+  getTransactionTokenAccount: (a, t) => getTokenAccountById(a, t.tokenAccountId),
+
+  // a contract can be called without sending any ether
+  isValidTransaction: (a, t) =>
+    (!!t.recipient && (t.amount > 0 || (!!getContractData(t) && isContractDataValid(t)))) || false,
 
   EditFees,
 
   EditAdvancedOptions,
 
-  checkCanBeSpent: (a, t) =>
-    t.amount <= a.balance ? Promise.resolve() : Promise.reject(new NotEnoughBalance()),
-  getTotalSpent: (a, t) => Promise.resolve(t.amount + t.gasPrice * t.gasLimit),
-  getMaxAmount: (a, t) => Promise.resolve(a.balance - t.gasPrice * t.gasLimit),
-
-  signAndBroadcast: (a, t, deviceId) =>
+  checkCanBeSpent: (a, t) => {
+    if (isWatchOnlyAccount(a)) {
+      return Promise.reject(new WatchOnlyAccount())
+    }
+    if (!isContractDataValid(t)) {
+      return Promise.reject(new InvalidContractData())
+    }
+    if (t.replacedGasPrice && t.gasPrice < getMinReplacementGasPrice(t.replacedGasPrice)) {
+      return Promise.reject(new ReplacementFeeTooLow())
+    }
+    const tokenAccount = getTokenAccountById(a, t.tokenAccountId)
+    if (tokenAccount) {
+      // the fees of a token transfer are paid in ethers
+      return new BigNumber(tokenAccount.balance).gte(getTokenTransferAmount(tokenAccount, t)) &&
+        t.gasPrice * t.gasLimit <= a.balance
+        ? Promise.resolve()
+        : Promise.reject(new NotEnoughBalance())
+    }
+    return t.amount <= a.balance ? Promise.resolve() : Promise.reject(new NotEnoughBalance())
+  },
+  getTotalSpent: (a, t) =>
+    Promise.resolve(
+      (getTokenAccountById(a, t.tokenAccountId) ? 0 : t.amount) + t.gasPrice * t.gasLimit,
+    ),
+  getMaxAmount: (a, t) => {
+    const tokenAccount = getTokenAccountById(a, t.tokenAccountId)
+    // only used to display the amount: the transfer sends the exact balance
+    if (tokenAccount) return Promise.resolve(Number(tokenAccount.balance))
+    return Promise.resolve(Math.max(0, a.balance - t.gasPrice * t.gasLimit))
+  },
+
+  signAndBroadcast: (a, t, deviceId, { signOnly } = {}) =>
     Observable.create(o => {
       let cancelled = false
       const isCancelled = () => cancelled
-      const onSigned = () => {
-        o.next({ type: 'signed' })
+      const onSigned = (signedTransaction, transactionSequenceNumber) => {
+        o.next({ type: 'signed', signedTransaction, transactionSequenceNumber })
       }
       const onOperationBroadcasted = operation => {
         o.next({ type: 'broadcasted', operation })
       }
-      signAndBroadcast({ a, t, deviceId, isCancelled, onSigned, onOperationBroadcasted }).then(
+      signAndBroadcast({
+        a,
+        t,
+        deviceId,
+        signOnly,
+        isCancelled,
+        onSigned,
+        onOperationBroadcasted,
+      }).then(
         () => {
           o.complete()
         },
@@ -394,14 +773,57 @@ const EthereumBridge: WalletBridge<Transaction> = {
       }
     }),
 
+  broadcastRawTransaction: (a, signedTransaction) =>
+    apiForCurrency(a.currency).broadcastTransaction(signedTransaction),
+
+  // a pending operation with the same nonce is replaced by the new one
   addPendingOperation: (account, operation) => ({
     ...account,
     pendingOperations: [operation].concat(
       account.pendingOperations.filter(
-        o => o.transactionSequenceNumber === operation.transactionSequenceNumber,
+        o => o.transactionSequenceNumber !== operation.transactionSequenceNumber,
       ),
     ),
   }),
+
+  createReplacementTransaction: (account, operation, kind) => {
+    const { transactionSequenceNumber: nonce } = operation
+    const replacedGasPrice = (operation: EthereumOperation).gasPrice
+    if (
+      operation.type !== 'OUT' ||
+      operation.blockHeight ||
+      typeof nonce !== 'number' ||
+      !replacedGasPrice
+    ) {
+      return null
+    }
+    const gasPrice = getMinReplacementGasPrice(replacedGasPrice)
+    if (kind === 'cancel') {
+      // a 0-value send to ourself is the cheapest transaction to use the nonce
+      return {
+        amount: 0,
+        recipient: account.freshAddress,
+        gasPrice,
+        gasLimit: 0x5208,
+        nonce,
+        replacedGasPrice,
+      }
+    }
+    const { tokenTransfer, data } = (operation: EthereumOperation)
+    return {
+      amount: tokenTransfer ? tokenTransfer.amount : operation.value,
+      recipient: tokenTransfer ? tokenTransfer.recipient : operation.recipients[0],
+      gasPrice,
+      // the gas limit of the replaced transaction was enough
+      gasLimit: Math.round(operation.fee / replacedGasPrice),
+      isGasLimitCustom: true,
+      data,
+      nonce,
+      replacedGasPrice,
+      tokenAccountId: tokenTransfer ? tokenTransfer.tokenAccountId : undefined,
+      useAllAmount: tokenTransfer ? tokenTransfer.useAllAmount : undefined,
+    }
+  },
 }
 
 export default EthereumBridge
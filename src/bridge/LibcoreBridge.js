@@ -1,30 +1,75 @@
 // @flow
 import React from 'react'
-import { Observable } from 'rxjs'
+import { Observable, EMPTY, of } from 'rxjs'
 import LRU from 'lru-cache'
-import { map } from 'rxjs/operators'
-import type { Account } from '@ledgerhq/live-common/lib/types'
+import { map, mergeMap } from 'rxjs/operators'
+import type { Account, Operation } from '@ledgerhq/live-common/lib/types'
 import { decodeAccount, encodeAccount } from 'reducers/accounts'
 import FeesBitcoinKind from 'components/FeesField/BitcoinKind'
+import AdvancedOptionsBitcoinKind from 'components/AdvancedOptions/BitcoinKind'
+import AdditionalPaymentsField from 'components/AdditionalPaymentsField'
 import libcoreScanAccounts from 'commands/libcoreScanAccounts'
+import libcoreImportWatchOnlyAccount from 'commands/libcoreImportWatchOnlyAccount'
 import libcoreSyncAccount from 'commands/libcoreSyncAccount'
 import libcoreSignAndBroadcast from 'commands/libcoreSignAndBroadcast'
 import libcoreGetFees from 'commands/libcoreGetFees'
+import libcoreBuildPSBT from 'commands/libcoreBuildPSBT'
+import libcoreSignPSBT from 'commands/libcoreSignPSBT'
+import libcoreBroadcastTransaction from 'commands/libcoreBroadcastTransaction'
 import libcoreValidAddress from 'commands/libcoreValidAddress'
+import { RBF_INCREMENTAL_RELAY_FEE } from 'config/constants'
 import { createCustomErrorClass } from 'helpers/errors'
-import type { WalletBridge, EditProps } from './types'
+import { isWatchOnlyAccount, WatchOnlyAccount } from 'helpers/watchOnly'
+import type { WalletBridge, EditProps, Payment } from './types'
 
 const NOT_ENOUGH_FUNDS = 52
 const NotEnoughBalance = createCustomErrorClass('NotEnoughBalance')
+const ReplacementFeeTooLow = createCustomErrorClass('ReplacementFeeTooLow')
 
 const notImplemented = new Error('LibcoreBridge: not implemented')
 
+type UTXO = {
+  hash: string,
+  index: number,
+  // known when the output was selected by the user (coin control)
+  value?: number,
+}
+
 type Transaction = {
   amount: number,
   feePerByte: number,
   recipient: string,
+  // set when the transaction replaces a pending one (replace-by-fee)
+  // or when the user selects the outputs to spend (coin control)
+  inputs?: UTXO[],
+  replacedFee?: number,
+  // other recipients paid by the same transaction (batch payments)
+  additionalPayments?: Payment[],
+  // send max: sweep the account to the recipient, without change
+  useAllAmount?: boolean,
 }
 
+const getPayments = (t: Transaction): Payment[] =>
+  [{ recipient: t.recipient, amount: t.amount }].concat(t.additionalPayments || [])
+
+const setPayments = (t: Transaction, payments: Payment[]): Transaction => ({
+  ...t,
+  recipient: payments[0] ? payments[0].recipient : '',
+  amount: payments[0] ? payments[0].amount : 0,
+  additionalPayments: payments.slice(1),
+})
+
+// the sum of all the payments, without the fees
+const getTotalAmount = (t: Transaction): number =>
+  getPayments(t).reduce((sum, p) => sum + p.amount, 0)
+
+// optimistic operations we broadcast remember the outputs they spent
+// (a field of the pending operations of this bridge, not in the common Operation type)
+type LibcoreOperation = $Shape<Operation & { inputs: UTXO[] }>
+
+const getOperationInputs = (operation: Operation): UTXO[] =>
+  (operation: LibcoreOperation).inputs || []
+
 const decodeOperation = (encodedAccount, rawOp) =>
   decodeAccount({ ...encodedAccount, operations: [rawOp] }).operations[0]
 
@@ -35,20 +80,37 @@ const EditFees = ({ account, onChange, value }: EditProps<Transaction>) => (
     }}
     feePerByte={value.feePerByte}
     account={account}
+    amount={getTotalAmount(value)}
+    getTotalFees={getTotalFeesLoader(account, value)}
   />
 )
 
-/*
-import AdvancedOptionsBitcoinKind from 'components/AdvancedOptions/BitcoinKind'
-const EditAdvancedOptions = ({ onChange, value }: EditProps<Transaction>) => (
-  <AdvancedOptionsBitcoinKind
-    isRBF={value.isRBF}
-    onChangeRBF={isRBF => {
-      onChange({ ...value, isRBF })
-    }}
-  />
-)
-*/
+const EditAdvancedOptions = ({ account, onChange, value }: EditProps<Transaction>) =>
+  // the inputs of a replacement are imposed by the transaction it replaces
+  value.replacedFee ? null : (
+    <AdvancedOptionsBitcoinKind
+      account={account}
+      amount={getTotalAmount(value)}
+      inputs={value.inputs}
+      onChangeInputs={inputs => {
+        onChange({ ...value, inputs })
+      }}
+      getTotalFees={getTotalFeesLoader(account, value)}
+    />
+  )
+
+const EditAdditionalPayments = ({ account, onChange, value }: EditProps<Transaction>) =>
+  // a replacement has to pay the same recipients
+  value.replacedFee ? null : (
+    <AdditionalPaymentsField
+      account={account}
+      payments={getPayments(value)}
+      onChange={payments => {
+        onChange(setPayments(value, payments))
+      }}
+      isRecipientValid={recipient => isRecipientValid(account.currency, recipient)}
+    />
+  )
 
 const recipientValidLRU = LRU({ max: 100 })
 
@@ -69,8 +131,15 @@ const isRecipientValid = (currency, recipient) => {
 
 const feesLRU = LRU({ max: 100 })
 
+const getInputsKey = (inputs: UTXO[] = []) => inputs.map(i => `${i.hash}:${i.index}`).join(',')
+
+const getPaymentsKey = (payments: Payment[] = []) =>
+  payments.map(p => `${p.recipient}:${p.amount}`).join(',')
+
 const getFeesKey = (a, t) =>
-  `${a.id}_${a.blockHeight || 0}_${t.amount}_${t.recipient}_${t.feePerByte}`
+  `${a.id}_${a.blockHeight || 0}_${t.amount}_${t.recipient}_${t.feePerByte}_${getInputsKey(
+    t.inputs,
+  )}_${getPaymentsKey(t.additionalPayments)}_${t.useAllAmount ? 'max' : ''}`
 
 const getFees = async (a, transaction) => {
   const isValid = await isRecipientValid(a.currency, transaction.recipient)
@@ -86,25 +155,82 @@ const getFees = async (a, transaction) => {
   return promise
 }
 
+const totalFeesLoaderLRU = LRU({ max: 100 })
+
+// the fee fields load the fees again when they are given another function:
+// the same one is given as long as the fees don't change
+const getTotalFeesLoader = (a, t) => {
+  const key = getFeesKey(a, t)
+  let loader = totalFeesLoaderLRU.get(key)
+  if (!loader) {
+    loader = () => getFees(a, t)
+    totalFeesLoaderLRU.set(key, loader)
+  }
+  return loader
+}
+
+// sum of the selected outputs, if they are all known
+const getInputsValue = (inputs: UTXO[] = []): ?number =>
+  inputs.every(i => typeof i.value === 'number')
+    ? inputs.reduce((sum, i) => sum + (i.value || 0), 0)
+    : null
+
+const isReplacementFeeEnough = (t, totalFees) => {
+  const replacedFee = t.replacedFee || 0
+  // libcore's fees are the size of the transaction at the fees per byte
+  const size = t.feePerByte > 0 ? Math.ceil(totalFees / t.feePerByte) : 0
+  return totalFees > replacedFee && totalFees >= replacedFee + RBF_INCREMENTAL_RELAY_FEE * size
+}
+
 const checkCanBeSpent = (a, t) =>
   !t.amount
     ? Promise.resolve()
-    : getFees(a, t)
-        .then(() => {})
-        .catch(e => {
-          if (e.code === NOT_ENOUGH_FUNDS) {
-            throw new NotEnoughBalance()
-          }
-          feesLRU.del(getFeesKey(a, t))
-          throw e
-        })
+    : t.inputs && t.inputs.length === 0
+      ? Promise.reject(new NotEnoughBalance())
+      : getFees(a, t)
+          .catch(e => {
+            if (e.code === NOT_ENOUGH_FUNDS) {
+              throw new NotEnoughBalance()
+            }
+            feesLRU.del(getFeesKey(a, t))
+            throw e
+          })
+          .then(totalFees => {
+            // BIP125: the replacement pays the fees it replaces plus the relay of its own size
+            if (t.replacedFee && !isReplacementFeeEnough(t, totalFees || 0)) {
+              throw new ReplacementFeeTooLow()
+            }
+            const inputsValue = getInputsValue(t.inputs)
+            if (
+              typeof inputsValue === 'number' &&
+              inputsValue < getTotalAmount(t) + (totalFees || 0)
+            ) {
+              throw new NotEnoughBalance()
+            }
+          })
 
 const LibcoreBridge: WalletBridge<Transaction> = {
-  scanAccountsOnDevice(currency, devicePath) {
+  scanAccountsOnDevice(currency, devicePath, { onProgress, ...options } = {}) {
     return libcoreScanAccounts
       .send({
         devicePath,
         currencyId: currency.id,
+        ...options,
+      })
+      .pipe(
+        mergeMap(e => {
+          if (e.type === 'account') return of(decodeAccount(e.account))
+          if (onProgress) onProgress(e.progress)
+          return EMPTY
+        }),
+      )
+  },
+
+  importWatchOnlyAccount(currency, extendedKey) {
+    return libcoreImportWatchOnlyAccount
+      .send({
+        currencyId: currency.id,
+        extendedKey,
       })
       .pipe(map(decodeAccount))
   },
@@ -116,10 +242,9 @@ const LibcoreBridge: WalletBridge<Transaction> = {
       //   - if there were pendingOperations that are now in operations, remove them as well.
       //   - if there are pendingOperations that is older than a threshold (that depends on blockchain speed typically)
       //     then we probably should trash them out? it's a complex question for UI
-      ;(async () => {
-        try {
-          const rawAccount = encodeAccount(account)
-          const rawSyncedAccount = await libcoreSyncAccount.send({ rawAccount }).toPromise()
+      // unsubscribing reaches the internal process which stops the sync
+      const sub = libcoreSyncAccount.send({ rawAccount: encodeAccount(account) }).subscribe({
+        next: rawSyncedAccount => {
           const syncedAccount = decodeAccount(rawSyncedAccount)
           o.next(account => {
             const accountOps = account.operations
@@ -150,14 +275,13 @@ const LibcoreBridge: WalletBridge<Transaction> = {
               ...patch,
             }
           })
-          o.complete()
-        } catch (e) {
-          o.error(e)
-        }
-      })()
+        },
+        complete: () => o.complete(),
+        error: e => o.error(e),
+      })
       return {
         unsubscribe() {
-          // LibcoreBridge: unsub sync not currently implemented
+          sub.unsubscribe()
         },
       }
     }),
@@ -187,33 +311,57 @@ const LibcoreBridge: WalletBridge<Transaction> = {
 
   getTransactionRecipient: (a, t) => t.recipient,
 
+  editTransactionUseAllAmount: (account, t, useAllAmount) => ({
+    ...t,
+    useAllAmount,
+  }),
+
+  getTransactionUseAllAmount: (a, t) => !!t.useAllAmount,
+
   EditFees,
 
-  // EditAdvancedOptions,
+  EditAdvancedOptions,
 
-  isValidTransaction: (a, t) => (t.amount > 0 && t.recipient && true) || false,
+  EditAdditionalPayments,
 
-  checkCanBeSpent,
+  getTransactionPayments: (a, t) => getPayments(t),
+
+  isValidTransaction: (a, t) => getPayments(t).every(p => p.amount > 0 && !!p.recipient),
+
+  checkCanBeSpent: (a, t) =>
+    isWatchOnlyAccount(a) ? Promise.reject(new WatchOnlyAccount()) : checkCanBeSpent(a, t),
 
   getTotalSpent: (a, t) =>
     !t.amount
       ? Promise.resolve(0)
       : getFees(a, t)
-          .then(totalFees => t.amount + (totalFees || 0))
+          .then(totalFees => getTotalAmount(t) + (totalFees || 0))
           .catch(() => 0),
 
   getMaxAmount: (a, t) =>
     getFees(a, t)
       .catch(() => 0)
-      .then(totalFees => a.balance - (totalFees || 0)),
-
-  signAndBroadcast: (account, transaction, deviceId) => {
+      .then(totalFees => {
+        // with coin control, only the selected outputs can be spent
+        const inputsValue = t.inputs ? getInputsValue(t.inputs) : null
+        const spendable = typeof inputsValue === 'number' ? inputsValue : a.balance
+        const otherPayments = getTotalAmount(t) - t.amount
+        return Math.max(0, spendable - (totalFees || 0) - otherPayments)
+      }),
+
+  signAndBroadcast: (account, transaction, deviceId, { signOnly } = {}) => {
+    if (isWatchOnlyAccount(account)) {
+      return Observable.create(o => {
+        o.error(new WatchOnlyAccount())
+      })
+    }
     const encodedAccount = encodeAccount(account) // FIXME no need to send the whole account over the threads
     return libcoreSignAndBroadcast
       .send({
         account: encodedAccount,
         transaction,
         deviceId,
+        signOnly,
       })
       .pipe(
         map(e => {
@@ -230,10 +378,44 @@ const LibcoreBridge: WalletBridge<Transaction> = {
       )
   },
 
-  addPendingOperation: (account, operation) => ({
-    ...account,
-    pendingOperations: [operation].concat(account.pendingOperations),
-  }),
+  buildPSBT: (account, transaction) =>
+    libcoreBuildPSBT.send({ account: encodeAccount(account), transaction }).toPromise(),
+
+  signPSBT: (account, psbt, deviceId) =>
+    isWatchOnlyAccount(account)
+      ? Promise.reject(new WatchOnlyAccount())
+      : libcoreSignPSBT.send({ account: encodeAccount(account), psbt, deviceId }).toPromise(),
+
+  broadcastRawTransaction: (account, signedTransaction) =>
+    libcoreBroadcastTransaction
+      .send({ account: encodeAccount(account), signedTransaction })
+      .toPromise(),
+
+  addPendingOperation: (account, operation) => {
+    const inputs = getOperationInputs(operation)
+    // a pending operation spending one of the same outputs has been replaced by this one
+    const isReplaced = o =>
+      getOperationInputs(o).some(i => inputs.some(j => i.hash === j.hash && i.index === j.index))
+    return {
+      ...account,
+      pendingOperations: [operation].concat(account.pendingOperations.filter(o => !isReplaced(o))),
+    }
+  },
+
+  createReplacementTransaction: (account, operation, kind) => {
+    const inputs = getOperationInputs(operation)
+    if (kind !== 'speedUp') return null
+    if (operation.type !== 'OUT' || operation.blockHeight || inputs.length === 0) return null
+    // we don't know how a batch payment was split between its recipients
+    if (operation.recipients.length !== 1) return null
+    return {
+      amount: operation.value - operation.fee,
+      recipient: operation.recipients[0],
+      feePerByte: 0,
+      inputs,
+      replacedFee: operation.fee,
+    }
+  },
 }
 
 export default LibcoreBridge
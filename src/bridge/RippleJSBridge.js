@@ -5,8 +5,10 @@ import React from 'react'
 import bs58check from 'ripple-bs58check'
 import { computeBinaryTransactionHash } from 'ripple-hashes'
 import throttle from 'lodash/throttle'
+import LRU from 'lru-cache'
 import type { Account, Operation } from '@ledgerhq/live-common/lib/types'
-import { getDerivations } from 'helpers/derivations'
+import { formatCurrencyUnit } from '@ledgerhq/live-common/lib/helpers/currencies'
+import { getDerivationsToScan } from 'helpers/derivations'
 import getAddress from 'commands/getAddress'
 import signTransaction from 'commands/signTransaction'
 import {
@@ -20,15 +22,23 @@ import FeesRippleKind from 'components/FeesField/RippleKind'
 import AdvancedOptionsRippleKind from 'components/AdvancedOptions/RippleKind'
 import { getAccountPlaceholderName, getNewAccountPlaceholderName } from 'helpers/accountName'
 import { createCustomErrorClass } from 'helpers/errors'
+import { isWatchOnlyAccount, WatchOnlyAccount } from 'helpers/watchOnly'
 import type { WalletBridge, EditProps } from './types'
 
 const NotEnoughBalance = createCustomErrorClass('NotEnoughBalance')
+const InvalidAddress = createCustomErrorClass('InvalidAddress')
+const NotEnoughBalanceBecauseOfReserve = createCustomErrorClass('NotEnoughBalanceBecauseOfReserve')
+const NotEnoughAmountToActivateRecipient = createCustomErrorClass(
+  'NotEnoughAmountToActivateRecipient',
+)
+const RippleDestinationTagRequired = createCustomErrorClass('RippleDestinationTagRequired')
 
 type Transaction = {
   amount: number,
   recipient: string,
   fee: number,
   tag: ?number,
+  useAllAmount?: boolean,
 }
 
 const EditFees = ({ account, onChange, value }: EditProps<Transaction>) => (
@@ -41,16 +51,29 @@ const EditFees = ({ account, onChange, value }: EditProps<Transaction>) => (
   />
 )
 
-const EditAdvancedOptions = ({ onChange, value }: EditProps<Transaction>) => (
+const EditAdvancedOptions = ({ account, onChange, value }: EditProps<Transaction>) => (
   <AdvancedOptionsRippleKind
     tag={value.tag}
+    recipient={value.recipient}
+    getIsTagRequired={() => isTagRequired(account, value)}
     onChangeTag={tag => {
       onChange({ ...value, tag })
     }}
   />
 )
 
-async function signAndBroadcast({ a, t, deviceId, isCancelled, onSigned, onOperationBroadcasted }) {
+async function signAndBroadcast({
+  a,
+  t,
+  deviceId,
+  signOnly,
+  isCancelled,
+  onSigned,
+  onOperationBroadcasted,
+}) {
+  if (isWatchOnlyAccount(a)) {
+    throw new WatchOnlyAccount()
+  }
   const api = apiForEndpointConfig(a.endpointConfig)
   try {
     await api.connect()
@@ -68,6 +91,8 @@ async function signAndBroadcast({ a, t, deviceId, isCancelled, onSigned, onOpera
     }
     const instruction = {
       fee: formatAPICurrencyXRP(t.fee).value,
+      // by default, a transaction expires after a few ledgers: too soon to be broadcasted later
+      ...(signOnly ? { maxLedgerVersion: null } : {}),
     }
 
     const prepared = await api.preparePayment(a.freshAddress, payment, instruction)
@@ -82,12 +107,9 @@ async function signAndBroadcast({ a, t, deviceId, isCancelled, onSigned, onOpera
       .toPromise()
 
     if (!isCancelled()) {
-      onSigned()
-      const submittedPayment = await api.submit(transaction)
-
-      if (submittedPayment.resultCode !== 'tesSUCCESS') {
-        throw new Error(submittedPayment.resultMessage)
-      }
+      onSigned(transaction, prepared.instructions.sequence)
+      if (signOnly) return
+      await submit(api, transaction)
 
       const hash = computeBinaryTransactionHash(transaction)
 
@@ -114,6 +136,13 @@ async function signAndBroadcast({ a, t, deviceId, isCancelled, onSigned, onOpera
   }
 }
 
+async function submit(api, signedTransaction: string) {
+  const submittedPayment = await api.submit(signedTransaction)
+  if (submittedPayment.resultCode !== 'tesSUCCESS') {
+    throw new Error(submittedPayment.resultMessage)
+  }
+}
+
 function isRecipientValid(currency, recipient) {
   try {
     bs58check.decode(recipient)
@@ -129,56 +158,43 @@ function mergeOps(existing: Operation[], newFetched: Operation[]) {
   return all.sort((a, b) => b.date - a.date)
 }
 
+type APICurrencyObject = {
+  currency: string,
+  value: string,
+  counterparty?: string,
+}
+
 type Tx = {
+  // the transaction type, as named by ripple-lib (payment, order, trustline, settings...)
   type: string,
   address: string,
   sequence: number,
   id: string,
+  // its fields depend on the type, only the ones of a payment are used
   specification: {
-    source: {
+    source?: {
       address: string,
-      maxAmount: {
-        currency: string,
-        value: string,
-      },
+      maxAmount: APICurrencyObject,
     },
-    destination: {
+    destination?: {
       address: string,
-      amount: {
-        currency: string,
-        value: string,
-      },
+      amount: APICurrencyObject,
     },
-    paths: string,
+    allowPartialPayment?: boolean,
   },
   outcome: {
     result: string,
     fee: string,
     timestamp: string,
-    deliveredAmount?: {
-      currency: string,
-      value: string,
-      counterparty: string,
-    },
+    deliveredAmount?: APICurrencyObject,
     balanceChanges: {
-      [addr: string]: Array<{
-        counterparty: string,
-        currency: string,
-        value: string,
-      }>,
+      [addr: string]: APICurrencyObject[],
     },
     orderbookChanges: {
       [addr: string]: Array<{
         direction: string,
-        quantity: {
-          currency: string,
-          value: string,
-        },
-        totalPrice: {
-          currency: string,
-          counterparty: string,
-          value: string,
-        },
+        quantity: APICurrencyObject,
+        totalPrice: APICurrencyObject,
         makeExchangeRate: string,
         sequence: number,
         status: string,
@@ -189,34 +205,64 @@ type Tx = {
   },
 }
 
+// the change of the XRP balance of an address made by a transaction, fees included
+const getXRPBalanceChange = (outcome, address: string): number =>
+  (outcome.balanceChanges[address] || [])
+    .filter(change => change.currency === 'XRP')
+    .reduce((sum, change) => sum + parseAPIValue(change.value), 0)
+
 const txToOperation = (account: Account) => ({
   id,
+  type: transactionType,
+  address,
   sequence,
-  outcome: { fee, deliveredAmount, ledgerVersion, timestamp },
-  specification: { source, destination },
+  outcome,
+  specification: { source, destination, allowPartialPayment },
 }: Tx): Operation => {
-  const type = source.address === account.freshAddress ? 'OUT' : 'IN'
-  let value = deliveredAmount ? parseAPICurrencyObject(deliveredAmount) : 0
+  const { freshAddress } = account
+  const isSender = address === freshAddress
+  const hasFailed = outcome.result !== 'tesSUCCESS'
+  const { deliveredAmount, fee, ledgerVersion, timestamp } = outcome
   const feeValue = parseAPIValue(fee)
-  if (type === 'OUT') {
-    if (!isNaN(feeValue)) {
+
+  let type
+  let value
+  if (
+    transactionType === 'payment' &&
+    !hasFailed &&
+    deliveredAmount &&
+    deliveredAmount.currency === 'XRP'
+  ) {
+    // the amount of a partial payment is only a maximum: what was delivered is what counts
+    type = isSender ? 'OUT' : 'IN'
+    value = parseAPICurrencyObject(deliveredAmount)
+    if (type === 'OUT' && !isNaN(feeValue)) {
       value += feeValue
     }
+  } else {
+    // offers, trust lines, settings, escrows, payments of other currencies and failed
+    // transactions are worth what they changed of the XRP balance, often only the fee
+    const change = getXRPBalanceChange(outcome, freshAddress)
+    type = change < 0 || (change === 0 && isSender) ? 'OUT' : 'IN'
+    value = Math.abs(change)
   }
 
-  const op: $Exact<Operation> = {
+  const op: Operation = {
     id,
     hash: id,
     accountId: account.id,
     type,
     value,
-    fee: feeValue,
+    fee: isSender ? feeValue : 0,
     blockHash: null,
     blockHeight: ledgerVersion,
-    senders: [source.address],
-    recipients: [destination.address],
+    senders: [source ? source.address : address],
+    recipients: destination ? [destination.address] : [],
     date: new Date(timestamp),
     transactionSequenceNumber: sequence,
+    transactionType,
+    isPartialPayment: allowPartialPayment || undefined,
+    hasFailed: hasFailed || undefined,
   }
   return op
 }
@@ -241,8 +287,69 @@ const getServerInfo = (map => endpointConfig => {
   return f()
 })({})
 
+type AddressInfo = {
+  // an address which never received XRP has to be activated with at least the base reserve
+  isFunded: boolean,
+  // the offers, trust lines, escrows... of the account: each one raises its reserve
+  ownerCount: number,
+  // the RequireDest flag, set by the accounts shared by many users (e.g. exchanges)
+  requireDestinationTag: boolean,
+}
+
+const addressInfoLRU = LRU({ max: 100, maxAge: 60 * 1000 })
+
+const getAddressInfo = (endpointConfig: ?string, address: string): Promise<AddressInfo> => {
+  const key = `${endpointConfig || ''}_${address}`
+  let promise = addressInfoLRU.get(key)
+  if (promise) return promise
+  promise = (async () => {
+    const api = apiForEndpointConfig(endpointConfig)
+    try {
+      await api.connect()
+      const info = await api.getAccountInfo(address)
+      const settings = await api.getSettings(address)
+      return {
+        isFunded: true,
+        ownerCount: info.ownerCount,
+        requireDestinationTag: !!settings.requireDestinationTag,
+      }
+    } catch (e) {
+      if (e.message !== 'actNotFound') {
+        throw e
+      }
+      return { isFunded: false, ownerCount: 0, requireDestinationTag: false }
+    } finally {
+      api.disconnect()
+    }
+  })()
+  promise.catch(() => addressInfoLRU.del(key))
+  addressInfoLRU.set(key, promise)
+  return promise
+}
+
+// the part of the balance that can't be spent: the base reserve and a reserve per owned object
+const getReserve = async (a: Account): Promise<number> => {
+  const [{ validatedLedger }, { ownerCount }] = await Promise.all([
+    getServerInfo(a.endpointConfig),
+    getAddressInfo(a.endpointConfig, a.freshAddress),
+  ])
+  return (
+    parseAPIValue(validatedLedger.reserveBaseXRP) +
+    ownerCount * parseAPIValue(validatedLedger.reserveIncrementXRP)
+  )
+}
+
+const isTagRequired = async (a: Account, t: Transaction): Promise<boolean> => {
+  if (!isRecipientValid(a.currency, t.recipient)) return false
+  const { requireDestinationTag } = await getAddressInfo(a.endpointConfig, t.recipient)
+  return requireDestinationTag
+}
+
+const formatXRP = (a: Account, value: number) =>
+  formatCurrencyUnit(a.unit, value, { showCode: true, disableRounding: true })
+
 const RippleJSBridge: WalletBridge<Transaction> = {
-  scanAccountsOnDevice: (currency, deviceId) =>
+  scanAccountsOnDevice: (currency, deviceId, options = {}) =>
     Observable.create(o => {
       let finished = false
       const unsubscribe = () => {
@@ -258,11 +365,17 @@ const RippleJSBridge: WalletBridge<Transaction> = {
           const minLedgerVersion = Number(ledgers[0])
           const maxLedgerVersion = Number(ledgers[1])
 
-          const derivations = getDerivations(currency)
-          for (const derivation of derivations) {
-            const legacy = derivation !== derivations[derivations.length - 1]
+          const { onProgress } = options
+          let newAccountCount = 0
+          for (const { derivation, isStandard, gapLimit } of getDerivationsToScan(
+            currency,
+            options,
+          )) {
+            const legacy = !isStandard
+            let emptyCount = 0
             for (let index = 0; index < 255; index++) {
               const freshAddressPath = derivation({ currency, x: index, segwit: false })
+              if (onProgress) onProgress({ path: freshAddressPath })
               const { address, publicKey } = await await getAddress
                 .send({ currencyId: currency.id, devicePath: deviceId, path: freshAddressPath })
                 .toPromise()
@@ -284,8 +397,8 @@ const RippleJSBridge: WalletBridge<Transaction> = {
 
               if (!info) {
                 // account does not exist in Ripple server
-                // we are generating a new account locally
-                if (!legacy) {
+                // we are generating a new account locally, only for the first one
+                if (!legacy && newAccountCount++ === 0) {
                   o.next({
                     id: accountId,
                     xpub: '',
@@ -303,41 +416,120 @@ const RippleJSBridge: WalletBridge<Transaction> = {
                     lastSyncDate: new Date(),
                   })
                 }
-                break
+                // the scan of a derivation goes on until its gap limit is reached
+                if (++emptyCount >= gapLimit) break
+              } else {
+                emptyCount = 0
+
+                if (finished) return
+                const balance = parseAPIValue(info.xrpBalance)
+                invariant(
+                  !isNaN(balance) && isFinite(balance),
+                  `Ripple: invalid balance=${balance} for address ${address}`,
+                )
+
+                const transactions = await api.getTransactions(address, {
+                  minLedgerVersion,
+                  maxLedgerVersion,
+                })
+                if (finished) return
+
+                const account: $Exact<Account> = {
+                  id: accountId,
+                  xpub: '',
+                  name: getAccountPlaceholderName(currency, index, legacy),
+                  freshAddress,
+                  freshAddressPath,
+                  balance,
+                  blockHeight: maxLedgerVersion,
+                  index,
+                  currency,
+                  operations: [],
+                  pendingOperations: [],
+                  unit: currency.units[0],
+                  lastSyncDate: new Date(),
+                }
+                account.operations = transactions.map(txToOperation(account))
+                o.next(account)
               }
+            }
+          }
+          o.complete()
+        } catch (e) {
+          o.error(e)
+        } finally {
+          api.disconnect()
+        }
+      }
 
-              if (finished) return
-              const balance = parseAPIValue(info.xrpBalance)
-              invariant(
-                !isNaN(balance) && isFinite(balance),
-                `Ripple: invalid balance=${balance} for address ${address}`,
-              )
-
-              const transactions = await api.getTransactions(address, {
-                minLedgerVersion,
-                maxLedgerVersion,
-              })
-              if (finished) return
+      main()
 
-              const account: $Exact<Account> = {
-                id: accountId,
-                xpub: '',
-                name: getAccountPlaceholderName(currency, index, legacy),
-                freshAddress,
-                freshAddressPath,
-                balance,
-                blockHeight: maxLedgerVersion,
-                index,
-                currency,
-                operations: [],
-                pendingOperations: [],
-                unit: currency.units[0],
-                lastSyncDate: new Date(),
-              }
-              account.operations = transactions.map(txToOperation(account))
-              o.next(account)
+      return unsubscribe
+    }),
+
+  importWatchOnlyAccount: (currency, address) =>
+    Observable.create(o => {
+      let finished = false
+      const unsubscribe = () => {
+        finished = true
+      }
+
+      async function main() {
+        const api = apiForEndpointConfig()
+        try {
+          if (!isRecipientValid(currency, address)) {
+            throw new InvalidAddress()
+          }
+          await api.connect()
+          const serverInfo = await getServerInfo()
+          const ledgers = serverInfo.completeLedgers.split('-')
+          const minLedgerVersion = Number(ledgers[0])
+          const maxLedgerVersion = Number(ledgers[1])
+
+          let info
+          try {
+            info = await api.getAccountInfo(address)
+          } catch (e) {
+            if (e.message !== 'actNotFound') {
+              throw e
             }
           }
+          if (finished) return
+
+          const account: $Exact<Account> = {
+            id: `ripplejs:${currency.id}:${address}:watchonly`,
+            xpub: '',
+            name: getAccountPlaceholderName(currency, 0),
+            freshAddress: address,
+            // the derivation path is unknown without the device
+            freshAddressPath: '',
+            balance: 0,
+            blockHeight: maxLedgerVersion,
+            index: 0,
+            currency,
+            operations: [],
+            pendingOperations: [],
+            unit: currency.units[0],
+            lastSyncDate: new Date(),
+          }
+
+          // an account that does not exist yet on the server is watched until it is funded
+          if (info) {
+            const balance = parseAPIValue(info.xrpBalance)
+            invariant(
+              !isNaN(balance) && isFinite(balance),
+              `Ripple: invalid balance=${balance} for address ${address}`,
+            )
+            account.balance = balance
+            const transactions = await api.getTransactions(address, {
+              minLedgerVersion,
+              maxLedgerVersion,
+            })
+            if (finished) return
+            account.operations = transactions.map(txToOperation(account))
+          }
+
+          o.next({ ...account, watchOnly: true })
           o.complete()
         } catch (e) {
           o.error(e)
@@ -359,12 +551,14 @@ const RippleJSBridge: WalletBridge<Transaction> = {
   }) =>
     Observable.create(o => {
       let finished = false
+      const api = apiForEndpointConfig(endpointConfig)
       const unsubscribe = () => {
         finished = true
+        // the pending requests are dropped with the connection
+        api.disconnect()
       }
 
       async function main() {
-        const api = apiForEndpointConfig(endpointConfig)
         try {
           await api.connect()
           if (finished) return
@@ -459,6 +653,13 @@ const RippleJSBridge: WalletBridge<Transaction> = {
 
   getTransactionAmount: (a, t) => t.amount,
 
+  editTransactionUseAllAmount: (account, t, useAllAmount) => ({
+    ...t,
+    useAllAmount,
+  }),
+
+  getTransactionUseAllAmount: (a, t) => !!t.useAllAmount,
+
   editTransactionRecipient: (account, t, recipient) => ({
     ...t,
     recipient,
@@ -470,31 +671,75 @@ const RippleJSBridge: WalletBridge<Transaction> = {
 
   getTransactionRecipient: (a, t) => t.recipient,
 
+  editTransactionTag: (account, t, tag) => ({
+    ...t,
+    tag,
+  }),
+
   isValidTransaction: (a, t) => (t.amount > 0 && t.recipient && true) || false,
 
   checkCanBeSpent: async (a, t) => {
-    const r = await getServerInfo(a.endpointConfig)
-    if (t.amount + t.fee + parseAPIValue(r.validatedLedger.reserveBaseXRP) <= a.balance) {
-      return
+    if (isWatchOnlyAccount(a)) {
+      throw new WatchOnlyAccount()
+    }
+    if (t.amount + t.fee > a.balance) {
+      throw new NotEnoughBalance()
+    }
+    const reserve = await getReserve(a)
+    if (t.amount + t.fee + reserve > a.balance) {
+      throw new NotEnoughBalanceBecauseOfReserve(`reserve of ${reserve} drops`, {
+        reserve: formatXRP(a, reserve),
+      })
+    }
+    if (!isRecipientValid(a.currency, t.recipient)) return
+    const { isFunded, requireDestinationTag } = await getAddressInfo(a.endpointConfig, t.recipient)
+    if (!isFunded) {
+      const { validatedLedger } = await getServerInfo(a.endpointConfig)
+      const minimalAmount = parseAPIValue(validatedLedger.reserveBaseXRP)
+      if (t.amount < minimalAmount) {
+        throw new NotEnoughAmountToActivateRecipient(`minimal amount of ${minimalAmount} drops`, {
+          minimalAmount: formatXRP(a, minimalAmount),
+        })
+      }
+    }
+    // 0 is a valid tag
+    if (requireDestinationTag && typeof t.tag !== 'number') {
+      throw new RippleDestinationTagRequired()
     }
-    throw new NotEnoughBalance()
   },
 
   getTotalSpent: (a, t) => Promise.resolve(t.amount + t.fee),
 
-  getMaxAmount: (a, t) => Promise.resolve(a.balance - t.fee),
+  // the reserve has to stay on the account
+  getMaxAmount: async (a, t) => {
+    const reserve = await getReserve(a)
+    return Math.max(0, a.balance - t.fee - reserve)
+  },
 
-  signAndBroadcast: (a, t, deviceId) =>
+  getSpendableBalance: async a => {
+    const reserve = await getReserve(a)
+    return Math.max(0, a.balance - reserve)
+  },
+
+  signAndBroadcast: (a, t, deviceId, { signOnly } = {}) =>
     Observable.create(o => {
       let cancelled = false
       const isCancelled = () => cancelled
-      const onSigned = () => {
-        o.next({ type: 'signed' })
+      const onSigned = (signedTransaction, transactionSequenceNumber) => {
+        o.next({ type: 'signed', signedTransaction, transactionSequenceNumber })
       }
       const onOperationBroadcasted = operation => {
         o.next({ type: 'broadcasted', operation })
       }
-      signAndBroadcast({ a, t, deviceId, isCancelled, onSigned, onOperationBroadcasted }).then(
+      signAndBroadcast({
+        a,
+        t,
+        deviceId,
+        signOnly,
+        isCancelled,
+        onSigned,
+        onOperationBroadcasted,
+      }).then(
         () => {
           o.complete()
         },
@@ -516,6 +761,17 @@ const RippleJSBridge: WalletBridge<Transaction> = {
     ),
   }),
 
+  broadcastRawTransaction: async (a, signedTransaction) => {
+    const api = apiForEndpointConfig(a.endpointConfig)
+    try {
+      await api.connect()
+      await submit(api, signedTransaction)
+      return computeBinaryTransactionHash(signedTransaction)
+    } finally {
+      api.disconnect()
+    }
+  },
+
   getDefaultEndpointConfig: () => defaultEndpoint,
 
   validateEndpointConfig: async endpointConfig => {
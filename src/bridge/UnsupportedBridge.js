@@ -31,6 +31,10 @@ const UnsupportedBridge: WalletBridge<*> = {
 
   getTransactionRecipient: () => '',
 
+  editTransactionUseAllAmount: () => null,
+
+  getTransactionUseAllAmount: () => false,
+
   checkCanBeSpent: () => Promise.resolve(),
 
   getTotalSpent: () => Promise.resolve(0),
@@ -139,6 +139,13 @@ function makeMockBridge(opts?: Opts): WalletBridge<*> {
 
     getTransactionRecipient: (a, t) => t.recipient,
 
+    editTransactionUseAllAmount: (account, t, useAllAmount) => ({
+      ...t,
+      useAllAmount,
+    }),
+
+    getTransactionUseAllAmount: (a, t) => !!t.useAllAmount,
+
     EditFees,
 
     EditAdvancedOptions,
@@ -2,6 +2,7 @@
 
 import type { Observable } from 'rxjs'
 import type { Account, Operation, Currency } from '@ledgerhq/live-common/lib/types'
+import type { TokenAccount } from 'types/common'
 
 // a WalletBridge is implemented on renderer side.
 // this is an abstraction on top of libcore / ethereumjs / ripple js / ...
@@ -19,6 +20,46 @@ export type Subscription = {
   +unsubscribe: () => void,
 }
 
+// speedUp: same payment with higher fees. cancel: replace the payment by a no-op with higher fees.
+export type ReplacementKind = 'speedUp' | 'cancel'
+
+// one recipient paid by a transaction
+export type Payment = {
+  recipient: string,
+  amount: number,
+}
+
+// advanced account discovery
+export type ScanAccountsOptions = {
+  // number of consecutive empty accounts after which a derivation path is no longer scanned (1 by default)
+  gapLimit?: number,
+  // derivation templates scanned too (see helpers/derivations)
+  customDerivations?: string[],
+  // apply the gap limit to the legacy derivation paths too. they stop at their first empty account otherwise.
+  deepScan?: boolean,
+  // called with each account path before it's checked
+  onProgress?: ScanProgress => void,
+}
+
+export type ScanProgress = {
+  path: string,
+}
+
+export type SignAndBroadcastOptions = {
+  // stop once signed: the signed transaction is broadcasted later, possibly from another machine
+  signOnly?: boolean,
+}
+
+export type SignAndBroadcastEvent =
+  | {
+      type: 'signed',
+      signedTransaction: string,
+      // the nonce (or sequence) used by the transaction, for the accounts that have one:
+      // a sign only transaction doesn't use it up, the next transactions of the account take it too
+      transactionSequenceNumber?: number,
+    }
+  | { type: 'broadcasted', operation: Operation }
+
 export type EditProps<Transaction> = {
   account: Account,
   value: Transaction,
@@ -32,8 +73,18 @@ export interface WalletBridge<Transaction> {
   // observer is an Observer of Account object. Account are expected to be `archived` by default because we want to import all and opt-in on what account to use.
   // the scan can stop once all accounts are discovered.
   // the function returns a Subscription and you MUST stop everything if it is unsubscribed.
+  // options are the ones of the advanced import, the standard discovery is done without them.
   // TODO return Observable
-  scanAccountsOnDevice(currency: Currency, deviceId: DeviceId): Observable<Account>;
+  scanAccountsOnDevice(
+    currency: Currency,
+    deviceId: DeviceId,
+    options?: ScanAccountsOptions,
+  ): Observable<Account>;
+
+  // for bridges supporting watch-only accounts: create the account of an extended public key
+  // or an address, without the device. the account is emitted once, synced, and flagged `watchOnly`.
+  // nothing can be signed for such an account: signAndBroadcast must fail with a WatchOnlyAccount error.
+  importWatchOnlyAccount?: (currency: Currency, publicKeyOrAddress: string) => Observable<Account>;
 
   // synchronize an account. meaning updating the account object with latest state.
   // function receives the initialAccount object so you can actually know what the user side currently have
@@ -42,7 +93,7 @@ export interface WalletBridge<Transaction> {
   // this can emit new version of the account. typically these field can change over time:
   // operations if there are new ones (prepended), balance, blockHeight, ...
   // the synchronize can stop once everything is up to date. it is the user side responsability to start it again.
-  // we should be able to interrupt the Subscription but we'll leave this usecase for later. if you don't support interruption, please `console.warn`
+  // the Subscription is unsubscribed when the sync is no longer needed (e.g. the account was removed, the app quits): you MUST stop everything then.
   synchronize(initialAccount: Account): Observable<(Account) => Account>;
 
   // for a given account, UI wants to load more operations in the account.operations
@@ -74,6 +125,29 @@ export interface WalletBridge<Transaction> {
 
   getTransactionRecipient(account: Account, transaction: Transaction): string;
 
+  // "send max" mode: the transaction spends all the funds it can, and its amount is expected to be
+  // kept up to date with getMaxAmount by the UI (it depends on the fees & the other options).
+  editTransactionUseAllAmount(
+    account: Account,
+    transaction: Transaction,
+    useAllAmount: boolean,
+  ): Transaction;
+
+  getTransactionUseAllAmount(account: Account, transaction: Transaction): boolean;
+
+  // for bridges supporting tokens: the transaction sends one of the account.tokenAccounts
+  // instead of the account currency. the amount is then expressed in the token unit.
+  editTransactionTokenAccount?: (
+    account: Account,
+    transaction: Transaction,
+    tokenAccountId: ?string,
+  ) => Transaction;
+
+  getTransactionTokenAccount?: (account: Account, transaction: Transaction) => ?TokenAccount;
+
+  // for bridges supporting a destination tag, that the recipient can require (e.g. an exchange)
+  editTransactionTag?: (account: Account, transaction: Transaction, tag: ?number) => Transaction;
+
   isValidTransaction(account: Account, transaction: Transaction): boolean;
 
   // render the whole Fees section of the form
@@ -82,13 +156,23 @@ export interface WalletBridge<Transaction> {
   // render the whole advanced part of the form
   EditAdvancedOptions?: *; // React$ComponentType<EditProps<Transaction>>;
 
+  // render the extra recipients of the form, for bridges that can pay many recipients in one transaction
+  EditAdditionalPayments?: *; // React$ComponentType<EditProps<Transaction>>;
+
+  // all the payments of the transaction, starting with the main recipient & amount.
+  // if not implemented, a transaction is expected to only have one payment.
+  getTransactionPayments?: (account: Account, transaction: Transaction) => Payment[];
+
   checkCanBeSpent(account: Account, transaction: Transaction): Promise<void>;
 
   getTotalSpent(account: Account, transaction: Transaction): Promise<number>;
 
-  // NB this is not used yet but we'll use it when we have MAX
+  // the maximum amount that can be sent with the current fees & options of the transaction
   getMaxAmount(account: Account, transaction: Transaction): Promise<number>;
 
+  // for currencies where a part of the balance can't be spent (e.g. the reserve of ripple)
+  getSpendableBalance?: (account: Account) => Promise<number>;
+
   /**
    * finalize the transaction by
    * - signing it with the ledger device
@@ -102,12 +186,38 @@ export interface WalletBridge<Transaction> {
     account: Account,
     transaction: Transaction,
     deviceId: DeviceId,
-  ): Observable<{ type: 'signed' } | { type: 'broadcasted', operation: Operation }>;
+    options?: SignAndBroadcastOptions,
+  ): Observable<SignAndBroadcastEvent>;
 
   // Implement an optimistic response for signAndBroadcast.
   // you likely should add the operation in account.pendingOperations but maybe you want to clean it (because maybe some are replaced / cancelled by this one?)
   addPendingOperation?: (account: Account, optimisticOperation: Operation) => Account;
 
+  // for a pending operation that we have broadcasted, create a Transaction that will replace it
+  // (the same payment with higher fees to get it confirmed faster, or a cancellation).
+  // returns null if the operation can't be replaced this way (already confirmed, not broadcasted by us, ...)
+  // addPendingOperation is expected to remove the replaced operation once the replacement is broadcasted.
+  createReplacementTransaction?: (
+    account: Account,
+    operation: Operation,
+    kind: ReplacementKind,
+  ) => ?Transaction;
+
+  // BIP174: the transaction is built but not signed, and exported as a PSBT (base64)
+  // so it can be reviewed or signed by other wallets.
+  buildPSBT?: (account: Account, transaction: Transaction) => Promise<string>;
+
+  // sign the inputs of a PSBT (base64) that belong to the account with the device.
+  // returns the finalized PSBT and the signed transaction (hex), ready to broadcast.
+  signPSBT?: (
+    account: Account,
+    psbt: string,
+    deviceId: DeviceId,
+  ) => Promise<{ psbt: string, signedTransaction: string }>;
+
+  // broadcast a transaction (hex) signed outside of signAndBroadcast (PSBT, sign only). returns its hash.
+  broadcastRawTransaction?: (account: Account, signedTransaction: string) => Promise<string>;
+
   getDefaultEndpointConfig?: () => string;
   validateEndpointConfig?: (endpointConfig: string) => Promise<void>;
 }
@@ -1,8 +1,7 @@
 // @flow
 
 import { getCryptoCurrencyById } from '@ledgerhq/live-common/lib/helpers/currencies'
-import { createCommand, Command } from 'helpers/ipc'
-import { fromPromise } from 'rxjs/observable/fromPromise'
+import { createCommand, fromCancellablePromise, Command } from 'helpers/ipc'
 import { withDevice } from 'helpers/deviceAccess'
 import getAddressForCurrency from 'helpers/getAddressForCurrency'
 
@@ -28,8 +27,8 @@ type Result = {
 const cmd: Command<Input, Result> = createCommand(
   'getAddress',
   ({ currencyId, devicePath, path, ...options }) =>
-    fromPromise(
-      withDevice(devicePath)(transport =>
+    fromCancellablePromise(isCancelled =>
+      withDevice(devicePath, { isCancelled })(transport =>
         getAddressForCurrency(transport, getCryptoCurrencyById(currencyId), path, options),
       ).catch(e => {
         if (e && e.name === 'TransportStatusError') {
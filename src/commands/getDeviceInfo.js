@@ -1,7 +1,6 @@
 // @flow
 
-import { createCommand, Command } from 'helpers/ipc'
-import { fromPromise } from 'rxjs/observable/fromPromise'
+import { createCommand, fromCancellablePromise, Command } from 'helpers/ipc'
 import { withDevice } from 'helpers/deviceAccess'
 
 import getDeviceInfo from 'helpers/devices/getDeviceInfo'
@@ -12,7 +11,9 @@ type Input = {
 }
 
 const cmd: Command<Input, DeviceInfo> = createCommand('getDeviceInfo', ({ devicePath }) =>
-  fromPromise(withDevice(devicePath)(transport => getDeviceInfo(transport))),
+  fromCancellablePromise(isCancelled =>
+    withDevice(devicePath, { isCancelled })(transport => getDeviceInfo(transport)),
+  ),
 )
 
 export default cmd
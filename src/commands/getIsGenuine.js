@@ -1,7 +1,6 @@
 // @flow
 
-import { createCommand, Command } from 'helpers/ipc'
-import { fromPromise } from 'rxjs/observable/fromPromise'
+import { createCommand, fromCancellablePromise, Command } from 'helpers/ipc'
 import type { DeviceInfo } from 'helpers/devices/getDeviceInfo'
 
 import getIsGenuine from 'helpers/devices/getIsGenuine'
@@ -14,7 +13,9 @@ type Input = {
 type Result = string
 
 const cmd: Command<Input, Result> = createCommand('getIsGenuine', ({ devicePath, deviceInfo }) =>
-  fromPromise(withDevice(devicePath)(transport => getIsGenuine(transport, deviceInfo))),
+  fromCancellablePromise(isCancelled =>
+    withDevice(devicePath, { isCancelled })(transport => getIsGenuine(transport, deviceInfo)),
+  ),
 )
 
 export default cmd
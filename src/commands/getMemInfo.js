@@ -1,7 +1,6 @@
 // @flow
 
-import { createCommand, Command } from 'helpers/ipc'
-import { fromPromise } from 'rxjs/observable/fromPromise'
+import { createCommand, fromCancellablePromise, Command } from 'helpers/ipc'
 
 import { withDevice } from 'helpers/deviceAccess'
 import getMemInfo from 'helpers/devices/getMemInfo'
@@ -13,7 +12,9 @@ type Input = {
 type Result = *
 
 const cmd: Command<Input, Result> = createCommand('getMemInfo', ({ devicePath }) =>
-  fromPromise(withDevice(devicePath)(transport => getMemInfo(transport))),
+  fromCancellablePromise(isCancelled =>
+    withDevice(devicePath, { isCancelled })(transport => getMemInfo(transport)),
+  ),
 )
 
 export default cmd
@@ -14,11 +14,16 @@ import installFinalFirmware from 'commands/installFinalFirmware'
 import installMcu from 'commands/installMcu'
 import installOsuFirmware from 'commands/installOsuFirmware'
 import isDashboardOpen from 'commands/isDashboardOpen'
+import libcoreBroadcastTransaction from 'commands/libcoreBroadcastTransaction'
+import libcoreBuildPSBT from 'commands/libcoreBuildPSBT'
 import libcoreGetFees from 'commands/libcoreGetFees'
+import libcoreGetUTXOs from 'commands/libcoreGetUTXOs'
 import libcoreGetVersion from 'commands/libcoreGetVersion'
 import libcoreHardReset from 'commands/libcoreHardReset'
+import libcoreImportWatchOnlyAccount from 'commands/libcoreImportWatchOnlyAccount'
 import libcoreScanAccounts from 'commands/libcoreScanAccounts'
 import libcoreSignAndBroadcast from 'commands/libcoreSignAndBroadcast'
+import libcoreSignPSBT from 'commands/libcoreSignPSBT'
 import libcoreSyncAccount from 'commands/libcoreSyncAccount'
 import libcoreValidAddress from 'commands/libcoreValidAddress'
 import listApps from 'commands/listApps'
@@ -27,6 +32,7 @@ import listCategories from 'commands/listCategories'
 import listenDevices from 'commands/listenDevices'
 import ping from 'commands/ping'
 import shouldFlashMcu from 'commands/shouldFlashMcu'
+import signMessage from 'commands/signMessage'
 import signTransaction from 'commands/signTransaction'
 import testApdu from 'commands/testApdu'
 import testCrash from 'commands/testCrash'
@@ -45,11 +51,16 @@ const all: Array<Command<any, any>> = [
   installMcu,
   installOsuFirmware,
   isDashboardOpen,
+  libcoreBroadcastTransaction,
+  libcoreBuildPSBT,
   libcoreGetFees,
+  libcoreGetUTXOs,
   libcoreGetVersion,
   libcoreHardReset,
+  libcoreImportWatchOnlyAccount,
   libcoreScanAccounts,
   libcoreSignAndBroadcast,
+  libcoreSignPSBT,
   libcoreSyncAccount,
   libcoreValidAddress,
   listApps,
@@ -58,6 +69,7 @@ const all: Array<Command<any, any>> = [
   listenDevices,
   ping,
   shouldFlashMcu,
+  signMessage,
   signTransaction,
   testApdu,
   testCrash,
@@ -1,7 +1,6 @@
 // @flow
 
-import { createCommand, Command } from 'helpers/ipc'
-import { fromPromise } from 'rxjs/observable/fromPromise'
+import { createCommand, fromCancellablePromise, Command } from 'helpers/ipc'
 
 import { withDevice } from 'helpers/deviceAccess'
 import installApp from 'helpers/apps/installApp'
@@ -19,7 +18,9 @@ type Result = *
 const cmd: Command<Input, Result> = createCommand(
   'installApp',
   ({ devicePath, targetId, ...app }) =>
-    fromPromise(withDevice(devicePath)(transport => installApp(transport, targetId, app))),
+    fromCancellablePromise(isCancelled =>
+      withDevice(devicePath, { isCancelled })(transport => installApp(transport, targetId, app)),
+    ),
 )
 
 export default cmd
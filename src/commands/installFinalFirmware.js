@@ -1,7 +1,6 @@
 // @flow
 
-import { createCommand, Command } from 'helpers/ipc'
-import { fromPromise } from 'rxjs/observable/fromPromise'
+import { createCommand, fromCancellablePromise, Command } from 'helpers/ipc'
 import { withDevice } from 'helpers/deviceAccess'
 
 import installFinalFirmware from 'helpers/firmware/installFinalFirmware'
@@ -15,7 +14,9 @@ type Result = {
 }
 
 const cmd: Command<Input, Result> = createCommand('installFinalFirmware', ({ devicePath }) =>
-  fromPromise(withDevice(devicePath)(transport => installFinalFirmware(transport))),
+  fromCancellablePromise(isCancelled =>
+    withDevice(devicePath, { isCancelled })(transport => installFinalFirmware(transport)),
+  ),
 )
 
 export default cmd
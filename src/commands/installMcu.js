@@ -1,7 +1,6 @@
 // @flow
 
-import { createCommand, Command } from 'helpers/ipc'
-import { fromPromise } from 'rxjs/observable/fromPromise'
+import { createCommand, fromCancellablePromise, Command } from 'helpers/ipc'
 
 import { withDevice } from 'helpers/deviceAccess'
 import installMcu from 'helpers/firmware/installMcu'
@@ -13,7 +12,9 @@ type Input = {
 type Result = *
 
 const cmd: Command<Input, Result> = createCommand('installMcu', ({ devicePath }) =>
-  fromPromise(withDevice(devicePath)(transport => installMcu(transport))),
+  fromCancellablePromise(isCancelled =>
+    withDevice(devicePath, { isCancelled })(transport => installMcu(transport)),
+  ),
 )
 
 export default cmd
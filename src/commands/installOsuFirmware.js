@@ -1,7 +1,6 @@
 // @flow
 
-import { createCommand, Command } from 'helpers/ipc'
-import { fromPromise } from 'rxjs/observable/fromPromise'
+import { createCommand, fromCancellablePromise, Command } from 'helpers/ipc'
 
 import { withDevice } from 'helpers/deviceAccess'
 import installOsuFirmware from 'helpers/firmware/installOsuFirmware'
@@ -19,8 +18,10 @@ type Result = *
 const cmd: Command<Input, Result> = createCommand(
   'installOsuFirmware',
   ({ devicePath, firmware, targetId }) =>
-    fromPromise(
-      withDevice(devicePath)(transport => installOsuFirmware(transport, targetId, firmware)),
+    fromCancellablePromise(isCancelled =>
+      withDevice(devicePath, { isCancelled })(transport =>
+        installOsuFirmware(transport, targetId, firmware),
+      ),
     ),
 )
 
@@ -1,7 +1,6 @@
 // @flow
 
-import { createCommand, Command } from 'helpers/ipc'
-import { fromPromise } from 'rxjs/observable/fromPromise'
+import { createCommand, fromCancellablePromise, Command } from 'helpers/ipc'
 import { withDevice } from 'helpers/deviceAccess'
 
 import isDashboardOpen from '../helpers/devices/isDashboardOpen'
@@ -13,7 +12,9 @@ type Input = {
 type Result = boolean
 
 const cmd: Command<Input, Result> = createCommand('isDashboardOpen', ({ devicePath }) =>
-  fromPromise(withDevice(devicePath)(transport => isDashboardOpen(transport))),
+  fromCancellablePromise(isCancelled =>
+    withDevice(devicePath, { isCancelled })(transport => isDashboardOpen(transport)),
+  ),
 )
 
 export default cmd
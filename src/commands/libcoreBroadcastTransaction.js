@@ -0,0 +1,26 @@
+// @flow
+
+import { fromPromise } from 'rxjs/observable/fromPromise'
+import type { AccountRaw } from '@ledgerhq/live-common/lib/types'
+import withLibcore from 'helpers/withLibcore'
+import { createCommand, Command } from 'helpers/ipc'
+import { broadcastTransaction, getNJSAccount } from 'commands/libcoreSignAndBroadcast'
+
+type Input = {
+  account: AccountRaw,
+  // hex of a transaction signed elsewhere (imported PSBT, ...)
+  signedTransaction: string,
+}
+
+const cmd: Command<Input, string> = createCommand(
+  'libcoreBroadcastTransaction',
+  ({ account, signedTransaction }) =>
+    fromPromise(
+      withLibcore(async core => {
+        const { njsAccount } = await getNJSAccount(core, account)
+        return broadcastTransaction(njsAccount, signedTransaction)
+      }),
+    ),
+)
+
+export default cmd
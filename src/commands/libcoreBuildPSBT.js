@@ -0,0 +1,109 @@
+// @flow
+
+import { fromPromise } from 'rxjs/observable/fromPromise'
+import { Transaction } from 'bitcoinjs-lib'
+import type { AccountRaw } from '@ledgerhq/live-common/lib/types'
+import withLibcore from 'helpers/withLibcore'
+import { createCommand, Command } from 'helpers/ipc'
+import { isSegwitAccount } from 'helpers/bip32'
+import {
+  UnsupportedPSBT,
+  createBip32Derivation,
+  deriveAccountPublicKey,
+  encodePSBTBase64,
+  getAccountMasterFingerprint,
+  isChangeDerivationPath,
+  parseTransaction,
+} from 'helpers/psbt'
+import type { BitcoinLikeTransaction } from 'commands/libcoreSignAndBroadcast'
+import { buildTransaction, getSigningParameters } from 'commands/libcoreSignAndBroadcast'
+
+type Input = {
+  account: AccountRaw,
+  transaction: BitcoinLikeTransaction,
+}
+
+// the public key of a change output is derived from the account xpub (<account path>/1/<index>)
+const getChangePublicKey = (xpub: string, path: string): ?string =>
+  deriveAccountPublicKey(xpub, 1, parseInt(path.split('/').pop(), 10))
+
+// the transaction is built like for a send, but it's exported as an unsigned PSBT (base64)
+const cmd: Command<Input, string> = createCommand('libcoreBuildPSBT', ({ account, transaction }) =>
+  fromPromise(
+    withLibcore(async core => {
+      const built = await buildTransaction({ account, transaction, core, isCancelled: () => false })
+      if (!built) throw new UnsupportedPSBT()
+      const { njsWallet, builded } = built
+      if (getSigningParameters(njsWallet.getCurrency()).hasTimestamp) {
+        throw new UnsupportedPSBT()
+      }
+
+      const masterFingerprint = getAccountMasterFingerprint(account)
+
+      const tx = new Transaction()
+      tx.version = 1
+      tx.locktime = builded.getLockTime()
+
+      const inputs = await Promise.all(
+        builded.getInputs().map(async input => {
+          const previousTransaction = Buffer.from(await input.getPreviousTransaction()).toString(
+            'hex',
+          )
+          const outputIndex = input.getPreviousOutputIndex()
+          const spent = parseTransaction(previousTransaction).outs[outputIndex]
+          const [pubkey] = input.getPublicKeys()
+          return {
+            nonWitnessUtxo: previousTransaction,
+            // segwit signers only need the spent output
+            witnessUtxo:
+              spent && isSegwitAccount(account)
+                ? { value: spent.value, script: spent.script.toString('hex') }
+                : undefined,
+            bip32Derivations: pubkey
+              ? [
+                  createBip32Derivation(
+                    Buffer.from(pubkey).toString('hex'),
+                    masterFingerprint,
+                    input.getDerivationPath()[0].toString(),
+                  ),
+                ]
+              : [],
+            unknown: {},
+          }
+        }),
+      )
+
+      // added once all inputs are resolved, to keep their order
+      builded.getInputs().forEach(input => {
+        tx.addInput(
+          Buffer.from(input.getPreviousTxHash(), 'hex').reverse(),
+          input.getPreviousOutputIndex(),
+          input.getSequence(),
+        )
+      })
+
+      const outputs = builded.getOutputs().map(output => {
+        tx.addOutput(Buffer.from(output.getScript()), output.getValue().toLong())
+        const derivationPath = output.getDerivationPath()
+        const path = derivationPath.isNull() ? null : derivationPath.toString()
+        // we only tell which output is the change, so that the signers don't ask to confirm it
+        const pubkey =
+          path && isChangeDerivationPath(path) ? getChangePublicKey(account.xpub, path) : null
+        return {
+          bip32Derivations:
+            path && pubkey ? [createBip32Derivation(pubkey, masterFingerprint, path)] : [],
+          unknown: {},
+        }
+      })
+
+      return encodePSBTBase64({
+        unsignedTransaction: tx.toHex(),
+        inputs,
+        outputs,
+        unknown: {},
+      })
+    }),
+  ),
+)
+
+export default cmd
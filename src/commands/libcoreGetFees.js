@@ -6,6 +6,7 @@ import { createCommand, Command } from 'helpers/ipc'
 import * as accountIdHelper from 'helpers/accountId'
 import { isValidAddress } from 'helpers/libcore'
 import { createCustomErrorClass } from 'helpers/errors'
+import { isWipe } from 'commands/libcoreSignAndBroadcast'
 
 const InvalidAddress = createCustomErrorClass('InvalidAddress')
 
@@ -14,6 +15,9 @@ type BitcoinLikeTransaction = {
   amount: number,
   feePerByte: number,
   recipient: string,
+  inputs?: Array<{ hash: string, index: number, value?: number }>,
+  additionalPayments?: Array<{ recipient: string, amount: number }>,
+  useAllAmount?: boolean,
 }
 
 type Input = {
@@ -52,8 +56,30 @@ const cmd: Command<Input, Result> = createCommand(
           // FIXME this is a bug in libcore. later it will probably check this and we can remove this check
           throw new InvalidAddress()
         }
-        transactionBuilder.sendToAddress(amount, transaction.recipient)
-        transactionBuilder.pickInputs(0, 0xffffff)
+        if (isWipe(transaction)) {
+          transactionBuilder.wipeToAddress(transaction.recipient)
+        } else {
+          transactionBuilder.sendToAddress(amount, transaction.recipient)
+        }
+        for (const payment of transaction.additionalPayments || []) {
+          if (!isValidAddress(core, njsWalletCurrency, payment.recipient)) {
+            throw new InvalidAddress()
+          }
+          transactionBuilder.sendToAddress(
+            new core.NJSAmount(njsWalletCurrency, payment.amount).fromLong(
+              njsWalletCurrency,
+              payment.amount,
+            ),
+            payment.recipient,
+          )
+        }
+        if (transaction.inputs && transaction.inputs.length > 0) {
+          for (const { hash, index } of transaction.inputs) {
+            transactionBuilder.addInput(hash, index, 0xffffff)
+          }
+        } else {
+          transactionBuilder.pickInputs(0, 0xffffff)
+        }
         transactionBuilder.setFeesPerByte(feesPerByte)
         const builded = await transactionBuilder.build()
         const totalFees = builded.getFees().toLong()
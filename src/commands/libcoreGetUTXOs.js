@@ -0,0 +1,51 @@
+// @flow
+
+import { fromPromise } from 'rxjs/observable/fromPromise'
+import withLibcore from 'helpers/withLibcore'
+import { createCommand, Command } from 'helpers/ipc'
+import * as accountIdHelper from 'helpers/accountId'
+
+type Input = {
+  accountId: string,
+  accountIndex: number,
+}
+
+export type UTXORaw = {
+  hash: string,
+  index: number,
+  value: number,
+  address: ?string,
+  // the output was sent to one of our change addresses
+  isChange: boolean,
+}
+
+type Result = UTXORaw[]
+
+const cmd: Command<Input, Result> = createCommand(
+  'libcoreGetUTXOs',
+  ({ accountId, accountIndex }) =>
+    fromPromise(
+      withLibcore(async core => {
+        const { walletName } = accountIdHelper.decode(accountId)
+        const njsWallet = await core.getPoolInstance().getWallet(walletName)
+        const njsAccount = await njsWallet.getAccount(accountIndex)
+        const bitcoinLikeAccount = njsAccount.asBitcoinLikeAccount()
+        const count = await bitcoinLikeAccount.getUTXOCount()
+        const outputs = await bitcoinLikeAccount.getUTXO(0, count)
+        return outputs.map(output => {
+          const derivationPath = output.getDerivationPath()
+          const derivationArr =
+            derivationPath && !derivationPath.isNull() ? derivationPath.toString().split('/') : []
+          return {
+            hash: output.getTransactionHash(),
+            index: output.getOutputIndex(),
+            value: output.getValue().toLong(),
+            address: output.getAddress(),
+            isChange: derivationArr[derivationArr.length - 2] === '1',
+          }
+        })
+      }),
+    ),
+)
+
+export default cmd
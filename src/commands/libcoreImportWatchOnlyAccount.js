@@ -0,0 +1,25 @@
+// @flow
+
+import type { AccountRaw } from '@ledgerhq/live-common/lib/types'
+import { fromPromise } from 'rxjs/observable/fromPromise'
+
+import { createCommand, Command } from 'helpers/ipc'
+import { importAccountFromExtendedKey } from 'helpers/libcore'
+import withLibcore from 'helpers/withLibcore'
+
+type Input = {
+  currencyId: string,
+  extendedKey: string,
+}
+
+type Result = AccountRaw
+
+const cmd: Command<Input, Result> = createCommand(
+  'libcoreImportWatchOnlyAccount',
+  ({ currencyId, extendedKey }) =>
+    fromPromise(
+      withLibcore(core => importAccountFromExtendedKey({ core, currencyId, extendedKey })),
+    ),
+)
+
+export default cmd
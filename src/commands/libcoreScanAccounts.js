@@ -1,6 +1,7 @@
 // @flow
 
 import type { AccountRaw } from '@ledgerhq/live-common/lib/types'
+import type { ScanProgress } from 'bridge/types'
 import { createCommand, Command } from 'helpers/ipc'
 import { Observable } from 'rxjs'
 import { scanAccountsOnDevice } from 'helpers/libcore'
@@ -9,23 +10,37 @@ import withLibcore from 'helpers/withLibcore'
 type Input = {
   devicePath: string,
   currencyId: string,
+  gapLimit?: number,
+  deepScan?: boolean,
+  customDerivations?: string[],
 }
 
-type Result = AccountRaw
+// the progress of the scan goes along the accounts
+type Result =
+  | { type: 'account', account: AccountRaw }
+  | { type: 'progress', progress: ScanProgress }
 
 const cmd: Command<Input, Result> = createCommand(
   'libcoreScanAccounts',
-  ({ devicePath, currencyId }) =>
+  ({ devicePath, currencyId, gapLimit, deepScan, customDerivations }) =>
     Observable.create(o => {
+      let unsubscribed = false
       // TODO scanAccountsOnDevice should directly return a Observable so we just have to pass-in
       withLibcore(core =>
         scanAccountsOnDevice({
           core,
           devicePath,
           currencyId,
+          gapLimit,
+          deepScan,
+          customDerivations,
           onAccountScanned: account => {
-            o.next(account)
+            o.next({ type: 'account', account })
           },
+          onProgress: progress => {
+            o.next({ type: 'progress', progress })
+          },
+          isCancelled: () => unsubscribed,
         }).then(
           () => {
             o.complete()
@@ -37,7 +52,7 @@ const cmd: Command<Input, Result> = createCommand(
       )
 
       function unsubscribe() {
-        // FIXME not implemented
+        unsubscribed = true
       }
 
       return unsubscribe
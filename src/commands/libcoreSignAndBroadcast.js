@@ -11,24 +11,59 @@ import withLibcore from 'helpers/withLibcore'
 import { createCommand, Command } from 'helpers/ipc'
 import { withDevice } from 'helpers/deviceAccess'
 import * as accountIdHelper from 'helpers/accountId'
+import { isChangeDerivationPath } from 'helpers/psbt'
 
-type BitcoinLikeTransaction = {
+// all inputs we build are flagged replaceable (BIP125: sequence lower than 0xfffffffe)
+const RBF_SEQUENCE = 0xffffff
+
+type UTXO = {
+  hash: string,
+  index: number,
+  value?: number,
+}
+
+export type BitcoinLikeTransaction = {
   amount: number,
   feePerByte: number,
   recipient: string,
+  // if defined, spend exactly these outputs instead of picking inputs (replace-by-fee, coin control)
+  inputs?: UTXO[],
+  // other recipients paid by the same transaction (batch payments)
+  additionalPayments?: Array<{ recipient: string, amount: number }>,
+  useAllAmount?: boolean,
+}
+
+// when sending max, the account is swept to the recipient (all its outputs, no change output).
+// this is not possible when some outputs or other recipients are imposed.
+export const isWipe = (transaction: {
+  inputs?: Array<*>,
+  additionalPayments?: Array<*>,
+  useAllAmount?: boolean,
+}) =>
+  !!transaction.useAllAmount &&
+  !(transaction.inputs && transaction.inputs.length > 0) &&
+  !(transaction.additionalPayments && transaction.additionalPayments.length > 0)
+
+type BitcoinLikeOperationRaw = {
+  ...$Exact<OperationRaw>,
+  // outputs spent by the transaction, needed to replace it while it's pending
+  inputs: UTXO[],
 }
 
 type Input = {
   account: AccountRaw,
   transaction: BitcoinLikeTransaction,
   deviceId: string,
+  signOnly?: boolean,
 }
 
-type Result = { type: 'signed' } | { type: 'broadcasted', operation: OperationRaw }
+type Result =
+  | { type: 'signed', signedTransaction: string }
+  | { type: 'broadcasted', operation: BitcoinLikeOperationRaw }
 
 const cmd: Command<Input, Result> = createCommand(
   'libcoreSignAndBroadcast',
-  ({ account, transaction, deviceId }) =>
+  ({ account, transaction, deviceId, signOnly }) =>
     Observable.create(o => {
       let unsubscribed = false
       const isCancelled = () => unsubscribed
@@ -37,10 +72,11 @@ const cmd: Command<Input, Result> = createCommand(
           account,
           transaction,
           deviceId,
+          signOnly,
           core,
           isCancelled,
-          onSigned: () => {
-            o.next({ type: 'signed' })
+          onSigned: signedTransaction => {
+            o.next({ type: 'signed', signedTransaction })
           },
           onOperationBroadcasted: operation => {
             o.next({
@@ -57,10 +93,61 @@ const cmd: Command<Input, Result> = createCommand(
     }),
 )
 
-async function signTransaction({
+// what the device needs to sign a transaction, whether it was built by libcore or imported (PSBT)
+export type SigningData = {
+  inputs: Array<{
+    // hex of the transaction of the spent output
+    previousTransaction: string,
+    outputIndex: number,
+    sequence: number,
+    // the path of the key of the spent output
+    path: string,
+  }>,
+  // the path of the change output, if any, so that the device doesn't ask to confirm it
+  changePath?: string,
+  outputScriptHex: string,
+  lockTime: number,
+  timestamp?: number,
+}
+
+export async function getSigningData(transaction: *, hasTimestamp: boolean): Promise<SigningData> {
+  const rawInputs = transaction.getInputs()
+
+  const inputs = await Promise.all(
+    rawInputs.map(async input => {
+      const rawPreviousTransaction = await input.getPreviousTransaction()
+      return {
+        previousTransaction: Buffer.from(rawPreviousTransaction).toString('hex'),
+        outputIndex: input.getPreviousOutputIndex(),
+        sequence: input.getSequence(),
+        path: input.getDerivationPath()[0].toString(),
+      }
+    }),
+  )
+
+  const outputs = transaction.getOutputs()
+
+  const output = outputs.find(output => {
+    const derivationPath = output.getDerivationPath()
+    if (derivationPath.isNull()) {
+      return false
+    }
+    return isChangeDerivationPath(derivationPath.toString())
+  })
+
+  return {
+    inputs,
+    changePath: output ? output.getDerivationPath().toString() : undefined,
+    outputScriptHex: Buffer.from(transaction.serializeOutputs()).toString('hex'),
+    lockTime: transaction.getLockTime(),
+    timestamp: hasTimestamp ? transaction.getTimestamp() : undefined,
+  }
+}
+
+export async function signTransaction({
   hwApp,
   currencyId,
-  transaction,
+  signingData,
   sigHashType,
   supportsSegwit,
   isSegwit,
@@ -68,7 +155,7 @@ async function signTransaction({
 }: {
   hwApp: Btc,
   currencyId: string,
-  transaction: *,
+  signingData: SigningData,
   sigHashType: number,
   supportsSegwit: boolean,
   isSegwit: boolean,
@@ -76,87 +163,61 @@ async function signTransaction({
 }) {
   const additionals = []
   if (currencyId === 'bitcoin_cash' || currencyId === 'bitcoin_gold') additionals.push('bip143')
-  const rawInputs = transaction.getInputs()
 
-  const inputs = await Promise.all(
-    rawInputs.map(async input => {
-      const rawPreviousTransaction = await input.getPreviousTransaction()
-      const hexPreviousTransaction = Buffer.from(rawPreviousTransaction).toString('hex')
-      const previousTransaction = hwApp.splitTransaction(
-        hexPreviousTransaction,
-        supportsSegwit,
-        hasTimestamp,
-      )
-      const outputIndex = input.getPreviousOutputIndex()
-      const sequence = input.getSequence()
-      return [
-        previousTransaction,
-        outputIndex,
-        undefined, // we don't use that TODO: document
-        sequence, // 0xffffffff,
-      ]
-    }),
-  )
-
-  const associatedKeysets = rawInputs.map(input => {
-    const derivationPaths = input.getDerivationPath()
-    return derivationPaths[0].toString()
-  })
+  const inputs = signingData.inputs.map(input => [
+    hwApp.splitTransaction(input.previousTransaction, supportsSegwit, hasTimestamp),
+    input.outputIndex,
+    undefined, // we don't use that TODO: document
+    input.sequence, // 0xffffffff,
+  ])
 
-  const outputs = transaction.getOutputs()
-
-  const output = outputs.find(output => {
-    const derivationPath = output.getDerivationPath()
-    if (derivationPath.isNull()) {
-      return false
-    }
-    const strDerivationPath = derivationPath.toString()
-    const derivationArr = strDerivationPath.split('/')
-    return derivationArr[derivationArr.length - 2] === '1'
-  })
-
-  const changePath = output ? output.getDerivationPath().toString() : undefined
-  const outputScriptHex = Buffer.from(transaction.serializeOutputs()).toString('hex')
-  const lockTime = transaction.getLockTime()
-  const initialTimestamp = hasTimestamp ? transaction.getTimestamp() : undefined
+  const associatedKeysets = signingData.inputs.map(input => input.path)
 
   const signedTransaction = await hwApp.createPaymentTransactionNew(
     inputs,
     associatedKeysets,
-    changePath,
-    outputScriptHex,
-    lockTime,
+    signingData.changePath,
+    signingData.outputScriptHex,
+    signingData.lockTime,
     sigHashType,
     isSegwit,
-    initialTimestamp,
+    signingData.timestamp,
     additionals,
   )
 
   return signedTransaction
 }
 
-export async function doSignAndBroadcast({
+export const getNJSAccount = async (core: *, account: AccountRaw) => {
+  const { walletName } = accountIdHelper.decode(account.id)
+  const njsWallet = await core.getPoolInstance().getWallet(walletName)
+  const njsAccount = await njsWallet.getAccount(account.index)
+  return { njsWallet, njsAccount }
+}
+
+// the parameters of the currency that matter to sign its transactions
+export const getSigningParameters = (njsCurrency: *) => {
+  const { SigHash, UsesTimestampedTransaction } = njsCurrency.bitcoinLikeNetworkParameters
+  return {
+    sigHashType: parseInt(Buffer.from(SigHash).toString('hex'), 16),
+    hasTimestamp: !!UsesTimestampedTransaction,
+  }
+}
+
+// the transaction is built by libcore, with its own coin selection, but not signed
+export async function buildTransaction({
   account,
   transaction,
-  deviceId,
   core,
   isCancelled,
-  onSigned,
-  onOperationBroadcasted,
 }: {
   account: AccountRaw,
   transaction: BitcoinLikeTransaction,
-  deviceId: string,
   core: *,
   isCancelled: () => boolean,
-  onSigned: () => void,
-  onOperationBroadcasted: (optimisticOp: $Exact<OperationRaw>) => void,
-}): Promise<void> {
-  const { walletName } = accountIdHelper.decode(account.id)
-  const njsWallet = await core.getPoolInstance().getWallet(walletName)
-  if (isCancelled()) return
-  const njsAccount = await njsWallet.getAccount(account.index)
-  if (isCancelled()) return
+}): Promise<?{ njsWallet: *, njsAccount: *, builded: * }> {
+  const { njsWallet, njsAccount } = await getNJSAccount(core, account)
+  if (isCancelled()) return null
   const bitcoinLikeAccount = njsAccount.asBitcoinLikeAccount()
   const njsWalletCurrency = njsWallet.getCurrency()
   const amount = new core.NJSAmount(njsWalletCurrency, transaction.amount).fromLong(
@@ -171,28 +232,76 @@ export async function doSignAndBroadcast({
 
   // TODO: check if is valid address. if not, it will fail silently on invalid
 
-  transactionBuilder.sendToAddress(amount, transaction.recipient)
-  // TODO: don't use hardcoded value for sequence (and first also maybe)
-  transactionBuilder.pickInputs(0, 0xffffff)
+  if (isWipe(transaction)) {
+    transactionBuilder.wipeToAddress(transaction.recipient)
+  } else {
+    transactionBuilder.sendToAddress(amount, transaction.recipient)
+  }
+  for (const payment of transaction.additionalPayments || []) {
+    transactionBuilder.sendToAddress(
+      new core.NJSAmount(njsWalletCurrency, payment.amount).fromLong(
+        njsWalletCurrency,
+        payment.amount,
+      ),
+      payment.recipient,
+    )
+  }
+  if (transaction.inputs && transaction.inputs.length > 0) {
+    for (const { hash, index } of transaction.inputs) {
+      transactionBuilder.addInput(hash, index, RBF_SEQUENCE)
+    }
+  } else {
+    // TODO: don't use hardcoded value for picking strategy
+    transactionBuilder.pickInputs(0, RBF_SEQUENCE)
+  }
   transactionBuilder.setFeesPerByte(fees)
 
   const builded = await transactionBuilder.build()
-  if (isCancelled()) return
-  const sigHashType = Buffer.from(njsWalletCurrency.bitcoinLikeNetworkParameters.SigHash).toString(
-    'hex',
-  )
+  if (isCancelled()) return null
+  return { njsWallet, njsAccount, builded }
+}
 
-  const hasTimestamp = !!njsWalletCurrency.bitcoinLikeNetworkParameters.UsesTimestampedTransaction
+export async function broadcastTransaction(njsAccount: *, signedTransaction: string) {
+  const txHash = await njsAccount
+    .asBitcoinLikeAccount()
+    .broadcastRawTransaction(Array.from(Buffer.from(signedTransaction, 'hex')))
+  return txHash
+}
+
+export async function doSignAndBroadcast({
+  account,
+  transaction,
+  deviceId,
+  signOnly,
+  core,
+  isCancelled,
+  onSigned,
+  onOperationBroadcasted,
+}: {
+  account: AccountRaw,
+  transaction: BitcoinLikeTransaction,
+  deviceId: string,
+  signOnly?: boolean,
+  core: *,
+  isCancelled: () => boolean,
+  onSigned: (signedTransaction: string) => void,
+  onOperationBroadcasted: (optimisticOp: BitcoinLikeOperationRaw) => void,
+}): Promise<void> {
+  const built = await buildTransaction({ account, transaction, core, isCancelled })
+  if (!built) return
+  const { njsWallet, njsAccount, builded } = built
+  const { sigHashType, hasTimestamp } = getSigningParameters(njsWallet.getCurrency())
   // TODO: const timestampDelay = njsWalletCurrency.bitcoinLikeNetworkParameters.TimestampDelay
 
   const currency = getCryptoCurrencyById(account.currencyId)
+  const signingData = await getSigningData(builded, hasTimestamp)
 
-  const signedTransaction = await withDevice(deviceId)(async transport =>
+  const signedTransaction = await withDevice(deviceId, { isCancelled })(async transport =>
     signTransaction({
       hwApp: new Btc(transport),
       currencyId: account.currencyId,
-      transaction: builded,
-      sigHashType: parseInt(sigHashType, 16),
+      signingData,
+      sigHashType,
       supportsSegwit: !!currency.supportsSegwit,
       isSegwit: isSegwitAccount(account),
       hasTimestamp,
@@ -200,29 +309,36 @@ export async function doSignAndBroadcast({
   )
 
   if (!signedTransaction || isCancelled() || !njsAccount) return
-  onSigned()
+  onSigned(signedTransaction)
+  if (signOnly) return
 
   logger.log(signedTransaction)
 
-  const txHash = await njsAccount
-    .asBitcoinLikeAccount()
-    .broadcastRawTransaction(Array.from(Buffer.from(signedTransaction, 'hex')))
+  const txHash = await broadcastTransaction(njsAccount, signedTransaction)
 
   const fee = builded.getFees().toLong()
+  const payments = [{ recipient: transaction.recipient, amount: transaction.amount }].concat(
+    transaction.additionalPayments || [],
+  )
+  const inputs = builded.getInputs().map(input => ({
+    hash: input.getPreviousTxHash(),
+    index: input.getPreviousOutputIndex(),
+  }))
 
   // NB we don't check isCancelled() because the broadcast is not cancellable now!
   onOperationBroadcasted({
     id: `${account.xpub}-${txHash}-OUT`,
     hash: txHash,
     type: 'OUT',
-    value: transaction.amount + fee,
+    value: payments.reduce((sum, p) => sum + p.amount, fee),
     fee,
     blockHash: null,
     blockHeight: null,
     senders: [account.freshAddress],
-    recipients: [transaction.recipient],
+    recipients: payments.map(p => p.recipient),
     accountId: account.id,
     date: new Date().toISOString(),
+    inputs,
   })
 }
 
@@ -0,0 +1,114 @@
+// @flow
+
+import Btc from '@ledgerhq/hw-app-btc'
+import type { AccountRaw } from '@ledgerhq/live-common/lib/types'
+import { getCryptoCurrencyById } from '@ledgerhq/live-common/lib/helpers/currencies'
+import withLibcore from 'helpers/withLibcore'
+import { createCommand, fromCancellablePromise, Command } from 'helpers/ipc'
+import { withDevice } from 'helpers/deviceAccess'
+import { isSegwitAccount } from 'helpers/bip32'
+import type { PSBT } from 'helpers/psbt'
+import {
+  UnsupportedPSBT,
+  checkPSBTCanBeSigned,
+  decodePSBT,
+  encodePSBTBase64,
+  finalizePSBT,
+  findAccountDerivation,
+  getDeviceMasterFingerprint,
+  isAccountChangeOutput,
+  parseTransaction,
+  serializeOutputs,
+} from 'helpers/psbt'
+import type { SigningData } from 'commands/libcoreSignAndBroadcast'
+import { getSigningParameters, signTransaction } from 'commands/libcoreSignAndBroadcast'
+
+type Input = {
+  account: AccountRaw,
+  // base64
+  psbt: string,
+  deviceId: string,
+}
+
+type Result = {
+  // the finalized PSBT, base64
+  psbt: string,
+  // hex of the signed transaction, ready to broadcast
+  signedTransaction: string,
+}
+
+// the device always signs version 1 transactions
+const SUPPORTED_TX_VERSION = 1
+
+// only the keys of the account (from the master key of the device) can be signed,
+// the other derivations are ignored
+function getSigningDataOfPSBT(
+  account: AccountRaw,
+  masterFingerprint: string,
+  psbt: PSBT,
+): SigningData {
+  const tx = parseTransaction(psbt.unsignedTransaction)
+  if (tx.version !== SUPPORTED_TX_VERSION) throw new UnsupportedPSBT()
+  checkPSBTCanBeSigned(psbt)
+
+  const inputs = psbt.inputs.map((input, i) => {
+    const derivation = findAccountDerivation(account, masterFingerprint, input.bip32Derivations)
+    if (!derivation || !input.nonWitnessUtxo) throw new UnsupportedPSBT()
+    return {
+      previousTransaction: input.nonWitnessUtxo,
+      outputIndex: tx.ins[i].index,
+      sequence: tx.ins[i].sequence,
+      path: derivation.path,
+    }
+  })
+
+  let changePath
+  psbt.outputs.forEach((output, i) => {
+    const derivation = output.bip32Derivations.find(d =>
+      isAccountChangeOutput(account, masterFingerprint, tx.outs[i].script, d),
+    )
+    if (!changePath && derivation) changePath = derivation.path
+  })
+
+  return {
+    inputs,
+    changePath,
+    outputScriptHex: serializeOutputs(tx).toString('hex'),
+    lockTime: tx.locktime,
+  }
+}
+
+const cmd: Command<Input, Result> = createCommand(
+  'libcoreSignPSBT',
+  ({ account, psbt, deviceId }) =>
+    fromCancellablePromise(isCancelled =>
+      withLibcore(async core => {
+        const decoded = decodePSBT(psbt)
+        const njsCurrency = await core.getPoolInstance().getCurrency(account.currencyId)
+        const { sigHashType, hasTimestamp } = getSigningParameters(njsCurrency)
+        if (hasTimestamp) throw new UnsupportedPSBT()
+        const currency = getCryptoCurrencyById(account.currencyId)
+
+        const signedTransaction = await withDevice(deviceId, { isCancelled })(async transport => {
+          const hwApp = new Btc(transport)
+          const masterFingerprint = await getDeviceMasterFingerprint(hwApp)
+          return signTransaction({
+            hwApp,
+            currencyId: account.currencyId,
+            signingData: getSigningDataOfPSBT(account, masterFingerprint, decoded),
+            sigHashType,
+            supportsSegwit: !!currency.supportsSegwit,
+            isSegwit: isSegwitAccount(account),
+            hasTimestamp,
+          })
+        })
+
+        return {
+          psbt: encodePSBTBase64(finalizePSBT(decoded, signedTransaction)),
+          signedTransaction,
+        }
+      }),
+    ),
+)
+
+export default cmd
@@ -1,9 +1,8 @@
 // @flow
 
 import type { AccountRaw } from '@ledgerhq/live-common/lib/types'
-import { fromPromise } from 'rxjs/observable/fromPromise'
 
-import { createCommand, Command } from 'helpers/ipc'
+import { createCommand, fromCancellablePromise, Command } from 'helpers/ipc'
 import { syncAccount } from 'helpers/libcore'
 import withLibcore from 'helpers/withLibcore'
 
@@ -14,7 +13,9 @@ type Input = {
 type Result = AccountRaw
 
 const cmd: Command<Input, Result> = createCommand('libcoreSyncAccount', ({ rawAccount }) =>
-  fromPromise(withLibcore(core => syncAccount({ rawAccount, core }))),
+  fromCancellablePromise(isCancelled =>
+    withLibcore(core => syncAccount({ rawAccount, core, isCancelled })),
+  ),
 )
 
 export default cmd
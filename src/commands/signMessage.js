@@ -0,0 +1,43 @@
+// @flow
+
+import { getCryptoCurrencyById } from '@ledgerhq/live-common/lib/helpers/currencies'
+import { createCommand, fromCancellablePromise, Command } from 'helpers/ipc'
+import { withDevice } from 'helpers/deviceAccess'
+import signMessageForCurrency from 'helpers/signMessageForCurrency'
+
+import { createCustomErrorClass } from 'helpers/errors'
+
+const UserRefusedMessage = createCustomErrorClass('UserRefusedMessage')
+
+type Input = {
+  currencyId: string,
+  devicePath: string,
+  path: string,
+  message: string,
+  segwit?: boolean,
+}
+
+type Result = string
+
+const cmd: Command<Input, Result> = createCommand(
+  'signMessage',
+  ({ currencyId, devicePath, path, message, ...options }) =>
+    fromCancellablePromise(isCancelled =>
+      withDevice(devicePath, { isCancelled })(transport =>
+        signMessageForCurrency(
+          transport,
+          getCryptoCurrencyById(currencyId),
+          path,
+          message,
+          options,
+        ),
+      ).catch(e => {
+        if (e && e.name === 'TransportStatusError' && e.statusCode === 0x6985) {
+          throw new UserRefusedMessage()
+        }
+        throw e
+      }),
+    ),
+)
+
+export default cmd
@@ -1,7 +1,6 @@
 // @flow
 
-import { createCommand, Command } from 'helpers/ipc'
-import { fromPromise } from 'rxjs/observable/fromPromise'
+import { createCommand, fromCancellablePromise, Command } from 'helpers/ipc'
 import { withDevice } from 'helpers/deviceAccess'
 import signTransactionForCurrency from 'helpers/signTransactionForCurrency'
 
@@ -17,8 +16,8 @@ type Result = string
 const cmd: Command<Input, Result> = createCommand(
   'signTransaction',
   ({ currencyId, devicePath, path, transaction }) =>
-    fromPromise(
-      withDevice(devicePath)(transport =>
+    fromCancellablePromise(isCancelled =>
+      withDevice(devicePath, { isCancelled })(transport =>
         signTransactionForCurrency(currencyId)(transport, currencyId, path, transaction),
       ),
     ),
@@ -1,7 +1,6 @@
 // @flow
 
-import { createCommand, Command } from 'helpers/ipc'
-import { fromPromise } from 'rxjs/observable/fromPromise'
+import { createCommand, fromCancellablePromise, Command } from 'helpers/ipc'
 import { withDevice } from 'helpers/deviceAccess'
 
 import uninstallApp from 'helpers/apps/uninstallApp'
@@ -19,7 +18,9 @@ type Result = *
 const cmd: Command<Input, Result> = createCommand(
   'uninstallApp',
   ({ devicePath, targetId, ...rest }) =>
-    fromPromise(withDevice(devicePath)(transport => uninstallApp(transport, targetId, rest))),
+    fromCancellablePromise(isCancelled =>
+      withDevice(devicePath, { isCancelled })(transport => uninstallApp(transport, targetId, rest)),
+    ),
 )
 
 export default cmd
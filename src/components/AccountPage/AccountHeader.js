@@ -2,8 +2,11 @@
 
 import React, { PureComponent } from 'react'
 import styled from 'styled-components'
+import { translate } from 'react-i18next'
 
 import type { Account } from '@ledgerhq/live-common/lib/types'
+import type { T } from 'types/common'
+import { isWatchOnlyAccount } from 'helpers/watchOnly'
 
 import Box from 'components/base/Box'
 import Ellipsis from 'components/base/Ellipsis'
@@ -26,20 +29,38 @@ const AccountName = styled(Text).attrs({
   line-height: 1.1;
 `
 
+const WatchOnlyBadge = styled(Text).attrs({
+  ff: 'Open Sans|SemiBold',
+  fontSize: 2,
+  color: 'wallet',
+  px: 1,
+})`
+  border: 1px solid ${p => p.theme.colors.wallet};
+  border-radius: 3px;
+  text-transform: uppercase;
+  letter-spacing: 1px;
+`
+
 type Props = {
   account: Account,
+  t: T,
 }
 
 class AccountHeader extends PureComponent<Props> {
   render() {
-    const { account } = this.props
+    const { account, t } = this.props
     return (
       <Box horizontal align="center" flow={2} grow>
         <Box color={account.currency.color}>
           <CryptoCurrencyIcon currency={account.currency} size={24} />
         </Box>
         <Box grow>
-          <CurName>{account.currency.name}</CurName>
+          <Box horizontal align="center" flow={2}>
+            <CurName>{account.currency.name}</CurName>
+            {isWatchOnlyAccount(account) && (
+              <WatchOnlyBadge>{t('app:account.watchOnly')}</WatchOnlyBadge>
+            )}
+          </Box>
           <AccountName>
             <Ellipsis>{account.name}</Ellipsis>
           </AccountName>
@@ -49,4 +70,4 @@ class AccountHeader extends PureComponent<Props> {
   }
 }
 
-export default AccountHeader
+export default translate()(AccountHeader)
@@ -8,17 +8,29 @@ import styled from 'styled-components'
 import type { Account } from '@ledgerhq/live-common/lib/types'
 import Tooltip from 'components/base/Tooltip'
 
-import { MODAL_SEND, MODAL_RECEIVE, MODAL_SETTINGS_ACCOUNT } from 'config/constants'
+import {
+  MODAL_SEND,
+  MODAL_RECEIVE,
+  MODAL_SETTINGS_ACCOUNT,
+  MODAL_EXPORT_OPERATIONS,
+  MODAL_SIGN_MESSAGE,
+  MODAL_PSBT,
+} from 'config/constants'
 
 import type { T } from 'types/common'
 
 import { rgba } from 'styles/helpers'
 
 import { openModal } from 'reducers/modals'
+import { canAccountSignMessage } from 'helpers/messageSignature'
+import { canAccountUsePSBT } from 'helpers/psbt'
 
 import IconAccountSettings from 'icons/AccountSettings'
 import IconReceive from 'icons/Receive'
 import IconSend from 'icons/Send'
+import IconShare from 'icons/Share'
+import IconEdit from 'icons/Edit'
+import IconQrCode from 'icons/QrCode'
 
 import Box, { Tabbable } from 'components/base/Box'
 import Button from 'components/base/Button'
@@ -79,6 +91,33 @@ class AccountHeaderActions extends PureComponent<Props> {
             </Button>
           </Fragment>
         ) : null}
+        {canAccountSignMessage(account) ? (
+          <Tooltip render={() => t('app:signMessage.title')}>
+            <ButtonSettings onClick={() => openModal(MODAL_SIGN_MESSAGE, { account })}>
+              <Box justifyContent="center">
+                <IconEdit size={16} />
+              </Box>
+            </ButtonSettings>
+          </Tooltip>
+        ) : null}
+        {canAccountUsePSBT(account) ? (
+          <Tooltip render={() => t('app:psbt.title')}>
+            <ButtonSettings onClick={() => openModal(MODAL_PSBT, { account })}>
+              <Box justifyContent="center">
+                <IconQrCode size={16} />
+              </Box>
+            </ButtonSettings>
+          </Tooltip>
+        ) : null}
+        {account.operations.length > 0 ? (
+          <Tooltip render={() => t('app:exportOperations.title')}>
+            <ButtonSettings onClick={() => openModal(MODAL_EXPORT_OPERATIONS, { account })}>
+              <Box justifyContent="center">
+                <IconShare size={16} />
+              </Box>
+            </ButtonSettings>
+          </Tooltip>
+        ) : null}
         <Tooltip render={() => t('app:account.settings.title')}>
           <ButtonSettings onClick={() => openModal(MODAL_SETTINGS_ACCOUNT, { account })}>
             <Box justifyContent="center">
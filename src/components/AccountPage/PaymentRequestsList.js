@@ -0,0 +1,135 @@
+// @flow
+
+import React, { PureComponent } from 'react'
+import { connect } from 'react-redux'
+import { compose } from 'redux'
+import { translate } from 'react-i18next'
+import { createSelector } from 'reselect'
+import moment from 'moment'
+import type { Account } from '@ledgerhq/live-common/lib/types'
+
+import type { T } from 'types/common'
+import type { State } from 'reducers'
+import type { TrackedPaymentRequest } from 'reducers/paymentRequests'
+import { paymentRequestsSelector } from 'reducers/paymentRequests'
+import { removePaymentRequest } from 'actions/paymentRequests'
+import { getPaymentRequestsStates } from 'helpers/paymentRequests'
+import type { PaymentRequestStatus } from 'helpers/paymentRequests'
+
+import Box, { Card } from 'components/base/Box'
+import Ellipsis from 'components/base/Ellipsis'
+import FormattedVal from 'components/base/FormattedVal'
+import Text from 'components/base/Text'
+import Tooltip from 'components/base/Tooltip'
+import IconTrash from 'icons/Trash'
+
+const accountPaymentRequestsSelector = createSelector(
+  paymentRequestsSelector,
+  (_, { account }: { account: Account }) => account.id,
+  (requests, accountId) => requests.filter(r => r.accountId === accountId),
+)
+
+const mapStateToProps = (state: State, props: { account: Account }) => ({
+  requests: accountPaymentRequestsSelector(state, props),
+})
+
+const mapDispatchToProps = {
+  removePaymentRequest,
+}
+
+type Props = {
+  account: Account,
+  requests: TrackedPaymentRequest[],
+  removePaymentRequest: string => void,
+  t: T,
+}
+
+const statusColors: { [_: PaymentRequestStatus]: string } = {
+  pending: 'grey',
+  partiallyPaid: 'wallet',
+  paid: 'positiveGreen',
+  expired: 'alertRed',
+}
+
+// the payment requests made on the account, with what was received for each of them
+class PaymentRequestsList extends PureComponent<Props> {
+  render() {
+    const { account, requests, removePaymentRequest, t } = this.props
+    if (requests.length === 0) return null
+    // the most recent first
+    const states = getPaymentRequestsStates(requests, [account]).reverse()
+    return (
+      <Box flow={4} mb={7}>
+        <Text color="dark" ff="Museo Sans" fontSize={6}>
+          {t('app:account.paymentRequests.title')}
+        </Text>
+        <Card p={0}>
+          {states.map(({ request, status, received }) => (
+            <Box key={request.id} horizontal align="center" px={4} py={3} flow={4}>
+              <Box grow shrink>
+                <Ellipsis ff="Open Sans|SemiBold" fontSize={4} color="dark">
+                  {request.label}
+                </Ellipsis>
+                <Text ff="Open Sans" fontSize={3} color="grey">
+                  {request.expiresAt
+                    ? t('app:account.paymentRequests.createdExpires', {
+                        created: moment(request.createdAt).format('L'),
+                        expires: moment(request.expiresAt).format('L'),
+                      })
+                    : t('app:account.paymentRequests.created', {
+                        created: moment(request.createdAt).format('L'),
+                      })}
+                </Text>
+              </Box>
+              <Box alignItems="flex-end">
+                <FormattedVal
+                  val={request.amount}
+                  unit={account.unit}
+                  showCode
+                  fontSize={4}
+                  color="dark"
+                />
+                {received > 0 && received < request.amount ? (
+                  <Box horizontal align="center" flow={1}>
+                    <Text ff="Open Sans" fontSize={3} color="grey">
+                      {t('app:account.paymentRequests.received')}
+                    </Text>
+                    <FormattedVal
+                      val={received}
+                      unit={account.unit}
+                      showCode
+                      fontSize={3}
+                      color="grey"
+                    />
+                  </Box>
+                ) : null}
+              </Box>
+              <Box style={{ width: 110 }} alignItems="flex-end">
+                <Text ff="Open Sans|SemiBold" fontSize={3} color={statusColors[status]}>
+                  {t(`app:account.paymentRequests.status.${status}`)}
+                </Text>
+              </Box>
+              <Tooltip render={() => t('app:account.paymentRequests.remove')}>
+                <Box
+                  color="grey"
+                  style={{ cursor: 'pointer' }}
+                  onClick={() => removePaymentRequest(request.id)}
+                >
+                  <IconTrash size={14} />
+                </Box>
+              </Tooltip>
+            </Box>
+          ))}
+        </Card>
+      </Box>
+    )
+  }
+}
+
+export default compose(
+  translate(),
+  connect(
+    mapStateToProps,
+    mapDispatchToProps,
+  ),
+)(PaymentRequestsList)
@@ -0,0 +1,162 @@
+// @flow
+
+import React, { PureComponent } from 'react'
+import { connect } from 'react-redux'
+import { compose } from 'redux'
+import { translate } from 'react-i18next'
+import moment from 'moment'
+import type { Account } from '@ledgerhq/live-common/lib/types'
+
+import type { T, TokenAccount } from 'types/common'
+import { MODAL_SEND } from 'config/constants'
+import { openModal } from 'reducers/modals'
+import { getTokenAccounts } from 'helpers/tokenAccounts'
+
+import Box, { Card } from 'components/base/Box'
+import Button from 'components/base/Button'
+import Ellipsis from 'components/base/Ellipsis'
+import FormattedVal from 'components/base/FormattedVal'
+import Text from 'components/base/Text'
+import IconAngleDown from 'icons/AngleDown'
+import IconAngleUp from 'icons/AngleUp'
+
+const mapDispatchToProps = {
+  openModal,
+}
+
+type Props = {
+  account: Account,
+  openModal: (string, Object) => *,
+  t: T,
+}
+
+type State = {
+  expandedId: ?string,
+}
+
+const NB_OPERATIONS_TO_SHOW = 10
+
+class TokenAccountsList extends PureComponent<Props, State> {
+  state = {
+    expandedId: null,
+  }
+
+  handleToggle = (tokenAccount: TokenAccount) => {
+    this.setState(({ expandedId }) => ({
+      expandedId: expandedId === tokenAccount.id ? null : tokenAccount.id,
+    }))
+  }
+
+  handleSend = (tokenAccount: TokenAccount) => {
+    const { account, openModal } = this.props
+    openModal(MODAL_SEND, { account, tokenAccountId: tokenAccount.id })
+  }
+
+  renderOperations(tokenAccount: TokenAccount) {
+    const { t } = this.props
+    const operations = tokenAccount.operations.slice(0, NB_OPERATIONS_TO_SHOW)
+    if (operations.length === 0) {
+      return (
+        <Text ff="Open Sans" fontSize={3} color="grey">
+          {t('app:account.tokens.noOperations')}
+        </Text>
+      )
+    }
+    return operations.map(op => (
+      <Box key={op.id} horizontal align="center" flow={4}>
+        <Box style={{ width: 100 }}>
+          <Text ff="Open Sans|SemiBold" fontSize={3} color="smoke">
+            {moment(op.date).format('L')}
+          </Text>
+        </Box>
+        <Box style={{ width: 100 }}>
+          <Text ff="Open Sans|SemiBold" fontSize={3} color="smoke">
+            {t(op.type === 'IN' ? 'app:account.tokens.received' : 'app:account.tokens.sent')}
+          </Text>
+        </Box>
+        <Box grow shrink>
+          <Ellipsis canSelect ff="Open Sans" fontSize={3} color="smoke">
+            {op.type === 'IN' ? op.senders[0] : op.recipients[0]}
+          </Ellipsis>
+        </Box>
+        <FormattedVal
+          val={op.type === 'IN' ? Number(op.amount) : -Number(op.amount)}
+          unit={tokenAccount.unit}
+          showCode
+          alwaysShowSign
+          fontSize={3}
+        />
+      </Box>
+    ))
+  }
+
+  render() {
+    const { account, t } = this.props
+    const { expandedId } = this.state
+    const tokenAccounts = getTokenAccounts(account)
+    if (tokenAccounts.length === 0) return null
+    return (
+      <Box flow={4} mb={7}>
+        <Text color="dark" ff="Museo Sans" fontSize={6}>
+          {t('app:account.tokens.title')}
+        </Text>
+        <Card p={0}>
+          {tokenAccounts.map(tokenAccount => {
+            const isExpanded = expandedId === tokenAccount.id
+            return (
+              <Box key={tokenAccount.id} px={4} py={3} flow={3}>
+                <Box horizontal align="center" flow={4}>
+                  <Box
+                    horizontal
+                    grow
+                    align="center"
+                    flow={2}
+                    style={{ cursor: 'pointer' }}
+                    onClick={() => this.handleToggle(tokenAccount)}
+                  >
+                    {isExpanded ? <IconAngleUp size={12} /> : <IconAngleDown size={12} />}
+                    <Text ff="Open Sans|SemiBold" fontSize={4} color="dark">
+                      {tokenAccount.unit.code}
+                    </Text>
+                    <Ellipsis ff="Open Sans" fontSize={3} color="grey">
+                      {tokenAccount.contractAddress}
+                    </Ellipsis>
+                  </Box>
+                  <FormattedVal
+                    val={Number(tokenAccount.balance)}
+                    unit={tokenAccount.unit}
+                    showCode
+                    fontSize={4}
+                    color="dark"
+                  />
+                  <Button
+                    small
+                    outline
+                    event="TokenAccount Send Clicked"
+                    onClick={() => this.handleSend(tokenAccount)}
+                  >
+                    {t('app:account.tokens.send')}
+                  </Button>
+                </Box>
+                {tokenAccount.isHistoryTruncated && (
+                  <Text ff="Open Sans" fontSize={3} color="alertRed">
+                    {t('app:account.tokens.historyTruncated')}
+                  </Text>
+                )}
+                {isExpanded && <Box flow={2}>{this.renderOperations(tokenAccount)}</Box>}
+              </Box>
+            )
+          })}
+        </Card>
+      </Box>
+    )
+  }
+}
+
+export default compose(
+  translate(),
+  connect(
+    null,
+    mapDispatchToProps,
+  ),
+)(TokenAccountsList)
@@ -27,6 +27,8 @@ import AccountHeader from './AccountHeader'
 import AccountHeaderActions from './AccountHeaderActions'
 import AccountBalanceSummaryHeader from './AccountBalanceSummaryHeader'
 import EmptyStateAccount from './EmptyStateAccount'
+import TokenAccountsList from './TokenAccountsList'
+import PaymentRequestsList from './PaymentRequestsList'
 
 const mapStateToProps = (state, props) => ({
   account: accountSelector(state, { accountId: props.match.params.id }),
@@ -96,6 +98,10 @@ class AccountPage extends PureComponent<Props> {
               />
             </Box>
 
+            <TokenAccountsList account={account} />
+
+            <PaymentRequestsList account={account} />
+
             <OperationsList account={account} title={t('app:account.lastOperations')} />
 
             <StickyBackToTop />
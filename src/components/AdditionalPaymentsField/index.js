@@ -0,0 +1,200 @@
+// @flow
+import fs from 'fs'
+import { remote } from 'electron'
+import React, { Component } from 'react'
+import { translate } from 'react-i18next'
+import type { Account } from '@ledgerhq/live-common/lib/types'
+
+import type { T } from 'types/common'
+import type { Payment } from 'bridge/types'
+import { parsePaymentsCSV } from 'helpers/paymentsCSV'
+import { createCustomErrorClass } from 'helpers/errors'
+
+import Box from 'components/base/Box'
+import Button from 'components/base/Button'
+import FormattedVal from 'components/base/FormattedVal'
+import Input from 'components/base/Input'
+import InputCurrency from 'components/base/InputCurrency'
+import Label from 'components/base/Label'
+import Text from 'components/base/Text'
+import TranslatedError from 'components/TranslatedError'
+import IconTrash from 'icons/Trash'
+
+const NoPaymentsInCSV = createCustomErrorClass('NoPaymentsInCSV')
+
+type Props = {
+  account: Account,
+  // all the payments of the transaction. the first one is edited by the recipient & amount fields
+  payments: Payment[],
+  onChange: (Payment[]) => void,
+  isRecipientValid: string => Promise<boolean>,
+  t: T,
+}
+
+type State = {
+  invalidRecipients: string[],
+  importError: ?Error,
+  // the lines of the imported CSV that are not payments
+  skippedLines: number[],
+}
+
+class AdditionalPaymentsField extends Component<Props, State> {
+  state = {
+    invalidRecipients: [],
+    importError: null,
+    skippedLines: [],
+  }
+
+  componentDidMount() {
+    this.resync()
+  }
+
+  componentDidUpdate(prevProps: Props) {
+    if (prevProps.payments !== this.props.payments) {
+      this.resync()
+    }
+  }
+
+  componentWillUnmount() {
+    this.syncId++
+  }
+
+  syncId = 0
+
+  async resync() {
+    const { payments, isRecipientValid } = this.props
+    const syncId = ++this.syncId
+    const recipients = payments.slice(1).map(p => p.recipient)
+    const validities = await Promise.all(recipients.map(r => (r ? isRecipientValid(r) : true)))
+    if (syncId !== this.syncId) return
+    this.setState({ invalidRecipients: recipients.filter((r, i) => !validities[i]) })
+  }
+
+  onChangePayment = (i: number, patch: $Shape<Payment>) => {
+    const { payments, onChange } = this.props
+    onChange(payments.map((p, j) => (i === j ? { ...p, ...patch } : p)))
+  }
+
+  onAddPayment = () => {
+    const { payments, onChange } = this.props
+    onChange(payments.concat({ recipient: '', amount: 0 }))
+  }
+
+  onRemovePayment = (i: number) => {
+    const { payments, onChange } = this.props
+    onChange(payments.filter((p, j) => i !== j))
+  }
+
+  onImportCSV = () => {
+    const { account, onChange, t } = this.props
+    const paths = remote.dialog.showOpenDialog({
+      title: t('app:send.steps.amount.additionalPayments.importCSV'),
+      properties: ['openFile'],
+      filters: [
+        {
+          name: 'CSV',
+          extensions: ['csv', 'txt'],
+        },
+      ],
+    })
+    if (!paths || !paths[0]) return
+    try {
+      const { payments, skippedLines } = parsePaymentsCSV(
+        account.unit,
+        fs.readFileSync(paths[0], 'utf-8'),
+      )
+      if (payments.length === 0) throw new NoPaymentsInCSV()
+      this.setState({ importError: null, skippedLines })
+      onChange(payments)
+    } catch (importError) {
+      this.setState({ importError, skippedLines: [] })
+    }
+  }
+
+  render() {
+    const { account, payments, t } = this.props
+    const { invalidRecipients, importError, skippedLines } = this.state
+    const additionalPayments = payments.slice(1)
+    return (
+      <Box flow={2}>
+        {additionalPayments.length > 0 && (
+          <Label>{t('app:send.steps.amount.additionalPayments.title')}</Label>
+        )}
+        {additionalPayments.map((payment, j) => {
+          const i = j + 1
+          return (
+            <Box key={i} horizontal align="flex-start" flow={2} pb={4}>
+              <Box grow shrink>
+                <Input
+                  value={payment.recipient}
+                  placeholder={t('app:send.steps.amount.recipientAddress')}
+                  onChange={recipient => this.onChangePayment(i, { recipient })}
+                  error={
+                    invalidRecipients.includes(payment.recipient)
+                      ? t('app:send.steps.amount.additionalPayments.invalidRecipient', {
+                          currencyName: account.currency.name,
+                        })
+                      : false
+                  }
+                />
+              </Box>
+              <Box style={{ width: 180 }}>
+                <InputCurrency
+                  unit={account.unit}
+                  value={payment.amount}
+                  onChange={amount => this.onChangePayment(i, { amount })}
+                />
+              </Box>
+              <Button
+                outline
+                onClick={() => this.onRemovePayment(i)}
+                style={{ height: 40 }}
+                title={t('app:send.steps.amount.additionalPayments.remove')}
+              >
+                <IconTrash size={14} />
+              </Button>
+            </Box>
+          )
+        })}
+        <Box horizontal align="center" flow={2}>
+          <Button small outline event="Send Add Recipient" onClick={this.onAddPayment}>
+            {t('app:send.steps.amount.additionalPayments.add')}
+          </Button>
+          <Button small outline event="Send Import Recipients CSV" onClick={this.onImportCSV}>
+            {t('app:send.steps.amount.additionalPayments.importCSV')}
+          </Button>
+          <Box grow />
+          {additionalPayments.length > 0 && (
+            <Box horizontal align="center" flow={1}>
+              <Text ff="Open Sans|Regular" fontSize={3} color="grey">
+                {t('app:send.steps.amount.additionalPayments.total', { count: payments.length })}
+              </Text>
+              <FormattedVal
+                val={payments.reduce((sum, p) => sum + p.amount, 0)}
+                unit={account.unit}
+                showCode
+                fontSize={3}
+                color="dark"
+              />
+            </Box>
+          )}
+        </Box>
+        {skippedLines.length > 0 && (
+          <Text ff="Open Sans|Regular" fontSize={3} color="alertRed">
+            {t('app:send.steps.amount.additionalPayments.skippedLines', {
+              count: skippedLines.length,
+              lines: skippedLines.join(', '),
+            })}
+          </Text>
+        )}
+        {importError && (
+          <Text ff="Open Sans|Regular" fontSize={3} color="alertRed">
+            <TranslatedError error={importError} />
+          </Text>
+        )}
+      </Box>
+    )
+  }
+}
+
+export default translate()(AdditionalPaymentsField)
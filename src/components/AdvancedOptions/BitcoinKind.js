@@ -1,44 +1,239 @@
 // @flow
-import React from 'react'
+import React, { Component } from 'react'
 import { translate } from 'react-i18next'
+import type { Account } from '@ledgerhq/live-common/lib/types'
+
+import type { T } from 'types/common'
+import type { UTXORaw } from 'commands/libcoreGetUTXOs'
+import libcoreGetUTXOs from 'commands/libcoreGetUTXOs'
 
 import Box from 'components/base/Box'
-import Switch from 'components/base/Switch'
+import CheckBox from 'components/base/CheckBox'
+import Ellipsis from 'components/base/Ellipsis'
+import FormattedVal from 'components/base/FormattedVal'
 import Label from 'components/base/Label'
 import LabelInfoTooltip from 'components/base/LabelInfoTooltip'
 import Spoiler from 'components/base/Spoiler'
+import Switch from 'components/base/Switch'
+import Text from 'components/base/Text'
+import TranslatedError from 'components/TranslatedError'
+
+export type SelectedUTXO = {
+  hash: string,
+  index: number,
+  value: number,
+}
 
 type Props = {
-  isRBF: boolean,
-  onChangeRBF: boolean => void,
-  t: *,
+  account: Account,
+  amount: number,
+  // undefined means that inputs are picked automatically
+  inputs: ?(SelectedUTXO[]),
+  onChangeInputs: (?(SelectedUTXO[])) => void,
+  // resolve the total fees of the transaction with the current inputs selection
+  getTotalFees: () => Promise<?number>,
+  t: T,
 }
 
-export default translate()(({ isRBF, onChangeRBF, t }: Props) => (
-  <Spoiler title={t('app:send.steps.amount.advancedOptions')}>
-    <Box horizontal align="center" flow={5}>
-      <Box style={{ width: 200 }}>
-        <Label>
-          <span>{t('app:send.steps.amount.useRBF')}</span>
-          <LabelInfoTooltip ml={1} text={t('app:send.steps.amount.useRBF')} />
-        </Label>
-      </Box>
-      <Box grow>
-        <Switch isChecked={isRBF} onChange={onChangeRBF} />
-      </Box>
-    </Box>
-
-    {/*
-    <Box horizontal align="flex-start" flow={5}>
-      <Box style={{ width: 200 }}>
-        <Label>
-          <span>{t('app:send.steps.amount.message')}</span>
-        </Label>
+type State = {
+  utxos: ?(UTXORaw[]),
+  error: ?Error,
+  totalFees: ?number,
+}
+
+const isSameUTXO = (a, b) => a.hash === b.hash && a.index === b.index
+
+const toSelectedUTXO = ({ hash, index, value }: UTXORaw): SelectedUTXO => ({ hash, index, value })
+
+const sumValues = (utxos: SelectedUTXO[]) => utxos.reduce((sum, u) => sum + u.value, 0)
+
+class AdvancedOptionsBitcoinKind extends Component<Props, State> {
+  state = {
+    utxos: null,
+    error: null,
+    totalFees: null,
+  }
+
+  componentDidMount() {
+    this.loadUTXOs()
+    this.loadFees()
+  }
+
+  componentDidUpdate(prevProps: Props) {
+    if (prevProps.inputs !== this.props.inputs || prevProps.amount !== this.props.amount) {
+      this.loadFees()
+    }
+  }
+
+  componentWillUnmount() {
+    this._unmounted = true
+  }
+
+  _unmounted = false
+  _feesRequestId = 0
+
+  async loadUTXOs() {
+    const { account } = this.props
+    try {
+      const utxos = await libcoreGetUTXOs
+        .send({ accountId: account.id, accountIndex: account.index })
+        .toPromise()
+      if (!this._unmounted) this.setState({ utxos, error: null })
+    } catch (error) {
+      if (!this._unmounted) this.setState({ utxos: null, error })
+    }
+  }
+
+  async loadFees() {
+    const requestId = ++this._feesRequestId
+    let totalFees = null
+    try {
+      totalFees = await this.props.getTotalFees()
+    } catch (e) {
+      // fees can't be computed for this selection (e.g. not enough funds)
+    }
+    if (!this._unmounted && requestId === this._feesRequestId) {
+      this.setState({ totalFees })
+    }
+  }
+
+  onChangeManual = (isManual: boolean) => {
+    const { utxos } = this.state
+    if (isManual && !utxos) return
+    // start from all the outputs selected so the user only has to exclude the ones to keep
+    this.props.onChangeInputs(isManual && utxos ? utxos.map(toSelectedUTXO) : undefined)
+  }
+
+  onToggleUTXO = (utxo: UTXORaw, isChecked: boolean) => {
+    const { inputs, onChangeInputs } = this.props
+    const others = (inputs || []).filter(i => !isSameUTXO(i, utxo))
+    onChangeInputs(isChecked ? others.concat(toSelectedUTXO(utxo)) : others)
+  }
+
+  getConfirmations(utxo: UTXORaw): ?number {
+    const { account } = this.props
+    const operation = account.operations.find(op => op.hash === utxo.hash)
+    if (!operation) return null
+    return operation.blockHeight ? account.blockHeight - operation.blockHeight + 1 : 0
+  }
+
+  getUTXOLabel(utxo: UTXORaw): string {
+    const { account, t } = this.props
+    if (utxo.isChange) return t('app:send.steps.amount.coinControl.change')
+    const operation = account.operations.find(op => op.hash === utxo.hash)
+    return operation && operation.senders.length > 0
+      ? t('app:send.steps.amount.coinControl.receivedFrom', { sender: operation.senders[0] })
+      : t('app:send.steps.amount.coinControl.received')
+  }
+
+  renderUTXOs() {
+    const { account, inputs, t } = this.props
+    const { utxos, error } = this.state
+    if (error) {
+      return (
+        <Text ff="Open Sans|Regular" fontSize={3} color="alertRed">
+          <TranslatedError error={error} />
+        </Text>
+      )
+    }
+    if (!utxos) {
+      return (
+        <Text ff="Open Sans|Regular" fontSize={3} color="grey">
+          {t('app:send.steps.amount.coinControl.loading')}
+        </Text>
+      )
+    }
+    return (
+      <Box flow={2}>
+        {utxos.map(utxo => {
+          const confirmations = this.getConfirmations(utxo)
+          return (
+            <Box key={`${utxo.hash}:${utxo.index}`} horizontal align="center" flow={3}>
+              <CheckBox
+                isChecked={!!inputs && inputs.some(i => isSameUTXO(i, utxo))}
+                onChange={isChecked => this.onToggleUTXO(utxo, isChecked)}
+              />
+              <Box style={{ width: 130 }}>
+                <FormattedVal val={utxo.value} unit={account.unit} showCode fontSize={3} />
+              </Box>
+              <Box grow shrink>
+                <Ellipsis canSelect ff="Open Sans|SemiBold" fontSize={3} color="dark">
+                  {utxo.address}
+                </Ellipsis>
+                <Ellipsis ff="Open Sans|Regular" fontSize={2} color="grey">
+                  {this.getUTXOLabel(utxo)}
+                </Ellipsis>
+              </Box>
+              <Text ff="Open Sans|Regular" fontSize={3} color="grey">
+                {typeof confirmations === 'number'
+                  ? t('app:send.steps.amount.coinControl.confirmations', { count: confirmations })
+                  : '-'}
+              </Text>
+            </Box>
+          )
+        })}
       </Box>
-      <Box grow>
-        <Textarea />
+    )
+  }
+
+  renderSummary() {
+    const { account, amount, inputs, t } = this.props
+    const { totalFees } = this.state
+    if (!inputs) return null
+    const selected = sumValues(inputs)
+    const change = selected - amount - (totalFees || 0)
+    return (
+      <Box horizontal flow={5}>
+        <Box>
+          <Label>{t('app:send.steps.amount.coinControl.selected')}</Label>
+          <FormattedVal val={selected} unit={account.unit} showCode fontSize={3} />
+        </Box>
+        <Box>
+          <Label>{t('app:send.steps.amount.coinControl.fees')}</Label>
+          {typeof totalFees === 'number' ? (
+            <FormattedVal val={totalFees} unit={account.unit} showCode fontSize={3} />
+          ) : (
+            <Text ff="Open Sans|Regular" fontSize={3} color="grey">
+              {'-'}
+            </Text>
+          )}
+        </Box>
+        <Box>
+          <Label>{t('app:send.steps.amount.coinControl.resultingChange')}</Label>
+          {typeof totalFees === 'number' && change >= 0 ? (
+            <FormattedVal val={change} unit={account.unit} showCode fontSize={3} />
+          ) : (
+            <Text ff="Open Sans|Regular" fontSize={3} color="alertRed">
+              {t('app:send.steps.amount.coinControl.insufficient')}
+            </Text>
+          )}
+        </Box>
       </Box>
-    </Box>
-    */}
-  </Spoiler>
-))
+    )
+  }
+
+  render() {
+    const { inputs, t } = this.props
+    return (
+      <Spoiler title={t('app:send.steps.amount.advancedOptions')}>
+        <Box flow={4}>
+          <Box horizontal align="center" flow={5}>
+            <Box style={{ width: 200 }}>
+              <Label>
+                <span>{t('app:send.steps.amount.coinControl.title')}</span>
+                <LabelInfoTooltip ml={1} text={t('app:send.steps.amount.coinControl.desc')} />
+              </Label>
+            </Box>
+            <Box grow>
+              <Switch isChecked={!!inputs} onChange={this.onChangeManual} />
+            </Box>
+          </Box>
+          {inputs ? this.renderUTXOs() : null}
+          {this.renderSummary()}
+        </Box>
+      </Spoiler>
+    )
+  }
+}
+
+export default translate()(AdvancedOptionsBitcoinKind)
@@ -1,36 +1,179 @@
 // @flow
-import React from 'react'
+import React, { Component, Fragment } from 'react'
 import { translate } from 'react-i18next'
 
 import Box from 'components/base/Box'
-import Input from 'components/base/Input'
+import FakeLink from 'components/base/FakeLink'
+import Input, { Textarea } from 'components/base/Input'
 import Label from 'components/base/Label'
 import Spoiler from 'components/base/Spoiler'
+import Text from 'components/base/Text'
+
+// the gas of a simple transfer, a contract uses more as its code is executed
+const TRANSFER_GAS_LIMIT = 0x5208
 
 type Props = {
   gasLimit: number,
-  onChangeGasLimit: (?number) => void,
+  isGasLimitCustom: boolean,
+  onChangeGasLimit: (gasLimit: number, isGasLimitCustom: boolean) => void,
+  // null while the transaction can't be estimated (e.g. no recipient yet).
+  // it's another function once the estimated call changes
+  estimateGasLimit: ?() => Promise<number>,
+  // the data of a token transfer is the transfer call
+  isTokenTransfer: boolean,
+  data: string,
+  isDataValid: boolean,
+  onChangeData: string => void,
   t: *,
 }
 
-export default translate()(({ gasLimit, onChangeGasLimit, t }: Props) => (
-  <Spoiler title={t('app:send.steps.amount.advancedOptions')}>
-    <Box horizontal align="center" flow={5}>
-      <Box style={{ width: 200 }}>
-        <Label>
-          <span>{t('app:send.steps.amount.ethereumGasLimit')}</span>
-        </Label>
-      </Box>
-      <Box grow>
-        <Input
-          value={gasLimit}
-          onChange={str => {
-            const gasLimit = parseInt(str || 0, 10)
-            if (!isNaN(gasLimit) && isFinite(gasLimit)) onChangeGasLimit(gasLimit)
-            else onChangeGasLimit(0x5208)
-          }}
-        />
-      </Box>
-    </Box>
-  </Spoiler>
-))
+type State = {
+  estimatedGasLimit: ?number,
+  estimationError: ?Error,
+}
+
+class AdvancedOptionsEthereumKind extends Component<Props, State> {
+  state = {
+    estimatedGasLimit: null,
+    estimationError: null,
+  }
+
+  componentDidMount() {
+    this.estimate()
+  }
+
+  componentDidUpdate(prevProps: Props) {
+    if (prevProps.estimateGasLimit !== this.props.estimateGasLimit) {
+      this.estimate()
+    }
+  }
+
+  componentWillUnmount() {
+    this._unmounted = true
+  }
+
+  _unmounted = false
+  _estimationId = 0
+
+  async estimate() {
+    const { estimateGasLimit } = this.props
+    const estimationId = ++this._estimationId
+    if (!estimateGasLimit) {
+      this.setState({ estimatedGasLimit: null, estimationError: null })
+      return
+    }
+    try {
+      const estimatedGasLimit = await estimateGasLimit()
+      if (this._unmounted || estimationId !== this._estimationId) return
+      this.setState({ estimatedGasLimit, estimationError: null })
+      const { gasLimit, isGasLimitCustom, onChangeGasLimit } = this.props
+      if (!isGasLimitCustom && gasLimit !== estimatedGasLimit) {
+        onChangeGasLimit(estimatedGasLimit, false)
+      }
+    } catch (estimationError) {
+      // the current gas limit is kept
+      if (this._unmounted || estimationId !== this._estimationId) return
+      this.setState({ estimatedGasLimit: null, estimationError })
+    }
+  }
+
+  onChangeGasLimit = (str: string) => {
+    const gasLimit = parseInt(str, 10)
+    if (!isNaN(gasLimit) && isFinite(gasLimit) && gasLimit > 0) {
+      this.props.onChangeGasLimit(gasLimit, true)
+    } else {
+      // an empty field goes back to the estimate
+      this.onUseEstimate()
+    }
+  }
+
+  onUseEstimate = () => {
+    const { gasLimit, onChangeGasLimit } = this.props
+    const { estimatedGasLimit } = this.state
+    onChangeGasLimit(estimatedGasLimit || gasLimit, false)
+  }
+
+  render() {
+    const {
+      gasLimit,
+      isGasLimitCustom,
+      isTokenTransfer,
+      data,
+      isDataValid,
+      onChangeData,
+      t,
+    } = this.props
+    const { estimatedGasLimit, estimationError } = this.state
+    // calling a contract without data is usually a mistake (funds can be lost or rejected)
+    const isContractWithoutData =
+      !isTokenTransfer &&
+      !data.trim() &&
+      !!estimatedGasLimit &&
+      estimatedGasLimit > TRANSFER_GAS_LIMIT
+    return (
+      <Fragment>
+        {isContractWithoutData && (
+          <Text ff="Open Sans|SemiBold" fontSize={3} color="alertRed">
+            {t('app:send.steps.amount.ethereumContract.noData')}
+          </Text>
+        )}
+        <Spoiler title={t('app:send.steps.amount.advancedOptions')}>
+          <Box flow={3}>
+            <Box horizontal align="center" flow={5}>
+              <Box style={{ width: 200 }}>
+                <Label>
+                  <span>{t('app:send.steps.amount.ethereumGasLimit')}</span>
+                </Label>
+              </Box>
+              <Box grow flow={1}>
+                <Input value={gasLimit} onChange={this.onChangeGasLimit} />
+                {estimationError ? (
+                  <Text ff="Open Sans" fontSize={3} color="alertRed">
+                    {t('app:send.steps.amount.ethereumGasEstimation.failed')}
+                  </Text>
+                ) : estimatedGasLimit ? (
+                  <Box horizontal align="center" flow={2}>
+                    <Text ff="Open Sans" fontSize={3} color="grey">
+                      {t('app:send.steps.amount.ethereumGasEstimation.estimated', {
+                        gasLimit: estimatedGasLimit,
+                      })}
+                    </Text>
+                    {isGasLimitCustom &&
+                      gasLimit !== estimatedGasLimit && (
+                        <FakeLink fontSize={3} onClick={this.onUseEstimate}>
+                          {t('app:send.steps.amount.ethereumGasEstimation.useEstimate')}
+                        </FakeLink>
+                      )}
+                  </Box>
+                ) : null}
+              </Box>
+            </Box>
+            {!isTokenTransfer && (
+              <Box horizontal flow={5}>
+                <Box style={{ width: 200 }}>
+                  <Label>
+                    <span>{t('app:send.steps.amount.ethereumContract.data')}</span>
+                  </Label>
+                </Box>
+                <Box grow flow={1}>
+                  <Textarea
+                    value={data}
+                    onChange={e => onChangeData(e.target.value)}
+                    placeholder={t('app:send.steps.amount.ethereumContract.dataPlaceholder')}
+                  />
+                  {!isDataValid && (
+                    <Text ff="Open Sans" fontSize={3} color="alertRed">
+                      {t('app:send.steps.amount.ethereumContract.invalidData')}
+                    </Text>
+                  )}
+                </Box>
+              </Box>
+            )}
+          </Box>
+        </Spoiler>
+      </Fragment>
+    )
+  }
+}
+
+export default translate()(AdvancedOptionsEthereumKind)
@@ -1,36 +1,95 @@
 // @flow
-import React from 'react'
+import React, { Component } from 'react'
 import { translate } from 'react-i18next'
 
 import Box from 'components/base/Box'
 import Input from 'components/base/Input'
 import Label from 'components/base/Label'
 import Spoiler from 'components/base/Spoiler'
+import Text from 'components/base/Text'
 
 type Props = {
   tag: ?number,
   onChangeTag: (?number) => void,
+  recipient: string,
+  // resolve if the recipient requires a destination tag (its RequireDest flag).
+  // it's checked again for another recipient
+  getIsTagRequired: () => Promise<boolean>,
   t: *,
 }
 
-export default translate()(({ tag, onChangeTag, t }: Props) => (
-  <Spoiler title={t('app:send.steps.amount.advancedOptions')}>
-    <Box horizontal align="center" flow={5}>
-      <Box style={{ width: 200 }}>
-        <Label>
-          <span>{t('app:send.steps.amount.rippleTag')}</span>
-        </Label>
-      </Box>
-      <Box grow>
-        <Input
-          value={String(tag || '')}
-          onChange={str => {
-            const tag = parseInt(str, 10)
-            if (!isNaN(tag) && isFinite(tag)) onChangeTag(tag)
-            else onChangeTag(undefined)
-          }}
-        />
+type State = {
+  isTagRequired: boolean,
+}
+
+class AdvancedOptionsRippleKind extends Component<Props, State> {
+  state = {
+    isTagRequired: false,
+  }
+
+  componentDidMount() {
+    this.checkTagRequirement()
+  }
+
+  componentDidUpdate(prevProps: Props) {
+    if (prevProps.recipient !== this.props.recipient) {
+      this.checkTagRequirement()
+    }
+  }
+
+  componentWillUnmount() {
+    this._unmounted = true
+  }
+
+  _unmounted = false
+  _checkId = 0
+
+  async checkTagRequirement() {
+    const checkId = ++this._checkId
+    let isTagRequired = false
+    try {
+      isTagRequired = await this.props.getIsTagRequired()
+    } catch (e) {
+      // the requirement is checked again before the transaction can be sent
+    }
+    if (!this._unmounted && checkId === this._checkId) {
+      this.setState({ isTagRequired })
+    }
+  }
+
+  onChangeTag = (str: string) => {
+    const tag = parseInt(str, 10)
+    if (!isNaN(tag) && isFinite(tag)) this.props.onChangeTag(tag)
+    else this.props.onChangeTag(undefined)
+  }
+
+  render() {
+    const { tag, t } = this.props
+    const { isTagRequired } = this.state
+    const field = (
+      <Box horizontal align="center" flow={5}>
+        <Box style={{ width: 200 }}>
+          <Label>
+            <span>{t('app:send.steps.amount.rippleTag')}</span>
+          </Label>
+        </Box>
+        <Box grow flow={1}>
+          <Input value={typeof tag === 'number' ? String(tag) : ''} onChange={this.onChangeTag} />
+          {isTagRequired && (
+            <Text ff="Open Sans" fontSize={3} color={typeof tag === 'number' ? 'grey' : 'alertRed'}>
+              {t('app:send.steps.amount.rippleTagRequired')}
+            </Text>
+          )}
+        </Box>
       </Box>
-    </Box>
-  </Spoiler>
-))
+    )
+    // a required tag can't be hidden in the advanced options
+    return isTagRequired ? (
+      field
+    ) : (
+      <Spoiler title={t('app:send.steps.amount.advancedOptions')}>{field}</Spoiler>
+    )
+  }
+}
+
+export default translate()(AdvancedOptionsRippleKind)
@@ -15,7 +15,7 @@ import { colors } from 'styles/theme'
 
 import { accountsSelector } from 'reducers/accounts'
 import { openModal } from 'reducers/modals'
-import { MODAL_ADD_ACCOUNTS } from 'config/constants'
+import { MODAL_ADD_ACCOUNTS, MODAL_EXPORT_OPERATIONS } from 'config/constants'
 import {
   counterValueCurrencySelector,
   localeSelector,
@@ -158,7 +158,10 @@ class DashboardPage extends PureComponent<Props> {
                     <Text color="dark" ff="Museo Sans" fontSize={6}>
                       {t('app:dashboard.accounts.title', { count: accounts.length })}
                     </Text>
-                    <Box ml="auto" horizontal flow={1}>
+                    <Box ml="auto" horizontal alignItems="center" flow={3}>
+                      <Button small outline onClick={() => openModal(MODAL_EXPORT_OPERATIONS)}>
+                        {t('app:exportOperations.btn')}
+                      </Button>
                       <AccountsOrder />
                     </Box>
                   </Box>
@@ -10,24 +10,27 @@ import type { T } from 'types/common'
 import InputCurrency from 'components/base/InputCurrency'
 import Select from 'components/base/Select'
 import type { Fees } from 'api/Fees'
+import { getFeeEstimates } from 'api/Fees'
+import { getFeeWarning } from 'helpers/fees'
 import WithFeesAPI from '../WithFeesAPI'
 import GenericContainer from './GenericContainer'
+import FeeOption, { customItem, getFeeItemLabel } from './FeeOption'
+import type { FeeItem } from './FeeOption'
+import FeesSummary from './FeesSummary'
 import Box from '../base/Box'
 
 type Props = {
   account: Account,
   feePerByte: number,
   onChange: number => void,
+  // the sum of the payments, without the fees
+  amount: number,
+  // resolve the total fees of the transaction with the current fees per byte.
+  // it's another function once the transaction changes
+  getTotalFees: () => Promise<?number>,
   t: T,
 }
 
-type FeeItem = {
-  label: string,
-  value: string,
-  blockCount: number,
-  feePerByte: number,
-}
-
 const InputRight = styled(Box).attrs({
   ff: 'Rubik',
   color: 'graphite',
@@ -36,64 +39,85 @@ const InputRight = styled(Box).attrs({
   pr: 3,
 })``
 
-const blockCountNameConvention = {
-  '1': 'High', // (fast confirmation)',
-  '3': 'Standard', // (normal confirmation)',
-  '6': 'Low', // (slow confirmation)',
-}
 const defaultBlockCount = 3
 
-const customItem = {
-  label: 'Custom',
-  value: 'custom',
-  blockCount: 0,
-  feePerByte: 0,
+type State = {
+  isFocused: boolean,
+  items: FeeItem[],
+  selectedItem: FeeItem,
+  totalFees: ?number,
 }
 
-type State = { isFocused: boolean, items: FeeItem[], selectedItem: FeeItem }
-
 class FeesField extends Component<Props & { fees?: Fees, error?: Error }, State> {
   state = {
     items: [customItem],
     selectedItem: customItem,
     isFocused: false,
+    totalFees: null,
   }
 
   static getDerivedStateFromProps(nextProps, prevState) {
     const { fees, feePerByte } = nextProps
-    let items: FeeItem[] = []
-    if (fees) {
-      for (const key of Object.keys(fees)) {
-        const feePerByte = Math.ceil(fees[key] / 1000)
-        const blockCount = parseInt(key, 10)
-        if (!isNaN(blockCount) && !isNaN(feePerByte)) {
-          items.push({
-            blockCount,
-            label: blockCountNameConvention[blockCount] || `${blockCount} blocks`,
-            feePerByte,
-            value: key,
-          })
-        }
-      }
-      items = items.sort((a, b) => a.blockCount - b.blockCount)
-    }
+    const items: FeeItem[] = fees
+      ? getFeeEstimates(fees).map(({ blockCount, value }) => ({
+          blockCount,
+          label: getFeeItemLabel(blockCount),
+          feeValue: value,
+          value: String(blockCount),
+        }))
+      : []
     items.push(customItem)
     const selectedItem =
-      prevState.selectedItem.feePerByte === feePerByte
+      prevState.selectedItem.feeValue === feePerByte
         ? prevState.selectedItem
-        : items.find(f => f.feePerByte === feePerByte) || items[items.length - 1]
+        : items.find(f => f.feeValue === feePerByte) || items[items.length - 1]
     return { items, selectedItem }
   }
 
-  componentDidUpdate() {
+  componentDidMount() {
+    this.loadTotalFees()
+  }
+
+  componentDidUpdate(prevProps) {
     const { feePerByte, fees, onChange } = this.props
     const { items, isFocused } = this.state
     if (fees && !feePerByte && !isFocused) {
       // initialize with the median
       const feePerByte = (items.find(item => item.blockCount === defaultBlockCount) || items[0])
-        .feePerByte
+        .feeValue
       onChange(feePerByte)
     }
+    if (prevProps.getTotalFees !== this.props.getTotalFees) {
+      this.loadTotalFees()
+    }
+  }
+
+  componentWillUnmount() {
+    this._unmounted = true
+  }
+
+  _unmounted = false
+  _feesRequestId = 0
+
+  async loadTotalFees() {
+    const requestId = ++this._feesRequestId
+    let totalFees = null
+    try {
+      totalFees = await this.props.getTotalFees()
+    } catch (e) {
+      // fees can't be computed for this transaction yet (e.g. no recipient)
+    }
+    if (!this._unmounted && requestId === this._feesRequestId) {
+      this.setState({ totalFees })
+    }
+  }
+
+  // the fees of the transaction with another fees per byte, for the same size
+  getTotalFeesFor(feeValue: number): ?number {
+    const { feePerByte } = this.props
+    const { totalFees } = this.state
+    if (!totalFees || !feePerByte) return null
+    return Math.ceil((totalFees / feePerByte) * feeValue)
   }
 
   onChangeFocus = isFocused => {
@@ -103,11 +127,11 @@ class FeesField extends Component<Props & { fees?: Fees, error?: Error }, State>
   onSelectChange = selectedItem => {
     const { onChange } = this.props
     const patch: $Shape<State> = { selectedItem }
-    if (selectedItem.feePerByte) {
-      onChange(selectedItem.feePerByte)
+    if (selectedItem.feeValue) {
+      onChange(selectedItem.feeValue)
     } else {
       const { input } = this
-      if (!selectedItem.feePerByte && input.current) {
+      if (!selectedItem.feeValue && input.current) {
         patch.isFocused = true
         input.current.select()
       }
@@ -117,16 +141,45 @@ class FeesField extends Component<Props & { fees?: Fees, error?: Error }, State>
 
   input = React.createRef()
 
+  renderOption = ({ data: item }) => (
+    <FeeOption
+      account={this.props.account}
+      item={item}
+      fees={this.getTotalFeesFor(item.feeValue)}
+    />
+  )
+
+  renderValue = ({ data: item }) =>
+    this.props.t(`app:send.steps.amount.feeOptions.${item.label}`, { count: item.blockCount })
+
   render() {
-    const { account, feePerByte, error, onChange, t } = this.props
-    const { items, selectedItem } = this.state
+    const { account, amount, feePerByte, error, onChange, t } = this.props
+    const { items, selectedItem, totalFees } = this.state
     const { units } = account.currency
 
     const satoshi = units[units.length - 1]
+    const estimates = items.filter(item => item.blockCount).map(item => item.feeValue)
 
     return (
-      <GenericContainer error={error}>
-        <Select width={156} options={items} value={selectedItem} onChange={this.onSelectChange} />
+      <GenericContainer
+        error={error}
+        footer={
+          <FeesSummary
+            account={account}
+            fees={totalFees}
+            amount={amount}
+            warning={getFeeWarning(feePerByte, estimates)}
+          />
+        }
+      >
+        <Select
+          width={156}
+          options={items}
+          value={selectedItem}
+          onChange={this.onSelectChange}
+          renderOption={this.renderOption}
+          renderValue={this.renderValue}
+        />
         <InputCurrency
           ref={this.input}
           defaultUnit={satoshi}
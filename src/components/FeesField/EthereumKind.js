@@ -5,15 +5,21 @@ import type { Account } from '@ledgerhq/live-common/lib/types'
 
 import InputCurrency from 'components/base/InputCurrency'
 import type { Fees } from 'api/Fees'
+import { getFeeWarning } from 'helpers/fees'
 import WithFeesAPI from '../WithFeesAPI'
 import GenericContainer from './GenericContainer'
+import FeesSummary from './FeesSummary'
 
 type Props = {
   account: Account,
   gasPrice: number,
+  gasLimit: number,
+  // null when a token is sent: it is not in the unit of the fees
+  amount: ?number,
   onChange: number => void,
 }
 
+// there is only one estimate of the gas price (without a time target): no options to choose from
 class FeesField extends Component<Props & { fees?: Fees, error?: Error }, *> {
   state = {
     isFocused: false,
@@ -29,10 +35,20 @@ class FeesField extends Component<Props & { fees?: Fees, error?: Error }, *> {
     this.setState({ isFocused })
   }
   render() {
-    const { account, gasPrice, error, onChange } = this.props
+    const { account, gasPrice, gasLimit, amount, fees, error, onChange } = this.props
     const { units } = account.currency
     return (
-      <GenericContainer error={error}>
+      <GenericContainer
+        error={error}
+        footer={
+          <FeesSummary
+            account={account}
+            fees={gasPrice && gasLimit ? gasPrice * gasLimit : null}
+            amount={amount}
+            warning={getFeeWarning(gasPrice, fees && fees.gas_price ? [fees.gas_price] : [])}
+          />
+        }
+      >
         <InputCurrency
           defaultUnit={units.length > 1 ? units[1] : units[0]}
           units={units}
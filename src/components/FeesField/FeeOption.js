@@ -0,0 +1,83 @@
+// @flow
+
+import React from 'react'
+import moment from 'moment'
+import { translate } from 'react-i18next'
+import type { Account } from '@ledgerhq/live-common/lib/types'
+
+import type { T } from 'types/common'
+import { getExpectedConfirmationTime } from 'api/Fees'
+
+import Box from 'components/base/Box'
+import Text from 'components/base/Text'
+import CounterValue from 'components/CounterValue'
+
+export type FeeItem = {
+  label: string,
+  value: string,
+  // 0 for the custom fees
+  blockCount: number,
+  // the fees per byte or the gas price
+  feeValue: number,
+}
+
+export const customItem: FeeItem = {
+  label: 'custom',
+  value: 'custom',
+  blockCount: 0,
+  feeValue: 0,
+}
+
+const blockCountNameConvention = {
+  '1': 'high', // (fast confirmation)',
+  '3': 'standard', // (normal confirmation)',
+  '6': 'low', // (slow confirmation)',
+}
+
+export const getFeeItemLabel = (blockCount: number): string =>
+  blockCount ? blockCountNameConvention[blockCount] || 'blocks' : 'custom'
+
+type Props = {
+  t: T,
+  account: Account,
+  item: FeeItem,
+  // the total fees of the transaction with this option, if known
+  fees: ?number,
+}
+
+// an option of the fees select: how long it takes to be confirmed and what it costs
+function FeeOption({ t, account, item, fees }: Props) {
+  const time = item.blockCount
+    ? getExpectedConfirmationTime(account.currency, item.blockCount)
+    : null
+  return (
+    <Box>
+      <Text ff="Open Sans|SemiBold" fontSize={4}>
+        {t(`app:send.steps.amount.feeOptions.${item.label}`, { count: item.blockCount })}
+      </Text>
+      {item.blockCount ? (
+        <Box horizontal align="center" flow={1}>
+          {time ? (
+            <Text ff="Open Sans" fontSize={2} color="grey">
+              {t('app:send.steps.amount.feeOptions.time', {
+                time: moment.duration(time, 'seconds').humanize(),
+              })}
+            </Text>
+          ) : null}
+          {typeof fees === 'number' ? (
+            <CounterValue
+              currency={account.currency}
+              value={fees}
+              color="grey"
+              fontSize={2}
+              showCode
+              alwaysShowSign={false}
+            />
+          ) : null}
+        </Box>
+      ) : null}
+    </Box>
+  )
+}
+
+export default translate()(FeeOption)
@@ -0,0 +1,68 @@
+// @flow
+
+import React from 'react'
+import { translate } from 'react-i18next'
+import type { Account } from '@ledgerhq/live-common/lib/types'
+
+import type { T } from 'types/common'
+import type { FeeWarning } from 'helpers/fees'
+import { getFeeShare, formatFeeShare } from 'helpers/fees'
+
+import Box from 'components/base/Box'
+import FormattedVal from 'components/base/FormattedVal'
+import Text from 'components/base/Text'
+import CounterValue from 'components/CounterValue'
+
+type Props = {
+  t: T,
+  account: Account,
+  // the total fees of the transaction, if known
+  fees: ?number,
+  // the amount sent, null when it is not in the unit of the fees (tokens)
+  amount: ?number,
+  warning: ?FeeWarning,
+}
+
+// what the chosen fees cost and how they compare to the estimates
+function FeesSummary({ t, account, fees, amount, warning }: Props) {
+  const share = typeof fees === 'number' && amount ? getFeeShare(fees, amount) : null
+  return (
+    <Box flow={1}>
+      {typeof fees === 'number' ? (
+        <Box horizontal align="center" flow={1} ff="Open Sans" fontSize={3} color="grey">
+          <Text>{t('app:send.steps.amount.feesSummary.cost')}</Text>
+          <FormattedVal
+            disableRounding
+            color="dark"
+            fontSize={3}
+            val={fees}
+            unit={account.unit}
+            showCode
+          />
+          <Text>{'(' /* eslint-disable-line react/jsx-no-literals */}</Text>
+          <CounterValue
+            currency={account.currency}
+            value={fees}
+            color="grey"
+            fontSize={3}
+            showCode
+            alwaysShowSign={false}
+          />
+          <Text>{')' /* eslint-disable-line react/jsx-no-literals */}</Text>
+          {typeof share === 'number' ? (
+            <Text>
+              {t('app:send.steps.amount.feesSummary.share', { share: formatFeeShare(share) })}
+            </Text>
+          ) : null}
+        </Box>
+      ) : null}
+      {warning ? (
+        <Text ff="Open Sans|SemiBold" fontSize={3} color="alertRed">
+          {t(`app:send.steps.amount.feesSummary.${warning}`)}
+        </Text>
+      ) : null}
+    </Box>
+  )
+}
+
+export default translate()(FeesSummary)
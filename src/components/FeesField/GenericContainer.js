@@ -9,7 +9,14 @@ import { openURL } from 'helpers/linking'
 import { urls } from 'config/support'
 import { track } from 'analytics/segment'
 
-export default translate()(({ children, t }: { children: React$Node, t: * }) => (
+type Props = {
+  children: React$Node,
+  // shown under the fields
+  footer?: React$Node,
+  t: *,
+}
+
+export default translate()(({ children, footer, t }: Props) => (
   <Box flow={1}>
     <LabelWithExternalIcon
       onClick={() => {
@@ -21,5 +28,6 @@ export default translate()(({ children, t }: { children: React$Node, t: * }) =>
     <Box horizontal flow={5}>
       {children}
     </Box>
+    {footer}
   </Box>
 ))
@@ -18,6 +18,9 @@ import { setEncryptionKey } from 'helpers/db'
 import hardReset from 'helpers/hardReset'
 
 import { fetchAccounts } from 'actions/accounts'
+import { fetchOperationNotes } from 'actions/operationNotes'
+import { fetchContacts } from 'actions/contacts'
+import { fetchPaymentRequests } from 'actions/paymentRequests'
 import { isLocked, unlock } from 'reducers/application'
 
 import Box from 'components/base/Box'
@@ -32,6 +35,9 @@ type InputValue = {
 type Props = {
   children: any,
   fetchAccounts: Function,
+  fetchOperationNotes: Function,
+  fetchContacts: Function,
+  fetchPaymentRequests: Function,
   isLocked: boolean,
   settings: Settings,
   t: T,
@@ -51,6 +57,9 @@ const mapStateToProps = state => ({
 
 const mapDispatchToProps: Object = {
   fetchAccounts,
+  fetchOperationNotes,
+  fetchContacts,
+  fetchPaymentRequests,
   unlock,
 }
 
@@ -110,12 +119,25 @@ class IsUnlocked extends Component<Props, State> {
   handleSubmit = async (e: SyntheticEvent<HTMLFormElement>) => {
     e.preventDefault()
 
-    const { settings, unlock, fetchAccounts } = this.props
+    const {
+      settings,
+      unlock,
+      fetchAccounts,
+      fetchOperationNotes,
+      fetchContacts,
+      fetchPaymentRequests,
+    } = this.props
     const { inputValue } = this.state
 
     if (bcrypt.compareSync(inputValue.password, get(settings, 'password.value'))) {
       setEncryptionKey('accounts', inputValue.password)
+      setEncryptionKey('operationNotes', inputValue.password)
+      setEncryptionKey('contacts', inputValue.password)
+      setEncryptionKey('paymentRequests', inputValue.password)
       await fetchAccounts()
+      fetchOperationNotes()
+      fetchContacts()
+      fetchPaymentRequests()
       unlock()
 
       this.setState({
@@ -52,6 +52,9 @@ class SetPassword extends PureComponent<StepProps, State> {
     const { nextStep, savePassword } = this.props
 
     setEncryptionKey('accounts', newPassword)
+    setEncryptionKey('operationNotes', newPassword)
+    setEncryptionKey('contacts', newPassword)
+    setEncryptionKey('paymentRequests', newPassword)
     const hash = newPassword ? bcrypt.hashSync(newPassword, 8) : undefined
     savePassword(hash)
     this.handleReset()
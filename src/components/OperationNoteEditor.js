@@ -0,0 +1,97 @@
+// @flow
+
+import React, { PureComponent } from 'react'
+import { connect } from 'react-redux'
+import { compose } from 'redux'
+import { translate } from 'react-i18next'
+
+import type { T } from 'types/common'
+import type { OperationNote } from 'reducers/operationNotes'
+import { operationNoteSelector, parseTags } from 'reducers/operationNotes'
+import { setOperationNote } from 'actions/operationNotes'
+
+import Box from 'components/base/Box'
+import Input from 'components/base/Input'
+
+type OwnProps = {
+  operationId: string,
+}
+
+type Props = OwnProps & {
+  t: T,
+  note: ?OperationNote,
+  setOperationNote: (string, OperationNote) => *,
+}
+
+type State = {
+  note: string,
+  tags: string,
+}
+
+const mapStateToProps = (state, props: OwnProps) => ({
+  note: operationNoteSelector(state, props),
+})
+
+const mapDispatchToProps = {
+  setOperationNote,
+}
+
+// the note is saved when the inputs lose the focus
+class OperationNoteEditor extends PureComponent<Props, State> {
+  constructor(props: Props) {
+    super(props)
+    const { note } = props
+    this.state = {
+      note: note ? note.note : '',
+      tags: note ? note.tags.join(', ') : '',
+    }
+  }
+
+  componentWillUnmount() {
+    this.save()
+  }
+
+  onChangeNote = (note: string) => this.setState({ note })
+  onChangeTags = (tags: string) => this.setState({ tags })
+
+  save = () => {
+    const { operationId, note, setOperationNote } = this.props
+    const next = { note: this.state.note.trim(), tags: parseTags(this.state.tags) }
+    const prev = note || { note: '', tags: [] }
+    if (next.note !== prev.note || next.tags.join() !== prev.tags.join()) {
+      setOperationNote(operationId, next)
+    }
+  }
+
+  render() {
+    const { t } = this.props
+    const { note, tags } = this.state
+    return (
+      <Box flow={2}>
+        <Input
+          value={note}
+          onChange={this.onChangeNote}
+          onBlur={this.save}
+          onEnter={this.save}
+          placeholder={t('app:operationDetails.notePlaceholder')}
+        />
+        <Input
+          small
+          value={tags}
+          onChange={this.onChangeTags}
+          onBlur={this.save}
+          onEnter={this.save}
+          placeholder={t('app:operationDetails.tagsPlaceholder')}
+        />
+      </Box>
+    )
+  }
+}
+
+export default compose(
+  connect(
+    mapStateToProps,
+    mapDispatchToProps,
+  ),
+  translate(),
+)(OperationNoteEditor)
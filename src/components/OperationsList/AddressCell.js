@@ -4,6 +4,7 @@ import React, { PureComponent } from 'react'
 import styled from 'styled-components'
 import type { Operation } from '@ledgerhq/live-common/lib/types'
 import Box from 'components/base/Box'
+import type { OperationNote } from 'reducers/operationNotes'
 
 const Address = ({ value }: { value: string }) => {
   if (!value) {
@@ -43,17 +44,29 @@ const Cell = styled(Box).attrs({
   width: 150px;
 `
 
+const NoteEllipsis = styled(AddressEllipsis)`
+  color: ${p => p.theme.colors.dark};
+`
+
+const Note = ({ value: { note, tags } }: { value: OperationNote }) => (
+  <Box horizontal mt={1} ff="Open Sans|SemiBold" fontSize={3}>
+    <NoteEllipsis>{[note, ...tags.map(tag => `#${tag}`)].filter(Boolean).join(' ')}</NoteEllipsis>
+  </Box>
+)
+
 type Props = {
   operation: Operation,
+  note?: ?OperationNote,
 }
 
 class AddressCell extends PureComponent<Props> {
   render() {
-    const { operation } = this.props
+    const { operation, note } = this.props
 
     return (
       <Cell grow shrink style={{ display: 'block' }}>
         <Address value={operation.type === 'IN' ? operation.senders[0] : operation.recipients[0]} />
+        {note && <Note value={note} />}
       </Cell>
     )
   }
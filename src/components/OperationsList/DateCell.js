@@ -6,6 +6,7 @@ import type { Operation } from '@ledgerhq/live-common/lib/types'
 import type { T } from 'types/common'
 import Box from 'components/base/Box'
 import OperationDate from './OperationDate'
+import OperationBadge, { isOperationFailed, isPartialPayment } from './OperationBadge'
 
 const Cell = styled(Box).attrs({
   px: 3,
@@ -28,8 +29,15 @@ class DateCell extends PureComponent<Props> {
     const { t, operation } = this.props
     return (
       <Cell>
-        <Box ff="Open Sans|SemiBold" fontSize={3} color="smoke">
-          {t(`app:operation.type.${operation.type}`)}
+        <Box horizontal align="center" flow={1}>
+          <Box ff="Open Sans|SemiBold" fontSize={3} color="smoke">
+            {t(`app:operation.type.${operation.type}`)}
+          </Box>
+          {isOperationFailed(operation) ? (
+            <OperationBadge>{t('app:operation.failed')}</OperationBadge>
+          ) : isPartialPayment(operation) ? (
+            <OperationBadge>{t('app:operation.partialPayment')}</OperationBadge>
+          ) : null}
         </Box>
         <OperationDate date={operation.date} />
       </Cell>
@@ -6,6 +6,7 @@ import { rgba } from 'styles/helpers'
 import Box from 'components/base/Box'
 import type { Account, Operation } from '@ledgerhq/live-common/lib/types'
 import type { T } from 'types/common'
+import type { OperationNote } from 'reducers/operationNotes'
 
 import ConfirmationCell from './ConfirmationCell'
 import DateCell from './DateCell'
@@ -34,6 +35,7 @@ const OperationRow = styled(Box).attrs({
 type Props = {
   operation: Operation,
   account: Account,
+  note: ?OperationNote,
   onOperationClick: (operation: Operation, account: Account) => void,
   t: T,
   withAccount: boolean,
@@ -50,7 +52,7 @@ class OperationComponent extends PureComponent<Props> {
   }
 
   render() {
-    const { account, t, operation, withAccount } = this.props
+    const { account, t, operation, note, withAccount } = this.props
     const isOptimistic = operation.blockHeight === null
     return (
       <OperationRow isOptimistic={isOptimistic} onClick={this.onOperationClick}>
@@ -58,7 +60,7 @@ class OperationComponent extends PureComponent<Props> {
         <DateCell operation={operation} t={t} />
         {withAccount &&
           account && <AccountCell accountName={account.name} currency={account.currency} />}
-        <AddressCell operation={operation} />
+        <AddressCell operation={operation} note={note} />
         <AmountCell operation={operation} currency={account.currency} unit={account.unit} />
       </OperationRow>
     )
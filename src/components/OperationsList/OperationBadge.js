@@ -0,0 +1,33 @@
+// @flow
+
+import styled from 'styled-components'
+import type { Operation } from '@ledgerhq/live-common/lib/types'
+
+import Text from 'components/base/Text'
+
+// hasFailed is set by the bridges on the operations of transactions which failed to execute
+// (it is not in the common Operation type)
+type MaybeFailedOperation = $Shape<Operation & { hasFailed: boolean }>
+
+export const isOperationFailed = (operation: Operation): boolean =>
+  !!(operation: MaybeFailedOperation).hasFailed
+
+// a partial payment may deliver much less than the amount it was made of
+type MaybePartialPayment = $Shape<Operation & { isPartialPayment: boolean }>
+
+export const isPartialPayment = (operation: Operation): boolean =>
+  !!(operation: MaybePartialPayment).isPartialPayment
+
+const OperationBadge = styled(Text).attrs({
+  ff: 'Open Sans|SemiBold',
+  fontSize: 2,
+  color: 'alertRed',
+  px: 1,
+})`
+  border: 1px solid ${p => p.theme.colors.alertRed};
+  border-radius: 3px;
+  text-transform: uppercase;
+  letter-spacing: 1px;
+`
+
+export default OperationBadge
@@ -13,16 +13,21 @@ import {
 import type { Operation, Account } from '@ledgerhq/live-common/lib/types'
 
 import keyBy from 'lodash/keyBy'
+import { createStructuredSelector } from 'reselect'
 
 import type { T } from 'types/common'
 
 import { MODAL_OPERATION_DETAILS } from 'config/constants'
 
 import { openModal } from 'reducers/modals'
+import type { OperationNotesState } from 'reducers/operationNotes'
+import { operationNotesSelector, matchOperation } from 'reducers/operationNotes'
 
 import IconAngleDown from 'icons/AngleDown'
+import IconSearch from 'icons/Search'
 
 import Box, { Card } from 'components/base/Box'
+import Input from 'components/base/Input'
 import Text from 'components/base/Text'
 import Track from 'analytics/Track'
 import { track } from 'analytics/segment'
@@ -46,14 +51,32 @@ const ShowMore = styled(Box).attrs({
   }
 `
 
+const mapStateToProps = createStructuredSelector({
+  operationNotes: operationNotesSelector,
+})
+
 const mapDispatchToProps = {
   openModal,
 }
 
+const filterAccountOperations = (
+  account: Account,
+  operationNotes: OperationNotesState,
+  search: string,
+): Account => {
+  const match = op => matchOperation(op, operationNotes[op.id], search)
+  return {
+    ...account,
+    operations: account.operations.filter(match),
+    pendingOperations: account.pendingOperations.filter(match),
+  }
+}
+
 type Props = {
   account: Account,
   accounts: Account[],
   openModal: (string, Object) => *,
+  operationNotes: OperationNotesState,
   t: T,
   withAccount?: boolean,
   title?: string,
@@ -61,10 +84,12 @@ type Props = {
 
 type State = {
   nbToShow: number,
+  search: string,
 }
 
 const initialState = {
   nbToShow: 20,
+  search: '',
 }
 
 export class OperationsList extends PureComponent<Props, State> {
@@ -86,27 +111,50 @@ export class OperationsList extends PureComponent<Props, State> {
     this.setState({ nbToShow: this.state.nbToShow + 20 })
   }
 
+  onChangeSearch = (search: string) => this.setState({ search })
+
   render() {
-    const { account, accounts, t, title, withAccount } = this.props
-    const { nbToShow } = this.state
+    const { account, accounts, operationNotes, t, title, withAccount } = this.props
+    const { nbToShow, search } = this.state
 
     if (!account && !accounts) {
       console.warn('Preventing render OperationsList because not received account or accounts') // eslint-disable-line no-console
       return null
     }
     const groupedOperations = accounts
-      ? groupAccountsOperationsByDay(accounts, nbToShow)
-      : groupAccountOperationsByDay(account, nbToShow)
+      ? groupAccountsOperationsByDay(
+          search ? accounts.map(a => filterAccountOperations(a, operationNotes, search)) : accounts,
+          nbToShow,
+        )
+      : groupAccountOperationsByDay(
+          search ? filterAccountOperations(account, operationNotes, search) : account,
+          nbToShow,
+        )
 
     const accountsMap = accounts ? keyBy(accounts, 'id') : { [account.id]: account }
 
     return (
       <Box flow={4}>
-        {title && (
-          <Text color="dark" ff="Museo Sans" fontSize={6}>
-            {title}
-          </Text>
-        )}
+        <Box horizontal alignItems="center">
+          {title && (
+            <Text color="dark" ff="Museo Sans" fontSize={6}>
+              {title}
+            </Text>
+          )}
+          <Box ml="auto" style={{ width: 300 }}>
+            <Input
+              small
+              value={search}
+              onChange={this.onChangeSearch}
+              placeholder={t('app:operationList.searchPlaceholder')}
+              renderLeft={
+                <Box pl={3} justify="center" color="grey">
+                  <IconSearch size={12} />
+                </Box>
+              }
+            />
+          </Box>
+        </Box>
         {groupedOperations.sections.map(group => (
           <Box flow={2} key={group.day.toISOString()}>
             <SectionTitle day={group.day} />
@@ -120,6 +168,7 @@ export class OperationsList extends PureComponent<Props, State> {
                   <OperationC
                     operation={operation}
                     account={account}
+                    note={operationNotes[operation.id]}
                     key={`${account.id}_${operation.id}`}
                     onOperationClick={this.handleClickOperation}
                     t={t}
@@ -146,7 +195,9 @@ export class OperationsList extends PureComponent<Props, State> {
         ) : (
           <Box p={6} align="center">
             <Text ff="Open Sans" fontSize={3}>
-              {t('app:operationList.noMoreOperations')}
+              {search && groupedOperations.sections.length === 0
+                ? t('app:operationList.noMatchingOperations')
+                : t('app:operationList.noMoreOperations')}
             </Text>
           </Box>
         )}
@@ -158,7 +209,7 @@ export class OperationsList extends PureComponent<Props, State> {
 export default compose(
   translate(),
   connect(
-    null,
+    mapStateToProps,
     mapDispatchToProps,
   ),
 )(OperationsList)
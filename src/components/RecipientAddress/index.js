@@ -5,12 +5,14 @@ import styled from 'styled-components'
 import noop from 'lodash/noop'
 import { decodeURIScheme } from '@ledgerhq/live-common/lib/helpers/currencies'
 import type { CryptoCurrency } from '@ledgerhq/live-common/lib/types'
+import type { Contact } from 'reducers/contacts'
 
 import { radii } from 'styles/theme'
 
 import QRCodeCameraPickerCanvas from 'components/QRCodeCameraPickerCanvas'
 import Box from 'components/base/Box'
 import Input from 'components/base/Input'
+import Text from 'components/base/Text'
 import { track } from 'analytics/segment'
 
 import IconQrCode from 'icons/QrCode'
@@ -43,15 +45,62 @@ const BackgroundLayer = styled(Box)`
   z-index: 2;
 `
 
+const Suggestions = styled(Box).attrs({
+  bg: 'white',
+  boxShadow: 0,
+  borderRadius: 1,
+  p: 2,
+})`
+  position: absolute;
+  left: 0;
+  right: 0;
+  top: 100%;
+  margin-top: 4px;
+  max-height: 200px;
+  overflow-y: auto;
+  z-index: 3;
+`
+
+const Suggestion = styled(Box).attrs({
+  borderRadius: 1,
+  px: 3,
+  py: 2,
+})`
+  cursor: pointer;
+  &:hover {
+    background: ${p => p.theme.colors.lightGrey};
+  }
+`
+
+type ContactSuggestion = { contact: Contact, address: string }
+
+// every address of the contacts, matched on the contact name or the address
+const getSuggestions = (contacts: Contact[], value: string): ContactSuggestion[] => {
+  const search = value.trim().toLowerCase()
+  return contacts
+    .reduce(
+      (all, contact) => all.concat(contact.addresses.map(address => ({ contact, address }))),
+      [],
+    )
+    .filter(
+      ({ contact, address }) =>
+        address !== value &&
+        (contact.name.toLowerCase().includes(search) || address.toLowerCase().includes(search)),
+    )
+}
+
 type Props = {
   value: string,
   // return false if it can't be changed (invalid info)
   onChange: (string, ?{ amount?: number, currency?: CryptoCurrency }) => ?boolean,
   withQrCode: boolean,
+  // address book entries suggested while typing
+  contacts: Contact[],
 }
 
 type State = {
   qrReaderOpened: boolean,
+  isFocused: boolean,
 }
 
 class RecipientAddress extends PureComponent<Props, State> {
@@ -59,10 +108,23 @@ class RecipientAddress extends PureComponent<Props, State> {
     value: '',
     onChange: noop,
     withQrCode: true,
+    contacts: [],
   }
 
   state = {
     qrReaderOpened: false,
+    isFocused: false,
+  }
+
+  handleFocus = () => this.setState({ isFocused: true })
+
+  handleBlur = () => this.setState({ isFocused: false })
+
+  // on mouse down, so that the suggestion is picked before the input is blurred
+  handlePickSuggestion = (e: SyntheticMouseEvent<*>, address: string) => {
+    e.preventDefault()
+    this.props.onChange(address)
+    this.setState({ isFocused: false })
   }
 
   handleClickQrCode = () => {
@@ -81,8 +143,9 @@ class RecipientAddress extends PureComponent<Props, State> {
   }
 
   render() {
-    const { onChange, withQrCode, value, ...rest } = this.props
-    const { qrReaderOpened } = this.state
+    const { onChange, withQrCode, value, contacts, ...rest } = this.props
+    const { qrReaderOpened, isFocused } = this.state
+    const suggestions = isFocused && !qrReaderOpened ? getSuggestions(contacts, value) : []
 
     return (
       <Box relative justifyContent="center">
@@ -91,6 +154,8 @@ class RecipientAddress extends PureComponent<Props, State> {
           value={value}
           withQrCode={withQrCode}
           onChange={onChange}
+          onFocus={this.handleFocus}
+          onBlur={this.handleBlur}
           renderRight={
             <Right onClick={this.handleClickQrCode}>
               <IconQrCode size={16} />
@@ -105,6 +170,23 @@ class RecipientAddress extends PureComponent<Props, State> {
             </Right>
           }
         />
+        {suggestions.length > 0 && (
+          <Suggestions>
+            {suggestions.map(({ contact, address }) => (
+              <Suggestion
+                key={`${contact.id}_${address}`}
+                onMouseDown={e => this.handlePickSuggestion(e, address)}
+              >
+                <Text ff="Open Sans|SemiBold" fontSize={4} color="dark">
+                  {contact.name}
+                </Text>
+                <Text ff="Open Sans" fontSize={3} color="grey">
+                  {address}
+                </Text>
+              </Suggestion>
+            ))}
+          </Suggestions>
+        )}
       </Box>
     )
   }
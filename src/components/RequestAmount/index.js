@@ -60,6 +60,10 @@ type OwnProps = {
 
   // display max button
   withMax: boolean,
+
+  // if provided, the max button is a toggle handled by the parent instead of filling the max value
+  onClickMax?: () => void,
+  isMaxActive?: boolean,
 }
 
 type Props = OwnProps & {
@@ -117,8 +121,10 @@ export class RequestAmount extends PureComponent<Props> {
   }
 
   handleClickMax = () => {
-    const { max, onChange } = this.props
-    if (isFinite(max)) {
+    const { max, onChange, onClickMax } = this.props
+    if (onClickMax) {
+      onClickMax()
+    } else if (isFinite(max)) {
       onChange(max)
     }
   }
@@ -167,7 +173,7 @@ export class RequestAmount extends PureComponent<Props> {
   }
 
   render() {
-    const { withMax, t } = this.props
+    const { withMax, onClickMax, isMaxActive, t } = this.props
 
     return (
       <Box horizontal flow={5} alignItems="center">
@@ -178,7 +184,11 @@ export class RequestAmount extends PureComponent<Props> {
         )}
         {withMax && (
           <Box grow justify="flex-end">
-            <Button primary onClick={this.handleClickMax}>
+            <Button
+              primary={!onClickMax || isMaxActive}
+              outline={!!onClickMax && !isMaxActive}
+              onClick={this.handleClickMax}
+            >
               {t('app:common.max')}
             </Button>
           </Box>
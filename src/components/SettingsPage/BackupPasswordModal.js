@@ -0,0 +1,152 @@
+// @flow
+
+import React, { PureComponent } from 'react'
+
+import Box from 'components/base/Box'
+import Button from 'components/base/Button'
+import InputPassword from 'components/base/InputPassword'
+import Label from 'components/base/Label'
+import Text from 'components/base/Text'
+import TranslatedError from 'components/TranslatedError'
+import { Modal, ModalContent, ModalBody, ModalTitle, ModalFooter } from 'components/base/Modal'
+
+import type { T } from 'types/common'
+
+type Props = {
+  t: T,
+  isOpened: boolean,
+  onClose: () => void,
+  // rejects if the password can't be used (e.g. it does not decrypt the backup)
+  onSubmit: string => Promise<void>,
+  title: string,
+  desc: string,
+  // a new password has to be typed twice
+  withConfirmation?: boolean,
+}
+
+type State = {
+  password: string,
+  confirmPassword: string,
+  error: ?Error,
+  pending: boolean,
+}
+
+const INITIAL_STATE = {
+  password: '',
+  confirmPassword: '',
+  error: null,
+  pending: false,
+}
+
+class BackupPasswordModal extends PureComponent<Props, State> {
+  state = INITIAL_STATE
+
+  componentWillUnmount() {
+    this._unmounted = true
+  }
+
+  _unmounted = false
+
+  handleSubmit = async (e: ?SyntheticEvent<HTMLFormElement>) => {
+    if (e) {
+      e.preventDefault()
+    }
+    if (!this.isValid()) return
+    const { onSubmit } = this.props
+    this.setState({ pending: true, error: null })
+    try {
+      await onSubmit(this.state.password)
+      if (this._unmounted) return
+      this.setState(INITIAL_STATE)
+    } catch (error) {
+      if (this._unmounted) return
+      this.setState({ pending: false, error })
+    }
+  }
+
+  handleInputChange = (key: 'password' | 'confirmPassword') => (value: string) => {
+    this.setState({ [key]: value, error: null })
+  }
+
+  handleReset = () => this.setState(INITIAL_STATE)
+
+  isValid = () => {
+    const { withConfirmation } = this.props
+    const { password, confirmPassword } = this.state
+    return !!password && (!withConfirmation || password === confirmPassword)
+  }
+
+  render() {
+    const { t, isOpened, onClose, title, desc, withConfirmation } = this.props
+    const { password, confirmPassword, error, pending } = this.state
+    return (
+      <Modal
+        isOpened={isOpened}
+        onHide={this.handleReset}
+        onClose={onClose}
+        render={({ onClose }) => (
+          <form onSubmit={this.handleSubmit}>
+            <ModalBody onClose={onClose}>
+              <ModalTitle>{title}</ModalTitle>
+              <ModalContent>
+                <Box ff="Open Sans" color="smoke" fontSize={4} textAlign="center" px={4}>
+                  {desc}
+                </Box>
+                <Box px={7} mt={4} flow={3}>
+                  <Box flow={1}>
+                    <Label htmlFor="backupPassword">{t('app:settings.backup.passwordLabel')}</Label>
+                    <InputPassword
+                      autoFocus
+                      id="backupPassword"
+                      withStrength={withConfirmation}
+                      onChange={this.handleInputChange('password')}
+                      value={password}
+                    />
+                  </Box>
+                  {withConfirmation && (
+                    <Box flow={1}>
+                      <Label htmlFor="backupConfirmPassword">
+                        {t('app:password.inputFields.confirmPassword.label')}
+                      </Label>
+                      <InputPassword
+                        id="backupConfirmPassword"
+                        onChange={this.handleInputChange('confirmPassword')}
+                        value={confirmPassword}
+                        error={
+                          password !== confirmPassword &&
+                          confirmPassword.length > 0 &&
+                          t('app:password.errorMessageNotMatchingPassword')
+                        }
+                      />
+                    </Box>
+                  )}
+                  {error && (
+                    <Text ff="Open Sans|SemiBold" color="alertRed" fontSize={3}>
+                      <TranslatedError error={error} />
+                    </Text>
+                  )}
+                </Box>
+              </ModalContent>
+              <ModalFooter horizontal align="center" justify="flex-end" flow={2}>
+                <Button small onClick={onClose}>
+                  {t('app:common.cancel')}
+                </Button>
+                <Button
+                  small
+                  primary
+                  isLoading={pending}
+                  onClick={this.handleSubmit}
+                  disabled={pending || !this.isValid()}
+                >
+                  {t('app:common.continue')}
+                </Button>
+              </ModalFooter>
+            </ModalBody>
+          </form>
+        )}
+      />
+    )
+  }
+}
+
+export default BackupPasswordModal
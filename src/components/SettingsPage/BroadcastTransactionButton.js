@@ -0,0 +1,189 @@
+// @flow
+
+import React, { Fragment, PureComponent } from 'react'
+import { connect } from 'react-redux'
+import { translate } from 'react-i18next'
+import { createSelector } from 'reselect'
+import type { Account, CryptoCurrency } from '@ledgerhq/live-common/lib/types'
+
+import type { T } from 'types/common'
+import { accountsSelector } from 'reducers/accounts'
+import { getBridgeForCurrency } from 'bridge'
+import { parseRawTransaction } from 'helpers/rawTransaction'
+
+import Box from 'components/base/Box'
+import Button from 'components/base/Button'
+import Ellipsis from 'components/base/Ellipsis'
+import { Textarea } from 'components/base/Input'
+import Label from 'components/base/Label'
+import Text from 'components/base/Text'
+import SelectCurrency from 'components/SelectCurrency'
+import TranslatedError from 'components/TranslatedError'
+import { Modal, ModalContent, ModalBody, ModalTitle, ModalFooter } from 'components/base/Modal'
+
+type Props = {
+  t: T,
+  accounts: Account[],
+}
+
+type State = {
+  opened: boolean,
+  currency: ?CryptoCurrency,
+  rawTransaction: string,
+  isBroadcasting: boolean,
+  txHash: ?string,
+  error: ?Error,
+}
+
+const INITIAL_STATE = {
+  opened: false,
+  currency: null,
+  rawTransaction: '',
+  isBroadcasting: false,
+  txHash: null,
+  error: null,
+}
+
+// the transactions are broadcasted like the ones of the accounts, so an account of the currency is needed
+const broadcastingAccountsSelector = createSelector(accountsSelector, accounts =>
+  accounts.filter(a => !!getBridgeForCurrency(a.currency).broadcastRawTransaction),
+)
+
+const mapStateToProps = state => ({
+  accounts: broadcastingAccountsSelector(state),
+})
+
+const getCurrencies = (accounts: Account[]): CryptoCurrency[] =>
+  accounts.reduce(
+    (currencies, a) =>
+      currencies.includes(a.currency) ? currencies : currencies.concat(a.currency),
+    [],
+  )
+
+// for the transactions signed offline (sign only), possibly on another computer
+class BroadcastTransactionButton extends PureComponent<Props, State> {
+  state = INITIAL_STATE
+
+  componentWillUnmount() {
+    this._isUnmounted = true
+  }
+
+  _isUnmounted = false
+
+  open = () => this.setState({ opened: true })
+  close = () => this.setState({ opened: false })
+  reset = () => this.setState(INITIAL_STATE)
+
+  handleChangeCurrency = (currency: ?CryptoCurrency) =>
+    this.setState({ currency, txHash: null, error: null })
+  handleChangeRawTransaction = (e: SyntheticInputEvent<HTMLTextAreaElement>) =>
+    this.setState({ rawTransaction: e.target.value, txHash: null, error: null })
+
+  broadcast = async () => {
+    const { accounts } = this.props
+    const { currency, rawTransaction } = this.state
+    const account = currency ? accounts.find(a => a.currency === currency) : null
+    if (!currency || !account) return
+    const { broadcastRawTransaction } = getBridgeForCurrency(currency)
+    if (!broadcastRawTransaction) return
+    this.setState({ isBroadcasting: true, txHash: null, error: null })
+    try {
+      const txHash = await broadcastRawTransaction(
+        account,
+        parseRawTransaction(currency, rawTransaction),
+      )
+      if (this._isUnmounted) return
+      this.setState({ isBroadcasting: false, txHash })
+    } catch (error) {
+      if (this._isUnmounted) return
+      this.setState({ isBroadcasting: false, error })
+    }
+  }
+
+  renderModal = ({ onClose }: *) => {
+    const { t, accounts } = this.props
+    const { currency, rawTransaction, isBroadcasting, txHash, error } = this.state
+    return (
+      <ModalBody onClose={onClose}>
+        <ModalTitle>{t('app:settings.broadcastTransaction.title')}</ModalTitle>
+        <ModalContent flow={3}>
+          <Box flow={1}>
+            <Label>{t('app:common.currency')}</Label>
+            <SelectCurrency
+              autoFocus
+              currencies={getCurrencies(accounts)}
+              onChange={this.handleChangeCurrency}
+              value={currency}
+            />
+          </Box>
+          <Box flow={1}>
+            <Label>{t('app:settings.broadcastTransaction.transaction')}</Label>
+            <Textarea
+              value={rawTransaction}
+              onChange={this.handleChangeRawTransaction}
+              placeholder={t('app:settings.broadcastTransaction.placeholder')}
+            />
+          </Box>
+          {txHash && (
+            <Box flow={1}>
+              <Label>{t('app:settings.broadcastTransaction.broadcasted')}</Label>
+              <Box ff="Open Sans|SemiBold" fontSize={4} color="dark">
+                <Ellipsis canSelect>{txHash}</Ellipsis>
+              </Box>
+            </Box>
+          )}
+          {error && (
+            <Box flow={1} color="alertRed" ff="Open Sans|SemiBold" fontSize={4}>
+              <TranslatedError error={error} />
+              <Text ff="Open Sans" fontSize={3}>
+                <TranslatedError error={error} field="description" />
+              </Text>
+            </Box>
+          )}
+        </ModalContent>
+        <ModalFooter horizontal align="center" justify="flex-end" flow={2}>
+          <Button small onClick={onClose} disabled={isBroadcasting}>
+            {t('app:common.close')}
+          </Button>
+          <Button
+            small
+            primary
+            event="BroadcastRawTransaction"
+            onClick={this.broadcast}
+            isLoading={isBroadcasting}
+            disabled={!currency || !rawTransaction.trim() || isBroadcasting || !!txHash}
+          >
+            {t('app:settings.broadcastTransaction.btn')}
+          </Button>
+        </ModalFooter>
+      </ModalBody>
+    )
+  }
+
+  render() {
+    const { t, accounts } = this.props
+    const { opened, isBroadcasting } = this.state
+    return (
+      <Fragment>
+        <Button
+          small
+          primary
+          event="BroadcastRawTransactionIntent"
+          onClick={this.open}
+          disabled={accounts.length === 0}
+        >
+          {t('app:settings.broadcastTransaction.btn')}
+        </Button>
+        <Modal
+          isOpened={opened}
+          onClose={this.close}
+          onHide={this.reset}
+          preventBackdropClick={isBroadcasting}
+          render={this.renderModal}
+        />
+      </Fragment>
+    )
+  }
+}
+
+export default translate()(connect(mapStateToProps)(BroadcastTransactionButton))
@@ -0,0 +1,219 @@
+// @flow
+
+import React, { PureComponent } from 'react'
+import { connect } from 'react-redux'
+import { translate } from 'react-i18next'
+import uuid from 'uuid/v4'
+import { getCryptoCurrencyById } from '@ledgerhq/live-common/lib/helpers/currencies'
+import type { CryptoCurrency } from '@ledgerhq/live-common/lib/types'
+
+import type { T } from 'types/common'
+import type { Contact } from 'reducers/contacts'
+import { addContact, updateContact } from 'actions/contacts'
+import { getBridgeForCurrency } from 'bridge'
+import { listCryptoCurrencies } from 'config/cryptocurrencies'
+
+import Box from 'components/base/Box'
+import Button from 'components/base/Button'
+import Input from 'components/base/Input'
+import Label from 'components/base/Label'
+import SelectCurrency from 'components/SelectCurrency'
+import { Modal, ModalContent, ModalBody, ModalTitle, ModalFooter } from 'components/base/Modal'
+import IconTrash from 'icons/Trash'
+
+const currencies = listCryptoCurrencies(true)
+
+type Props = {
+  t: T,
+  isOpened: boolean,
+  onClose: () => void,
+  // null to create a new contact
+  contact: ?Contact,
+  addContact: Contact => void,
+  updateContact: Contact => void,
+}
+
+type State = {
+  name: string,
+  currency: ?CryptoCurrency,
+  addresses: string[],
+  invalidAddresses: string[],
+  isValidating: boolean,
+}
+
+const mapDispatchToProps = {
+  addContact,
+  updateContact,
+}
+
+const stateOfContact = (contact: ?Contact): State => ({
+  name: contact ? contact.name : '',
+  currency: contact ? getCryptoCurrencyById(contact.currencyId) : null,
+  addresses: contact ? contact.addresses : [''],
+  invalidAddresses: [],
+  isValidating: false,
+})
+
+class ContactModal extends PureComponent<Props, State> {
+  state = stateOfContact(this.props.contact)
+
+  componentWillReceiveProps(nextProps: Props) {
+    if (nextProps.contact !== this.props.contact || nextProps.isOpened !== this.props.isOpened) {
+      this.setState(stateOfContact(nextProps.contact))
+    }
+  }
+
+  componentDidUpdate(prevProps: Props, prevState: State) {
+    if (
+      prevState.currency !== this.state.currency ||
+      prevState.addresses !== this.state.addresses
+    ) {
+      this.resync()
+    }
+  }
+
+  componentWillUnmount() {
+    this.syncId++
+  }
+
+  syncId = 0
+
+  // every address is checked by the bridge of the currency
+  async resync() {
+    const { currency, addresses } = this.state
+    const syncId = ++this.syncId
+    this.setState({ isValidating: true })
+    const validities = currency
+      ? await Promise.all(
+          addresses.map(
+            a => (a ? getBridgeForCurrency(currency).isRecipientValid(currency, a) : true),
+          ),
+        )
+      : addresses.map(() => true)
+    if (syncId !== this.syncId) return
+    this.setState({
+      invalidAddresses: addresses.filter((a, i) => !validities[i]),
+      isValidating: false,
+    })
+  }
+
+  handleChangeName = (name: string) => this.setState({ name })
+
+  handleChangeCurrency = (currency: ?CryptoCurrency) => this.setState({ currency })
+
+  handleChangeAddress = (i: number, address: string) =>
+    this.setState(({ addresses }) => ({
+      addresses: addresses.map((a, j) => (i === j ? address.trim() : a)),
+    }))
+
+  handleAddAddress = () => this.setState(({ addresses }) => ({ addresses: addresses.concat('') }))
+
+  handleRemoveAddress = (i: number) =>
+    this.setState(({ addresses }) => ({ addresses: addresses.filter((a, j) => i !== j) }))
+
+  handleSave = () => {
+    const { contact, addContact, updateContact, onClose } = this.props
+    const { name, currency, addresses } = this.state
+    if (!currency) return
+    const patch = {
+      name: name.trim(),
+      currencyId: currency.id,
+      addresses: addresses.filter(Boolean),
+    }
+    if (contact) {
+      updateContact({ ...contact, ...patch })
+    } else {
+      addContact({ id: uuid(), ...patch })
+    }
+    onClose()
+  }
+
+  renderBody = ({ onClose }: *) => {
+    const { t, contact } = this.props
+    const { name, currency, addresses, invalidAddresses, isValidating } = this.state
+    const canSave =
+      !!name.trim() &&
+      !!currency &&
+      addresses.some(Boolean) &&
+      invalidAddresses.length === 0 &&
+      !isValidating
+    return (
+      <ModalBody onClose={onClose}>
+        <ModalTitle>
+          {contact ? t('app:settings.contacts.edit') : t('app:settings.contacts.add')}
+        </ModalTitle>
+        <ModalContent flow={3}>
+          <Box flow={1}>
+            <Label>{t('app:settings.contacts.name')}</Label>
+            <Input autoFocus value={name} onChange={this.handleChangeName} />
+          </Box>
+          <Box flow={1}>
+            <Label>{t('app:common.currency')}</Label>
+            <SelectCurrency
+              currencies={currencies}
+              onChange={this.handleChangeCurrency}
+              value={currency}
+            />
+          </Box>
+          <Box flow={1}>
+            <Label>{t('app:settings.contacts.addresses')}</Label>
+            {addresses.map((address, i) => (
+              // addresses can be empty or the same while typing
+              // eslint-disable-next-line react/no-array-index-key
+              <Box key={i} horizontal align="flex-start" flow={2} pb={2}>
+                <Box grow shrink>
+                  <Input
+                    value={address}
+                    onChange={value => this.handleChangeAddress(i, value)}
+                    error={
+                      currency && invalidAddresses.includes(address)
+                        ? t('app:settings.contacts.invalidAddress', {
+                            currencyName: currency.name,
+                          })
+                        : false
+                    }
+                  />
+                </Box>
+                {addresses.length > 1 && (
+                  <Button
+                    outline
+                    onClick={() => this.handleRemoveAddress(i)}
+                    style={{ height: 40 }}
+                    title={t('app:settings.contacts.removeAddress')}
+                  >
+                    <IconTrash size={14} />
+                  </Button>
+                )}
+              </Box>
+            ))}
+            <Box horizontal>
+              <Button small outline onClick={this.handleAddAddress}>
+                {t('app:settings.contacts.addAddress')}
+              </Button>
+            </Box>
+          </Box>
+        </ModalContent>
+        <ModalFooter horizontal align="center" justify="flex-end" flow={2}>
+          <Button small onClick={onClose}>
+            {t('app:common.cancel')}
+          </Button>
+          <Button small primary event="SaveContact" onClick={this.handleSave} disabled={!canSave}>
+            {t('app:common.save')}
+          </Button>
+        </ModalFooter>
+      </ModalBody>
+    )
+  }
+
+  render() {
+    const { isOpened, onClose } = this.props
+    return <Modal isOpened={isOpened} onClose={onClose} render={this.renderBody} />
+  }
+}
+
+export default translate()(
+  connect(
+    null,
+    mapDispatchToProps,
+  )(ContactModal),
+)
@@ -10,7 +10,7 @@ import { counterValueCurrencySelector } from 'reducers/settings'
 import Select from 'components/base/Select'
 import Track from 'analytics/Track'
 
-const fiats = listFiatCurrencies()
+export const fiats = listFiatCurrencies()
   .map(f => f.units[0])
   // For now we take first unit, in the future we'll need to figure out something else
   .map(fiat => ({
@@ -52,6 +52,9 @@ class DisablePasswordButton extends PureComponent<Props, State> {
     const { saveSettings, unlock } = this.props
     window.requestIdleCallback(() => {
       setEncryptionKey('accounts', password)
+      setEncryptionKey('operationNotes', password)
+      setEncryptionKey('contacts', password)
+      setEncryptionKey('paymentRequests', password)
       const hash = password ? bcrypt.hashSync(password, 8) : undefined
       saveSettings({
         password: {
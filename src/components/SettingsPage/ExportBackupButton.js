@@ -0,0 +1,103 @@
+// @flow
+
+import fs from 'fs'
+import moment from 'moment'
+import { remote } from 'electron'
+import React, { Fragment, PureComponent } from 'react'
+import { compose } from 'redux'
+import { connect } from 'react-redux'
+import { translate } from 'react-i18next'
+import { createStructuredSelector } from 'reselect'
+import type { Account } from '@ledgerhq/live-common/lib/types'
+
+import type { T } from 'types/common'
+import type { SettingsState } from 'reducers/settings'
+import { accountsSelector } from 'reducers/accounts'
+import { settingsExportSelector } from 'reducers/settings'
+import type { OperationNotesState } from 'reducers/operationNotes'
+import { operationNotesSelector } from 'reducers/operationNotes'
+import type { ContactsState } from 'reducers/contacts'
+import { contactsSelector } from 'reducers/contacts'
+import type { PaymentRequestsState } from 'reducers/paymentRequests'
+import { paymentRequestsSelector } from 'reducers/paymentRequests'
+import { createBackup, encryptBackup } from 'helpers/backup'
+
+import Button from 'components/base/Button'
+import BackupPasswordModal from './BackupPasswordModal'
+
+type Props = {
+  t: T,
+  accounts: Account[],
+  settings: SettingsState,
+  operationNotes: OperationNotesState,
+  contacts: ContactsState,
+  paymentRequests: PaymentRequestsState,
+}
+
+type State = {
+  opened: boolean,
+}
+
+const mapStateToProps = createStructuredSelector({
+  accounts: accountsSelector,
+  settings: settingsExportSelector,
+  operationNotes: operationNotesSelector,
+  contacts: contactsSelector,
+  paymentRequests: paymentRequestsSelector,
+})
+
+class ExportBackupButton extends PureComponent<Props, State> {
+  state = {
+    opened: false,
+  }
+
+  open = () => this.setState({ opened: true })
+  close = () => this.setState({ opened: false })
+
+  export = async (password: string) => {
+    const { accounts, settings, operationNotes, contacts, paymentRequests, t } = this.props
+    const path = remote.dialog.showSaveDialog({
+      title: t('app:settings.backup.export.title'),
+      defaultPath: `ledgerlive-backup-${moment().format('YYYY.MM.DD')}.json`,
+      filters: [
+        {
+          name: 'Ledger Live backup',
+          extensions: ['json'],
+        },
+      ],
+    })
+    if (!path) return
+    const content = encryptBackup(
+      createBackup({ settings, accounts, operationNotes, contacts, paymentRequests }),
+      password,
+    )
+    fs.writeFileSync(path, content)
+    this.close()
+  }
+
+  render() {
+    const { t } = this.props
+    const { opened } = this.state
+    return (
+      <Fragment>
+        <Button small primary event="ExportBackupIntent" onClick={this.open}>
+          {t('app:settings.backup.export.btn')}
+        </Button>
+        <BackupPasswordModal
+          t={t}
+          isOpened={opened}
+          onClose={this.close}
+          onSubmit={this.export}
+          title={t('app:settings.backup.export.title')}
+          desc={t('app:settings.backup.export.passwordDesc')}
+          withConfirmation
+        />
+      </Fragment>
+    )
+  }
+}
+
+export default compose(
+  translate(),
+  connect(mapStateToProps),
+)(ExportBackupButton)
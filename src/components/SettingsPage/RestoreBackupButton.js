@@ -0,0 +1,74 @@
+// @flow
+
+import fs from 'fs'
+import { remote } from 'electron'
+import React, { Fragment, PureComponent } from 'react'
+import { translate } from 'react-i18next'
+
+import type { T } from 'types/common'
+import { decryptBackup, restoreBackup } from 'helpers/backup'
+
+import Button from 'components/base/Button'
+import BackupPasswordModal from './BackupPasswordModal'
+
+type Props = {
+  t: T,
+}
+
+type State = {
+  // content of the backup file to restore
+  content: ?string,
+}
+
+class RestoreBackupButton extends PureComponent<Props, State> {
+  state = {
+    content: null,
+  }
+
+  open = () => {
+    const { t } = this.props
+    const paths = remote.dialog.showOpenDialog({
+      title: t('app:settings.backup.restore.title'),
+      properties: ['openFile'],
+      filters: [
+        {
+          name: 'Ledger Live backup',
+          extensions: ['json'],
+        },
+      ],
+    })
+    if (!paths || !paths[0]) return
+    this.setState({ content: fs.readFileSync(paths[0], 'utf-8') })
+  }
+
+  close = () => this.setState({ content: null })
+
+  restore = async (password: string) => {
+    const { content } = this.state
+    if (!content) return
+    const backup = decryptBackup(content, password)
+    await restoreBackup(backup)
+  }
+
+  render() {
+    const { t } = this.props
+    const { content } = this.state
+    return (
+      <Fragment>
+        <Button small primary event="RestoreBackupIntent" onClick={this.open}>
+          {t('app:settings.backup.restore.btn')}
+        </Button>
+        <BackupPasswordModal
+          t={t}
+          isOpened={!!content}
+          onClose={this.close}
+          onSubmit={this.restore}
+          title={t('app:settings.backup.restore.title')}
+          desc={t('app:settings.backup.restore.passwordDesc')}
+        />
+      </Fragment>
+    )
+  }
+}
+
+export default translate()(RestoreBackupButton)
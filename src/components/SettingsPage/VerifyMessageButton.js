@@ -0,0 +1,143 @@
+// @flow
+
+import React, { Fragment, PureComponent } from 'react'
+import { translate } from 'react-i18next'
+import type { CryptoCurrency } from '@ledgerhq/live-common/lib/types'
+
+import type { T } from 'types/common'
+import { listCryptoCurrencies } from 'config/cryptocurrencies'
+import { canSignMessage, verifyMessage } from 'helpers/messageSignature'
+
+import Box from 'components/base/Box'
+import Button from 'components/base/Button'
+import Input, { Textarea } from 'components/base/Input'
+import Label from 'components/base/Label'
+import Text from 'components/base/Text'
+import SelectCurrency from 'components/SelectCurrency'
+import { Modal, ModalContent, ModalBody, ModalTitle, ModalFooter } from 'components/base/Modal'
+
+const currencies = listCryptoCurrencies(true).filter(canSignMessage)
+
+type Props = {
+  t: T,
+}
+
+type State = {
+  opened: boolean,
+  currency: ?CryptoCurrency,
+  address: string,
+  message: string,
+  signature: string,
+  // null until verified
+  isValid: ?boolean,
+}
+
+const INITIAL_STATE = {
+  opened: false,
+  currency: null,
+  address: '',
+  message: '',
+  signature: '',
+  isValid: null,
+}
+
+// verification is offline: no device, no network
+class VerifyMessageButton extends PureComponent<Props, State> {
+  state = INITIAL_STATE
+
+  open = () => this.setState({ opened: true })
+  close = () => this.setState({ opened: false })
+  reset = () => this.setState(INITIAL_STATE)
+
+  // any change invalidates the last verification
+  handleChangeCurrency = (currency: ?CryptoCurrency) => this.setState({ currency, isValid: null })
+  handleChangeAddress = (address: string) => this.setState({ address, isValid: null })
+  handleChangeMessage = (e: SyntheticInputEvent<HTMLTextAreaElement>) =>
+    this.setState({ message: e.target.value, isValid: null })
+  handleChangeSignature = (signature: string) => this.setState({ signature, isValid: null })
+
+  verify = () => {
+    const { currency, address, message, signature } = this.state
+    if (!currency) return
+    this.setState({ isValid: verifyMessage(currency, address, message, signature) })
+  }
+
+  renderModal = ({ onClose }: *) => {
+    const { t } = this.props
+    const { currency, address, message, signature, isValid } = this.state
+    return (
+      <ModalBody onClose={onClose}>
+        <ModalTitle>{t('app:settings.verifyMessage.title')}</ModalTitle>
+        <ModalContent flow={3}>
+          <Box flow={1}>
+            <Label>{t('app:common.currency')}</Label>
+            <SelectCurrency
+              autoFocus
+              currencies={currencies}
+              onChange={this.handleChangeCurrency}
+              value={currency}
+            />
+          </Box>
+          <Box flow={1}>
+            <Label>{t('app:signMessage.address')}</Label>
+            <Input value={address} onChange={this.handleChangeAddress} />
+          </Box>
+          <Box flow={1}>
+            <Label>{t('app:signMessage.message')}</Label>
+            <Textarea value={message} onChange={this.handleChangeMessage} />
+          </Box>
+          <Box flow={1}>
+            <Label>{t('app:signMessage.signature')}</Label>
+            <Input value={signature} onChange={this.handleChangeSignature} />
+          </Box>
+          {isValid !== null && (
+            <Text
+              ff="Open Sans|SemiBold"
+              color={isValid ? 'positiveGreen' : 'alertRed'}
+              fontSize={4}
+              textAlign="center"
+            >
+              {isValid
+                ? t('app:settings.verifyMessage.valid')
+                : t('app:settings.verifyMessage.invalid')}
+            </Text>
+          )}
+        </ModalContent>
+        <ModalFooter horizontal align="center" justify="flex-end" flow={2}>
+          <Button small onClick={onClose}>
+            {t('app:common.close')}
+          </Button>
+          <Button
+            small
+            primary
+            event="VerifyMessage"
+            onClick={this.verify}
+            disabled={!currency || !address || !signature}
+          >
+            {t('app:settings.verifyMessage.btn')}
+          </Button>
+        </ModalFooter>
+      </ModalBody>
+    )
+  }
+
+  render() {
+    const { t } = this.props
+    const { opened } = this.state
+    return (
+      <Fragment>
+        <Button small primary event="VerifyMessageIntent" onClick={this.open}>
+          {t('app:settings.verifyMessage.btn')}
+        </Button>
+        <Modal
+          isOpened={opened}
+          onClose={this.close}
+          onHide={this.reset}
+          render={this.renderModal}
+        />
+      </Fragment>
+    )
+  }
+}
+
+export default translate()(VerifyMessageButton)
@@ -7,12 +7,12 @@ import { translate } from 'react-i18next'
 import type { T } from 'types/common'
 import { Switch, Route } from 'react-router'
 import type { RouterHistory, Match, Location } from 'react-router'
-import { EXPERIMENTAL_TOOLS_SETTINGS } from 'config/constants'
 import { accountsSelector } from 'reducers/accounts'
 import Pills from 'components/base/Pills'
 import Box from 'components/base/Box'
 import SectionDisplay from './sections/Display'
 import SectionCurrencies from './sections/Currencies'
+import SectionContacts from './sections/Contacts'
 import SectionHelp from './sections/Help'
 import SectionAbout from './sections/About'
 import SectionTools from './sections/Tools'
@@ -48,6 +48,11 @@ class SettingsPage extends PureComponent<Props, State> {
         label: props.t('app:settings.tabs.currencies'),
         value: SectionCurrencies,
       },
+      {
+        key: 'contacts',
+        label: props.t('app:settings.tabs.contacts'),
+        value: SectionContacts,
+      },
       {
         key: 'about',
         label: props.t('app:settings.tabs.about'),
@@ -58,15 +63,12 @@ class SettingsPage extends PureComponent<Props, State> {
         label: props.t('app:settings.tabs.help'),
         value: SectionHelp,
       },
-    ]
-
-    if (EXPERIMENTAL_TOOLS_SETTINGS) {
-      this._items.push({
-        key: 'tool',
-        label: 'Experimental Tools',
+      {
+        key: 'tools',
+        label: props.t('app:settings.tabs.tools'),
         value: SectionTools,
-      })
-    }
+      },
+    ]
 
     this.state = {
       tab: this.getCurrentTab({ url: props.match.url, pathname: props.location.pathname }),
@@ -0,0 +1,136 @@
+// @flow
+
+import React, { PureComponent } from 'react'
+import { connect } from 'react-redux'
+import { translate } from 'react-i18next'
+import { getCryptoCurrencyById } from '@ledgerhq/live-common/lib/helpers/currencies'
+import type { T } from 'types/common'
+import type { Contact, ContactsState } from 'reducers/contacts'
+import { contactsSelector } from 'reducers/contacts'
+import { removeContact } from 'actions/contacts'
+import TrackPage from 'analytics/TrackPage'
+import IconUser from 'icons/User'
+import IconEdit from 'icons/Edit'
+import IconTrash from 'icons/Trash'
+import Box from 'components/base/Box'
+import Button from 'components/base/Button'
+import Ellipsis from 'components/base/Ellipsis'
+import Text from 'components/base/Text'
+import CryptoCurrencyIcon from 'components/CryptoCurrencyIcon'
+import ContactModal from '../ContactModal'
+
+import {
+  SettingsSection as Section,
+  SettingsSectionHeader as Header,
+  SettingsSectionBody as Body,
+} from '../SettingsSection'
+
+type Props = {
+  t: T,
+  contacts: ContactsState,
+  removeContact: string => void,
+}
+
+type State = {
+  isModalOpened: boolean,
+  // the contact being edited, null when adding one
+  contact: ?Contact,
+}
+
+const mapStateToProps = state => ({
+  contacts: contactsSelector(state),
+})
+
+const mapDispatchToProps = {
+  removeContact,
+}
+
+class SectionContacts extends PureComponent<Props, State> {
+  state = {
+    isModalOpened: false,
+    contact: null,
+  }
+
+  handleAdd = () => this.setState({ isModalOpened: true, contact: null })
+
+  handleEdit = (contact: Contact) => this.setState({ isModalOpened: true, contact })
+
+  handleCloseModal = () => this.setState({ isModalOpened: false })
+
+  renderContact = (contact: Contact) => {
+    const { t, removeContact } = this.props
+    const currency = getCryptoCurrencyById(contact.currencyId)
+    return (
+      <Box key={contact.id} horizontal align="center" flow={3} p={4}>
+        <CryptoCurrencyIcon currency={currency} size={16} />
+        <Box grow shrink flow={1} style={{ minWidth: 0 }}>
+          <Text ff="Open Sans|SemiBold" color="dark" fontSize={4}>
+            {contact.name}
+          </Text>
+          {contact.addresses.map(address => (
+            <Ellipsis key={address} canSelect ff="Open Sans" fontSize={3} color="grey">
+              {address}
+            </Ellipsis>
+          ))}
+        </Box>
+        <Button
+          small
+          outline
+          onClick={() => this.handleEdit(contact)}
+          title={t('app:settings.contacts.edit')}
+        >
+          <IconEdit size={14} />
+        </Button>
+        <Button
+          small
+          outline
+          event="RemoveContact"
+          onClick={() => removeContact(contact.id)}
+          title={t('app:settings.contacts.remove')}
+        >
+          <IconTrash size={14} />
+        </Button>
+      </Box>
+    )
+  }
+
+  render() {
+    const { t, contacts } = this.props
+    const { isModalOpened, contact } = this.state
+    return (
+      <Section>
+        <TrackPage category="Settings" name="Contacts" />
+
+        <Header
+          icon={<IconUser size={16} />}
+          title={t('app:settings.tabs.contacts')}
+          desc={t('app:settings.contacts.desc')}
+          renderRight={
+            <Button small primary event="AddContactIntent" onClick={this.handleAdd}>
+              {t('app:settings.contacts.add')}
+            </Button>
+          }
+        />
+
+        <Body>
+          {contacts.length === 0 ? (
+            <Box p={4} ff="Open Sans" fontSize={3} color="grey">
+              {t('app:settings.contacts.empty')}
+            </Box>
+          ) : (
+            contacts.map(this.renderContact)
+          )}
+        </Body>
+
+        <ContactModal isOpened={isModalOpened} contact={contact} onClose={this.handleCloseModal} />
+      </Section>
+    )
+  }
+}
+
+export default translate()(
+  connect(
+    mapStateToProps,
+    mapDispatchToProps,
+  )(SectionContacts),
+)
@@ -2,12 +2,35 @@
 
 import React, { PureComponent } from 'react'
 import { translate } from 'react-i18next'
-import Box, { Card } from 'components/base/Box'
+import type { T } from 'types/common'
+import { EXPERIMENTAL_TOOLS_SETTINGS } from 'config/constants'
+import TrackPage from 'analytics/TrackPage'
+import IconControls from 'icons/Controls'
+import Box from 'components/base/Box'
 import Modal, { ModalBody, ModalContent, ModalTitle } from 'components/base/Modal'
 import Button from 'components/base/Button'
 import QRCodeExporter from 'components/QRCodeExporter'
+import ExportBackupButton from '../ExportBackupButton'
+import RestoreBackupButton from '../RestoreBackupButton'
+import VerifyMessageButton from '../VerifyMessageButton'
+import BroadcastTransactionButton from '../BroadcastTransactionButton'
 
-class TabProfile extends PureComponent<*, *> {
+import {
+  SettingsSection as Section,
+  SettingsSectionHeader as Header,
+  SettingsSectionBody as Body,
+  SettingsSectionRow as Row,
+} from '../SettingsSection'
+
+type Props = {
+  t: T,
+}
+
+type State = {
+  qrcodeMobileExportModal: boolean,
+}
+
+class SectionTools extends PureComponent<Props, State> {
   state = {
     qrcodeMobileExportModal: false,
   }
@@ -33,23 +56,59 @@ class TabProfile extends PureComponent<*, *> {
   )
 
   render() {
+    const { t } = this.props
     const { qrcodeMobileExportModal } = this.state
     return (
-      <Card flow={3}>
-        <Box horizontal>
-          <Button small onClick={this.onQRCodeMobileExport} primary>
-            QRCode Mobile Export
-          </Button>
-
-          <Modal
-            isOpened={qrcodeMobileExportModal}
-            onClose={this.onRequestClose}
-            render={this.renderQRCodeModal}
-          />
-        </Box>
-      </Card>
+      <Section>
+        <TrackPage category="Settings" name="Tools" />
+
+        <Header
+          icon={<IconControls size={16} />}
+          title={t('app:settings.tabs.tools')}
+          desc={t('app:settings.tools.desc')}
+        />
+
+        <Body>
+          <Row
+            title={t('app:settings.backup.export.title')}
+            desc={t('app:settings.backup.export.desc')}
+          >
+            <ExportBackupButton />
+          </Row>
+          <Row
+            title={t('app:settings.backup.restore.title')}
+            desc={t('app:settings.backup.restore.desc')}
+          >
+            <RestoreBackupButton />
+          </Row>
+          <Row
+            title={t('app:settings.verifyMessage.title')}
+            desc={t('app:settings.verifyMessage.desc')}
+          >
+            <VerifyMessageButton />
+          </Row>
+          <Row
+            title={t('app:settings.broadcastTransaction.title')}
+            desc={t('app:settings.broadcastTransaction.desc')}
+          >
+            <BroadcastTransactionButton />
+          </Row>
+          {EXPERIMENTAL_TOOLS_SETTINGS && (
+            <Row title="QRCode Mobile Export" desc="Experimental">
+              <Button small onClick={this.onQRCodeMobileExport} primary>
+                QRCode Mobile Export
+              </Button>
+              <Modal
+                isOpened={qrcodeMobileExportModal}
+                onClose={this.onRequestClose}
+                render={this.renderQRCodeModal}
+              />
+            </Row>
+          )}
+        </Body>
+      </Section>
     )
   }
 }
 
-export default translate()(TabProfile)
+export default translate()(SectionTools)
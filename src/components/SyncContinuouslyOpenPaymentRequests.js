@@ -0,0 +1,72 @@
+// @flow
+// Sync continuously the accounts that wait for the payment of a request
+
+import React, { Component } from 'react'
+import uniq from 'lodash/uniq'
+import { createStructuredSelector, createSelector } from 'reselect'
+import { connect } from 'react-redux'
+import { BridgeSyncConsumer } from 'bridge/BridgeSyncContext'
+import type { Sync } from 'bridge/BridgeSyncContext'
+import { accountsSelector } from 'reducers/accounts'
+import { paymentRequestsSelector } from 'reducers/paymentRequests'
+import { getPaymentRequestsStates, isPaymentRequestOpen } from 'helpers/paymentRequests'
+
+const accountIdsWithOpenPaymentRequestsSelector = createSelector(
+  paymentRequestsSelector,
+  accountsSelector,
+  (requests, accounts) =>
+    uniq(
+      getPaymentRequestsStates(requests, accounts)
+        .filter(isPaymentRequestOpen)
+        .map(s => s.request.accountId),
+    ),
+)
+
+class SyncContOpenPaymentRequestsConnected extends Component<{
+  sync: Sync,
+  accountIds: string[],
+  priority: number,
+  interval: number,
+}> {
+  componentDidMount() {
+    this.timeout = setTimeout(this.check, this.props.interval)
+  }
+  componentWillUnmount() {
+    clearTimeout(this.timeout)
+  }
+  check = () => {
+    const { sync, accountIds, priority, interval } = this.props
+    this.timeout = setTimeout(this.check, interval)
+    if (accountIds.length > 0) {
+      sync({
+        type: 'SYNC_SOME_ACCOUNTS',
+        accountIds,
+        priority,
+      })
+    }
+  }
+  timeout: *
+  render() {
+    return null
+  }
+}
+
+const Effect = connect(
+  createStructuredSelector({
+    accountIds: accountIdsWithOpenPaymentRequestsSelector,
+  }),
+)(SyncContOpenPaymentRequestsConnected)
+
+const SyncContinuouslyOpenPaymentRequests = ({
+  priority,
+  interval,
+}: {
+  priority: number,
+  interval: number,
+}) => (
+  <BridgeSyncConsumer>
+    {sync => <Effect sync={sync} interval={interval} priority={priority} />}
+  </BridgeSyncConsumer>
+)
+
+export default SyncContinuouslyOpenPaymentRequests
@@ -13,8 +13,11 @@ import type { T } from 'types/common'
 import { lock } from 'reducers/application'
 import { hasPassword } from 'reducers/settings'
 import { hasAccountsSelector } from 'reducers/accounts'
+import { repeatedlyFailingAccountsSelector } from 'reducers/bridgeSync'
 import { openModal } from 'reducers/modals'
+import { MODAL_SYNC_STATUS } from 'config/constants'
 
+import IconActivity from 'icons/Activity'
 import IconLock from 'icons/Lock'
 import IconSettings from 'icons/Settings'
 
@@ -56,6 +59,7 @@ const Bar = styled.div`
 const mapStateToProps = state => ({
   hasPassword: hasPassword(state),
   hasAccounts: hasAccountsSelector(state),
+  failingAccountsCount: repeatedlyFailingAccountsSelector(state).length,
 })
 
 const mapDispatchToProps = {
@@ -66,6 +70,7 @@ const mapDispatchToProps = {
 type Props = {
   hasPassword: boolean,
   hasAccounts: boolean,
+  failingAccountsCount: number,
   history: RouterHistory,
   location: Location,
   lock: Function,
@@ -78,6 +83,8 @@ let settingsClickTimes = []
 class TopBar extends PureComponent<Props> {
   handleLock = () => this.props.lock()
 
+  openSyncStatus = () => this.props.openModal(MODAL_SYNC_STATUS)
+
   navigateToSettings = () => {
     const { location, history } = this.props
     const url = '/settings'
@@ -94,7 +101,7 @@ class TopBar extends PureComponent<Props> {
     }
   }
   render() {
-    const { hasPassword, hasAccounts, t } = this.props
+    const { hasPassword, hasAccounts, failingAccountsCount, t } = this.props
 
     return (
       <Container bg="lightGrey" color="graphite">
@@ -104,6 +111,21 @@ class TopBar extends PureComponent<Props> {
             {hasAccounts && (
               <Fragment>
                 <ActivityIndicator />
+                <Tooltip
+                  render={() =>
+                    failingAccountsCount > 0
+                      ? t('app:syncStatus.failingAccounts', { count: failingAccountsCount })
+                      : t('app:syncStatus.title')
+                  }
+                >
+                  <ItemContainer
+                    isInteractive
+                    color={failingAccountsCount > 0 ? 'alertRed' : undefined}
+                    onClick={this.openSyncStatus}
+                  >
+                    <IconActivity size={16} />
+                  </ItemContainer>
+                </Tooltip>
                 <Box justifyContent="center">
                   <Bar />
                 </Box>
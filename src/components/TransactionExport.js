@@ -0,0 +1,86 @@
+// @flow
+
+import fs from 'fs'
+import { remote } from 'electron'
+import React, { PureComponent } from 'react'
+import styled from 'styled-components'
+import { translate } from 'react-i18next'
+
+import type { T } from 'types/common'
+
+import Box from 'components/base/Box'
+import Button from 'components/base/Button'
+import Label from 'components/base/Label'
+import QRCode from 'components/base/QRCode'
+import CopyWithFeedback from 'components/base/CopyWithFeedback'
+
+// beyond that, the QR code is too dense to be scanned
+const QR_CODE_MAX_LENGTH = 2900
+
+const Value = styled(Box).attrs({
+  ff: 'Open Sans|SemiBold',
+  fontSize: 3,
+  color: 'dark',
+  p: 3,
+  bg: 'lightGrey',
+  borderRadius: 1,
+})`
+  user-select: text;
+  word-break: break-all;
+  max-height: 120px;
+  overflow-y: auto;
+`
+
+type Props = {
+  t: T,
+  label: string,
+  // the text that is displayed, copied & put in the QR code
+  data: string,
+  fileName: string,
+  fileFilter: { name: string, extensions: string[] },
+  // what is written in the file, the data itself by default
+  fileContent?: Buffer,
+}
+
+// a transaction (unsigned, partially or fully signed) that leaves the app to be signed or broadcasted elsewhere
+class TransactionExport extends PureComponent<Props> {
+  handleSave = () => {
+    const { t, data, fileName, fileFilter, fileContent } = this.props
+    const path = remote.dialog.showSaveDialog({
+      title: t('app:transactionExport.save'),
+      defaultPath: fileName,
+      filters: [fileFilter],
+    })
+    if (!path) return
+    fs.writeFileSync(path, fileContent || data)
+  }
+
+  render() {
+    const { t, label, data } = this.props
+    return (
+      <Box flow={2}>
+        <Box horizontal alignItems="center">
+          <Label>{label}</Label>
+          <Box ml="auto" color="wallet">
+            <CopyWithFeedback text={data} />
+          </Box>
+        </Box>
+        <Value>{data}</Value>
+        <Box horizontal alignItems="flex-start" justifyContent="space-between">
+          {data.length <= QR_CODE_MAX_LENGTH ? (
+            <QRCode size={160} data={data} />
+          ) : (
+            <Box ff="Open Sans" fontSize={3} color="grey">
+              {t('app:transactionExport.tooLongForQRCode')}
+            </Box>
+          )}
+          <Button small outline event="SaveTransactionFile" onClick={this.handleSave}>
+            {t('app:transactionExport.save')}
+          </Button>
+        </Box>
+      </Box>
+    )
+  }
+}
+
+export default translate()(TransactionExport)
@@ -6,7 +6,7 @@ import { compose } from 'redux'
 import styled from 'styled-components'
 import { Route, withRouter } from 'react-router'
 import { translate } from 'react-i18next'
-import { SYNC_PENDING_INTERVAL } from 'config/constants'
+import { SYNC_PENDING_INTERVAL, SYNC_PAYMENT_REQUESTS_INTERVAL } from 'config/constants'
 
 import type { Location } from 'react-router'
 
@@ -32,6 +32,7 @@ import IsUnlocked from 'components/IsUnlocked'
 import SideBar from 'components/MainSideBar'
 import TopBar from 'components/TopBar'
 import SyncContinuouslyPendingOperations from '../SyncContinouslyPendingOperations'
+import SyncContinuouslyOpenPaymentRequests from '../SyncContinuouslyOpenPaymentRequests'
 
 const Main = styled(GrowScroll).attrs({
   px: 6,
@@ -94,6 +95,10 @@ class Default extends Component<Props> {
             ))}
 
             <SyncContinuouslyPendingOperations priority={20} interval={SYNC_PENDING_INTERVAL} />
+            <SyncContinuouslyOpenPaymentRequests
+              priority={15}
+              interval={SYNC_PAYMENT_REQUESTS_INTERVAL}
+            />
 
             <div id="sticky-back-to-top-root" />
 
@@ -80,6 +80,14 @@ type Props = {
 }
 
 type StepId = 'chooseCurrency' | 'connectDevice' | 'import' | 'finish'
+
+// the advanced account discovery, see ScanAccountsOptions
+export type ScanOptions = {
+  gapLimit: number,
+  // the derivation templates as typed, one per line
+  customDerivations: string[],
+  deepScan: boolean,
+}
 type ScanStatus = 'idle' | 'scanning' | 'error' | 'finished'
 
 type State = {
@@ -90,6 +98,9 @@ type State = {
 
   isAppOpened: boolean,
   currency: ?Currency,
+  watchOnly: boolean,
+  watchOnlyKey: string,
+  scanOptions: ScanOptions,
   scannedAccounts: Account[],
   checkedAccountsIds: string[],
   editedNames: { [_: string]: string },
@@ -101,6 +112,10 @@ export type StepProps = DefaultStepProps & {
   t: T,
   currency: ?Currency,
   device: ?Device,
+  // import an account from its extended public key or address, without the device
+  watchOnly: boolean,
+  watchOnlyKey: string,
+  scanOptions: ScanOptions,
   isAppOpened: boolean,
   scannedAccounts: Account[],
   existingAccounts: Account[],
@@ -112,6 +127,9 @@ export type StepProps = DefaultStepProps & {
   onCloseModal: () => void,
   resetScanState: () => void,
   setCurrency: (?Currency) => void,
+  setWatchOnly: boolean => void,
+  setWatchOnlyKey: string => void,
+  setScanOptions: ($Shape<ScanOptions>) => void,
   setAppOpened: boolean => void,
   setScanStatus: (ScanStatus, ?Error) => string,
   setAccountName: (Account, string) => void,
@@ -133,6 +151,13 @@ const INITIAL_STATE = {
   stepId: 'chooseCurrency',
   isAppOpened: false,
   currency: null,
+  watchOnly: false,
+  watchOnlyKey: '',
+  scanOptions: {
+    gapLimit: 1,
+    customDerivations: [],
+    deepScan: false,
+  },
   scannedAccounts: [],
   checkedAccountsIds: [],
   editedNames: {},
@@ -165,6 +190,13 @@ class AddAccounts extends PureComponent<Props, State> {
 
   handleSetCurrency = (currency: ?Currency) => this.setState({ currency })
 
+  handleSetWatchOnly = (watchOnly: boolean) => this.setState({ watchOnly })
+
+  handleSetWatchOnlyKey = (watchOnlyKey: string) => this.setState({ watchOnlyKey })
+
+  handleSetScanOptions = (patch: $Shape<ScanOptions>) =>
+    this.setState(({ scanOptions }) => ({ scanOptions: { ...scanOptions, ...patch } }))
+
   handleSetScanStatus = (scanStatus: string, err: ?Error = null) => {
     this.setState({ scanStatus, err })
   }
@@ -209,6 +241,9 @@ class AddAccounts extends PureComponent<Props, State> {
     const {
       stepId,
       currency,
+      watchOnly,
+      watchOnlyKey,
+      scanOptions,
       isAppOpened,
       scannedAccounts,
       checkedAccountsIds,
@@ -221,6 +256,9 @@ class AddAccounts extends PureComponent<Props, State> {
     const stepperProps = {
       currency,
       device,
+      watchOnly,
+      watchOnlyKey,
+      scanOptions,
       existingAccounts,
       scannedAccounts,
       checkedAccountsIds,
@@ -231,6 +269,9 @@ class AddAccounts extends PureComponent<Props, State> {
       onCloseModal: this.handleCloseModal,
       setScanStatus: this.handleSetScanStatus,
       setCurrency: this.handleSetCurrency,
+      setWatchOnly: this.handleSetWatchOnly,
+      setWatchOnlyKey: this.handleSetWatchOnlyKey,
+      setScanOptions: this.handleSetScanOptions,
       setScannedAccounts: this.handleSetScannedAccounts,
       resetScanState: this.handleResetScanState,
       setAppOpened: this.handleSetAppOpened,
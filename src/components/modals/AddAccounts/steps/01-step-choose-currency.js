@@ -1,24 +1,204 @@
 // @flow
 
 import React, { Fragment } from 'react'
+import type { Node } from 'react'
+import type { Currency } from '@ledgerhq/live-common/lib/types'
+
+import { getBridgeForCurrency } from 'bridge'
+import { isStandardDerivationTemplate, isValidDerivationTemplate } from 'helpers/derivations'
 
 import TrackPage from 'analytics/TrackPage'
 import SelectCurrency from 'components/SelectCurrency'
+import Box from 'components/base/Box'
 import Button from 'components/base/Button'
 import CurrencyBadge from 'components/base/CurrencyBadge'
+import Input, { Textarea } from 'components/base/Input'
+import Spoiler from 'components/base/Spoiler'
+import StepperNumber from 'components/base/StepperNumber'
+import Switch from 'components/base/Switch'
+import Text from 'components/base/Text'
+
+import type { T } from 'types/common'
+import type { StepProps, ScanOptions } from '../index'
+
+const canImportWatchOnly = (currency: ?Currency): boolean =>
+  !!currency && !!getBridgeForCurrency(currency).importWatchOnlyAccount
+
+const isWatchOnlyImport = ({ currency, watchOnly }: StepProps) =>
+  watchOnly && canImportWatchOnly(currency)
+
+const MAX_GAP_LIMIT = 20
+
+const getInvalidDerivations = ({
+  currency,
+  scanOptions,
+}: {
+  currency: ?Currency,
+  scanOptions: ScanOptions,
+}): string[] =>
+  currency
+    ? scanOptions.customDerivations
+        .map(d => d.trim())
+        .filter(d => d && !isValidDerivationTemplate(currency, d))
+    : []
+
+// they are valid but left out of the scan, which already goes through them
+const getStandardDerivations = ({
+  currency,
+  scanOptions,
+}: {
+  currency: ?Currency,
+  scanOptions: ScanOptions,
+}): string[] =>
+  currency
+    ? scanOptions.customDerivations
+        .map(d => d.trim())
+        .filter(
+          d =>
+            d &&
+            isValidDerivationTemplate(currency, d) &&
+            isStandardDerivationTemplate(currency, d),
+        )
+    : []
 
-import type { StepProps } from '../index'
+const OptionRow = ({ title, desc, children }: { title: string, desc: string, children: Node }) => (
+  <Box horizontal align="center" flow={2}>
+    <Box grow shrink>
+      <Text ff="Open Sans|SemiBold" color="dark" fontSize={4}>
+        {title}
+      </Text>
+      <Text ff="Open Sans" color="grey" fontSize={3}>
+        {desc}
+      </Text>
+    </Box>
+    {children}
+  </Box>
+)
 
-function StepChooseCurrency({ currency, setCurrency }: StepProps) {
-  return <SelectCurrency autoFocus onChange={setCurrency} value={currency} />
+function AdvancedScanOptions(props: {
+  currency: Currency,
+  scanOptions: ScanOptions,
+  setScanOptions: ($Shape<ScanOptions>) => void,
+  t: T,
+}) {
+  const { currency, scanOptions, setScanOptions, t } = props
+  const { gapLimit, deepScan, customDerivations } = scanOptions
+  const invalidDerivations = getInvalidDerivations({ currency, scanOptions })
+  const standardDerivations = getStandardDerivations({ currency, scanOptions })
+  return (
+    <Spoiler textTransform title={t('app:addAccounts.advanced.title')}>
+      <Box flow={3} pt={2}>
+        <OptionRow
+          title={t('app:addAccounts.advanced.gapLimit')}
+          desc={t('app:addAccounts.advanced.gapLimitDesc')}
+        >
+          <StepperNumber
+            min={1}
+            max={MAX_GAP_LIMIT}
+            step={1}
+            value={gapLimit}
+            onChange={gapLimit => setScanOptions({ gapLimit })}
+          />
+        </OptionRow>
+        <OptionRow
+          title={t('app:addAccounts.advanced.deepScan')}
+          desc={t('app:addAccounts.advanced.deepScanDesc')}
+        >
+          <Switch isChecked={deepScan} onChange={deepScan => setScanOptions({ deepScan })} />
+        </OptionRow>
+        <Box flow={1}>
+          <Text ff="Open Sans|SemiBold" color="dark" fontSize={4}>
+            {t('app:addAccounts.advanced.customDerivations')}
+          </Text>
+          <Text ff="Open Sans" color="grey" fontSize={3}>
+            {t('app:addAccounts.advanced.customDerivationsDesc')}
+          </Text>
+          <Textarea
+            value={customDerivations.join('\n')}
+            onChange={e => setScanOptions({ customDerivations: e.target.value.split('\n') })}
+            placeholder="44'/<coin_type>'/<account>'"
+          />
+          {invalidDerivations.length > 0 && (
+            <Text ff="Open Sans" color="alertRed" fontSize={3}>
+              {t('app:addAccounts.advanced.invalidDerivation', {
+                derivation: invalidDerivations[0],
+              })}
+            </Text>
+          )}
+          {standardDerivations.length > 0 && (
+            <Text ff="Open Sans" color="grey" fontSize={3}>
+              {t('app:addAccounts.advanced.standardDerivation', {
+                derivation: standardDerivations[0],
+              })}
+            </Text>
+          )}
+        </Box>
+      </Box>
+    </Spoiler>
+  )
+}
+
+function StepChooseCurrency(props: StepProps) {
+  const { currency, setCurrency, watchOnly, setWatchOnly, watchOnlyKey, setWatchOnlyKey, t } = props
+  return (
+    <Box flow={4}>
+      <SelectCurrency autoFocus onChange={setCurrency} value={currency} />
+      {currency &&
+        canImportWatchOnly(currency) && (
+          <Box flow={2}>
+            <Box horizontal align="center" flow={2}>
+              <Box grow>
+                <Text ff="Open Sans|SemiBold" color="dark" fontSize={4}>
+                  {t('app:addAccounts.watchOnly.title')}
+                </Text>
+                <Text ff="Open Sans" color="grey" fontSize={3}>
+                  {t('app:addAccounts.watchOnly.desc')}
+                </Text>
+              </Box>
+              <Switch isChecked={watchOnly} onChange={setWatchOnly} />
+            </Box>
+            {watchOnly && (
+              <Input
+                autoFocus
+                value={watchOnlyKey}
+                onChange={setWatchOnlyKey}
+                placeholder={t(
+                  currency.family === 'bitcoin'
+                    ? 'app:addAccounts.watchOnly.extendedKeyPlaceholder'
+                    : 'app:addAccounts.watchOnly.addressPlaceholder',
+                )}
+              />
+            )}
+          </Box>
+        )}
+      {currency &&
+        !isWatchOnlyImport(props) && (
+          <AdvancedScanOptions
+            currency={currency}
+            scanOptions={props.scanOptions}
+            setScanOptions={props.setScanOptions}
+            t={t}
+          />
+        )}
+    </Box>
+  )
 }
 
-export function StepChooseCurrencyFooter({ transitionTo, currency, t }: StepProps) {
+export function StepChooseCurrencyFooter(props: StepProps) {
+  const { transitionTo, currency, watchOnlyKey, t } = props
+  const watchOnlyImport = isWatchOnlyImport(props)
   return (
     <Fragment>
       <TrackPage category="AddAccounts" name="Step1" />
       {currency && <CurrencyBadge mr="auto" currency={currency} />}
-      <Button primary disabled={!currency} onClick={() => transitionTo('connectDevice')}>
+      <Button
+        primary
+        disabled={
+          !currency ||
+          (watchOnlyImport ? !watchOnlyKey.trim() : getInvalidDerivations(props).length > 0)
+        }
+        onClick={() => transitionTo(watchOnlyImport ? 'import' : 'connectDevice')}
+      >
         {t('app:common.continue')}
       </Button>
     </Fragment>
@@ -5,9 +5,11 @@ import styled from 'styled-components'
 import { Trans } from 'react-i18next'
 import React, { PureComponent, Fragment } from 'react'
 import type { Account } from '@ledgerhq/live-common/lib/types'
+import type { ScanProgress } from 'bridge/types'
 import uniq from 'lodash/uniq'
 
 import { getBridgeForCurrency } from 'bridge'
+import { isWatchOnlyAccount } from 'helpers/watchOnly'
 
 import TrackPage from 'analytics/TrackPage'
 import Box from 'components/base/Box'
@@ -33,7 +35,18 @@ const LoadingRow = styled(Box).attrs({
   border: 1px dashed ${p => p.theme.colors.grey};
 `
 
-class StepImport extends PureComponent<StepProps> {
+type State = {
+  // the progress of the account discovery: how many paths were checked, and the last one
+  checkedPathsCount: number,
+  lastCheckedPath: ?string,
+}
+
+class StepImport extends PureComponent<StepProps, State> {
+  state = {
+    checkedPathsCount: 0,
+    lastCheckedPath: null,
+  }
+
   componentDidMount() {
     this.props.setScanStatus('scanning')
   }
@@ -95,22 +108,44 @@ class StepImport extends PureComponent<StepProps> {
 
   startScanAccountsDevice() {
     this.unsub()
-    const { currency, device, setScanStatus, setScannedAccounts } = this.props
+    const {
+      currency,
+      device,
+      watchOnly,
+      watchOnlyKey,
+      scanOptions,
+      setScanStatus,
+      setScannedAccounts,
+    } = this.props
+    this.setState({ checkedPathsCount: 0, lastCheckedPath: null })
     try {
       invariant(currency, 'No currency to scan')
-      invariant(device, 'No device')
 
       const bridge = getBridgeForCurrency(currency)
 
-      // TODO: use the real device
-      const devicePath = device.path
+      const { importWatchOnlyAccount } = bridge
+      let accountsObservable
+      if (watchOnly && importWatchOnlyAccount) {
+        accountsObservable = importWatchOnlyAccount(currency, watchOnlyKey.trim())
+      } else {
+        invariant(device, 'No device')
+        // TODO: use the real device
+        const devicePath = device.path
+        accountsObservable = bridge.scanAccountsOnDevice(currency, devicePath, {
+          gapLimit: scanOptions.gapLimit,
+          deepScan: scanOptions.deepScan,
+          customDerivations: scanOptions.customDerivations.map(d => d.trim()).filter(Boolean),
+          onProgress: this.handleProgress,
+        })
+      }
 
-      this.scanSubscription = bridge.scanAccountsOnDevice(currency, devicePath).subscribe({
+      this.scanSubscription = accountsObservable.subscribe({
         next: account => {
           const { scannedAccounts, checkedAccountsIds, existingAccounts } = this.props
           const hasAlreadyBeenScanned = !!scannedAccounts.find(a => account.id === a.id)
           const hasAlreadyBeenImported = !!existingAccounts.find(a => account.id === a.id)
-          const isNewAccount = account.operations.length === 0
+          // a watch-only account is imported even if it has no operations yet
+          const isNewAccount = account.operations.length === 0 && !isWatchOnlyAccount(account)
           if (!hasAlreadyBeenScanned) {
             setScannedAccounts({
               scannedAccounts: [...scannedAccounts, this.translateName(account)],
@@ -129,6 +164,12 @@ class StepImport extends PureComponent<StepProps> {
     }
   }
 
+  handleProgress = ({ path }: ScanProgress) =>
+    this.setState(({ checkedPathsCount }) => ({
+      checkedPathsCount: checkedPathsCount + 1,
+      lastCheckedPath: path,
+    }))
+
   handleRetry = () => {
     this.unsub()
     this.props.resetScanState()
@@ -192,6 +233,7 @@ class StepImport extends PureComponent<StepProps> {
       editedNames,
       t,
     } = this.props
+    const { checkedPathsCount, lastCheckedPath } = this.state
 
     if (err) {
       // TODO prefer rendering a component
@@ -206,7 +248,7 @@ class StepImport extends PureComponent<StepProps> {
     let alreadyEmptyAccount
     scannedAccounts.forEach(acc => {
       const existingAccount = existingAccounts.find(a => a.id === acc.id)
-      const empty = acc.operations.length === 0
+      const empty = acc.operations.length === 0 && !isWatchOnlyAccount(acc)
       if (existingAccount) {
         importedAccounts.push(existingAccount)
         if (empty) {
@@ -295,6 +337,14 @@ class StepImport extends PureComponent<StepProps> {
               <Box ml={2} ff="Open Sans|Regular" color="grey" fontSize={4}>
                 {t('app:common.sync.syncing')}
               </Box>
+              {lastCheckedPath ? (
+                <Box ml={2} ff="Open Sans|Regular" color="grey" fontSize={3}>
+                  {t('app:addAccounts.scanProgress', {
+                    count: checkedPathsCount,
+                    path: lastCheckedPath,
+                  })}
+                </Box>
+              ) : null}
             </LoadingRow>
           ) : null}
         </Box>
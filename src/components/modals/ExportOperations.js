@@ -0,0 +1,220 @@
+// @flow
+
+import fs from 'fs'
+import moment from 'moment'
+import { remote } from 'electron'
+import React, { PureComponent } from 'react'
+import { compose } from 'redux'
+import { connect } from 'react-redux'
+import { translate } from 'react-i18next'
+import { createStructuredSelector } from 'reselect'
+import type { Account } from '@ledgerhq/live-common/lib/types'
+
+import type { T } from 'types/common'
+import { MODAL_EXPORT_OPERATIONS } from 'config/constants'
+import { accountsSelector } from 'reducers/accounts'
+import { counterValueCurrencySelector } from 'reducers/settings'
+import type { OperationsExportOptions } from 'helpers/operationsExport'
+import { exportOperationsCSV } from 'helpers/operationsExport'
+
+import TrackPage from 'analytics/TrackPage'
+import Modal, { ModalBody, ModalTitle, ModalContent, ModalFooter } from 'components/base/Modal'
+import Box from 'components/base/Box'
+import Button from 'components/base/Button'
+import CheckBox from 'components/base/CheckBox'
+import Input from 'components/base/Input'
+import Label from 'components/base/Label'
+import Select from 'components/base/Select'
+import Text from 'components/base/Text'
+import CryptoCurrencyIcon from 'components/CryptoCurrencyIcon'
+import TranslatedError from 'components/TranslatedError'
+import { fiats } from 'components/SettingsPage/CounterValueSelect'
+
+type OwnProps = {
+  // the account to preselect. all the accounts are preselected without it
+  account?: Account,
+  onClose: () => void,
+}
+
+type Props = OwnProps & {
+  t: T,
+  accounts: Account[],
+  counterValueCurrency: *,
+  exportOperationsCSV: OperationsExportOptions => Promise<string>,
+}
+
+type State = {
+  selectedIds: string[],
+  // YYYY-MM-DD, empty for no limit
+  from: string,
+  to: string,
+  fiatOption: ?Object,
+  pending: boolean,
+  error: ?Error,
+}
+
+const mapStateToProps = createStructuredSelector({
+  accounts: accountsSelector,
+  counterValueCurrency: counterValueCurrencySelector,
+})
+
+const mapDispatchToProps = {
+  exportOperationsCSV,
+}
+
+class ExportOperationsBody extends PureComponent<Props, State> {
+  constructor(props: Props) {
+    super(props)
+    const { account, accounts, counterValueCurrency } = props
+    this.state = {
+      selectedIds: account ? [account.id] : accounts.map(a => a.id),
+      from: '',
+      to: '',
+      fiatOption: fiats.find(f => f.value === counterValueCurrency.ticker),
+      pending: false,
+      error: null,
+    }
+  }
+
+  componentWillUnmount() {
+    this.unmounted = true
+  }
+
+  unmounted = false
+
+  toggleAccount = (account: Account) => (checked: boolean) =>
+    this.setState(({ selectedIds }) => ({
+      selectedIds: checked
+        ? selectedIds.concat(account.id)
+        : selectedIds.filter(id => id !== account.id),
+    }))
+
+  onChangeFrom = (from: string) => this.setState({ from })
+  onChangeTo = (to: string) => this.setState({ to })
+  onChangeFiat = (fiatOption: Object) => this.setState({ fiatOption })
+
+  export = async () => {
+    const { accounts, exportOperationsCSV, onClose, t } = this.props
+    const { selectedIds, from, to, fiatOption } = this.state
+    if (!fiatOption) return
+    const path = remote.dialog.showSaveDialog({
+      title: t('app:exportOperations.title'),
+      defaultPath: `ledgerlive-operations-${moment().format('YYYY.MM.DD')}.csv`,
+      filters: [
+        {
+          name: 'CSV',
+          extensions: ['csv'],
+        },
+      ],
+    })
+    if (!path) return
+    this.setState({ pending: true, error: null })
+    try {
+      const csv = await exportOperationsCSV({
+        accounts: accounts.filter(a => selectedIds.includes(a.id)),
+        from: from ? moment(from, 'YYYY-MM-DD').toDate() : null,
+        to: to
+          ? moment(to, 'YYYY-MM-DD')
+              .endOf('day')
+              .toDate()
+          : null,
+        fiat: fiatOption.fiat,
+      })
+      fs.writeFileSync(path, csv)
+      onClose()
+    } catch (error) {
+      if (this.unmounted) return
+      this.setState({ pending: false, error })
+    }
+  }
+
+  render() {
+    const { t, accounts, onClose } = this.props
+    const { selectedIds, from, to, fiatOption, pending, error } = this.state
+    return (
+      <ModalBody onClose={onClose}>
+        <TrackPage category="Modal" name="ExportOperations" />
+        <ModalTitle>{t('app:exportOperations.title')}</ModalTitle>
+        <ModalContent flow={4}>
+          <Text ff="Open Sans" color="smoke" fontSize={4}>
+            {t('app:exportOperations.desc')}
+          </Text>
+          <Box flow={1}>
+            <Label>{t('app:exportOperations.accounts')}</Label>
+            <Box flow={2} style={{ maxHeight: 200, overflowY: 'auto' }}>
+              {accounts.map(account => (
+                <Box key={account.id} horizontal align="center" flow={2}>
+                  <CheckBox
+                    isChecked={selectedIds.includes(account.id)}
+                    onChange={this.toggleAccount(account)}
+                  />
+                  <Box color={account.currency.color}>
+                    <CryptoCurrencyIcon currency={account.currency} size={16} />
+                  </Box>
+                  <Text ff="Open Sans|SemiBold" color="dark" fontSize={4}>
+                    {account.name}
+                  </Text>
+                </Box>
+              ))}
+            </Box>
+          </Box>
+          <Box horizontal flow={4}>
+            <Box flex={1} flow={1}>
+              <Label>{t('app:exportOperations.from')}</Label>
+              <Input type="date" value={from} max={to || undefined} onChange={this.onChangeFrom} />
+            </Box>
+            <Box flex={1} flow={1}>
+              <Label>{t('app:exportOperations.to')}</Label>
+              <Input type="date" value={to} min={from || undefined} onChange={this.onChangeTo} />
+            </Box>
+          </Box>
+          <Box flow={1}>
+            <Label>{t('app:exportOperations.countervalue')}</Label>
+            <Select
+              onChange={this.onChangeFiat}
+              itemToString={item => (item ? item.name : '')}
+              renderSelected={item => item && item.name}
+              options={fiats}
+              value={fiatOption}
+            />
+          </Box>
+          {error ? (
+            <Box ff="Open Sans" color="alertRed" fontSize={3} textAlign="center">
+              <TranslatedError error={error} />
+            </Box>
+          ) : null}
+        </ModalContent>
+        <ModalFooter horizontal justifyContent="flex-end">
+          <Button
+            primary
+            event="ExportOperations"
+            isLoading={pending}
+            disabled={pending || selectedIds.length === 0 || !fiatOption}
+            onClick={this.export}
+          >
+            {t('app:exportOperations.btn')}
+          </Button>
+        </ModalFooter>
+      </ModalBody>
+    )
+  }
+}
+
+const ConnectedExportOperationsBody = compose(
+  connect(
+    mapStateToProps,
+    mapDispatchToProps,
+  ),
+  translate(),
+)(ExportOperationsBody)
+
+const ExportOperations = () => (
+  <Modal
+    name={MODAL_EXPORT_OPERATIONS}
+    render={({ data, onClose }) => (
+      <ConnectedExportOperationsBody account={data && data.account} onClose={onClose} />
+    )}
+  />
+)
+
+export default ExportOperations
@@ -14,8 +14,9 @@ import TrackPage from 'analytics/TrackPage'
 import type { Account, Operation } from '@ledgerhq/live-common/lib/types'
 import type { T, CurrencySettings } from 'types/common'
 
-import { MODAL_OPERATION_DETAILS } from 'config/constants'
+import { MODAL_OPERATION_DETAILS, MODAL_SEND } from 'config/constants'
 import { getMarketColor } from 'styles/helpers'
+import { getBridgeForCurrency } from 'bridge'
 
 import Box from 'components/base/Box'
 import GradientBox from 'components/GradientBox'
@@ -29,11 +30,14 @@ import CopyWithFeedback from 'components/base/CopyWithFeedback'
 
 import { createStructuredSelector, createSelector } from 'reselect'
 import { accountSelector } from 'reducers/accounts'
+import { openModal } from 'reducers/modals'
 import { currencySettingsForAccountSelector, marketIndicatorSelector } from 'reducers/settings'
 
 import IconChevronRight from 'icons/ChevronRight'
 import CounterValue from 'components/CounterValue'
 import ConfirmationCheck from 'components/OperationsList/ConfirmationCheck'
+import { isOperationFailed, isPartialPayment } from 'components/OperationsList/OperationBadge'
+import OperationNoteEditor from 'components/OperationNoteEditor'
 import Ellipsis from '../base/Ellipsis'
 
 const OpDetailsTitle = styled(Box).attrs({
@@ -102,17 +106,29 @@ const mapStateToProps = createStructuredSelector({
   ),
 })
 
+const mapDispatchToProps = {
+  openModal,
+}
+
+// the type of the transaction, set by the bridges of currencies which have several
+// (it is not in the common Operation type)
+type MaybeTypedOperation = $Shape<Operation & { transactionType: string }>
+
 type Props = {
   t: T,
   operation: ?Operation,
   account: ?Account,
   currencySettings: ?CurrencySettings,
   onClose: () => void,
+  openModal: (string, Object) => *,
   marketIndicator: *,
 }
 
-const OperationDetails = connect(mapStateToProps)((props: Props) => {
-  const { t, onClose, operation, account, currencySettings, marketIndicator } = props
+const OperationDetails = connect(
+  mapStateToProps,
+  mapDispatchToProps,
+)((props: Props) => {
+  const { t, onClose, openModal, operation, account, currencySettings, marketIndicator } = props
   if (!operation || !account || !currencySettings) return null
   const { hash, date, senders, type, fee, recipients } = operation
 
@@ -125,10 +141,17 @@ const OperationDetails = connect(mapStateToProps)((props: Props) => {
   })
   const confirmations = operation.blockHeight ? account.blockHeight - operation.blockHeight : 0
   const isConfirmed = confirmations >= currencySettings.confirmationsNb
+  const hasFailed = isOperationFailed(operation)
+  const { transactionType } = (operation: MaybeTypedOperation)
 
   const url = getAccountOperationExplorer(account, operation)
   const uniqueSenders = uniq(senders)
 
+  const { createReplacementTransaction } = getBridgeForCurrency(currency)
+  const replacementKinds = createReplacementTransaction
+    ? ['cancel', 'speedUp'].filter(kind => createReplacementTransaction(account, operation, kind))
+    : []
+
   return (
     <ModalBody onClose={onClose}>
       <TrackPage category="Modal" name="OperationDetails" />
@@ -168,6 +191,11 @@ const OperationDetails = connect(mapStateToProps)((props: Props) => {
                     value={amount}
                   />
                 </Box>
+                {isPartialPayment(operation) && (
+                  <Text mt={2} ff="Open Sans|SemiBold" fontSize={3} color="alertRed">
+                    {t('app:operationDetails.partialPayment')}
+                  </Text>
+                )}
               </Box>
             </Box>
             <Box horizontal flow={2}>
@@ -196,16 +224,35 @@ const OperationDetails = connect(mapStateToProps)((props: Props) => {
               </Box>
               <Box flex={1}>
                 <OpDetailsTitle>{t('app:operationDetails.status')}</OpDetailsTitle>
-                <OpDetailsData color={isConfirmed ? 'positiveGreen' : null} horizontal flow={1}>
+                <OpDetailsData
+                  color={hasFailed ? 'alertRed' : isConfirmed ? 'positiveGreen' : null}
+                  horizontal
+                  flow={1}
+                >
                   <Box>
-                    {isConfirmed
-                      ? t('app:operationDetails.confirmed')
-                      : t('app:operationDetails.notConfirmed')}
+                    {hasFailed
+                      ? t('app:operationDetails.failed')
+                      : isConfirmed
+                        ? t('app:operationDetails.confirmed')
+                        : t('app:operationDetails.notConfirmed')}
                   </Box>
                   <Box>{`(${confirmations})`}</Box>
                 </OpDetailsData>
               </Box>
             </Box>
+            {transactionType && (
+              <Fragment>
+                <B />
+                <Box>
+                  <OpDetailsTitle>{t('app:operationDetails.transactionType')}</OpDetailsTitle>
+                  <OpDetailsData>
+                    {t(`app:operationDetails.transactionTypes.${transactionType}`, {
+                      defaultValue: transactionType,
+                    })}
+                  </OpDetailsData>
+                </Box>
+              </Fragment>
+            )}
             <B />
             <Box>
               <OpDetailsTitle>{t('app:operationDetails.identifier')}</OpDetailsTitle>
@@ -226,16 +273,41 @@ const OperationDetails = connect(mapStateToProps)((props: Props) => {
               <OpDetailsTitle>{t('app:operationDetails.to')}</OpDetailsTitle>
               <DataList lines={recipients} t={t} />
             </Box>
+            <B />
+            <Box>
+              <OpDetailsTitle>{t('app:operationDetails.note')}</OpDetailsTitle>
+              <OperationNoteEditor operationId={operation.id} />
+            </Box>
           </Box>
         </GrowScroll>
         <GradientBox />
       </ModalContent>
 
-      {url && (
+      {(url || replacementKinds.length > 0) && (
         <ModalFooter horizontal justify="flex-end" flow={2}>
-          <Button primary onClick={() => openURL(url)}>
-            {t('app:operationDetails.viewOperation')}
-          </Button>
+          {replacementKinds.map(replacementKind => (
+            <Button
+              key={replacementKind}
+              outline
+              event="OperationDetails Replacement Clicked"
+              eventProperties={{ replacementKind }}
+              onClick={() => {
+                onClose()
+                openModal(MODAL_SEND, {
+                  account,
+                  replacedOperation: operation,
+                  replacementKind,
+                })
+              }}
+            >
+              {t(`app:operationDetails.replacement.${replacementKind}`)}
+            </Button>
+          ))}
+          {url && (
+            <Button primary onClick={() => openURL(url)}>
+              {t('app:operationDetails.viewOperation')}
+            </Button>
+          )}
         </ModalFooter>
       )}
     </ModalBody>
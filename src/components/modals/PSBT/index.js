@@ -0,0 +1,244 @@
+// @flow
+
+import React, { PureComponent } from 'react'
+import invariant from 'invariant'
+import { compose } from 'redux'
+import { connect } from 'react-redux'
+import { translate } from 'react-i18next'
+import { createStructuredSelector } from 'reselect'
+import type { Account } from '@ledgerhq/live-common/lib/types'
+
+import SyncSkipUnderPriority from 'components/SyncSkipUnderPriority'
+import Track from 'analytics/Track'
+
+import { MODAL_PSBT } from 'config/constants'
+import { getBridgeForCurrency } from 'bridge'
+import type { T, Device } from 'types/common'
+import type { StepProps as DefaultStepProps } from 'components/base/Stepper'
+
+import { getCurrentDevice } from 'reducers/devices'
+import { closeModal } from 'reducers/modals'
+
+import Modal from 'components/base/Modal'
+import Stepper from 'components/base/Stepper'
+
+import StepPSBT, { StepPSBTFooter } from './steps/01-step-psbt'
+import StepConnectDevice, { StepConnectDeviceFooter } from './steps/02-step-connect-device'
+import StepSign, { StepSignFooter } from './steps/03-step-sign'
+import StepSigned, { StepSignedFooter } from './steps/04-step-signed'
+
+type Props = {
+  t: T,
+  device: ?Device,
+  closeModal: string => void,
+}
+
+type Signed = {
+  psbt: string,
+  signedTransaction: string,
+}
+
+type State = {
+  stepId: string,
+  account: ?Account,
+  // base64
+  psbt: string,
+  isAppOpened: boolean,
+  signed: ?Signed,
+  error: ?Error,
+  isBroadcasting: boolean,
+  txHash: ?string,
+  broadcastError: ?Error,
+}
+
+export type StepProps = DefaultStepProps & {
+  device: ?Device,
+  account: ?Account,
+  psbt: string,
+  isAppOpened: boolean,
+  signed: ?Signed,
+  error: ?Error,
+  isBroadcasting: boolean,
+  txHash: ?string,
+  broadcastError: ?Error,
+  closeModal: void => void,
+  onChangeAccount: (?Account) => void,
+  onChangePSBT: string => void,
+  onChangeAppOpened: boolean => void,
+  onSigned: (?Signed, ?Error) => void,
+  onRetry: void => void,
+  onBroadcast: void => Promise<void>,
+}
+
+const createSteps = ({ t }: { t: T }) => [
+  {
+    id: 'psbt',
+    label: t('app:psbt.steps.psbt.title'),
+    component: StepPSBT,
+    footer: StepPSBTFooter,
+  },
+  {
+    id: 'device',
+    label: t('app:psbt.steps.connectDevice.title'),
+    component: StepConnectDevice,
+    footer: StepConnectDeviceFooter,
+    onBack: ({ transitionTo }: StepProps) => transitionTo('psbt'),
+  },
+  {
+    id: 'sign',
+    label: t('app:psbt.steps.sign.title'),
+    component: StepSign,
+    footer: StepSignFooter,
+    shouldRenderFooter: ({ error }: StepProps) => !!error,
+    shouldPreventClose: ({ error }: StepProps) => !error,
+  },
+  {
+    id: 'signed',
+    label: t('app:psbt.steps.signed.title'),
+    component: StepSigned,
+    footer: StepSignedFooter,
+    shouldPreventClose: ({ isBroadcasting }: StepProps) => isBroadcasting,
+  },
+]
+
+const mapStateToProps = createStructuredSelector({
+  device: getCurrentDevice,
+})
+
+const mapDispatchToProps = {
+  closeModal,
+}
+
+const INITIAL_STATE = {
+  stepId: 'psbt',
+  account: null,
+  psbt: '',
+  isAppOpened: false,
+  signed: null,
+  error: null,
+  isBroadcasting: false,
+  txHash: null,
+  broadcastError: null,
+}
+
+// review, sign & broadcast a PSBT (BIP174), built by the Send flow or imported from another wallet
+class PSBTModal extends PureComponent<Props, State> {
+  state = INITIAL_STATE
+
+  componentWillUnmount() {
+    this._isUnmounted = true
+  }
+
+  STEPS = createSteps({ t: this.props.t })
+  _isUnmounted = false
+
+  handleBeforeOpenModal = ({ data }) => {
+    if (data && data.account) {
+      this.setState({ account: data.account })
+    }
+    if (data && data.psbt) {
+      this.setState({ psbt: data.psbt })
+    }
+  }
+
+  handleReset = () => this.setState({ ...INITIAL_STATE })
+
+  handleCloseModal = () => this.props.closeModal(MODAL_PSBT)
+
+  handleStepChange = step => this.setState({ stepId: step.id })
+
+  handleChangeAccount = (account: ?Account) => this.setState({ account })
+
+  handleChangePSBT = (psbt: string) => this.setState({ psbt })
+
+  handleChangeAppOpened = (isAppOpened: boolean) => this.setState({ isAppOpened })
+
+  handleSigned = (signed: ?Signed, error: ?Error) => this.setState({ signed, error })
+
+  handleRetry = () => this.setState({ isAppOpened: false, signed: null, error: null })
+
+  handleBroadcast = async () => {
+    const { account, signed } = this.state
+    invariant(account, 'No account given')
+    invariant(signed, 'Nothing signed')
+    const { broadcastRawTransaction } = getBridgeForCurrency(account.currency)
+    invariant(broadcastRawTransaction, 'Transactions of this account cannot be broadcasted')
+    this.setState({ isBroadcasting: true, broadcastError: null })
+    try {
+      const txHash = await broadcastRawTransaction(account, signed.signedTransaction)
+      if (this._isUnmounted) return
+      this.setState({ isBroadcasting: false, txHash })
+    } catch (broadcastError) {
+      if (this._isUnmounted) return
+      this.setState({ isBroadcasting: false, broadcastError })
+    }
+  }
+
+  render() {
+    const { t, device } = this.props
+    const {
+      stepId,
+      account,
+      psbt,
+      isAppOpened,
+      signed,
+      error,
+      isBroadcasting,
+      txHash,
+      broadcastError,
+    } = this.state
+
+    const addtionnalProps = {
+      device,
+      account,
+      psbt,
+      isAppOpened,
+      signed,
+      error,
+      isBroadcasting,
+      txHash,
+      broadcastError,
+      closeModal: this.handleCloseModal,
+      onChangeAccount: this.handleChangeAccount,
+      onChangePSBT: this.handleChangePSBT,
+      onChangeAppOpened: this.handleChangeAppOpened,
+      onSigned: this.handleSigned,
+      onRetry: this.handleRetry,
+      onBroadcast: this.handleBroadcast,
+    }
+
+    const isModalLocked = (stepId === 'sign' && !error) || isBroadcasting
+
+    return (
+      <Modal
+        name={MODAL_PSBT}
+        refocusWhenChange={stepId}
+        onHide={this.handleReset}
+        preventBackdropClick={isModalLocked}
+        onBeforeOpen={this.handleBeforeOpenModal}
+        render={({ onClose }) => (
+          <Stepper
+            title={t('app:psbt.title')}
+            initialStepId={stepId}
+            onStepChange={this.handleStepChange}
+            onClose={onClose}
+            steps={this.STEPS}
+            errorSteps={error ? [2] : []}
+            {...addtionnalProps}
+          >
+            <Track onUnmount event="CloseModalPSBT" />
+            <SyncSkipUnderPriority priority={100} />
+          </Stepper>
+        )}
+      />
+    )
+  }
+}
+
+export default compose(
+  connect(
+    mapStateToProps,
+    mapDispatchToProps,
+  ),
+  translate(),
+)(PSBTModal)
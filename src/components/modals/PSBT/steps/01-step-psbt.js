@@ -0,0 +1,156 @@
+// @flow
+
+import fs from 'fs'
+import { remote } from 'electron'
+import React, { Fragment } from 'react'
+import { connect } from 'react-redux'
+import { createStructuredSelector, createSelector } from 'reselect'
+import type { Account } from '@ledgerhq/live-common/lib/types'
+
+import TrackPage from 'analytics/TrackPage'
+import { accountsSelector } from 'reducers/accounts'
+import { isWatchOnlyAccount } from 'helpers/watchOnly'
+import {
+  canAccountUsePSBT,
+  checkPSBTCanBeSigned,
+  decodePSBT,
+  getPSBTSummary,
+  readPSBTFile,
+} from 'helpers/psbt'
+import Box from 'components/base/Box'
+import Label from 'components/base/Label'
+import Button from 'components/base/Button'
+import Ellipsis from 'components/base/Ellipsis'
+import FormattedVal from 'components/base/FormattedVal'
+import Text from 'components/base/Text'
+import { Textarea } from 'components/base/Input'
+import { SelectAccount } from 'components/SelectAccount'
+import TranslatedError from 'components/TranslatedError'
+import TransactionExport from 'components/TransactionExport'
+
+import type { StepProps } from '../index'
+
+const SelectPSBTAccount = connect(
+  createStructuredSelector({
+    accounts: createSelector(accountsSelector, accounts => accounts.filter(canAccountUsePSBT)),
+  }),
+)(SelectAccount)
+
+const summarize = (account: ?Account, psbt: string) => {
+  if (!account || !psbt.trim()) return { summary: null, error: null }
+  let summary = null
+  try {
+    const decoded = decodePSBT(psbt)
+    summary = getPSBTSummary(account, decoded)
+    // the summary is still shown when it can't be signed
+    if (!summary.isFinalized) checkPSBTCanBeSigned(decoded)
+    return { summary, error: null }
+  } catch (error) {
+    return { summary, error }
+  }
+}
+
+const Amount = ({ account, value }: { account: Account, value: number }) => (
+  <FormattedVal disableRounding color="dark" val={value} unit={account.unit} showCode />
+)
+
+export default function StepPSBT({ t, account, psbt, onChangeAccount, onChangePSBT }: StepProps) {
+  const { summary, error } = summarize(account, psbt)
+
+  const onLoadFile = () => {
+    const paths = remote.dialog.showOpenDialog({
+      title: t('app:psbt.steps.psbt.load'),
+      properties: ['openFile'],
+      filters: [{ name: 'PSBT', extensions: ['psbt', 'txt'] }],
+    })
+    if (!paths || !paths[0]) return
+    onChangePSBT(readPSBTFile(fs.readFileSync(paths[0])))
+  }
+
+  return (
+    <Box flow={4}>
+      <TrackPage category="PSBT Flow" name="Step 1" />
+      <Box flow={1}>
+        <Label>{t('app:psbt.steps.psbt.account')}</Label>
+        <SelectPSBTAccount onChange={onChangeAccount} value={account} />
+      </Box>
+      <Box flow={1}>
+        <Box horizontal alignItems="center">
+          <Label>{t('app:psbt.psbt')}</Label>
+          <Box ml="auto">
+            <Button small outline event="LoadPSBTFile" onClick={onLoadFile}>
+              {t('app:psbt.steps.psbt.load')}
+            </Button>
+          </Box>
+        </Box>
+        <Textarea
+          value={psbt}
+          onChange={e => onChangePSBT(e.target.value)}
+          placeholder={t('app:psbt.steps.psbt.placeholder')}
+        />
+        {error && (
+          <Text ff="Open Sans|Regular" fontSize={3} color="alertRed">
+            <TranslatedError error={error} />
+          </Text>
+        )}
+      </Box>
+      {account && summary ? (
+        <Fragment>
+          <Box flow={2}>
+            <Label>{t('app:psbt.steps.psbt.outputs')}</Label>
+            {summary.outputs.map((output, i) => (
+              // outputs can have the same address & value
+              // eslint-disable-next-line react/no-array-index-key
+              <Box key={i} horizontal alignItems="center" flow={2}>
+                <Box grow shrink style={{ minWidth: 0 }} ff="Open Sans|SemiBold" fontSize={4}>
+                  <Ellipsis canSelect>{output.address || t('app:psbt.unknownScript')}</Ellipsis>
+                </Box>
+                {output.isChange && (
+                  <Text ff="Open Sans" fontSize={3} color="grey">
+                    {t('app:psbt.change')}
+                  </Text>
+                )}
+                <Amount account={account} value={output.value} />
+              </Box>
+            ))}
+          </Box>
+          <Box horizontal alignItems="center">
+            <Label>{t('app:psbt.fee')}</Label>
+            <Box ml="auto">
+              {typeof summary.fee === 'number' ? (
+                <Amount account={account} value={summary.fee} />
+              ) : (
+                <Text ff="Open Sans" fontSize={3} color="grey">
+                  {t('app:psbt.unknownFee')}
+                </Text>
+              )}
+            </Box>
+          </Box>
+          {summary.isFinalized && (
+            <Text ff="Open Sans" fontSize={3} color="grey">
+              {t('app:psbt.steps.psbt.alreadySigned')}
+            </Text>
+          )}
+          <TransactionExport
+            label={t('app:psbt.export')}
+            data={psbt.trim()}
+            fileName="transaction.psbt"
+            fileFilter={{ name: 'PSBT', extensions: ['psbt'] }}
+            fileContent={Buffer.from(psbt.trim(), 'base64')}
+          />
+        </Fragment>
+      ) : null}
+    </Box>
+  )
+}
+
+export function StepPSBTFooter({ t, transitionTo, account, psbt }: StepProps) {
+  const { summary, error } = summarize(account, psbt)
+  const canSign =
+    !!account && !isWatchOnlyAccount(account) && !!summary && !summary.isFinalized && !error
+  return (
+    <Button disabled={!canSign} primary onClick={() => transitionTo('device')}>
+      {t('app:psbt.steps.psbt.sign')}
+    </Button>
+  )
+}
@@ -0,0 +1,105 @@
+// @flow
+
+import invariant from 'invariant'
+import styled from 'styled-components'
+import React, { Fragment, PureComponent } from 'react'
+
+import TrackPage from 'analytics/TrackPage'
+import { getBridgeForCurrency } from 'bridge'
+import Box from 'components/base/Box'
+import Button from 'components/base/Button'
+import DeviceConfirm from 'components/DeviceConfirm'
+import TranslatedError from 'components/TranslatedError'
+
+import type { StepProps } from '../index'
+
+export default class StepSign extends PureComponent<StepProps> {
+  componentDidMount() {
+    this.sign()
+  }
+
+  componentWillUnmount() {
+    this._isUnmounted = true
+  }
+
+  _isUnmounted = false
+
+  sign = async () => {
+    const { account, device, psbt, onSigned, transitionTo } = this.props
+    invariant(account, 'No account given')
+    invariant(device, 'No device given')
+    const { signPSBT } = getBridgeForCurrency(account.currency)
+    invariant(signPSBT, 'PSBTs cannot be signed for this account')
+    try {
+      const signed = await signPSBT(account, psbt, device.path)
+      if (this._isUnmounted) return
+      onSigned(signed, null)
+      transitionTo('signed')
+    } catch (err) {
+      if (this._isUnmounted) return
+      onSigned(null, err)
+    }
+  }
+
+  render() {
+    const { t, error } = this.props
+    return (
+      <Container>
+        <TrackPage category="PSBT Flow" name="Step 3" />
+        {error ? (
+          <Fragment>
+            <Title>
+              <TranslatedError error={error} />
+            </Title>
+            <Text mb={5}>
+              <TranslatedError error={error} field="description" />
+            </Text>
+            <DeviceConfirm error />
+          </Fragment>
+        ) : (
+          <Fragment>
+            <Title>{t('app:psbt.steps.sign.action')}</Title>
+            <Text mb={5}>{t('app:psbt.steps.sign.text')}</Text>
+            <DeviceConfirm />
+          </Fragment>
+        )}
+      </Container>
+    )
+  }
+}
+
+export function StepSignFooter({ t, transitionTo, onRetry }: StepProps) {
+  // only displayed when the signature failed
+  return (
+    <Button
+      primary
+      event="PSBT Flow Retry Clicked"
+      onClick={() => {
+        onRetry()
+        transitionTo('device')
+      }}
+    >
+      {t('app:common.retry')}
+    </Button>
+  )
+}
+
+const Container = styled(Box).attrs({
+  alignItems: 'center',
+  fontSize: 4,
+  color: 'dark',
+  px: 5,
+  mb: 2,
+})``
+
+const Title = styled(Box).attrs({
+  ff: 'Open Sans|SemiBold',
+  fontSize: 6,
+  mb: 1,
+})``
+
+const Text = styled(Box).attrs({
+  color: 'smoke',
+})`
+  text-align: center;
+`
@@ -0,0 +1,81 @@
+// @flow
+
+import invariant from 'invariant'
+import React, { Fragment } from 'react'
+
+import TrackPage from 'analytics/TrackPage'
+import Box from 'components/base/Box'
+import Button from 'components/base/Button'
+import Ellipsis from 'components/base/Ellipsis'
+import Label from 'components/base/Label'
+import Text from 'components/base/Text'
+import TranslatedError from 'components/TranslatedError'
+import TransactionExport from 'components/TransactionExport'
+
+import type { StepProps } from '../index'
+
+export default function StepSigned({ t, signed, txHash, broadcastError }: StepProps) {
+  invariant(signed, 'Nothing signed')
+  return (
+    <Box flow={4}>
+      <TrackPage category="PSBT Flow" name="Step 4" />
+      <TransactionExport
+        label={t('app:psbt.steps.signed.psbt')}
+        data={signed.psbt}
+        fileName="transaction-signed.psbt"
+        fileFilter={{ name: 'PSBT', extensions: ['psbt'] }}
+        fileContent={Buffer.from(signed.psbt, 'base64')}
+      />
+      <TransactionExport
+        label={t('app:psbt.steps.signed.transaction')}
+        data={signed.signedTransaction}
+        fileName="transaction-signed.txt"
+        fileFilter={{ name: 'Transaction', extensions: ['txt'] }}
+      />
+      {txHash ? (
+        <Box flow={1}>
+          <Label>{t('app:psbt.steps.signed.broadcasted')}</Label>
+          <Box ff="Open Sans|SemiBold" fontSize={4} color="dark">
+            <Ellipsis canSelect>{txHash}</Ellipsis>
+          </Box>
+        </Box>
+      ) : null}
+      {broadcastError ? (
+        <Box flow={1} color="alertRed" ff="Open Sans|SemiBold" fontSize={4}>
+          <TranslatedError error={broadcastError} />
+          <Text ff="Open Sans" fontSize={3}>
+            <TranslatedError error={broadcastError} field="description" />
+          </Text>
+        </Box>
+      ) : null}
+    </Box>
+  )
+}
+
+export function StepSignedFooter({
+  t,
+  closeModal,
+  txHash,
+  isBroadcasting,
+  onBroadcast,
+}: StepProps) {
+  return (
+    <Fragment>
+      <Button onClick={closeModal} disabled={isBroadcasting}>
+        {t('app:common.close')}
+      </Button>
+      {!txHash && (
+        <Button
+          ml={2}
+          primary
+          event="BroadcastPSBT"
+          isLoading={isBroadcasting}
+          disabled={isBroadcasting}
+          onClick={onBroadcast}
+        >
+          {t('app:psbt.steps.signed.broadcast')}
+        </Button>
+      )}
+    </Fragment>
+  )
+}
@@ -0,0 +1,181 @@
+// @flow
+
+import React, { PureComponent, Fragment } from 'react'
+import { connect } from 'react-redux'
+import { translate } from 'react-i18next'
+import uuid from 'uuid/v4'
+import type { Account } from '@ledgerhq/live-common/lib/types'
+
+import type { T } from 'types/common'
+import type { TrackedPaymentRequest } from 'reducers/paymentRequests'
+import { addPaymentRequest } from 'actions/paymentRequests'
+import { encodePaymentURI } from 'helpers/linking'
+
+import Box from 'components/base/Box'
+import Button from 'components/base/Button'
+import Input from 'components/base/Input'
+import Label from 'components/base/Label'
+import Select from 'components/base/Select'
+import Text from 'components/base/Text'
+import RequestAmount from 'components/RequestAmount'
+import TransactionExport from 'components/TransactionExport'
+
+const DAY = 24 * 60 * 60 * 1000
+
+// in days, 0 for no expiry
+const expiries = [1, 7, 30, 0]
+
+type Props = {
+  t: T,
+  account: Account,
+  addPaymentRequest: TrackedPaymentRequest => void,
+}
+
+type State = {
+  label: string,
+  amount: number,
+  expiry: number,
+  created: ?TrackedPaymentRequest,
+}
+
+const INITIAL_STATE = {
+  label: '',
+  amount: 0,
+  expiry: 7,
+  created: null,
+}
+
+const mapDispatchToProps = {
+  addPaymentRequest,
+}
+
+// a named request of an amount on the receive address, tracked until it's paid or expired
+class PaymentRequestForm extends PureComponent<Props, State> {
+  state = INITIAL_STATE
+
+  handleChangeLabel = (label: string) => this.setState({ label })
+
+  handleChangeAmount = (amount: number) => this.setState({ amount })
+
+  handleChangeExpiry = (option: ?{ value: string }) => {
+    if (option) this.setState({ expiry: parseInt(option.value, 10) })
+  }
+
+  handleCreate = () => {
+    const { account, addPaymentRequest } = this.props
+    const { label, amount, expiry } = this.state
+    const createdAt = Date.now()
+    const created = {
+      id: uuid(),
+      accountId: account.id,
+      address: account.freshAddress,
+      label: label.trim(),
+      amount,
+      createdAt,
+      expiresAt: expiry ? createdAt + expiry * DAY : null,
+    }
+    addPaymentRequest(created)
+    this.setState({ created })
+  }
+
+  handleReset = () => this.setState(INITIAL_STATE)
+
+  renderCreated(created: TrackedPaymentRequest) {
+    const { t, account } = this.props
+    const uri = encodePaymentURI({
+      currency: account.currency,
+      recipient: created.address,
+      amount: created.amount,
+      label: created.label,
+    })
+    return (
+      <Fragment>
+        <TransactionExport
+          label={t('app:receive.paymentRequest.uri', { label: created.label })}
+          data={uri}
+          fileName={`${account.currency.id}-payment-request.txt`}
+          fileFilter={{ name: 'Text', extensions: ['txt'] }}
+        />
+        <Box horizontal align="center">
+          <Text ff="Open Sans" fontSize={3} color="grey">
+            {t('app:receive.paymentRequest.tracked')}
+          </Text>
+          <Box ml="auto">
+            <Button small outline onClick={this.handleReset}>
+              {t('app:receive.paymentRequest.another')}
+            </Button>
+          </Box>
+        </Box>
+      </Fragment>
+    )
+  }
+
+  render() {
+    const { t, account } = this.props
+    const { label, amount, expiry, created } = this.state
+    const expiryOptions = expiries.map(days => ({
+      value: String(days),
+      label: days
+        ? t('app:receive.paymentRequest.expiresIn', { count: days })
+        : t('app:receive.paymentRequest.noExpiry'),
+    }))
+    return (
+      <Box flow={3}>
+        <Text ff="Museo Sans|Regular" fontSize={5} color="dark">
+          {t('app:receive.paymentRequest.title')}
+        </Text>
+        {created ? (
+          this.renderCreated(created)
+        ) : (
+          <Fragment>
+            <Box flow={1}>
+              <Label>{t('app:receive.paymentRequest.label')}</Label>
+              <Input
+                value={label}
+                onChange={this.handleChangeLabel}
+                placeholder={t('app:receive.paymentRequest.labelPlaceholder')}
+              />
+            </Box>
+            <Box flow={1}>
+              <Label>{t('app:receive.paymentRequest.amount')}</Label>
+              <RequestAmount
+                withMax={false}
+                account={account}
+                value={amount}
+                onChange={this.handleChangeAmount}
+              />
+            </Box>
+            <Box horizontal align="flex-end" flow={3}>
+              <Box flow={1}>
+                <Label>{t('app:receive.paymentRequest.expiry')}</Label>
+                <Select
+                  width={200}
+                  options={expiryOptions}
+                  value={expiryOptions.find(o => o.value === String(expiry))}
+                  onChange={this.handleChangeExpiry}
+                />
+              </Box>
+              <Box ml="auto">
+                <Button
+                  primary
+                  event="CreatePaymentRequest"
+                  disabled={!label.trim() || amount <= 0}
+                  onClick={this.handleCreate}
+                >
+                  {t('app:receive.paymentRequest.create')}
+                </Button>
+              </Box>
+            </Box>
+          </Fragment>
+        )}
+      </Box>
+    )
+  }
+}
+
+export default translate()(
+  connect(
+    null,
+    mapDispatchToProps,
+  )(PaymentRequestForm),
+)
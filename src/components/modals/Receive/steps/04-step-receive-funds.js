@@ -10,6 +10,8 @@ import Box from 'components/base/Box'
 import CurrentAddressForAccount from 'components/CurrentAddressForAccount'
 import { WrongDeviceForAccount } from 'components/EnsureDeviceApp'
 
+import PaymentRequestForm from '../PaymentRequestForm'
+
 import type { StepProps } from '..'
 
 export default class StepReceiveFunds extends PureComponent<StepProps> {
@@ -68,6 +70,7 @@ export default class StepReceiveFunds extends PureComponent<StepProps> {
           withFooter
           withQRCode
         />
+        <PaymentRequestForm account={account} />
       </Box>
     )
   }
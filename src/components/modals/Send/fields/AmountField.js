@@ -1,15 +1,36 @@
 // @flow
 import React, { Component } from 'react'
+import styled from 'styled-components'
 import Box from 'components/base/Box'
+import Button from 'components/base/Button'
+import FormattedVal from 'components/base/FormattedVal'
 import Label from 'components/base/Label'
+import InputCurrency from 'components/base/InputCurrency'
+import Text from 'components/base/Text'
 import RequestAmount from 'components/RequestAmount'
 
-class AmountField extends Component<*, { canBeSpentError: ?Error }> {
+const InputRight = styled(Box).attrs({
+  ff: 'Rubik',
+  color: 'graphite',
+  fontSize: 4,
+  justifyContent: 'center',
+  pr: 3,
+})``
+
+type State = {
+  canBeSpentError: ?Error,
+  // only for the bridges where a part of the balance can't be spent
+  spendableBalance: ?number,
+}
+
+class AmountField extends Component<*, State> {
   state = {
     canBeSpentError: null,
+    spendableBalance: null,
   }
   componentDidMount() {
     this.resync()
+    this.loadSpendableBalance()
   }
   componentDidUpdate(nextProps: *) {
     if (
@@ -18,15 +39,29 @@ class AmountField extends Component<*, { canBeSpentError: ?Error }> {
     ) {
       this.resync()
     }
+    if (nextProps.account !== this.props.account) {
+      this.loadSpendableBalance()
+    }
   }
   componentWillUnmount() {
     this.syncId++
+    this.spendableId++
   }
   syncId = 0
+  spendableId = 0
   async resync() {
-    const { account, bridge, transaction } = this.props
+    const { account, bridge, transaction, onChangeTransaction } = this.props
     const syncId = ++this.syncId
     try {
+      // in "send max" mode, the amount follows the fees & options of the transaction
+      if (bridge.getTransactionUseAllAmount(account, transaction)) {
+        const max = await bridge.getMaxAmount(account, transaction)
+        if (this.syncId !== syncId) return
+        if (max !== bridge.getTransactionAmount(account, transaction)) {
+          onChangeTransaction(bridge.editTransactionAmount(account, transaction, max))
+          return
+        }
+      }
       await bridge.checkCanBeSpent(account, transaction)
       if (this.syncId !== syncId) return
       this.setState({ canBeSpentError: null })
@@ -35,24 +70,100 @@ class AmountField extends Component<*, { canBeSpentError: ?Error }> {
     }
   }
 
+  async loadSpendableBalance() {
+    const { account, bridge } = this.props
+    if (!bridge.getSpendableBalance) return
+    const spendableId = ++this.spendableId
+    try {
+      const spendableBalance = await bridge.getSpendableBalance(account)
+      if (this.spendableId !== spendableId) return
+      this.setState({ spendableBalance })
+    } catch (e) {
+      // checkCanBeSpent still prevents to spend more than allowed
+    }
+  }
+
   onChange = (amount: number) => {
     const { bridge, account, transaction, onChangeTransaction } = this.props
-    onChangeTransaction(bridge.editTransactionAmount(account, transaction, amount))
+    let t = bridge.editTransactionUseAllAmount(account, transaction, false)
+    t = bridge.editTransactionAmount(account, t, amount)
+    onChangeTransaction(t)
+  }
+
+  onClickMax = () => {
+    const { bridge, account, transaction, onChangeTransaction } = this.props
+    const useAllAmount = bridge.getTransactionUseAllAmount(account, transaction)
+    onChangeTransaction(bridge.editTransactionUseAllAmount(account, transaction, !useAllAmount))
   }
 
   render() {
     const { bridge, account, transaction, t } = this.props
-    const { canBeSpentError } = this.state
+    const { canBeSpentError, spendableBalance } = this.state
+    const tokenAccount =
+      bridge.getTransactionTokenAccount && bridge.getTransactionTokenAccount(account, transaction)
+    if (tokenAccount) {
+      // tokens have no countervalue
+      return (
+        <Box flow={1}>
+          <Label>{t('app:send.steps.amount.amount')}</Label>
+          <Box horizontal flow={5} alignItems="center">
+            <Box grow>
+              <InputCurrency
+                error={canBeSpentError}
+                unit={tokenAccount.unit}
+                value={bridge.getTransactionAmount(account, transaction)}
+                onChange={this.onChange}
+                renderRight={<InputRight>{tokenAccount.unit.code}</InputRight>}
+              />
+            </Box>
+            <Button
+              primary={bridge.getTransactionUseAllAmount(account, transaction)}
+              outline={!bridge.getTransactionUseAllAmount(account, transaction)}
+              onClick={this.onClickMax}
+            >
+              {t('app:common.max')}
+            </Button>
+          </Box>
+        </Box>
+      )
+    }
     return (
       <Box flow={1}>
         <Label>{t('app:send.steps.amount.amount')}</Label>
         <RequestAmount
-          withMax={false}
+          withMax
+          onClickMax={this.onClickMax}
+          isMaxActive={bridge.getTransactionUseAllAmount(account, transaction)}
           account={account}
           canBeSpentError={canBeSpentError}
           onChange={this.onChange}
           value={bridge.getTransactionAmount(account, transaction)}
         />
+        {typeof spendableBalance === 'number' &&
+          spendableBalance < account.balance && (
+            <Box horizontal align="center" flow={1}>
+              <Text ff="Open Sans" fontSize={3} color="grey">
+                {t('app:send.steps.amount.spendableBalance')}
+              </Text>
+              <FormattedVal
+                val={spendableBalance}
+                unit={account.unit}
+                showCode
+                fontSize={3}
+                color="dark"
+              />
+              <Text ff="Open Sans" fontSize={3} color="grey">
+                {t('app:send.steps.amount.totalBalance')}
+              </Text>
+              <FormattedVal
+                val={account.balance}
+                unit={account.unit}
+                showCode
+                fontSize={3}
+                color="grey"
+              />
+            </Box>
+          )}
       </Box>
     )
   }
@@ -1,8 +1,11 @@
 // @flow
 import React, { Component } from 'react'
+import { connect } from 'react-redux'
 import type { Account } from '@ledgerhq/live-common/lib/types'
 import type { T } from 'types/common'
 import type { WalletBridge } from 'bridge/types'
+import type { Contact } from 'reducers/contacts'
+import { contactsForCurrencySelector } from 'reducers/contacts'
 import { openURL } from 'helpers/linking'
 import { urls } from 'config/support'
 import Box from 'components/base/Box'
@@ -17,8 +20,13 @@ type Props<Transaction> = {
   transaction: Transaction,
   onChangeTransaction: Transaction => void,
   autoFocus?: boolean,
+  contacts: Contact[],
 }
 
+const mapStateToProps = (state, { account }) => ({
+  contacts: contactsForCurrencySelector(state, { currency: account.currency }),
+})
+
 class RecipientField<Transaction> extends Component<Props<Transaction>, { isValid: boolean }> {
   state = {
     isValid: true,
@@ -67,7 +75,7 @@ class RecipientField<Transaction> extends Component<Props<Transaction>, { isVali
     track('Send Flow Recipient Address Help Requested')
   }
   render() {
-    const { bridge, account, transaction, t, autoFocus } = this.props
+    const { bridge, account, transaction, t, autoFocus, contacts } = this.props
     const { isValid } = this.state
     const value = bridge.getTransactionRecipient(account, transaction)
     return (
@@ -82,10 +90,11 @@ class RecipientField<Transaction> extends Component<Props<Transaction>, { isVali
           error={!value || isValid ? null : `This is not a valid ${account.currency.name} address`}
           value={value}
           onChange={this.onChange}
+          contacts={contacts}
         />
       </Box>
     )
   }
 }
 
-export default RecipientField
+export default connect(mapStateToProps)(RecipientField)
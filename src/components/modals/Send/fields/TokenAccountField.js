@@ -0,0 +1,48 @@
+// @flow
+import React, { Component } from 'react'
+import type { Account } from '@ledgerhq/live-common/lib/types'
+import type { T } from 'types/common'
+import type { WalletBridge } from 'bridge/types'
+import { getTokenAccounts } from 'helpers/tokenAccounts'
+import Box from 'components/base/Box'
+import Label from 'components/base/Label'
+import Select from 'components/base/Select'
+
+type Props<Transaction> = {
+  t: T,
+  account: Account,
+  bridge: WalletBridge<Transaction>,
+  transaction: Transaction,
+  onChangeTransaction: Transaction => void,
+}
+
+// choose between the account currency and one of the tokens it holds
+class TokenAccountField<Transaction> extends Component<Props<Transaction>> {
+  onChange = (option: ?Object) => {
+    const { bridge, account, transaction, onChangeTransaction } = this.props
+    if (!option || !bridge.editTransactionTokenAccount) return
+    onChangeTransaction(bridge.editTransactionTokenAccount(account, transaction, option.value))
+  }
+
+  render() {
+    const { bridge, account, transaction, t } = this.props
+    const tokenAccounts = getTokenAccounts(account)
+    if (tokenAccounts.length === 0 || !bridge.getTransactionTokenAccount) return null
+    const tokenAccount = bridge.getTransactionTokenAccount(account, transaction)
+    const options = [{ value: null, label: account.unit.code }].concat(
+      tokenAccounts.map(tokenAccount => ({
+        value: tokenAccount.id,
+        label: tokenAccount.unit.code,
+      })),
+    )
+    const value = options.find(o => o.value === (tokenAccount ? tokenAccount.id : null))
+    return (
+      <Box flow={1}>
+        <Label>{t('app:send.steps.amount.asset')}</Label>
+        <Select onChange={this.onChange} options={options} value={value} />
+      </Box>
+    )
+  }
+}
+
+export default TokenAccountField
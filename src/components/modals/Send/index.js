@@ -14,7 +14,7 @@ import { updateAccountWithUpdater } from 'actions/accounts'
 import { MODAL_SEND } from 'config/constants'
 import { getBridgeForCurrency } from 'bridge'
 
-import type { WalletBridge } from 'bridge/types'
+import type { WalletBridge, ReplacementKind } from 'bridge/types'
 import type { T, Device } from 'types/common'
 import type { StepProps as DefaultStepProps } from 'components/base/Stepper'
 
@@ -49,9 +49,14 @@ type State<Transaction> = {
   bridge: ?WalletBridge<Transaction>,
   transaction: ?Transaction,
   optimisticOperation: ?Operation,
+  replacedOperation: ?Operation,
+  replacementKind: ?ReplacementKind,
   isAppOpened: boolean,
   amount: number,
   error: ?Error,
+  signOnly: boolean,
+  signedTransaction: ?string,
+  signedSequenceNumber: ?number,
 }
 
 export type StepProps<Transaction> = DefaultStepProps & {
@@ -62,9 +67,17 @@ export type StepProps<Transaction> = DefaultStepProps & {
   transaction: ?Transaction,
   error: ?Error,
   optimisticOperation: ?Operation,
+  replacedOperation: ?Operation,
+  replacementKind: ?ReplacementKind,
   closeModal: void => void,
   openModal: (string, any) => void,
   isAppOpened: boolean,
+  // the transaction is not broadcasted, the signed transaction is exported instead
+  signOnly: boolean,
+  signedTransaction: ?string,
+  // the nonce of the signed transaction, that the account still uses until it's broadcasted
+  signedSequenceNumber: ?number,
+  onChangeSignOnly: boolean => void,
   onChangeAccount: (?Account) => void,
   onChangeAppOpened: boolean => void,
   onChangeTransaction: Transaction => void,
@@ -126,7 +139,12 @@ const INITIAL_STATE = {
   transaction: null,
   error: null,
   optimisticOperation: null,
+  replacedOperation: null,
+  replacementKind: null,
   isAppOpened: false,
+  signOnly: false,
+  signedTransaction: null,
+  signedSequenceNumber: null,
 }
 
 class SendModal extends PureComponent<Props, State<*>> {
@@ -153,12 +171,36 @@ class SendModal extends PureComponent<Props, State<*>> {
     if (!account) {
       const account = (data && data.account) || accounts[0]
       const bridge = account ? getBridgeForCurrency(account.currency) : null
-      const transaction = bridge ? bridge.createTransaction(account) : null
+      const replacementTransaction =
+        data && data.replacedOperation && bridge && bridge.createReplacementTransaction
+          ? bridge.createReplacementTransaction(
+              account,
+              data.replacedOperation,
+              data.replacementKind,
+            )
+          : null
+      let transaction =
+        replacementTransaction || (bridge ? bridge.createTransaction(account) : null)
+      if (data && data.tokenAccountId && bridge && bridge.editTransactionTokenAccount) {
+        transaction = bridge.editTransactionTokenAccount(account, transaction, data.tokenAccountId)
+      }
+      // opened from a payment URI
+      if (data && data.recipient && bridge) {
+        transaction = bridge.editTransactionRecipient(account, transaction, data.recipient)
+        if (data.amount) {
+          transaction = bridge.editTransactionAmount(account, transaction, data.amount)
+        }
+        if (typeof data.tag === 'number' && bridge.editTransactionTag) {
+          transaction = bridge.editTransactionTag(account, transaction, data.tag)
+        }
+      }
       this.setState({
         openedFromAccount: !!(data && data.account),
         account,
         bridge,
         transaction,
+        replacedOperation: replacementTransaction ? data.replacedOperation : null,
+        replacementKind: replacementTransaction ? data.replacementKind : null,
       })
     }
   }
@@ -167,16 +209,25 @@ class SendModal extends PureComponent<Props, State<*>> {
     if (account !== this.state.account) {
       const bridge = getBridgeForCurrency(account.currency)
       const transaction = bridge.createTransaction(account)
-      this.setState({ account, bridge, transaction })
+      this.setState({
+        account,
+        bridge,
+        transaction,
+        replacedOperation: null,
+        replacementKind: null,
+      })
     }
   }
 
   handleChangeAppOpened = (isAppOpened: boolean) => this.setState({ isAppOpened })
+  handleChangeSignOnly = (signOnly: boolean) => this.setState({ signOnly })
   handleChangeTransaction = transaction => this.setState({ transaction })
   handleRetry = () => {
     this.setState({
       error: null,
       optimisticOperation: null,
+      signedTransaction: null,
+      signedSequenceNumber: null,
       isAppOpened: false,
     })
   }
@@ -202,17 +253,23 @@ class SendModal extends PureComponent<Props, State<*>> {
 
   handleSignTransaction = async ({ transitionTo }: { transitionTo: string => void }) => {
     const { device } = this.props
-    const { account, transaction, bridge } = this.state
+    const { account, transaction, bridge, signOnly } = this.state
 
     invariant(device && account && transaction && bridge, 'signTransaction invalid conditions')
 
     this._signTransactionSub = bridge
-      .signAndBroadcast(account, transaction, device.path)
+      .signAndBroadcast(account, transaction, device.path, { signOnly })
       .subscribe({
         next: e => {
           switch (e.type) {
             case 'signed': {
               if (this._isUnmounted) return
+              if (signOnly) {
+                this.setState({
+                  signedTransaction: e.signedTransaction,
+                  signedSequenceNumber: e.transactionSequenceNumber,
+                })
+              }
               transitionTo('confirmation')
               break
             }
@@ -241,7 +298,12 @@ class SendModal extends PureComponent<Props, State<*>> {
       bridge,
       transaction,
       optimisticOperation,
+      replacedOperation,
+      replacementKind,
       error,
+      signOnly,
+      signedTransaction,
+      signedSequenceNumber,
     } = this.state
 
     const addtionnalProps = {
@@ -253,8 +315,14 @@ class SendModal extends PureComponent<Props, State<*>> {
       isAppOpened,
       error,
       optimisticOperation,
+      replacedOperation,
+      replacementKind,
+      signOnly,
+      signedTransaction,
+      signedSequenceNumber,
       openModal,
       closeModal: this.handleCloseModal,
+      onChangeSignOnly: this.handleChangeSignOnly,
       onChangeAccount: this.handleChangeAccount,
       onChangeAppOpened: this.handleChangeAppOpened,
       onChangeTransaction: this.handleChangeTransaction,
@@ -275,7 +343,11 @@ class SendModal extends PureComponent<Props, State<*>> {
         onBeforeOpen={this.handleBeforeOpenModal}
         render={({ onClose }) => (
           <Stepper
-            title={t('app:send.title')}
+            title={
+              replacementKind
+                ? t(`app:send.replacement.${replacementKind}.title`)
+                : t('app:send.title')
+            }
             initialStepId={stepId}
             onStepChange={this.handleStepChange}
             onClose={onClose}
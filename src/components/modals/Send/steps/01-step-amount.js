@@ -11,24 +11,38 @@ import FormattedVal from 'components/base/FormattedVal'
 import Text from 'components/base/Text'
 import CounterValue from 'components/CounterValue'
 import Spinner from 'components/base/Spinner'
+import Switch from 'components/base/Switch'
+import WarnBox from 'components/WarnBox'
 import TrackPage from 'analytics/TrackPage'
+import TranslatedError from 'components/TranslatedError'
+import { isWatchOnlyAccount, WatchOnlyAccount } from 'helpers/watchOnly'
+import { MODAL_PSBT } from 'config/constants'
 
 import RecipientField from '../fields/RecipientField'
 import AmountField from '../fields/AmountField'
+import TokenAccountField from '../fields/TokenAccountField'
 
 import type { StepProps } from '../index'
 
+const watchOnlyError = new WatchOnlyAccount()
+
 export default ({
   t,
   account,
   bridge,
   openedFromAccount,
   transaction,
+  replacementKind,
+  signOnly,
   onChangeAccount,
   onChangeTransaction,
+  onChangeSignOnly,
 }: StepProps<*>) => {
   const FeesField = bridge && bridge.EditFees
   const AdvancedOptionsField = bridge && bridge.EditAdvancedOptions
+  const AdditionalPaymentsField = bridge && bridge.EditAdditionalPayments
+  // nothing can be signed for a watch-only account
+  const watchOnly = !!account && isWatchOnlyAccount(account)
 
   // TODO: figure out why flow can't understand when we put conditions in variables
   // e.g:
@@ -37,54 +51,103 @@ export default ({
   return (
     <Box flow={4}>
       <TrackPage category="Send Flow" name="Step 1" />
+      {replacementKind && <WarnBox>{t(`app:send.replacement.${replacementKind}.info`)}</WarnBox>}
       <Box flow={1}>
         <Label>{t('app:send.steps.amount.selectAccountDebit')}</Label>
         <SelectAccount autoFocus={!openedFromAccount} onChange={onChangeAccount} value={account} />
       </Box>
 
-      {account &&
-        bridge &&
-        transaction && (
-          <RecipientField
-            autoFocus={openedFromAccount}
-            account={account}
-            bridge={bridge}
-            transaction={transaction}
-            onChangeTransaction={onChangeTransaction}
-            t={t}
-          />
-        )}
-
-      {account &&
-        bridge &&
-        transaction && (
-          <AmountField
-            key={account.id}
-            account={account}
-            bridge={bridge}
-            transaction={transaction}
-            onChangeTransaction={onChangeTransaction}
-            t={t}
-          />
-        )}
-
-      {account &&
-        bridge &&
-        transaction &&
-        FeesField && (
-          <FeesField account={account} value={transaction} onChange={onChangeTransaction} />
-        )}
-
-      {account &&
-        bridge &&
-        transaction &&
-        AdvancedOptionsField && (
-          <AdvancedOptionsField
-            account={account}
-            value={transaction}
-            onChange={onChangeTransaction}
-          />
-        )}
+      {watchOnly ? (
+        <Box flow={1} color="alertRed" ff="Open Sans|SemiBold" fontSize={4}>
+          <TranslatedError error={watchOnlyError} />
+          <Text ff="Open Sans" fontSize={3}>
+            <TranslatedError error={watchOnlyError} field="description" />
+          </Text>
+        </Box>
+      ) : (
+        <Fragment>
+          {account &&
+            bridge &&
+            transaction && (
+              <TokenAccountField
+                account={account}
+                bridge={bridge}
+                transaction={transaction}
+                onChangeTransaction={onChangeTransaction}
+                t={t}
+              />
+            )}
+
+          {account &&
+            bridge &&
+            transaction && (
+              <RecipientField
+                autoFocus={openedFromAccount}
+                account={account}
+                bridge={bridge}
+                transaction={transaction}
+                onChangeTransaction={onChangeTransaction}
+                t={t}
+              />
+            )}
+
+          {account &&
+            bridge &&
+            transaction && (
+              <AmountField
+                key={account.id}
+                account={account}
+                bridge={bridge}
+                transaction={transaction}
+                onChangeTransaction={onChangeTransaction}
+                t={t}
+              />
+            )}
+
+          {account &&
+            bridge &&
+            transaction &&
+            AdditionalPaymentsField && (
+              <AdditionalPaymentsField
+                account={account}
+                value={transaction}
+                onChange={onChangeTransaction}
+              />
+            )}
+
+          {account &&
+            bridge &&
+            transaction &&
+            FeesField && (
+              <FeesField account={account} value={transaction} onChange={onChangeTransaction} />
+            )}
+
+          {account &&
+            bridge &&
+            transaction &&
+            AdvancedOptionsField && (
+              <AdvancedOptionsField
+                account={account}
+                value={transaction}
+                onChange={onChangeTransaction}
+              />
+            )}
+
+          {account && (
+            <Box horizontal align="center" flow={2}>
+              <Box grow>
+                <Text ff="Open Sans|SemiBold" color="dark" fontSize={4}>
+                  {t('app:send.steps.amount.signOnly.title')}
+                </Text>
+                <Text ff="Open Sans" color="grey" fontSize={3}>
+                  {t('app:send.steps.amount.signOnly.desc')}
+                </Text>
+              </Box>
+              <Switch isChecked={signOnly} onChange={onChangeSignOnly} />
+            </Box>
+          )}
+        </Fragment>
+      )}
     </Box>
   )
 }
@@ -95,12 +158,16 @@ export class StepAmountFooter extends PureComponent<
     totalSpent: number,
     canNext: boolean,
     isSyncing: boolean,
+    isExportingPSBT: boolean,
+    exportError: ?Error,
   },
 > {
   state = {
     isSyncing: false,
     totalSpent: 0,
     canNext: false,
+    isExportingPSBT: false,
+    exportError: null,
   }
 
   componentDidMount() {
@@ -118,9 +185,11 @@ export class StepAmountFooter extends PureComponent<
 
   componentWillUnmount() {
     this.syncId++
+    this._isUnmounted = true
   }
 
   syncId = 0
+  _isUnmounted = false
 
   async resync() {
     const { account, bridge, transaction } = this.props
@@ -154,9 +223,26 @@ export class StepAmountFooter extends PureComponent<
     }
   }
 
+  // the transaction is not signed here: it continues in the PSBT modal, to be exported or signed
+  handleExportPSBT = async () => {
+    const { account, bridge, transaction, closeModal, openModal } = this.props
+    const buildPSBT = bridge && bridge.buildPSBT
+    if (!account || !buildPSBT || !transaction) return
+    this.setState({ isExportingPSBT: true, exportError: null })
+    try {
+      const psbt = await buildPSBT(account, transaction)
+      if (this._isUnmounted) return
+      closeModal()
+      openModal(MODAL_PSBT, { account, psbt })
+    } catch (exportError) {
+      if (this._isUnmounted) return
+      this.setState({ isExportingPSBT: false, exportError })
+    }
+  }
+
   render() {
-    const { t, transitionTo, account } = this.props
-    const { isSyncing, totalSpent, canNext } = this.state
+    const { t, transitionTo, account, bridge } = this.props
+    const { isSyncing, totalSpent, canNext, isExportingPSBT, exportError } = this.state
     return (
       <Fragment>
         <Box grow>
@@ -192,7 +278,25 @@ export class StepAmountFooter extends PureComponent<
             </Box>
             {isSyncing && <Spinner size={10} />}
           </Box>
+          {exportError && (
+            <Text ff="Open Sans|Regular" fontSize={3} color="alertRed">
+              <TranslatedError error={exportError} />
+            </Text>
+          )}
         </Box>
+        {bridge &&
+          bridge.buildPSBT && (
+            <Button
+              mr={2}
+              outline
+              event="ExportPSBT"
+              disabled={!canNext || isExportingPSBT}
+              isLoading={isExportingPSBT}
+              onClick={this.handleExportPSBT}
+            >
+              {t('app:send.steps.amount.exportPSBT')}
+            </Button>
+          )}
         <Button disabled={!canNext} primary onClick={() => transitionTo('device')}>
           {t('app:common.continue')}
         </Button>
@@ -2,11 +2,17 @@
 
 import React, { PureComponent } from 'react'
 import styled from 'styled-components'
+import { connect } from 'react-redux'
 
 import { multiline } from 'styles/helpers'
+import type { ContactsState } from 'reducers/contacts'
+import { contactsSelector, findContactByAddress } from 'reducers/contacts'
 
 import TrackPage from 'analytics/TrackPage'
 import Box from 'components/base/Box'
+import Ellipsis from 'components/base/Ellipsis'
+import FormattedVal from 'components/base/FormattedVal'
+import Text from 'components/base/Text'
 import WarnBox from 'components/WarnBox'
 import DeviceConfirm from 'components/DeviceConfirm'
 
@@ -16,8 +22,23 @@ const Container = styled(Box).attrs({ alignItems: 'center', fontSize: 4, pb: 4 }
 const Info = styled(Box).attrs({ ff: 'Open Sans|SemiBold', color: 'dark', mt: 6, mb: 4, px: 5 })`
   text-align: center;
 `
+const Payments = styled(Box).attrs({ flow: 1, mt: 4, px: 5 })`
+  align-self: stretch;
+`
+
+const Recipient = styled(Box).attrs({ horizontal: true, align: 'center', flow: 2, mt: 4, px: 5 })`
+  align-self: stretch;
+`
+
+type Props = StepProps<*> & {
+  contacts: ContactsState,
+}
 
-export default class StepVerification extends PureComponent<StepProps<*>> {
+const mapStateToProps = state => ({
+  contacts: contactsSelector(state),
+})
+
+class StepVerification extends PureComponent<Props> {
   componentDidMount() {
     this.signTransaction()
   }
@@ -29,15 +50,92 @@ export default class StepVerification extends PureComponent<StepProps<*>> {
     this.props.signTransaction({ transitionTo })
   }
 
+  // the name of the recipient in the address book, next to its address
+  renderContactName(address: string) {
+    const { account, contacts } = this.props
+    if (!account) return null
+    const contact = findContactByAddress(contacts, account.currency, address)
+    if (!contact) return null
+    return (
+      <Text ff="Open Sans|SemiBold" fontSize={3} color="wallet" style={{ flexShrink: 0 }}>
+        {contact.name}
+      </Text>
+    )
+  }
+
+  renderRecipient() {
+    const { t, account, bridge, transaction } = this.props
+    if (!account || !bridge || !transaction) return null
+    if (
+      bridge.getTransactionPayments &&
+      bridge.getTransactionPayments(account, transaction).length > 1
+    ) {
+      return null
+    }
+    const recipient = bridge.getTransactionRecipient(account, transaction)
+    return (
+      <Recipient>
+        <Text ff="Open Sans|SemiBold" color="dark" fontSize={4} style={{ flexShrink: 0 }}>
+          {t('app:send.steps.verification.recipient')}
+        </Text>
+        <Ellipsis canSelect ff="Open Sans|Regular" fontSize={3} color="smoke">
+          {recipient}
+        </Ellipsis>
+        {this.renderContactName(recipient)}
+      </Recipient>
+    )
+  }
+
+  renderPayments() {
+    const { t, account, bridge, transaction } = this.props
+    if (!account || !bridge || !transaction || !bridge.getTransactionPayments) return null
+    const payments = bridge.getTransactionPayments(account, transaction)
+    if (payments.length <= 1) return null
+    return (
+      <Payments>
+        <Text ff="Open Sans|SemiBold" color="dark" fontSize={4}>
+          {t('app:send.steps.verification.payments', { count: payments.length })}
+        </Text>
+        {payments.map((p, i) => (
+          // the same recipient can be paid several times
+          // eslint-disable-next-line react/no-array-index-key
+          <Box key={i} horizontal align="center" flow={2}>
+            <Ellipsis canSelect ff="Open Sans|Regular" fontSize={3} color="smoke">
+              {p.recipient}
+            </Ellipsis>
+            {this.renderContactName(p.recipient)}
+            <FormattedVal val={p.amount} unit={account.unit} showCode fontSize={3} color="dark" />
+          </Box>
+        ))}
+        <Box horizontal align="center" justifyContent="space-between">
+          <Text ff="Open Sans|SemiBold" color="dark" fontSize={3}>
+            {t('app:send.steps.verification.paymentsTotal')}
+          </Text>
+          <FormattedVal
+            val={payments.reduce((sum, p) => sum + p.amount, 0)}
+            unit={account.unit}
+            showCode
+            fontSize={3}
+            color="dark"
+          />
+        </Box>
+      </Payments>
+    )
+  }
+
   render() {
     const { t } = this.props
     return (
       <Container>
         <TrackPage category="Send Flow" name="Step 3" />
         <WarnBox>{multiline(t('app:send.steps.verification.warning'))}</WarnBox>
+        {this.renderRecipient()}
+        {this.renderPayments()}
         <Info>{t('app:send.steps.verification.body')}</Info>
         <DeviceConfirm />
       </Container>
     )
   }
 }
+
+export default connect(mapStateToProps)(StepVerification)
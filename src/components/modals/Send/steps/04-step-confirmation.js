@@ -2,7 +2,9 @@
 
 import React, { Fragment } from 'react'
 import styled from 'styled-components'
+import type { Account } from '@ledgerhq/live-common/lib/types'
 
+import type { T } from 'types/common'
 import { MODAL_OPERATION_DETAILS } from 'config/constants'
 import { colors } from 'styles/theme'
 import { multiline } from 'styles/helpers'
@@ -12,6 +14,8 @@ import Box from 'components/base/Box'
 import Button from 'components/base/Button'
 import Spinner from 'components/base/Spinner'
 import TranslatedError from 'components/TranslatedError'
+import TransactionExport from 'components/TransactionExport'
+import WarnBox from 'components/WarnBox'
 import IconCheckCircle from 'icons/CheckCircle'
 import IconExclamationCircleThin from 'icons/ExclamationCircleThin'
 
@@ -42,7 +46,58 @@ const Text = styled(Box).attrs({
   text-align: center;
 `
 
-export default function StepConfirmation({ t, optimisticOperation, error }: StepProps<*>) {
+// sign only: the signed transaction is exported, to be broadcasted later (Settings > Tools)
+function StepSigned({
+  t,
+  account,
+  signedTransaction,
+  signedSequenceNumber,
+}: {
+  t: T,
+  account: ?Account,
+  signedTransaction: ?string,
+  signedSequenceNumber: ?number,
+}) {
+  if (!account || !signedTransaction) return null
+  return (
+    <Box flow={4}>
+      <TrackPage category="Send Flow" name="Step 4 Signed" />
+      <Box alignItems="center" color="dark">
+        <span style={{ color: colors.positiveGreen }}>
+          <IconCheckCircle size={43} />
+        </span>
+        <Title>{t('app:send.steps.confirmation.signed.title')}</Title>
+        <Text color="smoke">{t('app:send.steps.confirmation.signed.text')}</Text>
+      </Box>
+      {typeof signedSequenceNumber === 'number' && (
+        <WarnBox>
+          {t('app:send.steps.confirmation.signed.sequenceNumber', {
+            sequenceNumber: signedSequenceNumber,
+          })}
+        </WarnBox>
+      )}
+      <TransactionExport
+        label={t('app:send.steps.confirmation.signed.transaction')}
+        data={signedTransaction}
+        fileName={`${account.currency.id}-transaction.txt`}
+        fileFilter={{ name: 'Transaction', extensions: ['txt'] }}
+      />
+    </Box>
+  )
+}
+
+export default function StepConfirmation(props: StepProps<*>) {
+  const { t, account, optimisticOperation, error, signedTransaction, signedSequenceNumber } = props
+  if (signedTransaction && !error) {
+    return (
+      <StepSigned
+        t={t}
+        account={account}
+        signedTransaction={signedTransaction}
+        signedSequenceNumber={signedSequenceNumber}
+      />
+    )
+  }
   const Icon = optimisticOperation ? IconCheckCircle : error ? IconExclamationCircleThin : Spinner
   const iconColor = optimisticOperation
     ? colors.positiveGreen
@@ -77,13 +132,18 @@ export function StepConfirmationFooter({
   account,
   onRetry,
   optimisticOperation,
+  signedTransaction,
   error,
   openModal,
   closeModal,
 }: StepProps<*>) {
   return (
     <Fragment>
-      {optimisticOperation ? (
+      {signedTransaction && !error ? (
+        <Button ml={2} primary onClick={closeModal}>
+          {t('app:common.close')}
+        </Button>
+      ) : optimisticOperation ? (
         <Button
           ml={2}
           event="Send Flow Step 4 View OpD Clicked"
@@ -0,0 +1,184 @@
+// @flow
+
+import React, { PureComponent } from 'react'
+import { compose } from 'redux'
+import { connect } from 'react-redux'
+import { translate } from 'react-i18next'
+import { createStructuredSelector } from 'reselect'
+import type { Account } from '@ledgerhq/live-common/lib/types'
+
+import SyncSkipUnderPriority from 'components/SyncSkipUnderPriority'
+import Track from 'analytics/Track'
+
+import { MODAL_SIGN_MESSAGE } from 'config/constants'
+import type { T, Device } from 'types/common'
+import type { StepProps as DefaultStepProps } from 'components/base/Stepper'
+
+import { getCurrentDevice } from 'reducers/devices'
+import { closeModal } from 'reducers/modals'
+
+import Modal from 'components/base/Modal'
+import Stepper from 'components/base/Stepper'
+
+import StepMessage, { StepMessageFooter } from './steps/01-step-message'
+import StepConnectDevice, { StepConnectDeviceFooter } from './steps/02-step-connect-device'
+import StepSign, { StepSignFooter } from './steps/03-step-sign'
+import StepSignature, { StepSignatureFooter } from './steps/04-step-signature'
+
+type Props = {
+  t: T,
+  device: ?Device,
+  closeModal: string => void,
+}
+
+type State = {
+  stepId: string,
+  account: ?Account,
+  message: string,
+  isAppOpened: boolean,
+  signature: ?string,
+  error: ?Error,
+}
+
+export type StepProps = DefaultStepProps & {
+  device: ?Device,
+  account: ?Account,
+  message: string,
+  isAppOpened: boolean,
+  signature: ?string,
+  error: ?Error,
+  closeModal: void => void,
+  onChangeAccount: (?Account) => void,
+  onChangeMessage: string => void,
+  onChangeAppOpened: boolean => void,
+  onSigned: (?string, ?Error) => void,
+  onRetry: void => void,
+}
+
+const createSteps = ({ t }: { t: T }) => [
+  {
+    id: 'message',
+    label: t('app:signMessage.steps.message.title'),
+    component: StepMessage,
+    footer: StepMessageFooter,
+  },
+  {
+    id: 'device',
+    label: t('app:signMessage.steps.connectDevice.title'),
+    component: StepConnectDevice,
+    footer: StepConnectDeviceFooter,
+    onBack: ({ transitionTo }: StepProps) => transitionTo('message'),
+  },
+  {
+    id: 'sign',
+    label: t('app:signMessage.steps.sign.title'),
+    component: StepSign,
+    footer: StepSignFooter,
+    shouldRenderFooter: ({ error }: StepProps) => !!error,
+    shouldPreventClose: ({ error }: StepProps) => !error,
+  },
+  {
+    id: 'signature',
+    label: t('app:signMessage.steps.signature.title'),
+    component: StepSignature,
+    footer: StepSignatureFooter,
+  },
+]
+
+const mapStateToProps = createStructuredSelector({
+  device: getCurrentDevice,
+})
+
+const mapDispatchToProps = {
+  closeModal,
+}
+
+const INITIAL_STATE = {
+  stepId: 'message',
+  account: null,
+  message: '',
+  isAppOpened: false,
+  signature: null,
+  error: null,
+}
+
+class SignMessageModal extends PureComponent<Props, State> {
+  state = INITIAL_STATE
+  STEPS = createSteps({ t: this.props.t })
+
+  handleBeforeOpenModal = ({ data }) => {
+    if (data && data.account) {
+      this.setState({ account: data.account })
+    }
+  }
+
+  handleReset = () => this.setState({ ...INITIAL_STATE })
+
+  handleCloseModal = () => this.props.closeModal(MODAL_SIGN_MESSAGE)
+
+  handleStepChange = step => this.setState({ stepId: step.id })
+
+  handleChangeAccount = (account: ?Account) => this.setState({ account })
+
+  handleChangeMessage = (message: string) => this.setState({ message })
+
+  handleChangeAppOpened = (isAppOpened: boolean) => this.setState({ isAppOpened })
+
+  handleSigned = (signature: ?string, error: ?Error) => this.setState({ signature, error })
+
+  handleRetry = () => this.setState({ isAppOpened: false, signature: null, error: null })
+
+  render() {
+    const { t, device } = this.props
+    const { stepId, account, message, isAppOpened, signature, error } = this.state
+
+    const addtionnalProps = {
+      device,
+      account,
+      message,
+      isAppOpened,
+      signature,
+      error,
+      closeModal: this.handleCloseModal,
+      onChangeAccount: this.handleChangeAccount,
+      onChangeMessage: this.handleChangeMessage,
+      onChangeAppOpened: this.handleChangeAppOpened,
+      onSigned: this.handleSigned,
+      onRetry: this.handleRetry,
+    }
+
+    const isModalLocked = stepId === 'sign' && !error
+
+    return (
+      <Modal
+        name={MODAL_SIGN_MESSAGE}
+        refocusWhenChange={stepId}
+        onHide={this.handleReset}
+        preventBackdropClick={isModalLocked}
+        onBeforeOpen={this.handleBeforeOpenModal}
+        render={({ onClose }) => (
+          <Stepper
+            title={t('app:signMessage.title')}
+            initialStepId={stepId}
+            onStepChange={this.handleStepChange}
+            onClose={onClose}
+            steps={this.STEPS}
+            errorSteps={error ? [2] : []}
+            {...addtionnalProps}
+          >
+            <Track onUnmount event="CloseModalSignMessage" />
+            <SyncSkipUnderPriority priority={100} />
+          </Stepper>
+        )}
+      />
+    )
+  }
+}
+
+export default compose(
+  connect(
+    mapStateToProps,
+    mapDispatchToProps,
+  ),
+  translate(),
+)(SignMessageModal)
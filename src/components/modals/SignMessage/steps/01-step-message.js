@@ -0,0 +1,66 @@
+// @flow
+
+import React from 'react'
+import { connect } from 'react-redux'
+import { createStructuredSelector, createSelector } from 'reselect'
+
+import TrackPage from 'analytics/TrackPage'
+import { accountsSelector } from 'reducers/accounts'
+import { canAccountSignMessage } from 'helpers/messageSignature'
+import Box from 'components/base/Box'
+import Label from 'components/base/Label'
+import Button from 'components/base/Button'
+import Ellipsis from 'components/base/Ellipsis'
+import { Textarea } from 'components/base/Input'
+import { SelectAccount } from 'components/SelectAccount'
+
+import type { StepProps } from '../index'
+
+const SelectSigningAccount = connect(
+  createStructuredSelector({
+    accounts: createSelector(accountsSelector, accounts => accounts.filter(canAccountSignMessage)),
+  }),
+)(SelectAccount)
+
+export default function StepMessage({
+  t,
+  account,
+  message,
+  onChangeAccount,
+  onChangeMessage,
+}: StepProps) {
+  return (
+    <Box flow={4}>
+      <TrackPage category="Sign Message Flow" name="Step 1" />
+      <Box flow={1}>
+        <Label>{t('app:signMessage.steps.message.account')}</Label>
+        <SelectSigningAccount onChange={onChangeAccount} value={account} />
+      </Box>
+      {account ? (
+        <Box flow={1}>
+          <Label>{t('app:signMessage.address')}</Label>
+          <Box ff="Open Sans|SemiBold" fontSize={4} color="dark">
+            <Ellipsis canSelect>{account.freshAddress}</Ellipsis>
+          </Box>
+        </Box>
+      ) : null}
+      <Box flow={1}>
+        <Label>{t('app:signMessage.message')}</Label>
+        <Textarea
+          autoFocus
+          value={message}
+          onChange={e => onChangeMessage(e.target.value)}
+          placeholder={t('app:signMessage.steps.message.placeholder')}
+        />
+      </Box>
+    </Box>
+  )
+}
+
+export function StepMessageFooter({ t, transitionTo, account, message }: StepProps) {
+  return (
+    <Button disabled={!account || !message} primary onClick={() => transitionTo('device')}>
+      {t('app:common.continue')}
+    </Button>
+  )
+}
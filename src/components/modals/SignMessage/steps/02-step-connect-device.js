@@ -0,0 +1,30 @@
+// @flow
+
+import React, { Fragment } from 'react'
+
+import Button from 'components/base/Button'
+import EnsureDeviceApp from 'components/EnsureDeviceApp'
+import TrackPage from 'analytics/TrackPage'
+
+import type { StepProps } from '../index'
+
+export default function StepConnectDevice({ account, onChangeAppOpened }: StepProps) {
+  return (
+    <EnsureDeviceApp
+      account={account}
+      waitBeforeSuccess={200}
+      onSuccess={() => onChangeAppOpened(true)}
+    />
+  )
+}
+
+export function StepConnectDeviceFooter({ t, transitionTo, isAppOpened }: StepProps) {
+  return (
+    <Fragment>
+      <TrackPage category="Sign Message Flow" name="Step 2" />
+      <Button disabled={!isAppOpened} primary onClick={() => transitionTo('sign')}>
+        {t('app:common.continue')}
+      </Button>
+    </Fragment>
+  )
+}
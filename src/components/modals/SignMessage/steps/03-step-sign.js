@@ -0,0 +1,112 @@
+// @flow
+
+import invariant from 'invariant'
+import styled from 'styled-components'
+import React, { Fragment, PureComponent } from 'react'
+
+import TrackPage from 'analytics/TrackPage'
+import signMessage from 'commands/signMessage'
+import { isSegwitAccount } from 'helpers/bip32'
+import Box from 'components/base/Box'
+import Button from 'components/base/Button'
+import DeviceConfirm from 'components/DeviceConfirm'
+import TranslatedError from 'components/TranslatedError'
+
+import type { StepProps } from '../index'
+
+export default class StepSign extends PureComponent<StepProps> {
+  componentDidMount() {
+    this.sign()
+  }
+
+  componentWillUnmount() {
+    this._isUnmounted = true
+  }
+
+  _isUnmounted = false
+
+  sign = async () => {
+    const { account, device, message, onSigned, transitionTo } = this.props
+    invariant(account, 'No account given')
+    invariant(device, 'No device given')
+    try {
+      const signature = await signMessage
+        .send({
+          currencyId: account.currency.id,
+          devicePath: device.path,
+          path: account.freshAddressPath,
+          message,
+          segwit: isSegwitAccount(account),
+        })
+        .toPromise()
+      if (this._isUnmounted) return
+      onSigned(signature, null)
+      transitionTo('signature')
+    } catch (err) {
+      if (this._isUnmounted) return
+      onSigned(null, err)
+    }
+  }
+
+  render() {
+    const { t, error } = this.props
+    return (
+      <Container>
+        <TrackPage category="Sign Message Flow" name="Step 3" />
+        {error ? (
+          <Fragment>
+            <Title>
+              <TranslatedError error={error} />
+            </Title>
+            <Text mb={5}>
+              <TranslatedError error={error} field="description" />
+            </Text>
+            <DeviceConfirm error />
+          </Fragment>
+        ) : (
+          <Fragment>
+            <Title>{t('app:signMessage.steps.sign.action')}</Title>
+            <Text mb={5}>{t('app:signMessage.steps.sign.text')}</Text>
+            <DeviceConfirm />
+          </Fragment>
+        )}
+      </Container>
+    )
+  }
+}
+
+export function StepSignFooter({ t, transitionTo, onRetry }: StepProps) {
+  // only displayed when the signature failed
+  return (
+    <Button
+      primary
+      event="Sign Message Flow Retry Clicked"
+      onClick={() => {
+        onRetry()
+        transitionTo('device')
+      }}
+    >
+      {t('app:common.retry')}
+    </Button>
+  )
+}
+
+const Container = styled(Box).attrs({
+  alignItems: 'center',
+  fontSize: 4,
+  color: 'dark',
+  px: 5,
+  mb: 2,
+})``
+
+const Title = styled(Box).attrs({
+  ff: 'Open Sans|SemiBold',
+  fontSize: 6,
+  mb: 1,
+})``
+
+const Text = styled(Box).attrs({
+  color: 'smoke',
+})`
+  text-align: center;
+`
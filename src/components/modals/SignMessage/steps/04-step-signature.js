@@ -0,0 +1,61 @@
+// @flow
+
+import invariant from 'invariant'
+import React from 'react'
+import styled from 'styled-components'
+
+import TrackPage from 'analytics/TrackPage'
+import Box from 'components/base/Box'
+import Button from 'components/base/Button'
+import Label from 'components/base/Label'
+import CopyWithFeedback from 'components/base/CopyWithFeedback'
+
+import type { StepProps } from '../index'
+
+const Value = styled(Box).attrs({
+  ff: 'Open Sans|SemiBold',
+  fontSize: 4,
+  color: 'dark',
+  p: 3,
+  bg: 'lightGrey',
+  borderRadius: 1,
+})`
+  user-select: text;
+  word-break: break-all;
+  white-space: pre-wrap;
+`
+
+export default function StepSignature({ t, account, message, signature }: StepProps) {
+  invariant(account, 'No account given')
+  invariant(signature, 'No signature given')
+  return (
+    <Box flow={4}>
+      <TrackPage category="Sign Message Flow" name="Step 4" />
+      <Box flow={1}>
+        <Label>{t('app:signMessage.address')}</Label>
+        <Value>{account.freshAddress}</Value>
+      </Box>
+      <Box flow={1}>
+        <Label>{t('app:signMessage.message')}</Label>
+        <Value>{message}</Value>
+      </Box>
+      <Box flow={1}>
+        <Box horizontal alignItems="center">
+          <Label>{t('app:signMessage.signature')}</Label>
+          <Box ml="auto" color="wallet">
+            <CopyWithFeedback text={signature} />
+          </Box>
+        </Box>
+        <Value>{signature}</Value>
+      </Box>
+    </Box>
+  )
+}
+
+export function StepSignatureFooter({ t, closeModal }: StepProps) {
+  return (
+    <Button primary onClick={closeModal}>
+      {t('app:common.close')}
+    </Button>
+  )
+}
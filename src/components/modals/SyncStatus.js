@@ -0,0 +1,158 @@
+// @flow
+
+import React, { PureComponent } from 'react'
+import { compose } from 'redux'
+import { connect } from 'react-redux'
+import { translate } from 'react-i18next'
+import { createStructuredSelector } from 'reselect'
+import moment from 'moment'
+import type { Account } from '@ledgerhq/live-common/lib/types'
+
+import type { T } from 'types/common'
+import { MODAL_SYNC_STATUS, SYNC_REPEATED_FAILURES } from 'config/constants'
+import { accountsSelector } from 'reducers/accounts'
+import { bridgeSyncSelector, syncStateLocalSelector } from 'reducers/bridgeSync'
+import type { BridgeSyncState } from 'reducers/bridgeSync'
+import { BridgeSyncConsumer } from 'bridge/BridgeSyncContext'
+import type { Sync } from 'bridge/BridgeSyncContext'
+
+import TrackPage from 'analytics/TrackPage'
+import Modal, { ModalBody, ModalTitle, ModalContent } from 'components/base/Modal'
+import Box from 'components/base/Box'
+import Button from 'components/base/Button'
+import Ellipsis from 'components/base/Ellipsis'
+import Text from 'components/base/Text'
+import CryptoCurrencyIcon from 'components/CryptoCurrencyIcon'
+import TranslatedError from 'components/TranslatedError'
+
+// the relative times are refreshed while the modal is opened
+const REFRESH_INTERVAL = 5 * 1000
+
+type OwnProps = {
+  onClose: () => void,
+  sync: Sync,
+}
+
+type Props = OwnProps & {
+  t: T,
+  accounts: Account[],
+  bridgeSync: BridgeSyncState,
+}
+
+const mapStateToProps = createStructuredSelector({
+  accounts: accountsSelector,
+  bridgeSync: bridgeSyncSelector,
+})
+
+class SyncStatusBody extends PureComponent<Props, { now: number }> {
+  state = {
+    now: Date.now(),
+  }
+
+  componentDidMount() {
+    this.interval = setInterval(() => this.setState({ now: Date.now() }), REFRESH_INTERVAL)
+  }
+
+  componentWillUnmount() {
+    clearInterval(this.interval)
+  }
+
+  interval: *
+
+  retryNow = (accountId: string) => {
+    this.props.sync({ type: 'RETRY_ONE_ACCOUNT', accountId, priority: 10 })
+  }
+
+  renderAccount = (account: Account) => {
+    const { t, bridgeSync } = this.props
+    const { now } = this.state
+    const { pending, error, lastSuccessDate, failureCount, nextRetryDate } = syncStateLocalSelector(
+      bridgeSync,
+      { accountId: account.id },
+    )
+    const isFailingRepeatedly = failureCount >= SYNC_REPEATED_FAILURES
+    return (
+      <Box
+        key={account.id}
+        horizontal
+        align="center"
+        flow={3}
+        py={2}
+        px={3}
+        bg={isFailingRepeatedly ? 'lightGrey' : undefined}
+        style={{ borderRadius: 4 }}
+      >
+        <Box color={account.currency.color}>
+          <CryptoCurrencyIcon currency={account.currency} size={16} />
+        </Box>
+        <Box grow shrink flow={1}>
+          <Ellipsis ff="Open Sans|SemiBold" color="dark" fontSize={4}>
+            {account.name}
+          </Ellipsis>
+          <Text ff="Open Sans" color="grey" fontSize={3}>
+            {lastSuccessDate
+              ? t('app:syncStatus.lastSuccess', { time: moment(lastSuccessDate).from(now) })
+              : t('app:syncStatus.noSuccess')}
+          </Text>
+          {error ? (
+            <Text ff="Open Sans" color="alertRed" fontSize={3}>
+              <TranslatedError error={error} />
+            </Text>
+          ) : null}
+          {isFailingRepeatedly ? (
+            <Text ff="Open Sans|SemiBold" color="alertRed" fontSize={3}>
+              {t('app:syncStatus.failingRepeatedly', { count: failureCount })}
+            </Text>
+          ) : null}
+        </Box>
+        <Box alignItems="flex-end" flow={1}>
+          <Text ff="Open Sans|SemiBold" fontSize={3} color={error ? 'alertRed' : 'grey'}>
+            {pending
+              ? t('app:syncStatus.syncing')
+              : error
+                ? nextRetryDate && nextRetryDate > now
+                  ? t('app:syncStatus.nextRetry', { time: moment(nextRetryDate).from(now) })
+                  : t('app:syncStatus.retrying')
+                : t('app:syncStatus.synced')}
+          </Text>
+          {error && !pending ? (
+            <Button small outline onClick={() => this.retryNow(account.id)}>
+              {t('app:syncStatus.retryNow')}
+            </Button>
+          ) : null}
+        </Box>
+      </Box>
+    )
+  }
+
+  render() {
+    const { t, accounts, onClose } = this.props
+    return (
+      <ModalBody onClose={onClose}>
+        <TrackPage category="Modal" name="SyncStatus" />
+        <ModalTitle>{t('app:syncStatus.title')}</ModalTitle>
+        <ModalContent flow={1} style={{ maxHeight: 500, overflowY: 'auto' }}>
+          {accounts.map(this.renderAccount)}
+        </ModalContent>
+      </ModalBody>
+    )
+  }
+}
+
+const ConnectedSyncStatusBody = compose(
+  connect(mapStateToProps),
+  translate(),
+)(SyncStatusBody)
+
+const SyncStatus = () => (
+  <Modal
+    name={MODAL_SYNC_STATUS}
+    render={({ onClose }) => (
+      <BridgeSyncConsumer>
+        {sync => <ConnectedSyncStatusBody onClose={onClose} sync={sync} />}
+      </BridgeSyncConsumer>
+    )}
+  />
+)
+
+export default SyncStatus
@@ -6,3 +6,7 @@ export Send from './Send'
 export SettingsAccount from './SettingsAccount'
 export ReleaseNotes from './ReleaseNotes'
 export Disclaimer from './Disclaimer'
+export ExportOperations from './ExportOperations'
+export SignMessage from './SignMessage'
+export PSBT from './PSBT'
+export SyncStatus from './SyncStatus'
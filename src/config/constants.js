@@ -36,8 +36,12 @@ export const OUTDATED_CONSIDERED_DELAY = intFromEnv('OUTDATED_CONSIDERED_DELAY',
 export const SYNC_ALL_INTERVAL = 120 * 1000
 export const SYNC_BOOT_DELAY = 2 * 1000
 export const SYNC_PENDING_INTERVAL = 10 * 1000
+export const SYNC_PAYMENT_REQUESTS_INTERVAL = 30 * 1000
 export const SYNC_MAX_CONCURRENT = intFromEnv('LEDGER_SYNC_MAX_CONCURRENT', 1)
 export const SYNC_TIMEOUT = intFromEnv('SYNC_TIMEOUT', 30 * 1000)
+export const SYNC_RETRY_MIN_DELAY = intFromEnv('SYNC_RETRY_MIN_DELAY', 10 * 1000)
+export const SYNC_RETRY_MAX_DELAY = intFromEnv('SYNC_RETRY_MAX_DELAY', 30 * 60 * 1000)
+export const SYNC_REPEATED_FAILURES = 3
 
 // Endpoints...
 
@@ -87,6 +91,12 @@ export const EXPERIMENTAL_MARKET_INDICATOR_SETTINGS = boolFromEnv(
 
 export const MAX_ACCOUNT_NAME_SIZE = 50
 
+// the minimum fees per byte a replacement pays on top of the replaced fees (default of the nodes)
+export const RBF_INCREMENTAL_RELAY_FEE = intFromEnv('RBF_INCREMENTAL_RELAY_FEE', 1)
+
+// the payment URIs the app is the OS handler of, they open the Send modal
+export const PAYMENT_URI_SCHEMES = ['bitcoin', 'ethereum', 'ripple']
+
 export const MODAL_ADD_ACCOUNTS = 'MODAL_ADD_ACCOUNTS'
 export const MODAL_OPERATION_DETAILS = 'MODAL_OPERATION_DETAILS'
 export const MODAL_RECEIVE = 'MODAL_RECEIVE'
@@ -95,6 +105,10 @@ export const MODAL_SETTINGS_ACCOUNT = 'MODAL_SETTINGS_ACCOUNT'
 export const MODAL_RELEASES_NOTES = 'MODAL_RELEASES_NOTES'
 export const MODAL_SHARE_ANALYTICS = 'MODAL_SHARE_ANALYTICS'
 export const MODAL_TECHNICAL_DATA = 'MODAL_TECHNICAL_DATA'
+export const MODAL_EXPORT_OPERATIONS = 'MODAL_EXPORT_OPERATIONS'
+export const MODAL_SIGN_MESSAGE = 'MODAL_SIGN_MESSAGE'
+export const MODAL_PSBT = 'MODAL_PSBT'
+export const MODAL_SYNC_STATUS = 'MODAL_SYNC_STATUS'
 
 export const MODAL_DISCLAIMER = 'MODAL_DISCLAIMER'
 export const MODAL_DISCLAIMER_DELAY = 1 * 1000
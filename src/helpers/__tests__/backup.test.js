@@ -0,0 +1,80 @@
+import crypto from 'crypto'
+import { encryptBackup, decryptBackup, InvalidBackupFile, WrongBackupPassword } from '../backup'
+
+jest.mock('logger', () => ({}))
+jest.mock('helpers/db', () => ({}))
+jest.mock('middlewares/db', () => ({}))
+jest.mock('reducers/accounts', () => ({}))
+
+const backup = {
+  version: 1,
+  date: '2018-07-01T00:00:00.000Z',
+  settings: { counterValue: 'USD' },
+  accounts: [{ id: 'account1', name: 'Bitcoin 1' }],
+  contacts: [],
+}
+
+describe('encryptBackup', () => {
+  test('stores the salt and the iv in the file', () => {
+    const file = JSON.parse(encryptBackup(backup, 'password'))
+    expect(file.ledgerLiveBackup).toBe(2)
+    expect(Buffer.from(file.salt, 'base64')).toHaveLength(16)
+    expect(Buffer.from(file.iv, 'base64')).toHaveLength(16)
+    expect(file.iterations).toBeGreaterThan(0)
+  })
+
+  test('uses a new salt and iv for each file', () => {
+    const a = JSON.parse(encryptBackup(backup, 'password'))
+    const b = JSON.parse(encryptBackup(backup, 'password'))
+    expect(a.salt).not.toBe(b.salt)
+    expect(a.iv).not.toBe(b.iv)
+    expect(a.data).not.toBe(b.data)
+  })
+})
+
+describe('decryptBackup', () => {
+  test('decrypts an encrypted backup', () => {
+    expect(decryptBackup(encryptBackup(backup, 'password'), 'password')).toEqual(backup)
+  })
+
+  test('rejects a wrong password', () => {
+    const content = encryptBackup(backup, 'password')
+    expect(() => decryptBackup(content, 'passw0rd')).toThrow(WrongBackupPassword)
+  })
+
+  test('rejects a tampered salt', () => {
+    const file = JSON.parse(encryptBackup(backup, 'password'))
+    const content = JSON.stringify({ ...file, salt: crypto.randomBytes(16).toString('base64') })
+    expect(() => decryptBackup(content, 'password')).toThrow(WrongBackupPassword)
+  })
+
+  test('decrypts the files of version 1', () => {
+    const cipher = crypto.createCipher('aes-256-cbc', 'password')
+    const data = Buffer.concat([cipher.update(JSON.stringify(backup), 'utf8'), cipher.final()])
+    const content = JSON.stringify({ ledgerLiveBackup: 1, data: data.toString('base64') })
+    expect(decryptBackup(content, 'password')).toEqual(backup)
+  })
+
+  test('rejects malformed files', () => {
+    const file = JSON.parse(encryptBackup(backup, 'password'))
+    const contents = [
+      '',
+      'not json',
+      '{}',
+      JSON.stringify({ ...file, data: 42 }),
+      JSON.stringify({ ...file, ledgerLiveBackup: 3 }),
+      JSON.stringify({ ...file, salt: undefined }),
+      JSON.stringify({ ...file, iv: undefined }),
+      JSON.stringify({ ...file, iterations: 0 }),
+      JSON.stringify({ ...file, iterations: 1e12 }),
+    ]
+    contents.forEach(content => {
+      expect(() => decryptBackup(content, 'password')).toThrow(InvalidBackupFile)
+    })
+  })
+
+  test('rejects a newer backup', () => {
+    const content = encryptBackup({ ...backup, version: 2 }, 'password')
+    expect(() => decryptBackup(content, 'password')).toThrow(InvalidBackupFile)
+  })
+})
@@ -0,0 +1,70 @@
+import { detectCSVSeparator, parseCSVRows, parseCSV, formatCSV } from '../csv'
+
+describe('detectCSVSeparator', () => {
+  test('is the separator of the first line', () => {
+    expect(detectCSVSeparator('a,b\nc;d')).toBe(',')
+    expect(detectCSVSeparator('a;b\nc,d')).toBe(';')
+    expect(detectCSVSeparator('\n\na;b')).toBe(';')
+  })
+
+  test('ignores the quoted separators', () => {
+    expect(detectCSVSeparator('"a,b";c')).toBe(';')
+  })
+
+  test('defaults to the first separator', () => {
+    expect(detectCSVSeparator('')).toBe(',')
+    expect(detectCSVSeparator('a\nb;c')).toBe(',')
+    expect(detectCSVSeparator('a', ';,')).toBe(';')
+  })
+})
+
+describe('parseCSVRows', () => {
+  test('parses the cells of each line', () => {
+    expect(parseCSV('a,b\nc,d')).toEqual([['a', 'b'], ['c', 'd']])
+    expect(parseCSV('a;b\r\nc;d\r\n')).toEqual([['a', 'b'], ['c', 'd']])
+    expect(parseCSV(' a , b ')).toEqual([['a', 'b']])
+  })
+
+  test('parses the quoted cells', () => {
+    expect(parseCSV('"a,b","c ""d""","e\nf"')).toEqual([['a,b', 'c "d"', 'e\nf']])
+  })
+
+  test('only uses the given separators', () => {
+    expect(parseCSV('a;b,c', ';')).toEqual([['a', 'b,c']])
+  })
+
+  test('skips the empty lines and counts them', () => {
+    expect(parseCSVRows('a\n\n,\n"b\nc"\r\n\r\nd')).toEqual([
+      { line: 1, cells: ['a'] },
+      { line: 4, cells: ['b\nc'] },
+      { line: 7, cells: ['d'] },
+    ])
+  })
+
+  test('parses an empty text', () => {
+    expect(parseCSV('')).toEqual([])
+  })
+})
+
+describe('formatCSV', () => {
+  test('quotes the cells only when needed', () => {
+    expect(formatCSV([['a', 1, 'b,c'], ['d "e"', 'f;g', 'h\ni']])).toBe(
+      'a,1,"b,c"\n"d ""e""","f;g","h\ni"',
+    )
+  })
+
+  test('escapes the formulas', () => {
+    expect(formatCSV([['=1+2', '+33', '@SUM(A1)', '-1+1', '=HYPERLINK("x")']])).toBe(
+      `'=1+2,'+33,'@SUM(A1),'-1+1,"'=HYPERLINK(""x"")"`,
+    )
+  })
+
+  test('keeps the negative numbers', () => {
+    expect(formatCSV([['-0.5', -3, '-12']])).toBe('-0.5,-3,-12')
+  })
+
+  test('is parsed back', () => {
+    const rows = [['a', 'b,c'], ['d "e"', 'f\ng']]
+    expect(parseCSV(formatCSV(rows))).toEqual(rows)
+  })
+})
@@ -0,0 +1,107 @@
+import { getCryptoCurrencyById } from '@ledgerhq/live-common/lib/helpers/currencies'
+import {
+  isValidDerivationTemplate,
+  getDerivationTemplatePrefix,
+  getCustomDerivationTemplates,
+  getDerivationsToScan,
+} from '../derivations'
+
+const bitcoin = getCryptoCurrencyById('bitcoin')
+const ethereum = getCryptoCurrencyById('ethereum')
+const dogecoin = getCryptoCurrencyById('dogecoin')
+
+const scannedPaths = (currency, options) =>
+  getDerivationsToScan(currency, options).map(({ derivation, isStandard, gapLimit }) => ({
+    path: derivation({ currency, segwit: false, x: 1 }),
+    isStandard,
+    gapLimit,
+  }))
+
+describe('isValidDerivationTemplate', () => {
+  test('accepts the templates with one account node', () => {
+    expect(isValidDerivationTemplate(ethereum, "44'/<coin_type>'/<account>'/0/0")).toBe(true)
+    expect(isValidDerivationTemplate(ethereum, "m/44'/60'/0'/<account>")).toBe(true)
+    expect(isValidDerivationTemplate(bitcoin, " 44'/0'/<account>' ")).toBe(true)
+  })
+
+  test('rejects the malformed templates', () => {
+    expect(isValidDerivationTemplate(ethereum, '')).toBe(false)
+    expect(isValidDerivationTemplate(ethereum, "44'/60'/0'/0")).toBe(false)
+    expect(isValidDerivationTemplate(ethereum, "44'/<account>'/<account>'")).toBe(false)
+    expect(isValidDerivationTemplate(ethereum, "44'/60''/<account>'")).toBe(false)
+    expect(isValidDerivationTemplate(ethereum, "44'//<account>'")).toBe(false)
+    expect(isValidDerivationTemplate(ethereum, '44h/60h/<account>h')).toBe(false)
+    expect(isValidDerivationTemplate(ethereum, "44'/-1'/<account>'")).toBe(false)
+  })
+
+  test('only accepts a hardened account node at the end for bitcoin', () => {
+    expect(isValidDerivationTemplate(bitcoin, "44'/0'/<account>'/0/0")).toBe(false)
+    expect(isValidDerivationTemplate(bitcoin, "44'/0'/<account>")).toBe(false)
+    expect(isValidDerivationTemplate(bitcoin, "<account>'")).toBe(false)
+  })
+
+  test('only accepts segwit for the currencies that support it', () => {
+    expect(isValidDerivationTemplate(bitcoin, "49'/0'/<account>'")).toBe(true)
+    expect(isValidDerivationTemplate(dogecoin, "49'/3'/<account>'")).toBe(false)
+  })
+
+  test('rejects native segwit', () => {
+    expect(isValidDerivationTemplate(bitcoin, "84'/0'/<account>'")).toBe(false)
+  })
+})
+
+describe('getDerivationTemplatePrefix', () => {
+  test('is the path of the parent of the account node', () => {
+    expect(getDerivationTemplatePrefix(bitcoin, "m/44'/<coin_type>'/<account>'")).toBe("44'/0'")
+  })
+})
+
+describe('getCustomDerivationTemplates', () => {
+  test('leaves out the invalid, standard and duplicated templates', () => {
+    const templates = [
+      "44'/<coin_type>'/<account>'",
+      "44'/0'/<account>'",
+      "49'/0'/<account>'",
+      "44'/1'/<account>'",
+      "m/44'/1'/<account>'",
+      "44'/0'/<account>'/0/0",
+    ]
+    expect(getCustomDerivationTemplates(bitcoin, templates)).toEqual(["44'/1'/<account>'"])
+  })
+
+  test('leaves out the legacy derivations', () => {
+    const templates = ["44'/60'/0'/<account>", "44'/60'/1'/<account>"]
+    expect(getCustomDerivationTemplates(ethereum, templates)).toEqual(["44'/60'/1'/<account>"])
+  })
+})
+
+describe('getDerivationsToScan', () => {
+  test('scans the standard derivation', () => {
+    expect(scannedPaths(bitcoin)).toEqual([
+      { path: "44'/0'/1'/0/0", isStandard: true, gapLimit: 1 },
+    ])
+  })
+
+  test('scans the legacy derivations up to the first empty account', () => {
+    expect(scannedPaths(ethereum, { gapLimit: 3 })).toEqual([
+      { path: "44'/60'/0'/1", isStandard: false, gapLimit: 1 },
+      { path: "44'/60'/1'/0/0", isStandard: true, gapLimit: 3 },
+    ])
+  })
+
+  test('scans all the derivations with the gap limit on a deep scan', () => {
+    expect(scannedPaths(ethereum, { gapLimit: 3, deepScan: true })).toEqual([
+      { path: "44'/60'/0'/1", isStandard: false, gapLimit: 3 },
+      { path: "44'/60'/1'/0/0", isStandard: true, gapLimit: 3 },
+    ])
+  })
+
+  test('scans the custom derivations last', () => {
+    const customDerivations = ["44'/<coin_type>'/<account>'/1/0", 'invalid']
+    expect(scannedPaths(ethereum, { customDerivations })).toEqual([
+      { path: "44'/60'/0'/1", isStandard: false, gapLimit: 1 },
+      { path: "44'/60'/1'/0/0", isStandard: true, gapLimit: 1 },
+      { path: "44'/60'/1'/1/0", isStandard: false, gapLimit: 1 },
+    ])
+  })
+})
@@ -0,0 +1,77 @@
+import { getCryptoCurrencyById } from '@ledgerhq/live-common/lib/helpers/currencies'
+import { decodePaymentURI, encodePaymentURI } from '../linking'
+
+jest.mock('electron', () => ({ shell: {} }))
+jest.mock('analytics/segment', () => ({ track: () => {} }))
+
+const decode = uri => {
+  const request = decodePaymentURI(uri)
+  return request && { ...request, currency: request.currency.id }
+}
+
+describe('decodePaymentURI', () => {
+  test('decodes a BIP21 URI', () => {
+    expect(decode('bitcoin:1BoatSLRHtKNngkdXEeobR76b53LETtpyT?amount=0.1')).toEqual({
+      currency: 'bitcoin',
+      recipient: '1BoatSLRHtKNngkdXEeobR76b53LETtpyT',
+      amount: 10000000,
+    })
+  })
+
+  test('decodes an EIP681 payment', () => {
+    expect(decode('ethereum:0xfb6916095ca1df60bb79Ce92ce3ea74c37c5d359?value=2.014e18')).toEqual({
+      currency: 'ethereum',
+      recipient: '0xfb6916095ca1df60bb79Ce92ce3ea74c37c5d359',
+      amount: 2014000000000000000,
+    })
+  })
+
+  test('decodes an EIP681 payment of the chain of the currency', () => {
+    expect(decode('ethereum:pay-0xfb6916095ca1df60bb79Ce92ce3ea74c37c5d359@1?value=1e18')).toEqual({
+      currency: 'ethereum',
+      recipient: '0xfb6916095ca1df60bb79Ce92ce3ea74c37c5d359',
+      amount: 1000000000000000000,
+    })
+  })
+
+  test('ignores an EIP681 payment of another chain', () => {
+    expect(decode('ethereum:0xfb6916095ca1df60bb79Ce92ce3ea74c37c5d359@3?value=1e18')).toBe(null)
+    expect(decode('ethereum:pay-0xfb6916095ca1df60bb79Ce92ce3ea74c37c5d359@61')).toBe(null)
+  })
+
+  test('ignores an EIP681 function call', () => {
+    expect(
+      decode(
+        'ethereum:0x89205a3a3b2a69de6dbf7f01ed13b2108b2c43e7/transfer?address=0x8e23ee67d1332ad560396262c48ffbb01f93d052&uint256=1',
+      ),
+    ).toBe(null)
+  })
+
+  test('ignores the malformed URIs', () => {
+    expect(decode('')).toBe(null)
+    expect(decode('1BoatSLRHtKNngkdXEeobR76b53LETtpyT')).toBe(null)
+    expect(decode('unknowncoin:1BoatSLRHtKNngkdXEeobR76b53LETtpyT')).toBe(null)
+    expect(decode('bitcoin:')).toBe(null)
+    expect(decode('ethereum:@1')).toBe(null)
+  })
+})
+
+describe('encodePaymentURI', () => {
+  test('is decoded back', () => {
+    const requests = [
+      {
+        currency: getCryptoCurrencyById('bitcoin'),
+        recipient: '1BoatSLRHtKNngkdXEeobR76b53LETtpyT',
+        amount: 10000000,
+      },
+      {
+        currency: getCryptoCurrencyById('ethereum'),
+        recipient: '0xfb6916095ca1df60bb79Ce92ce3ea74c37c5d359',
+        amount: 1000000000000000000,
+      },
+    ]
+    requests.forEach(request => {
+      expect(decodePaymentURI(encodePaymentURI(request))).toEqual(request)
+    })
+  })
+})
@@ -0,0 +1,113 @@
+import { ECPair, address, crypto, script } from 'bitcoinjs-lib'
+import { getCryptoCurrencyById } from '@ledgerhq/live-common/lib/helpers/currencies'
+import { verifyMessage } from '../messageSignature'
+
+const bitcoin = getCryptoCurrencyById('bitcoin')
+const ethereum = getCryptoCurrencyById('ethereum')
+
+// a BIP137 signature of a compressed P2PKH key (header 31)
+const bitcoinVector = {
+  wif: 'L4rK1yDtCWekvXuE6oXD9jCYfFNV2cWRpVuPLBcCU2z8TrisoyY1',
+  address: '1F3sAm6ZtwLAUnj7d38pGFxtP3RVEvtsbV',
+  message: 'This is an example of a signed message.',
+  signature:
+    'H9L5yLFjti0QTHhPyFrZCT1V/MMnBtXKmoiKDZ78NDBjERki6ZTQZdSMCtkgoNmp17By9ItJr8o7ChX0XxY91nk=',
+}
+
+// a personal_sign signature (web3.eth.accounts.sign)
+const ethereumVector = {
+  address: '0x2c7536E3605D9C16a7a3D7b1898e529396a65c23',
+  message: 'Some data',
+  signature:
+    '0xb91467e570a6466aa9e9876cbcd013baba02900b8979d43fe208a4a4f339f5fd6007e74cd82e037b800186422fc2da167c747ef045e5d18a5f5d4300f8e1a0291c',
+}
+
+// the same signature with the BIP137 header of another kind of address
+const withHeader = (signature, header) => {
+  const sig = Buffer.from(signature, 'base64')
+  sig[0] = header + ((sig[0] - 27) % 4)
+  return sig.toString('base64')
+}
+
+describe('verifyMessage', () => {
+  const { message, signature } = bitcoinVector
+  const keyHash = crypto.hash160(ECPair.fromWIF(bitcoinVector.wif).getPublicKeyBuffer())
+  const witnessProgram = script.witnessPubKeyHash.output.encode(keyHash)
+  const p2shAddress = address.fromOutputScript(
+    script.scriptHash.output.encode(crypto.hash160(witnessProgram)),
+  )
+  const bech32Address = address.toBech32(keyHash, 0, 'bc')
+
+  test('verifies a bitcoin signature', () => {
+    expect(verifyMessage(bitcoin, bitcoinVector.address, message, signature)).toBe(true)
+    expect(verifyMessage(bitcoin, ` ${bitcoinVector.address}\n`, message, `${signature}\n`)).toBe(
+      true,
+    )
+  })
+
+  test('verifies the signatures of the segwit addresses', () => {
+    expect(verifyMessage(bitcoin, p2shAddress, message, withHeader(signature, 35))).toBe(true)
+    expect(verifyMessage(bitcoin, bech32Address, message, withHeader(signature, 39))).toBe(true)
+  })
+
+  test('rejects a bitcoin signature of another message or address', () => {
+    expect(verifyMessage(bitcoin, bitcoinVector.address, `${message} `, signature)).toBe(false)
+    expect(verifyMessage(bitcoin, '1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2', message, signature)).toBe(
+      false,
+    )
+  })
+
+  test('rejects a bitcoin signature of an uncompressed key', () => {
+    expect(verifyMessage(bitcoin, bitcoinVector.address, message, withHeader(signature, 27))).toBe(
+      false,
+    )
+  })
+
+  test('rejects the malformed bitcoin signatures', () => {
+    const sig = Buffer.from(signature, 'base64')
+    const signatures = [
+      '',
+      'not base64',
+      sig.slice(0, 64).toString('base64'),
+      Buffer.concat([Buffer.from([26]), sig.slice(1)]).toString('base64'),
+      Buffer.concat([Buffer.from([43]), sig.slice(1)]).toString('base64'),
+      Buffer.concat([sig.slice(0, 1), Buffer.alloc(64)]).toString('base64'),
+    ]
+    signatures.forEach(s => {
+      expect(verifyMessage(bitcoin, bitcoinVector.address, message, s)).toBe(false)
+    })
+  })
+
+  test('verifies an ethereum signature', () => {
+    const { address: ethAddress, signature: ethSignature } = ethereumVector
+    expect(verifyMessage(ethereum, ethAddress, ethereumVector.message, ethSignature)).toBe(true)
+    expect(
+      verifyMessage(ethereum, ethAddress.toLowerCase(), ethereumVector.message, ethSignature),
+    ).toBe(true)
+  })
+
+  test('rejects an ethereum signature of another message or address', () => {
+    const { address: ethAddress, signature: ethSignature } = ethereumVector
+    expect(verifyMessage(ethereum, ethAddress, 'Some other data', ethSignature)).toBe(false)
+    expect(
+      verifyMessage(
+        ethereum,
+        '0x0000000000000000000000000000000000000000',
+        ethereumVector.message,
+        ethSignature,
+      ),
+    ).toBe(false)
+  })
+
+  test('rejects the malformed ethereum signatures', () => {
+    const { address: ethAddress } = ethereumVector
+    ;['', '0x', '0x1234', ethereumVector.signature.slice(0, -2)].forEach(s => {
+      expect(verifyMessage(ethereum, ethAddress, ethereumVector.message, s)).toBe(false)
+    })
+  })
+
+  test('rejects the currencies that can not sign messages', () => {
+    const ripple = getCryptoCurrencyById('ripple')
+    expect(verifyMessage(ripple, bitcoinVector.address, message, signature)).toBe(false)
+  })
+})
@@ -0,0 +1,62 @@
+import { parsePaymentsCSV } from '../paymentsCSV'
+
+const unit = { name: 'bitcoin', code: 'BTC', magnitude: 8 }
+
+describe('parsePaymentsCSV', () => {
+  test('parses the payments of a comma separated CSV', () => {
+    expect(parsePaymentsCSV(unit, 'addr1,0.5\naddr2,2')).toEqual({
+      payments: [
+        { recipient: 'addr1', amount: 50000000 },
+        { recipient: 'addr2', amount: 200000000 },
+      ],
+      skippedLines: [],
+    })
+  })
+
+  test('parses the decimal commas of a semicolon separated CSV', () => {
+    expect(parsePaymentsCSV(unit, 'addr1;1,5\r\naddr2;0,001\r\naddr3;0.25')).toEqual({
+      payments: [
+        { recipient: 'addr1', amount: 150000000 },
+        { recipient: 'addr2', amount: 100000 },
+        { recipient: 'addr3', amount: 25000000 },
+      ],
+      skippedLines: [],
+    })
+  })
+
+  test('ignores the header', () => {
+    const { payments, skippedLines } = parsePaymentsCSV(unit, 'address,amount\naddr1,1')
+    expect(payments).toEqual([{ recipient: 'addr1', amount: 100000000 }])
+    expect(skippedLines).toEqual([])
+  })
+
+  test('skips the ambiguous amounts', () => {
+    const text = 'address;amount\naddr1;1,000\naddr2;1.234,56\naddr3;1 000\naddr4;1e3\naddr5;-1'
+    expect(parsePaymentsCSV(unit, text)).toEqual({ payments: [], skippedLines: [2, 3, 4, 5, 6] })
+  })
+
+  test('skips the amounts with more decimals than the unit', () => {
+    expect(parsePaymentsCSV(unit, 'addr1,0.123456789').skippedLines).toEqual([1])
+  })
+
+  test('skips the malformed lines', () => {
+    const text = 'addr1,1\naddr2,abc\n,1\naddr3\naddr4,1,extra\naddr5,0\n\naddr6,"1,5"\naddr7,1,,'
+    expect(parsePaymentsCSV(unit, text)).toEqual({
+      payments: [
+        { recipient: 'addr1', amount: 100000000 },
+        { recipient: 'addr6', amount: 150000000 },
+        { recipient: 'addr7', amount: 100000000 },
+      ],
+      skippedLines: [2, 3, 4, 5, 6],
+    })
+  })
+
+  test('reports the lines of the text', () => {
+    const text = 'address,amount\r\naddr1,1\r\n\r\n"multi\nline",x\r\naddr2,1'
+    expect(parsePaymentsCSV(unit, text).skippedLines).toEqual([4])
+  })
+
+  test('has no payments in an empty text', () => {
+    expect(parsePaymentsCSV(unit, '')).toEqual({ payments: [], skippedLines: [] })
+  })
+})
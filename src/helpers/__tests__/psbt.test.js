@@ -0,0 +1,97 @@
+import { Transaction } from 'bitcoinjs-lib'
+import {
+  decodePSBT,
+  encodePSBT,
+  encodePSBTBase64,
+  checkPSBTCanBeSigned,
+  getSpentOutput,
+  InvalidPSBT,
+  PSBTPreviousTransactionMissing,
+} from '../psbt'
+
+// BIP174 test vector: PSBT with one P2PKH input, whose output maps are empty
+const validPSBT =
+  'cHNidP8BAHUCAAAAASaBcTce3/KF6Tet7qSze3gADAVmy7OtZGQXE8pCFxv2AAAAAAD+////AtPf9QUAAAAAGXapFNDFmQPFusKGh2DpD9UhpGZap2UgiKwA4fUFAAAAABepFDVF5uM7gyxHBQ8k0+65PJwDlIvHh7MuEwAAAQD9pQEBAAAAAAECiaPHHqtNIOA3G7ukzGmPopXJRjr6Ljl/hTPMti+VZ+UBAAAAFxYAFL4Y0VKpsBIDna89p95PUzSe7LmF/////4b4qkOnHf8USIk6UwpyN+9rRgi7st0tAXHmOuxqSJC0AQAAABcWABT+Pp7xp0XpdNkCxDVZQ6vLNL1TU/////8CAMLrCwAAAAAZdqkUhc/xCX/Z4Ai7NK9wnGIZeziXikiIrHL++E4sAAAAF6kUM5cluiHv1irHU6m80GfWx6ajnQWHAkcwRAIgJxK+IuAnDzlPVoMR3HyppolwuAJf3TskAinwf4pfOiQCIAGLONfc0xTnNMkna9b7QPZzMlvEuqFEyADS8vAtsnZcASED0uFWdJQbrUqZY3LLh+GFbTZSYG2YVi/jnF6efkE/IQUCSDBFAiEA0SuFLYXc2WHS9fSrZgZU327tzHlMDDPOXMMJ/7X85Y0CIGczio4OFyXBl/saiK9Z9R5E5CVbIBZ8hoQDHAXR8lkqASECI7cr7vCWXRC+B3jv7NYfysb3mk6haTkzgHNEZPhPKrMAAAAAAAAA'
+
+const spentOutput = {
+  value: 200000000,
+  script: '76a91485cff1097fd9e008bb34af709c62197b38978a4888ac',
+}
+
+describe('decodePSBT', () => {
+  test('decodes a PSBT in base64 or binary', () => {
+    const psbt = decodePSBT(validPSBT)
+    expect(psbt.inputs).toHaveLength(1)
+    expect(psbt.outputs).toHaveLength(2)
+    expect(psbt.inputs[0].nonWitnessUtxo).toBeDefined()
+    expect(decodePSBT(Buffer.from(validPSBT, 'base64'))).toEqual(psbt)
+  })
+
+  test('ignores the whitespaces of base64', () => {
+    const text = validPSBT.replace(/(.{64})/g, '$1\n')
+    expect(decodePSBT(text)).toEqual(decodePSBT(validPSBT))
+  })
+
+  test('rejects a network transaction', () => {
+    const { unsignedTransaction } = decodePSBT(validPSBT)
+    const data = Buffer.from(unsignedTransaction, 'hex').toString('base64')
+    expect(() => decodePSBT(data)).toThrow(InvalidPSBT)
+  })
+
+  test('rejects a PSBT missing outputs', () => {
+    const buf = Buffer.from(validPSBT, 'base64')
+    expect(() => decodePSBT(buf.slice(0, buf.length - 2))).toThrow(InvalidPSBT)
+  })
+
+  test('rejects malformed data', () => {
+    const buf = Buffer.from(validPSBT, 'base64')
+    expect(() => decodePSBT('')).toThrow(InvalidPSBT)
+    expect(() => decodePSBT(Buffer.from('70736274', 'hex'))).toThrow(InvalidPSBT)
+    expect(() => decodePSBT(buf.slice(0, 40))).toThrow(InvalidPSBT)
+  })
+})
+
+describe('encodePSBT', () => {
+  test('encodes a decoded PSBT as it was', () => {
+    const psbt = decodePSBT(validPSBT)
+    expect(encodePSBTBase64(psbt)).toBe(validPSBT)
+    expect(encodePSBT(psbt)).toEqual(Buffer.from(validPSBT, 'base64'))
+  })
+})
+
+describe('getSpentOutput', () => {
+  const psbt = decodePSBT(validPSBT)
+  const [txInput] = Transaction.fromHex(psbt.unsignedTransaction).ins
+
+  test('is the output of the previous transaction', () => {
+    expect(getSpentOutput(psbt.inputs[0], txInput)).toEqual(spentOutput)
+  })
+
+  test('is unknown without the previous transaction', () => {
+    expect(getSpentOutput({ ...psbt.inputs[0], nonWitnessUtxo: undefined }, txInput)).toBe(null)
+  })
+
+  test('rejects a previous transaction that is not the spent one', () => {
+    const hash = Buffer.alloc(32)
+    expect(() => getSpentOutput(psbt.inputs[0], { hash, index: 0 })).toThrow(InvalidPSBT)
+    expect(() => getSpentOutput(psbt.inputs[0], { ...txInput, index: 5 })).toThrow(InvalidPSBT)
+  })
+
+  test('rejects a witness UTXO that is not the spent output', () => {
+    const input = { ...psbt.inputs[0], witnessUtxo: { ...spentOutput, value: 1 } }
+    expect(() => getSpentOutput(input, txInput)).toThrow(InvalidPSBT)
+    expect(getSpentOutput({ ...input, witnessUtxo: spentOutput }, txInput)).toEqual(spentOutput)
+  })
+})
+
+describe('checkPSBTCanBeSigned', () => {
+  test('accepts the PSBT with the previous transactions', () => {
+    expect(() => checkPSBTCanBeSigned(decodePSBT(validPSBT))).not.toThrow()
+  })
+
+  test('rejects the PSBT without the previous transactions', () => {
+    const psbt = decodePSBT(validPSBT)
+    const inputs = psbt.inputs.map(input => ({ ...input, nonWitnessUtxo: undefined }))
+    expect(() => checkPSBTCanBeSigned({ ...psbt, inputs })).toThrow(PSBTPreviousTransactionMissing)
+  })
+})
@@ -0,0 +1,163 @@
+// @flow
+
+import crypto from 'crypto'
+import omit from 'lodash/omit'
+import type { Account } from '@ledgerhq/live-common/lib/types'
+
+import db from 'helpers/db'
+import { delay } from 'helpers/promise'
+import { disable as disableDBMiddleware } from 'middlewares/db'
+import { decodeAccountsModel, encodeAccountsModel } from 'reducers/accounts'
+import type { SettingsState } from 'reducers/settings'
+import type { OperationNotesState } from 'reducers/operationNotes'
+import type { ContactsState } from 'reducers/contacts'
+import type { PaymentRequestsState } from 'reducers/paymentRequests'
+import { createCustomErrorClass } from './errors'
+
+export const InvalidBackupFile = createCustomErrorClass('InvalidBackupFile')
+export const WrongBackupPassword = createCustomErrorClass('WrongBackupPassword')
+
+const BACKUP_VERSION = 1
+
+// what helpers/db holds, except the caches and the password lock (which belongs to the install)
+export type Backup = {
+  version: number,
+  date: string,
+  settings: $Shape<SettingsState>,
+  // encoded like in the accounts db
+  accounts: Object[],
+  operationNotes?: OperationNotesState,
+  contacts?: ContactsState,
+  paymentRequests?: PaymentRequestsState,
+}
+
+// the password lock of the install is kept when a backup is restored
+const SETTINGS_NOT_BACKED_UP = ['loaded', 'password']
+
+export const createBackup = ({
+  settings,
+  accounts,
+  operationNotes,
+  contacts,
+  paymentRequests,
+}: {
+  settings: SettingsState,
+  accounts: Account[],
+  operationNotes: OperationNotesState,
+  contacts: ContactsState,
+  paymentRequests: PaymentRequestsState,
+}): Backup => ({
+  version: BACKUP_VERSION,
+  date: new Date().toISOString(),
+  settings: omit(settings, SETTINGS_NOT_BACKED_UP),
+  // pending operations will be found again, or not, by the next sync
+  accounts: encodeAccountsModel(accounts.map(a => ({ ...a, pendingOperations: [] }))),
+  operationNotes,
+  contacts,
+  paymentRequests,
+})
+
+const ALGORITHM = 'aes-256-cbc'
+
+// the version of the file format. the files of version 1 were encrypted with createCipher
+// (a key derived from the password with MD5 and no salt, and no IV): they can still be restored
+const BACKUP_FILE_VERSION = 2
+
+// the key is derived from the password with PBKDF2 and a random salt, both stored in the file
+const PBKDF2_ITERATIONS = 100000
+// a bound for the iterations read from a file, which could otherwise freeze the app
+const MAX_PBKDF2_ITERATIONS = 10 * PBKDF2_ITERATIONS
+const PBKDF2_DIGEST = 'sha512'
+const KEY_LENGTH = 32
+const SALT_LENGTH = 16
+const IV_LENGTH = 16
+
+const deriveKey = (password: string, salt: Buffer, iterations: number): Buffer =>
+  crypto.pbkdf2Sync(password, salt, iterations, KEY_LENGTH, PBKDF2_DIGEST)
+
+export function encryptBackup(backup: Backup, password: string): string {
+  const salt = crypto.randomBytes(SALT_LENGTH)
+  const iv = crypto.randomBytes(IV_LENGTH)
+  const key = deriveKey(password, salt, PBKDF2_ITERATIONS)
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv)
+  const data = Buffer.concat([cipher.update(JSON.stringify(backup), 'utf8'), cipher.final()])
+  return JSON.stringify({
+    ledgerLiveBackup: BACKUP_FILE_VERSION,
+    iterations: PBKDF2_ITERATIONS,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    data: data.toString('base64'),
+  })
+}
+
+type BackupFile = {
+  ledgerLiveBackup: number,
+  iterations?: number,
+  salt?: string,
+  iv?: string,
+  data: string,
+}
+
+const parseBackupFile = (content: string): BackupFile => {
+  try {
+    const file = JSON.parse(content)
+    const { ledgerLiveBackup: version, iterations, salt, iv, data } = file
+    if (typeof data !== 'string') throw new Error()
+    if (version === 1) return file
+    if (
+      version === BACKUP_FILE_VERSION &&
+      Number.isInteger(iterations) &&
+      iterations > 0 &&
+      iterations <= MAX_PBKDF2_ITERATIONS &&
+      typeof salt === 'string' &&
+      typeof iv === 'string'
+    ) {
+      return file
+    }
+  } catch (e) {
+    // the file is not JSON
+  }
+  throw new InvalidBackupFile()
+}
+
+const createBackupDecipher = (file: BackupFile, password: string) => {
+  const { iterations, salt, iv } = file
+  if (file.ledgerLiveBackup === 1 || !iterations || !salt || !iv) {
+    return crypto.createDecipher(ALGORITHM, password)
+  }
+  const key = deriveKey(password, Buffer.from(salt, 'base64'), iterations)
+  return crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'))
+}
+
+export function decryptBackup(content: string, password: string): Backup {
+  const file = parseBackupFile(content)
+  const data = Buffer.from(file.data, 'base64')
+  let backup
+  try {
+    const decipher = createBackupDecipher(file, password)
+    backup = JSON.parse(Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8'))
+  } catch (e) {
+    throw new WrongBackupPassword()
+  }
+  if (!backup || backup.version > BACKUP_VERSION || !Array.isArray(backup.accounts)) {
+    throw new InvalidBackupFile()
+  }
+  return backup
+}
+
+// replace the settings, accounts, operation notes, contacts & payment requests by the ones of the backup, then reload the app (like a hard reset)
+export async function restoreBackup(backup: Backup) {
+  const currentSettings = db.get('settings', {}) || {}
+  disableDBMiddleware()
+  db.set('settings', {
+    ...backup.settings,
+    ...(currentSettings.password ? { password: currentSettings.password } : {}),
+  })
+  db.set('accounts', decodeAccountsModel(backup.accounts))
+  db.set('operationNotes', backup.operationNotes || {})
+  db.set('contacts', backup.contacts || [])
+  db.set('paymentRequests', backup.paymentRequests || [])
+  db.cleanCache()
+  await delay(500)
+  window.location.href = ''
+}
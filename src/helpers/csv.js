@@ -0,0 +1,85 @@
+// @flow
+
+export type CSVRow = {
+  // number of the line where the row starts, from 1
+  line: number,
+  cells: string[],
+}
+
+// the separator of a CSV, the first of separators that is in its first line (outside the quotes).
+// defaults to the first one.
+export const detectCSVSeparator = (text: string, separators: string = ',;'): string => {
+  let quoted = false
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i]
+    if (c === '"') {
+      quoted = !quoted
+    } else if (!quoted && separators.includes(c)) {
+      return c
+    } else if (!quoted && (c === '\n' || c === '\r') && text.slice(0, i).trim()) {
+      break
+    }
+  }
+  return separators[0]
+}
+
+// minimal RFC 4180 parser: comma or semicolon separated (by default), optionally double-quoted cells.
+// empty lines are ignored.
+export const parseCSVRows = (text: string, separators: string = ',;'): CSVRow[] => {
+  const rows = []
+  let row = []
+  let cell = ''
+  let quoted = false
+  let line = 1
+  let rowLine = 1
+  const endRow = () => {
+    row.push(cell.trim())
+    if (row.some(Boolean)) rows.push({ line: rowLine, cells: row })
+    row = []
+    cell = ''
+  }
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i]
+    // \r\n is one line break
+    if (c === '\n' || (c === '\r' && text[i + 1] !== '\n')) line++
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (c === '"') {
+        quoted = false
+      } else {
+        cell += c
+      }
+    } else if (c === '"') {
+      quoted = true
+    } else if (separators.includes(c)) {
+      row.push(cell.trim())
+      cell = ''
+    } else if (c === '\n' || c === '\r') {
+      endRow()
+      rowLine = line
+    } else {
+      cell += c
+    }
+  }
+  endRow()
+  return rows
+}
+
+export const parseCSV = (text: string, separators: string = ',;'): string[][] =>
+  parseCSVRows(text, separators).map(row => row.cells)
+
+// a cell starting like a formula is run by the spreadsheets (CSV injection): it's kept as text
+// with a leading quote. the numbers (e.g. negative amounts) are not formulas.
+const isFormulaLike = (str: string) => /^[=+\-@\t\r]/.test(str) && !/^-?\d+(\.\d+)?$/.test(str)
+
+const escapeCell = (cell: string | number): string => {
+  let str = String(cell)
+  if (isFormulaLike(str)) str = `'${str}`
+  return /[",;\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+}
+
+// the reverse of parseCSV (but for the formulas): comma separated, cells quoted only when needed.
+export const formatCSV = (rows: Array<Array<string | number>>): string =>
+  rows.map(row => row.map(escapeCell).join(',')).join('\n')
@@ -7,7 +7,15 @@ import get from 'lodash/get'
 
 import { decodeAccountsModel, encodeAccountsModel } from 'reducers/accounts'
 
-type DBKey = 'settings' | 'accounts' | 'countervalues' | 'user' | 'migrations'
+type DBKey =
+  | 'settings'
+  | 'accounts'
+  | 'operationNotes'
+  | 'contacts'
+  | 'paymentRequests'
+  | 'countervalues'
+  | 'user'
+  | 'migrations'
 
 const encryptionKey = {}
 
@@ -94,7 +102,14 @@ export default {
   },
 
   resetAll: () => {
-    const keys = ['settings', 'accounts', 'countervalues']
+    const keys = [
+      'settings',
+      'accounts',
+      'operationNotes',
+      'contacts',
+      'paymentRequests',
+      'countervalues',
+    ]
     keys.forEach(k => {
       const db = store(k)
       logger.onDB('clear', k)
@@ -30,3 +30,112 @@ export const getDerivations = (currency: CryptoCurrency): Derivation[] => [
   ...(legacyDerivations[currency.id] || []),
   standardDerivation,
 ]
+
+// a custom derivation is written like the paths above, with a <account> node that gets
+// incremented during the scan and optionally a <coin_type> one. e.g. 44'/<coin_type>'/<account>'/0/0
+const templateNodeRegexp = /^(\d+|<account>|<coin_type>)'?$/
+
+const templateNodes = (template: string): string[] =>
+  template
+    .trim()
+    .replace(/^m\//, '')
+    .split('/')
+
+export const isValidDerivationTemplate = (currency: CryptoCurrency, template: string): boolean => {
+  const nodes = templateNodes(template)
+  if (!nodes.every(node => templateNodeRegexp.test(node))) return false
+  const accountNodes = nodes.filter(node => node.startsWith('<account>'))
+  if (accountNodes.length !== 1) return false
+  if (currency.family === 'bitcoin') {
+    // libcore derives the addresses itself, from the account node.
+    // the prefix can't be empty: its wallet would be the standard one
+    if (nodes.length < 2 || nodes[nodes.length - 1] !== "<account>'") return false
+    if (nodes[0] === "49'") return !!currency.supportsSegwit
+    // TODO native segwit needs a bech32 keychain in libcore
+    if (nodes[0] === "84'") return false
+  }
+  return true
+}
+
+// the path of the parent of the account node, for the bitcoin-like templates
+export const getDerivationTemplatePrefix = (currency: CryptoCurrency, template: string): string =>
+  templateNodes(template)
+    .slice(0, -1)
+    .join('/')
+    .replace('<coin_type>', String(currency.coinType))
+
+export const derivationFromTemplate = (template: string): Derivation => ({ currency, x }) =>
+  templateNodes(template)
+    .join('/')
+    .replace('<coin_type>', String(currency.coinType))
+    .replace('<account>', String(x))
+
+// libcore derives the addresses of the bitcoin-like accounts under their account node
+const getTemplateAddressPath = (currency: CryptoCurrency, template: string, x: number) =>
+  `${derivationFromTemplate(template)({ currency, segwit: false, x })}${
+    currency.family === 'bitcoin' ? '/0/0' : ''
+  }`
+
+// a template giving the same paths as one of the derivations the discovery goes through would
+// find the same accounts again, under other ids
+export const isStandardDerivationTemplate = (currency: CryptoCurrency, template: string) => {
+  const kinds = [{ segwit: false }]
+  if (currency.supportsSegwit) kinds.push({ segwit: true })
+  return getDerivations(currency).some(derivation =>
+    kinds.some(kind =>
+      [0, 1].every(
+        x => derivation({ currency, ...kind, x }) === getTemplateAddressPath(currency, template, x),
+      ),
+    ),
+  )
+}
+
+// the custom derivations to scan, from the templates as typed: the invalid ones, the standard
+// ones and the duplicates are left out
+export const getCustomDerivationTemplates = (
+  currency: CryptoCurrency,
+  templates: string[],
+): string[] => {
+  const paths = []
+  return templates.filter(template => {
+    if (!isValidDerivationTemplate(currency, template)) return false
+    if (isStandardDerivationTemplate(currency, template)) return false
+    const path = getTemplateAddressPath(currency, template, 0)
+    if (paths.includes(path)) return false
+    paths.push(path)
+    return true
+  })
+}
+
+export type DerivationToScan = {
+  derivation: Derivation,
+  // the new account is only proposed on a standard derivation
+  isStandard: boolean,
+  // number of consecutive empty accounts after which the derivation is no longer scanned
+  gapLimit: number,
+}
+
+// the derivations an account discovery goes through, in the order of getDerivations, then the custom ones
+export const getDerivationsToScan = (
+  currency: CryptoCurrency,
+  {
+    gapLimit = 1,
+    deepScan = false,
+    customDerivations = [],
+  }: { gapLimit?: number, deepScan?: boolean, customDerivations?: string[] } = {},
+): DerivationToScan[] => {
+  const derivations = getDerivations(currency)
+  const last = derivations[derivations.length - 1]
+  return [
+    ...derivations.map(derivation => ({
+      derivation,
+      isStandard: derivation === last,
+      gapLimit: derivation === last || deepScan ? gapLimit : 1,
+    })),
+    ...getCustomDerivationTemplates(currency, customDerivations).map(template => ({
+      derivation: derivationFromTemplate(template),
+      isStandard: false,
+      gapLimit,
+    })),
+  ]
+}
@@ -9,9 +9,19 @@ import { createCustomErrorClass } from './errors'
 // and guarantee we do one device access at a time. It also will handle the .close()
 // NOTE optim: in the future we can debounce the close & reuse the same transport instance.
 
-type WithDevice = (devicePath: string) => <T>(job: (Transport<*>) => Promise<*>) => Promise<T>
+type WithDeviceOptions = {
+  // checked when the job is about to start: a job cancelled while it waits in the queue never
+  // accesses the device. a started job is never interrupted, the device would be left in a bad state
+  isCancelled?: () => boolean,
+}
+
+type WithDevice = (
+  devicePath: string,
+  options?: WithDeviceOptions,
+) => <T>(job: (Transport<*>) => Promise<*>) => Promise<T>
 
 const DisconnectedDevice = createCustomErrorClass('DisconnectedDevice')
+export const DeviceJobCancelled = createCustomErrorClass('DeviceJobCancelled')
 
 const mapError = e => {
   if (e && e.message && e.message.indexOf('HID') >= 0) {
@@ -26,8 +36,12 @@ let busy = false
 
 TransportNodeHid.setListenDevicesPollingSkip(() => busy)
 
-export const withDevice: WithDevice = devicePath => job => {
+export const withDevice: WithDevice = (devicePath, { isCancelled } = {}) => job => {
   const p = queue.then(async () => {
+    // only checked here, before the job starts: once started, it runs to its end
+    if (isCancelled && isCancelled()) {
+      throw new DeviceJobCancelled()
+    }
     busy = true
     try {
       const t = await retry(() => TransportNodeHid.open(devicePath), { maxRetry: 1 })
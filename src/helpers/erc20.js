@@ -0,0 +1,25 @@
+// @flow
+
+import BigNumber from 'bignumber.js'
+import { byContractAddress } from '@ledgerhq/hw-app-eth/erc20'
+import type { TokenInfo } from '@ledgerhq/hw-app-eth/erc20'
+
+// keccak256('transfer(address,uint256)') first 4 bytes
+const TRANSFER_METHOD_ID = 'a9059cbb'
+
+const pad32 = (hex: string) => hex.padStart(64, '0')
+
+// data of a call to the `transfer` method of an ERC-20 contract.
+// the amount is given as a string when it doesn't fit in a number (e.g. a whole token balance)
+export const encodeTransferData = (recipient: string, amount: number | string): string =>
+  `0x${TRANSFER_METHOD_ID}${pad32(recipient.replace(/^0x/, '').toLowerCase())}${pad32(
+    new BigNumber(amount).toString(16),
+  )}`
+
+// the token information signed by Ledger, shipped with the Ethereum app library.
+// the Ethereum app displays the ticker & amount of a transfer of these tokens,
+// the others can still be sent: the device then asks to confirm the raw contract data.
+export const findTokenInformation = (contractAddress: string, chainId: number): ?TokenInfo => {
+  const info = byContractAddress(contractAddress)
+  return info && info.chainId === chainId ? info : null
+}
@@ -0,0 +1,82 @@
+// @flow
+
+import crypto from 'crypto'
+import bs58 from 'bs58'
+import { createCustomErrorClass } from './errors'
+
+export const InvalidExtendedPublicKey = createCustomErrorClass('InvalidExtendedPublicKey')
+
+export type ExtendedPublicKeyKind = 'legacy' | 'segwit' | 'nativeSegwit'
+
+export type ExtendedPublicKey = {
+  // hex of the 4 version bytes
+  version: string,
+  // null if the version is not one of the well known ones
+  kind: ?ExtendedPublicKeyKind,
+  depth: number,
+  parentFingerprint: string,
+  childNumber: number,
+  // everything after the version bytes, without the checksum
+  payload: Buffer,
+}
+
+// https://github.com/satoshilabs/slips/blob/master/slip-0132.md
+const kindsByVersion: { [_: string]: ExtendedPublicKeyKind } = {
+  '0488b21e': 'legacy', // xpub
+  '043587cf': 'legacy', // tpub
+  '019da462': 'legacy', // Ltub
+  '049d7cb2': 'segwit', // ypub
+  '044a5262': 'segwit', // upub
+  '01b26ef6': 'segwit', // Mtub
+  '04b24746': 'nativeSegwit', // zpub
+  '045f1cf6': 'nativeSegwit', // vpub
+}
+
+const HARDENED = 0x80000000
+
+const sha256 = (buf: Buffer): Buffer =>
+  crypto
+    .createHash('sha256')
+    .update(buf)
+    .digest()
+
+const checksum = (buf: Buffer): Buffer => sha256(sha256(buf)).slice(0, 4)
+
+export function decodeExtendedPublicKey(str: string): ExtendedPublicKey {
+  let buf
+  try {
+    buf = bs58.decode(str.trim())
+  } catch (e) {
+    throw new InvalidExtendedPublicKey()
+  }
+  // version(4) depth(1) parent fingerprint(4) child number(4) chain code(32) public key(33) checksum(4)
+  if (buf.length !== 82) {
+    throw new InvalidExtendedPublicKey()
+  }
+  const data = buf.slice(0, 78)
+  if (!checksum(data).equals(buf.slice(78))) {
+    throw new InvalidExtendedPublicKey()
+  }
+  const version = data.slice(0, 4).toString('hex')
+  return {
+    version,
+    kind: kindsByVersion[version] || null,
+    depth: data.readUInt8(4),
+    parentFingerprint: data.slice(5, 9).toString('hex'),
+    childNumber: data.readUInt32BE(9),
+    payload: data.slice(4),
+  }
+}
+
+// the account index of an account level key (m/purpose'/coin_type'/account'), null for other keys
+export const getAccountIndex = ({ depth, childNumber }: ExtendedPublicKey): ?number =>
+  depth === 3 && childNumber >= HARDENED ? childNumber - HARDENED : null
+
+// serialize the key with other version bytes (e.g. a ypub as the xpub of the same key)
+export function encodeExtendedPublicKey(
+  { payload }: ExtendedPublicKey,
+  version: Buffer | number[],
+): string {
+  const data = Buffer.concat([Buffer.from(version), payload])
+  return bs58.encode(Buffer.concat([data, checksum(data)]))
+}
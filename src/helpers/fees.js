@@ -0,0 +1,20 @@
+// @flow
+
+export type FeeWarning = 'tooLow' | 'tooHigh'
+
+// a fee is far from the estimates when it is less than half the lowest one or more than twice the highest one
+const FAR_FROM_ESTIMATES_FACTOR = 2
+
+export const getFeeWarning = (value: number, values: number[]): ?FeeWarning => {
+  if (!value || values.length === 0) return null
+  if (value * FAR_FROM_ESTIMATES_FACTOR < Math.min(...values)) return 'tooLow'
+  if (value > Math.max(...values) * FAR_FROM_ESTIMATES_FACTOR) return 'tooHigh'
+  return null
+}
+
+// the part of the amount sent that goes to the fees, in percents
+export const getFeeShare = (fees: number, amount: number): ?number =>
+  amount > 0 ? (100 * fees) / amount : null
+
+export const formatFeeShare = (share: number): string =>
+  share < 0.01 ? '< 0.01' : share < 10 ? share.toFixed(2) : share.toFixed(0)
@@ -8,6 +8,30 @@ export function createCommand<In, A>(id: string, impl: In => Observable<A>): Com
   return new Command(id, impl)
 }
 
+// a command doing its work in a promise: the job is told when the command is unsubscribed
+// (e.g. the modal that sent it was closed) so that it stops its work as soon as it can
+export function fromCancellablePromise<A>(
+  job: (isCancelled: () => boolean) => Promise<A>,
+): Observable<A> {
+  return Observable.create(o => {
+    let cancelled = false
+    job(() => cancelled).then(
+      result => {
+        if (cancelled) return
+        o.next(result)
+        o.complete()
+      },
+      error => {
+        if (cancelled) return
+        o.error(error)
+      },
+    )
+    return () => {
+      cancelled = true
+    }
+  })
+}
+
 export class Command<In, A> {
   id: string
   impl: In => Observable<A>
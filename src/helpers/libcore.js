@@ -7,14 +7,25 @@ import { getCryptoCurrencyById } from '@ledgerhq/live-common/lib/helpers/currenc
 import { SHOW_LEGACY_NEW_ACCOUNT } from 'config/constants'
 
 import type { AccountRaw, OperationRaw, OperationType } from '@ledgerhq/live-common/lib/types'
-import type { NJSAccount, NJSOperation } from '@ledgerhq/ledger-core/src/ledgercore_doc'
+import type { NJSAccount, NJSOperation, NJSWallet } from '@ledgerhq/ledger-core/src/ledgercore_doc'
+import type { ScanProgress } from 'bridge/types'
 
 import { isSegwitAccount, isUnsplitAccount } from 'helpers/bip32'
+import {
+  decodeExtendedPublicKey,
+  encodeExtendedPublicKey,
+  getAccountIndex,
+  InvalidExtendedPublicKey,
+} from 'helpers/extendedPublicKey'
+import { getCustomDerivationTemplates, getDerivationTemplatePrefix } from 'helpers/derivations'
+import { getDeviceMasterFingerprint } from 'helpers/psbt'
 import * as accountIdHelper from 'helpers/accountId'
 import { createCustomErrorClass, deserializeError } from './errors'
 import { getAccountPlaceholderName, getNewAccountPlaceholderName } from './accountName'
 
 const NoAddressesFound = createCustomErrorClass('NoAddressesFound')
+const UnsupportedExtendedPublicKey = createCustomErrorClass('UnsupportedExtendedPublicKey')
+const SyncCancelled = createCustomErrorClass('SyncCancelled')
 
 // TODO: put that info inside currency itself
 const SPLITTED_CURRENCIES = {
@@ -36,26 +47,51 @@ type Props = {
   devicePath: string,
   currencyId: string,
   onAccountScanned: AccountRaw => void,
+  onProgress?: ScanProgress => void,
+  // the scan stops at the next account once it's true
+  isCancelled?: () => boolean,
+  // see ScanAccountsOptions
+  gapLimit?: number,
+  deepScan?: boolean,
+  customDerivations?: string[],
 }
 
 export function scanAccountsOnDevice(props: Props): Promise<AccountRaw[]> {
-  const { devicePath, currencyId, onAccountScanned, core } = props
+  const {
+    devicePath,
+    currencyId,
+    onAccountScanned,
+    onProgress,
+    isCancelled = () => false,
+    core,
+    gapLimit = 1,
+    deepScan = false,
+    customDerivations = [],
+  } = props
   const currency = getCryptoCurrencyById(currencyId)
+  // the scan of the legacy accounts stops at the first empty one, unless it's a deep scan
+  const legacyGapLimit = deepScan ? gapLimit : 1
 
-  return withDevice(devicePath)(async transport => {
+  return withDevice(devicePath, { isCancelled })(async transport => {
     const hwApp = new Btc(transport)
+    // kept on the accounts for the PSBTs, their signers identify the device with it
+    const masterFingerprint = await getDeviceMasterFingerprint(hwApp)
 
     const commonParams = {
       core,
       currencyId,
       onAccountScanned,
+      onProgress,
+      isCancelled,
       hwApp,
+      masterFingerprint,
     }
 
     let allAccounts = []
 
     const nonSegwitAccounts = await scanAccountsOnDeviceBySegwit({
       ...commonParams,
+      gapLimit: currency.supportsSegwit ? legacyGapLimit : gapLimit,
       showNewAccount: !!SHOW_LEGACY_NEW_ACCOUNT || !currency.supportsSegwit,
       isSegwit: false,
       isUnsplit: false,
@@ -65,6 +101,7 @@ export function scanAccountsOnDevice(props: Props): Promise<AccountRaw[]> {
     if (currency.supportsSegwit) {
       const segwitAccounts = await scanAccountsOnDeviceBySegwit({
         ...commonParams,
+        gapLimit,
         showNewAccount: true,
         isSegwit: true,
         isUnsplit: false,
@@ -76,6 +113,7 @@ export function scanAccountsOnDevice(props: Props): Promise<AccountRaw[]> {
     if (currencyId in SPLITTED_CURRENCIES) {
       const splittedAccounts = await scanAccountsOnDeviceBySegwit({
         ...commonParams,
+        gapLimit: legacyGapLimit,
         isSegwit: false,
         showNewAccount: false,
         isUnsplit: true,
@@ -85,6 +123,7 @@ export function scanAccountsOnDevice(props: Props): Promise<AccountRaw[]> {
       if (currency.supportsSegwit) {
         const segwitAccounts = await scanAccountsOnDeviceBySegwit({
           ...commonParams,
+          gapLimit: legacyGapLimit,
           showNewAccount: false,
           isUnsplit: true,
           isSegwit: true,
@@ -93,54 +132,115 @@ export function scanAccountsOnDevice(props: Props): Promise<AccountRaw[]> {
       }
     }
 
+    // the custom derivations have one wallet each, the purpose tells the kind of its accounts
+    for (const template of getCustomDerivationTemplates(currency, customDerivations)) {
+      const derivationPrefix = getDerivationTemplatePrefix(currency, template)
+      const purpose = derivationPrefix.split('/')[0]
+      const customAccounts = await scanAccountsOnDeviceBySegwit({
+        ...commonParams,
+        gapLimit,
+        showNewAccount: false,
+        isUnsplit: false,
+        isSegwit: purpose === "49'",
+        derivationPrefix,
+      })
+      allAccounts = allAccounts.concat(customAccounts)
+    }
+
     return allAccounts
   })
 }
 
+// the derivation prefix is kept in the wallet name, with h for the hardened nodes
+const CUSTOM_DERIVATION_SEPARATOR = '_custom_'
+
+const encodeCustomDerivationPrefix = (derivationPrefix: string) =>
+  derivationPrefix.replace(/'/g, 'h').replace(/\//g, '-')
+
+const decodeCustomDerivationPrefix = (walletName: string): ?string => {
+  const i = walletName.indexOf(CUSTOM_DERIVATION_SEPARATOR)
+  if (i === -1) return null
+  return walletName
+    .slice(i + CUSTOM_DERIVATION_SEPARATOR.length)
+    .replace(/h/g, "'")
+    .replace(/-/g, '/')
+}
+
 function encodeWalletName({
   publicKey,
   currencyId,
   isSegwit,
   isUnsplit,
+  derivationPrefix,
 }: {
   publicKey: string,
   currencyId: string,
   isSegwit: boolean,
   isUnsplit: boolean,
+  derivationPrefix?: string,
 }) {
   const splitConfig = isUnsplit ? SPLITTED_CURRENCIES[currencyId] || null : null
-  return `${publicKey}__${currencyId}${isSegwit ? '_segwit' : ''}${splitConfig ? '_unsplit' : ''}`
+  return `${publicKey}__${currencyId}${isSegwit ? '_segwit' : ''}${splitConfig ? '_unsplit' : ''}${
+    derivationPrefix
+      ? `${CUSTOM_DERIVATION_SEPARATOR}${encodeCustomDerivationPrefix(derivationPrefix)}`
+      : ''
+  }`
 }
 
 async function scanAccountsOnDeviceBySegwit({
   core,
   hwApp,
+  masterFingerprint,
   currencyId,
   onAccountScanned,
+  onProgress,
+  isCancelled,
   isSegwit,
   isUnsplit,
   showNewAccount,
+  gapLimit,
+  derivationPrefix,
 }: {
   core: *,
   hwApp: Object,
+  masterFingerprint: string,
   currencyId: string,
   onAccountScanned: AccountRaw => void,
+  onProgress?: ScanProgress => void,
+  isCancelled: () => boolean,
   isSegwit: boolean, // FIXME all segwit to change to 'purpose'
   showNewAccount: boolean,
   isUnsplit: boolean,
+  gapLimit: number,
+  // the path of the parent of the account node of a custom derivation
+  derivationPrefix?: string,
 }): Promise<AccountRaw[]> {
+  if (isCancelled()) return []
   const customOpts =
     isUnsplit && SPLITTED_CURRENCIES[currencyId] ? SPLITTED_CURRENCIES[currencyId] : null
   const { coinType } = customOpts ? customOpts.coinType : getCryptoCurrencyById(currencyId)
 
-  const path = `${isSegwit ? '49' : '44'}'/${coinType}'`
+  const path = derivationPrefix || `${isSegwit ? '49' : '44'}'/${coinType}'`
 
   const { publicKey } = await hwApp.getWalletPublicKey(path, false, isSegwit)
 
-  const walletName = encodeWalletName({ publicKey, currencyId, isSegwit, isUnsplit })
+  const walletName = encodeWalletName({
+    publicKey,
+    currencyId,
+    isSegwit,
+    isUnsplit,
+    derivationPrefix,
+  })
 
   // retrieve or create the wallet
-  const wallet = await getOrCreateWallet(core, walletName, currencyId, isSegwit, isUnsplit)
+  const wallet = await getOrCreateWallet(
+    core,
+    walletName,
+    currencyId,
+    isSegwit,
+    isUnsplit,
+    derivationPrefix,
+  )
   const accountsCount = await wallet.getAccountCount()
 
   // recursively scan all accounts on device on the given app
@@ -149,14 +249,20 @@ async function scanAccountsOnDeviceBySegwit({
     core,
     wallet,
     hwApp,
+    masterFingerprint,
     currencyId,
     accountsCount,
     accountIndex: 0,
     accounts: [],
     onAccountScanned,
+    onProgress,
+    isCancelled,
     isSegwit,
     isUnsplit,
     showNewAccount,
+    gapLimit,
+    emptyCount: 0,
+    path,
   })
 
   return accounts
@@ -219,33 +325,50 @@ const coreSyncAccount = (core, account) =>
   })
 
 async function scanNextAccount(props: {
-  // $FlowFixMe
   wallet: NJSWallet,
   core: *,
   hwApp: Object,
+  masterFingerprint: string,
   currencyId: string,
   accountsCount: number,
   accountIndex: number,
   accounts: AccountRaw[],
   onAccountScanned: AccountRaw => void,
+  onProgress?: ScanProgress => void,
+  isCancelled: () => boolean,
   isSegwit: boolean,
   isUnsplit: boolean,
   showNewAccount: boolean,
+  gapLimit: number,
+  // number of consecutive empty accounts before this one
+  emptyCount: number,
+  // the path of the wallet
+  path: string,
 }): Promise<AccountRaw[]> {
   const {
     core,
     wallet,
     hwApp,
+    masterFingerprint,
     currencyId,
     accountsCount,
     accountIndex,
     accounts,
     onAccountScanned,
+    onProgress,
+    isCancelled,
     isSegwit,
     isUnsplit,
     showNewAccount,
+    gapLimit,
+    emptyCount,
+    path,
   } = props
 
+  if (isCancelled()) return accounts
+
+  if (onProgress) onProgress({ path: `${path}/${accountIndex}'` })
+
   // create account only if account has not been scanned yet
   // if it has already been created, we just need to get it, and sync it
   const hasBeenScanned = accountIndex < accountsCount
@@ -262,7 +385,7 @@ async function scanNextAccount(props: {
   const query = njsAccount.queryOperations()
   const ops = await query.complete().execute()
 
-  const account = await buildAccountRaw({
+  const rawAccount = await buildAccountRaw({
     njsAccount,
     isSegwit,
     isUnsplit,
@@ -272,20 +395,23 @@ async function scanNextAccount(props: {
     core,
     ops,
   })
+  const account = { ...rawAccount, masterFingerprint }
 
   const isEmpty = ops.length === 0
 
-  if (!isEmpty || showNewAccount) {
+  // only the first empty account is proposed as the new one
+  if (!isEmpty || (showNewAccount && !accounts.some(a => a.operations.length === 0))) {
     onAccountScanned(account)
     accounts.push(account)
   }
 
-  // returns if the current index points on an account with no ops
-  if (isEmpty) {
+  // returns once the gap limit is reached: that many accounts with no ops in a row
+  const nextEmptyCount = isEmpty ? emptyCount + 1 : 0
+  if (nextEmptyCount >= gapLimit) {
     return accounts
   }
 
-  return scanNextAccount({ ...props, accountIndex: accountIndex + 1 })
+  return scanNextAccount({ ...props, accountIndex: accountIndex + 1, emptyCount: nextEmptyCount })
 }
 
 const createWalletConfig = (core, configMap = {}) => {
@@ -304,6 +430,7 @@ async function getOrCreateWallet(
   currencyId: string,
   isSegwit: boolean,
   isUnsplit: boolean,
+  derivationPrefix: ?string,
 ): NJSWallet {
   const pool = core.getPoolInstance()
   try {
@@ -313,16 +440,21 @@ async function getOrCreateWallet(
     const currency = await pool.getCurrency(currencyId)
     const splitConfig = isUnsplit ? SPLITTED_CURRENCIES[currencyId] || null : null
     const coinType = splitConfig ? splitConfig.coinType : '<coin_type>'
-    const walletConfig = isSegwit
+    const walletConfig = derivationPrefix
       ? {
-          KEYCHAIN_ENGINE: 'BIP49_P2SH',
-          KEYCHAIN_DERIVATION_SCHEME: `49'/${coinType}'/<account>'/<node>/<address>`,
+          ...(isSegwit ? { KEYCHAIN_ENGINE: 'BIP49_P2SH' } : {}),
+          KEYCHAIN_DERIVATION_SCHEME: `${derivationPrefix}/<account>'/<node>/<address>`,
         }
-      : splitConfig
+      : isSegwit
         ? {
-            KEYCHAIN_DERIVATION_SCHEME: `44'/${coinType}'/<account>'/<node>/<address>`,
+            KEYCHAIN_ENGINE: 'BIP49_P2SH',
+            KEYCHAIN_DERIVATION_SCHEME: `49'/${coinType}'/<account>'/<node>/<address>`,
           }
-        : undefined
+        : splitConfig
+          ? {
+              KEYCHAIN_DERIVATION_SCHEME: `44'/${coinType}'/<account>'/<node>/<address>`,
+            }
+          : undefined
     const njsWalletConfig = createWalletConfig(core, walletConfig)
     const wallet = await core
       .getPoolInstance()
@@ -464,7 +596,83 @@ function buildOperationRaw({
   }
 }
 
-export async function syncAccount({ rawAccount, core }: { core: *, rawAccount: AccountRaw }) {
+export async function importAccountFromExtendedKey({
+  core,
+  currencyId,
+  extendedKey,
+}: {
+  core: *,
+  currencyId: string,
+  extendedKey: string,
+}): Promise<AccountRaw> {
+  const currency = getCryptoCurrencyById(currencyId)
+  const key = decodeExtendedPublicKey(extendedKey)
+  const accountIndex = getAccountIndex(key)
+  if (typeof accountIndex !== 'number') {
+    // we need the key of the account (m/purpose'/coin_type'/account')
+    throw new InvalidExtendedPublicKey()
+  }
+
+  const njsCurrency = await core.getPoolInstance().getCurrency(currencyId)
+  const { XPUBVersion } = njsCurrency.bitcoinLikeNetworkParameters
+  const kind =
+    key.kind || (Buffer.from(XPUBVersion).toString('hex') === key.version ? 'legacy' : null)
+  if (!kind) {
+    throw new InvalidExtendedPublicKey()
+  }
+  // TODO native segwit needs a bech32 keychain in libcore
+  if (kind === 'nativeSegwit' || (kind === 'segwit' && !currency.supportsSegwit)) {
+    throw new UnsupportedExtendedPublicKey()
+  }
+  const isSegwit = kind === 'segwit'
+
+  // libcore expects the key with the version bytes of the currency, whatever the kind of account
+  const xpub = encodeExtendedPublicKey(key, XPUBVersion)
+
+  // like on device, there is one wallet per coin type node (identified here by its fingerprint).
+  // they are distinct from the device wallets so both kinds of accounts are never mixed up.
+  const walletName = `${key.parentFingerprint}__${currencyId}${isSegwit ? '_segwit' : ''}_watchonly`
+  const wallet = await getOrCreateWallet(core, walletName, currencyId, isSegwit, false)
+
+  let njsAccount
+  try {
+    njsAccount = await wallet.getAccount(accountIndex)
+  } catch (e) {
+    const extendedInfos = await wallet.getExtendedKeyAccountCreationInfo(accountIndex)
+    extendedInfos.extendedKeys.push(xpub)
+    njsAccount = await wallet.newAccountWithExtendedKeyInfo(extendedInfos)
+  }
+
+  const unsub = await coreSyncAccount(core, njsAccount)
+  unsub()
+
+  const query = njsAccount.queryOperations()
+  const ops = await query.complete().execute()
+
+  const rawAccount = await buildAccountRaw({
+    njsAccount,
+    isSegwit,
+    isUnsplit: false,
+    accountIndex,
+    wallet,
+    currencyId,
+    core,
+    ops,
+  })
+
+  return { ...rawAccount, watchOnly: true }
+}
+
+export async function syncAccount({
+  rawAccount,
+  core,
+  isCancelled = () => false,
+}: {
+  core: *,
+  rawAccount: AccountRaw,
+  // checked between the libcore calls: the sync of libcore itself can't be interrupted
+  isCancelled?: () => boolean,
+}) {
   const decodedAccountId = accountIdHelper.decode(rawAccount.id)
   const isSegwit = isSegwitAccount(rawAccount)
   const isUnsplit = isUnsplitAccount(rawAccount, SPLITTED_CURRENCIES[rawAccount.currencyId])
@@ -479,6 +687,7 @@ export async function syncAccount({ rawAccount, core }: { core: *, rawAccount: A
       rawAccount.currencyId,
       isSegwit,
       isUnsplit,
+      decodeCustomDerivationPrefix(decodedAccountId.walletName),
     )
   }
 
@@ -492,8 +701,10 @@ export async function syncAccount({ rawAccount, core }: { core: *, rawAccount: A
     njsAccount = await njsWallet.newAccountWithExtendedKeyInfo(extendedInfos)
   }
 
+  if (isCancelled()) throw new SyncCancelled()
   const unsub = await coreSyncAccount(core, njsAccount)
   unsub()
+  if (isCancelled()) throw new SyncCancelled()
 
   const query = njsAccount.queryOperations()
   const ops = await query.complete().execute()
@@ -1,6 +1,10 @@
 // @flow
 import { shell } from 'electron'
+import { decodeURIScheme, encodeURIScheme } from '@ledgerhq/live-common/lib/helpers/currencies'
+import type { Account, CryptoCurrency } from '@ledgerhq/live-common/lib/types'
 import { track } from 'analytics/segment'
+import { isWatchOnlyAccount } from 'helpers/watchOnly'
+import { getNetworkId } from 'helpers/signTransactionForCurrency/ethereum'
 
 export const openURL = (
   url: string,
@@ -10,3 +14,80 @@ export const openURL = (
   track(customEventName, { ...extraParams, url })
   shell.openExternal(url)
 }
+
+export type PaymentRequest = {
+  currency: CryptoCurrency,
+  recipient: string,
+  // in the smallest unit of the currency
+  amount?: number,
+  // ripple destination tag
+  tag?: number,
+  // shown by the wallet paying it (BIP21)
+  label?: string,
+}
+
+// EIP681 target: [pay-]<address>[@<chainId>][/<function>]
+const eip681TargetRegexp = /^(?:pay-)?([^@/]+)(?:@(\d+))?(\/.*)?$/
+
+// BIP21 for bitcoin, EIP681 for ethereum (ethereum:pay-<address>@<chainId>?value=<wei>)
+// and ripple:<address>?amount=<xrp>&dt=<tag>.
+// the ethereum URIs of another chain or calling a function of a contract (e.g. /transfer of a
+// token) are not payments of the currency: they are ignored
+export const decodePaymentURI = (uri: string): ?PaymentRequest => {
+  // the coin specific fields are in the decoded data too
+  const { currency, address, amount, ...params }: Object = decodeURIScheme(uri.trim())
+  if (!currency || !address) return null
+  const request: PaymentRequest = { currency, recipient: address }
+  if (amount) {
+    request.amount = Math.round(amount)
+  }
+  if (currency.family === 'ethereum') {
+    // the target is taken from the URI: an address parameter replaces it in the decoded data
+    const target = uri
+      .trim()
+      .split('?')[0]
+      .replace(/^[a-zA-Z]+:/, '')
+    const m = target.match(eip681TargetRegexp)
+    if (!m) return null
+    const [, recipient, chainId, functionName] = m
+    if (functionName) return null
+    // without a chain id, the URI is for the chain of the currency
+    if (chainId && Number(chainId) !== getNetworkId(currency.id)) return null
+    request.recipient = recipient
+    const value = parseFloat(params.value)
+    if (!isNaN(value) && value > 0) {
+      request.amount = Math.round(value)
+    }
+  }
+  if (currency.family === 'ripple') {
+    const tag = parseInt(params.dt, 10)
+    if (!isNaN(tag)) {
+      request.tag = tag
+    }
+  }
+  return request
+}
+
+// the URI of a payment request, in the same formats
+export const encodePaymentURI = ({ currency, recipient, amount, tag, label }: PaymentRequest) => {
+  if (currency.family === 'ethereum') {
+    // EIP681 has no label, the value is in wei
+    return `${currency.scheme}:${recipient}${amount ? `?value=${amount}` : ''}`
+  }
+  const fields: Object = {}
+  if (label) fields.label = label
+  if (currency.family === 'ripple' && typeof tag === 'number') fields.dt = tag
+  return encodeURIScheme({ currency, address: recipient, amount, ...fields })
+}
+
+// the data of the Send modal paying a payment URI, from the first account that can afford it
+export const getSendModalDataForPaymentURI = (uri: string, accounts: Account[]): ?Object => {
+  const request = decodePaymentURI(uri)
+  if (!request) return null
+  const { currency, recipient, amount, tag } = request
+  const candidates = accounts.filter(a => a.currency.id === currency.id && !isWatchOnlyAccount(a))
+  const account = candidates.find(a => !amount || a.balance >= amount) || candidates[0]
+  if (!account) return null
+  track('OpenPaymentURI', { currencyName: currency.name })
+  return { account, recipient, amount, tag }
+}
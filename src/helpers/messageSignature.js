@@ -0,0 +1,140 @@
+// @flow
+
+import bs58 from 'bs58'
+import secp256k1 from 'secp256k1'
+import { address as bitcoinAddress, crypto as bitcoinCrypto } from 'bitcoinjs-lib'
+import { ecrecover, fromRpcSig, hashPersonalMessage, pubToAddress } from 'ethereumjs-util'
+import type { Account, CryptoCurrency } from '@ledgerhq/live-common/lib/types'
+import { isWatchOnlyAccount } from 'helpers/watchOnly'
+
+// messages can be signed with the device for these families (see helpers/signMessageForCurrency)
+const supportedFamilies = ['bitcoin', 'ethereum']
+
+export const canSignMessage = (currency: CryptoCurrency): boolean =>
+  supportedFamilies.includes(currency.family)
+
+export const canAccountSignMessage = (account: Account): boolean =>
+  canSignMessage(account.currency) && !isWatchOnlyAccount(account)
+
+// the device apps prefix the message with "<coin id> Signed Message:\n" before hashing it
+const coinIds = {
+  bitcoin: 'Bitcoin',
+  bitcoin_testnet: 'Bitcoin',
+  bitcoin_cash: 'Bitcoin',
+  bitcoin_gold: 'Bitcoin Gold',
+  dash: 'DarkCoin',
+}
+
+// native segwit address prefixes, for the signatures made by other wallets with bech32 addresses
+export const bech32Prefixes = {
+  bitcoin: 'bc',
+  bitcoin_testnet: 'tb',
+  litecoin: 'ltc',
+  digibyte: 'dgb',
+  vertcoin: 'vtc',
+  viacoin: 'via',
+  bitcoin_gold: 'btg',
+}
+
+const varint = (n: number): Buffer => {
+  if (n < 0xfd) return Buffer.from([n])
+  const buf = Buffer.alloc(n <= 0xffff ? 3 : 5)
+  if (n <= 0xffff) {
+    buf[0] = 0xfd
+    buf.writeUInt16LE(n, 1)
+  } else {
+    buf[0] = 0xfe
+    buf.writeUInt32LE(n, 1)
+  }
+  return buf
+}
+
+const bitcoinMessageHash = (currency: CryptoCurrency, message: string): Buffer => {
+  const magic = Buffer.from(`${coinIds[currency.id] || currency.name} Signed Message:\n`, 'utf8')
+  const msg = Buffer.from(message, 'utf8')
+  return bitcoinCrypto.hash256(
+    Buffer.concat([varint(magic.length), magic, varint(msg.length), msg]),
+  )
+}
+
+// versions of some currencies (e.g. zcash) take 2 bytes
+export const toBase58Check = (hash: Buffer, version: number): string => {
+  const versionBuf = Buffer.alloc(version > 0xff ? 2 : 1)
+  if (version > 0xff) {
+    versionBuf.writeUInt16BE(version, 0)
+  } else {
+    versionBuf.writeUInt8(version, 0)
+  }
+  const payload = Buffer.concat([versionBuf, hash])
+  return bs58.encode(Buffer.concat([payload, bitcoinCrypto.hash256(payload).slice(0, 4)]))
+}
+
+// the addresses of a public key that a BIP137 (or Electrum style) signature can prove
+function bitcoinAddressesOfPublicKey(
+  currency: CryptoCurrency,
+  publicKey: Buffer,
+  compressed: boolean,
+): string[] {
+  const { bitcoinLikeInfo } = currency
+  if (!bitcoinLikeInfo) return []
+  const keyHash = bitcoinCrypto.hash160(publicKey)
+  const addresses = [toBase58Check(keyHash, bitcoinLikeInfo.P2PKH)]
+  if (compressed) {
+    const redeemScript = Buffer.concat([Buffer.from([0x00, 0x14]), keyHash])
+    addresses.push(toBase58Check(bitcoinCrypto.hash160(redeemScript), bitcoinLikeInfo.P2SH))
+    const prefix = bech32Prefixes[currency.id]
+    if (prefix) {
+      addresses.push(bitcoinAddress.toBech32(keyHash, 0, prefix))
+    }
+  }
+  return addresses
+}
+
+function verifyBitcoinMessage(
+  currency: CryptoCurrency,
+  address: string,
+  message: string,
+  signature: string,
+): boolean {
+  const sig = Buffer.from(signature.trim(), 'base64')
+  if (sig.length !== 65) return false
+  const header = sig[0]
+  if (header < 27 || header > 42) return false
+  const recovery = (header - 27) % 4
+  const compressed = header >= 31
+  const publicKey = secp256k1.recover(
+    bitcoinMessageHash(currency, message),
+    sig.slice(1),
+    recovery,
+    compressed,
+  )
+  return bitcoinAddressesOfPublicKey(currency, publicKey, compressed).includes(address.trim())
+}
+
+function verifyEthereumMessage(address: string, message: string, signature: string): boolean {
+  const { v, r, s } = fromRpcSig(signature.trim())
+  const publicKey = ecrecover(hashPersonalMessage(Buffer.from(message, 'utf8')), v, r, s)
+  return `0x${pubToAddress(publicKey).toString('hex')}` === address.trim().toLowerCase()
+}
+
+// offline check that the signature of the message was made by the key of the address.
+// a malformed signature is just not valid.
+export function verifyMessage(
+  currency: CryptoCurrency,
+  address: string,
+  message: string,
+  signature: string,
+): boolean {
+  try {
+    switch (currency.family) {
+      case 'bitcoin':
+        return verifyBitcoinMessage(currency, address, message, signature)
+      case 'ethereum':
+        return verifyEthereumMessage(address, message, signature)
+      default:
+        return false
+    }
+  } catch (e) {
+    return false
+  }
+}
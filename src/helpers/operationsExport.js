@@ -0,0 +1,154 @@
+// @flow
+
+import type { Dispatch } from 'redux'
+import type { Account, Currency, Operation } from '@ledgerhq/live-common/lib/types'
+import { formatCurrencyUnit } from '@ledgerhq/live-common/lib/helpers/currencies'
+import { formatCounterValueDay } from '@ledgerhq/live-common/lib/countervalues'
+
+import type { State } from 'reducers'
+import type { DailyRates } from 'api/Countervalues'
+import { getDailyRates } from 'api/Countervalues'
+import {
+  counterValueCurrencySelector,
+  counterValueExchangeSelector,
+  currencySettingsSelector,
+  intermediaryCurrency,
+} from 'reducers/settings'
+import { operationNotesSelector } from 'reducers/operationNotes'
+import CounterValues from 'helpers/countervalues'
+import { formatCSV } from 'helpers/csv'
+
+export type OperationsExportOptions = {
+  accounts: Account[],
+  // dates are inclusive. null for no limit
+  from: ?Date,
+  to: ?Date,
+  fiat: Currency,
+}
+
+const formatValue = (unit, value) =>
+  formatCurrencyUnit(unit, value, {
+    disableRounding: true,
+    useGrouping: false,
+    locale: 'en-US',
+  })
+
+const getCounterparty = (op: Operation): string =>
+  (op.type === 'IN' ? op.senders : op.recipients).join(' ')
+
+// hasFailed is set by the ethereum bridge (it is not in the common Operation type)
+type MaybeFailedOperation = $Shape<Operation & { hasFailed: boolean }>
+
+// the bitcoin & ripple bridges (and the failed ethereum transactions) include the fee in the value
+// of the OUT operations, the amount is exported without it for all the currencies
+const getAmount = (account: Account, op: Operation): number => {
+  const isFeeIncluded =
+    account.currency.family !== 'ethereum' || !!(op: MaybeFailedOperation).hasFailed
+  return op.type === 'OUT' && isFeeIncluded ? Math.max(0, op.value - op.fee) : op.value
+}
+
+const isInRange = (op: Operation, from: ?Date, to: ?Date) =>
+  (!from || op.date >= from) && (!to || op.date <= to)
+
+// the amount of an operation in the fiat, at the day of the operation.
+// the countervalues of the app are used when possible, otherwise the rates of the intermediary currency to
+// the fiat are given (from the API). null when the rate of the day is missing: no other rate is used.
+const getFiatValue = (
+  state: State,
+  account: Account,
+  op: Operation,
+  value: number,
+  fiat: Currency,
+  intermediaryRates: ?DailyRates,
+): ?number => {
+  const { currency } = account
+  const fromExchange = currencySettingsSelector(state, { currency }).exchange
+  if (!intermediaryRates) {
+    return CounterValues.calculateWithIntermediarySelector(state, {
+      from: currency,
+      fromExchange,
+      intermediary: intermediaryCurrency,
+      toExchange: counterValueExchangeSelector(state),
+      to: fiat,
+      value,
+      date: op.date,
+      disableRounding: true,
+    })
+  }
+  const intermediaryValue = CounterValues.calculateSelector(state, {
+    from: currency,
+    to: intermediaryCurrency,
+    exchange: fromExchange,
+    value,
+    date: op.date,
+    disableRounding: true,
+  })
+  const rate = intermediaryRates[formatCounterValueDay(op.date)]
+  return intermediaryValue && rate ? intermediaryValue * rate : null
+}
+
+export const exportOperationsCSV = ({
+  accounts,
+  from,
+  to,
+  fiat,
+}: OperationsExportOptions) => async (
+  dispatch: Dispatch<*>,
+  getState: () => State,
+): Promise<string> => {
+  const state = getState()
+  const intermediaryRates =
+    fiat.ticker === counterValueCurrencySelector(state).ticker
+      ? null
+      : await getDailyRates(intermediaryCurrency, fiat, counterValueExchangeSelector(state))
+  const fiatUnit = fiat.units[0]
+  const operationNotes = operationNotesSelector(state)
+
+  const rows = []
+  for (const account of accounts) {
+    for (const op of account.operations.filter(op => isInRange(op, from, to))) {
+      const amount = getAmount(account, op)
+      const fiatValue = getFiatValue(state, account, op, amount, fiat, intermediaryRates)
+      const sign = op.type === 'OUT' ? -1 : 1
+      const note = operationNotes[op.id]
+      rows.push({
+        date: op.date,
+        cells: [
+          op.date.toISOString(),
+          account.name,
+          account.unit.code,
+          op.type,
+          formatValue(account.unit, sign * amount),
+          // the fee of an incoming operation is paid by the sender
+          op.type === 'IN' ? '' : formatValue(account.unit, op.fee),
+          op.hash,
+          getCounterparty(op),
+          typeof fiatValue === 'number' ? formatValue(fiatUnit, sign * fiatValue) : '',
+          fiatUnit.code,
+          note ? note.note : '',
+          note ? note.tags.join(', ') : '',
+        ],
+      })
+    }
+  }
+  rows.sort((a, b) => b.date - a.date)
+
+  return formatCSV(
+    [
+      [
+        'Date',
+        'Account',
+        'Currency',
+        'Type',
+        'Amount',
+        'Fee',
+        'Hash',
+        'Counterparty',
+        'Countervalue',
+        'Countervalue currency',
+        'Note',
+        'Tags',
+      ],
+    ].concat(rows.map(r => r.cells)),
+  )
+}
@@ -0,0 +1,69 @@
+// @flow
+
+import type { Account, Operation } from '@ledgerhq/live-common/lib/types'
+import type { TrackedPaymentRequest } from 'reducers/paymentRequests'
+
+export type PaymentRequestStatus = 'pending' | 'partiallyPaid' | 'paid' | 'expired'
+
+export type PaymentRequestState = {
+  request: TrackedPaymentRequest,
+  status: PaymentRequestStatus,
+  // the sum of the payments matched with the request
+  received: number,
+  operations: Operation[],
+}
+
+export const isPaymentRequestOpen = ({ status }: PaymentRequestState) =>
+  status === 'pending' || status === 'partiallyPaid'
+
+const isExpiredAt = (request: TrackedPaymentRequest, time: number) =>
+  !!request.expiresAt && time > request.expiresAt
+
+// the incoming operations of the accounts are matched with the requests made on their address before them,
+// the oldest request first: several requests can share an address (ethereum, ripple, unused bitcoin address).
+export function getPaymentRequestsStates(
+  requests: TrackedPaymentRequest[],
+  accounts: Account[],
+  now: number = Date.now(),
+): PaymentRequestState[] {
+  const states = requests
+    .slice()
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map(request => ({ request, received: 0, operations: [] }))
+
+  for (const account of accounts) {
+    const accountStates = states.filter(s => s.request.accountId === account.id)
+    const incoming =
+      accountStates.length === 0
+        ? []
+        : account.operations.filter(op => op.type === 'IN').sort((a, b) => a.date - b.date)
+    for (const op of incoming) {
+      const time = op.date.getTime()
+      const state = accountStates.find(
+        ({ request, received }) =>
+          op.recipients.includes(request.address) &&
+          request.createdAt <= time &&
+          !isExpiredAt(request, time) &&
+          received < request.amount,
+      )
+      if (state) {
+        state.received += op.value
+        state.operations.push(op)
+      }
+    }
+  }
+
+  return states.map(({ request, received, operations }) => ({
+    request,
+    received,
+    operations,
+    status:
+      received >= request.amount
+        ? 'paid'
+        : isExpiredAt(request, now)
+          ? 'expired'
+          : received > 0
+            ? 'partiallyPaid'
+            : 'pending',
+  }))
+}
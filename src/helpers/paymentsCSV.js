@@ -0,0 +1,45 @@
+// @flow
+
+import { parseCurrencyUnit } from '@ledgerhq/live-common/lib/helpers/currencies'
+import type { Unit } from '@ledgerhq/live-common/lib/types'
+import type { Payment } from 'bridge/types'
+import { detectCSVSeparator, parseCSVRows } from 'helpers/csv'
+
+export type PaymentsCSV = {
+  payments: Payment[],
+  // the lines that are not a payment, from 1
+  skippedLines: number[],
+}
+
+// an amount has no thousands separators and at most one decimal mark (a dot or a comma)
+const amountRegexp = /^\d+([.,]\d+)?$/
+
+// the value of an amount in the smallest unit, null when it's not clear.
+// a comma followed by 3 digits is rejected: it may be a thousands separator (1,000)
+const parseAmount = (unit: Unit, str: string): ?number => {
+  if (!amountRegexp.test(str)) return null
+  const [integer, decimals = ''] = str.split(/[.,]/)
+  if (str.includes(',') && decimals.length === 3 && Number(integer) > 0) return null
+  if (decimals.length > unit.magnitude) return null
+  return parseCurrencyUnit(unit, `${integer}.${decimals || '0'}`)
+}
+
+// each line of the CSV is `recipient,amount` (or `recipient;amount`, the separator of the first
+// line is used) with the amount expressed in the unit. the first line is a header when its amount
+// has no digits. the other lines that are not payments are skipped and reported.
+export const parsePaymentsCSV = (unit: Unit, text: string): PaymentsCSV => {
+  const payments = []
+  const skippedLines = []
+  const rows = parseCSVRows(text, detectCSVSeparator(text))
+  rows.forEach(({ line, cells }, i) => {
+    const [recipient, amountStr = ''] = cells
+    if (i === 0 && !/\d/.test(amountStr)) return
+    const amount = recipient && cells.slice(2).every(c => !c) ? parseAmount(unit, amountStr) : null
+    if (amount) {
+      payments.push({ recipient, amount })
+    } else {
+      skippedLines.push(line)
+    }
+  })
+  return { payments, skippedLines }
+}
@@ -9,9 +9,11 @@ const defaults = {
   maxRetry: 4,
   interval: 300,
   intervalMultiplicator: 1.5,
+  // the errors it refuses are thrown at once, without retrying
+  shouldRetry: (_e: Error) => true,
 }
 export function retry<A>(f: () => Promise<A>, options?: $Shape<typeof defaults>): Promise<A> {
-  const { maxRetry, interval, intervalMultiplicator } = { ...defaults, ...options }
+  const { maxRetry, interval, intervalMultiplicator, shouldRetry } = { ...defaults, ...options }
 
   return rec(maxRetry, interval)
 
@@ -22,6 +24,7 @@ export function retry<A>(f: () => Promise<A>, options?: $Shape<typeof defaults>)
     }
     // In case of failure, wait the interval, retry the action
     return result.catch(e => {
+      if (!shouldRetry(e)) throw e
       logger.warn('retry failed', e.message)
       return delay(interval).then(() => rec(remainingTry - 1, interval * intervalMultiplicator))
     })
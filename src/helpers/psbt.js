@@ -0,0 +1,608 @@
+// @flow
+
+// BIP174: Partially Signed Bitcoin Transactions.
+// a PSBT carries an unsigned transaction with what each signer needs to sign it
+// (the spent outputs, the derivation of the keys) so it can go back & forth between wallets.
+
+import {
+  ECPair,
+  HDNode,
+  Transaction,
+  address as bitcoinAddress,
+  crypto as bitcoinCrypto,
+  script as bitcoinScript,
+} from 'bitcoinjs-lib'
+import type Btc from '@ledgerhq/hw-app-btc'
+import type { Account, AccountRaw, CryptoCurrency } from '@ledgerhq/live-common/lib/types'
+import { createCustomErrorClass } from './errors'
+import { isSegwitAccount } from './bip32'
+import { decodeExtendedPublicKey } from './extendedPublicKey'
+import { bech32Prefixes, toBase58Check } from './messageSignature'
+
+export const canAccountUsePSBT = (account: Account): boolean =>
+  account.currency.family === 'bitcoin'
+
+export const InvalidPSBT = createCustomErrorClass('InvalidPSBT')
+// the PSBT is valid but it can't be signed with this account (or this currency)
+export const UnsupportedPSBT = createCustomErrorClass('UnsupportedPSBT')
+// the device needs the whole previous transaction of each input, even for the segwit ones
+export const PSBTPreviousTransactionMissing = createCustomErrorClass(
+  'PSBTPreviousTransactionMissing',
+)
+
+const MAGIC = Buffer.from('70736274ff', 'hex')
+
+const GLOBAL_UNSIGNED_TX = 0x00
+const IN_NON_WITNESS_UTXO = 0x00
+const IN_WITNESS_UTXO = 0x01
+const IN_BIP32_DERIVATION = 0x06
+const IN_FINAL_SCRIPTSIG = 0x07
+const IN_FINAL_SCRIPTWITNESS = 0x08
+const OUT_BIP32_DERIVATION = 0x02
+
+// BIP174 has no value for an unknown master key: the signers then only rely on the path
+const UNKNOWN_FINGERPRINT = '00000000'
+
+const HARDENED = 0x80000000
+
+export type Bip32Derivation = {
+  pubkey: string,
+  fingerprint: string,
+  path: string,
+}
+
+export type PSBTInput = {
+  // hex of the whole transaction of the spent output
+  nonWitnessUtxo?: string,
+  // the spent output, for segwit inputs
+  witnessUtxo?: { value: number, script: string },
+  bip32Derivations: Bip32Derivation[],
+  finalScriptSig?: string,
+  finalScriptWitness?: string,
+  // the other entries (partial signatures, ...) are kept as they are, by hex key
+  unknown: { [_: string]: string },
+}
+
+export type PSBTOutput = {
+  bip32Derivations: Bip32Derivation[],
+  unknown: { [_: string]: string },
+}
+
+export type PSBT = {
+  // hex of the unsigned transaction
+  unsignedTransaction: string,
+  inputs: PSBTInput[],
+  outputs: PSBTOutput[],
+  unknown: { [_: string]: string },
+}
+
+export type PSBTSummary = {
+  inputs: Array<{ hash: string, index: number, value: ?number }>,
+  outputs: Array<{ address: ?string, value: number, isChange: boolean }>,
+  // null when the value of some inputs is unknown
+  fee: ?number,
+  isFinalized: boolean,
+}
+
+const encodeCompactSize = (n: number): Buffer => {
+  if (n < 0xfd) return Buffer.from([n])
+  if (n <= 0xffff) {
+    const buf = Buffer.alloc(3)
+    buf[0] = 0xfd
+    buf.writeUInt16LE(n, 1)
+    return buf
+  }
+  const buf = Buffer.alloc(5)
+  buf[0] = 0xfe
+  buf.writeUInt32LE(n, 1)
+  return buf
+}
+
+const encodeValue = (value: number): Buffer => {
+  const buf = Buffer.alloc(8)
+  buf.writeUInt32LE(value % 0x100000000, 0)
+  buf.writeUInt32LE(Math.floor(value / 0x100000000), 4)
+  return buf
+}
+
+const decodeValue = (buf: Buffer, offset: number = 0): number =>
+  buf.readUInt32LE(offset) + buf.readUInt32LE(offset + 4) * 0x100000000
+
+const encodePath = (path: string): Buffer => {
+  const nodes = path
+    .split('/')
+    .filter(node => node && node !== 'm')
+    .map(node => {
+      const hardened = node.endsWith("'")
+      const index = parseInt(hardened ? node.slice(0, -1) : node, 10)
+      if (isNaN(index)) throw new InvalidPSBT()
+      return hardened ? index + HARDENED : index
+    })
+  const buf = Buffer.alloc(4 * nodes.length)
+  nodes.forEach((n, i) => buf.writeUInt32LE(n, 4 * i))
+  return buf
+}
+
+const decodePath = (buf: Buffer): string => {
+  const nodes = []
+  for (let i = 0; i < buf.length; i += 4) {
+    const n = buf.readUInt32LE(i)
+    nodes.push(n >= HARDENED ? `${n - HARDENED}'` : `${n}`)
+  }
+  return nodes.join('/')
+}
+
+const encodeDerivation = (keyType: number, { pubkey, fingerprint, path }: Bip32Derivation) => ({
+  key: Buffer.concat([Buffer.from([keyType]), Buffer.from(pubkey, 'hex')]),
+  value: Buffer.concat([Buffer.from(fingerprint, 'hex'), encodePath(path)]),
+})
+
+const decodeDerivation = (key: Buffer, value: Buffer): Bip32Derivation => {
+  if (value.length < 4 || value.length % 4 !== 0) throw new InvalidPSBT()
+  return {
+    pubkey: key.slice(1).toString('hex'),
+    fingerprint: value.slice(0, 4).toString('hex'),
+    path: decodePath(value.slice(4)),
+  }
+}
+
+// the serialized outputs of a transaction, as the device expects them
+export const serializeOutputs = (tx: Transaction): Buffer =>
+  Buffer.concat(
+    [encodeCompactSize(tx.outs.length)].concat(
+      ...tx.outs.map(out => [
+        encodeValue(out.value),
+        encodeCompactSize(out.script.length),
+        out.script,
+      ]),
+    ),
+  )
+
+const serializeWitness = (witness: Buffer[]): Buffer =>
+  Buffer.concat(
+    [encodeCompactSize(witness.length)].concat(
+      ...witness.map(item => [encodeCompactSize(item.length), item]),
+    ),
+  )
+
+function readMaps(buf: Buffer): Array<Array<{ key: Buffer, value: Buffer }>> {
+  let offset = 0
+  const readCompactSize = () => {
+    if (offset >= buf.length) throw new InvalidPSBT()
+    const first = buf[offset]
+    let n
+    if (first < 0xfd) {
+      n = first
+      offset += 1
+    } else if (first === 0xfd) {
+      n = buf.readUInt16LE(offset + 1)
+      offset += 3
+    } else if (first === 0xfe) {
+      n = buf.readUInt32LE(offset + 1)
+      offset += 5
+    } else {
+      n = decodeValue(buf, offset + 1)
+      offset += 9
+    }
+    return n
+  }
+  const readBytes = () => {
+    const length = readCompactSize()
+    if (offset + length > buf.length) throw new InvalidPSBT()
+    const bytes = buf.slice(offset, offset + length)
+    offset += length
+    return bytes
+  }
+  const maps = []
+  let current = []
+  while (offset < buf.length) {
+    const key = readBytes()
+    if (key.length === 0) {
+      maps.push(current)
+      current = []
+    } else {
+      current.push({ key, value: readBytes() })
+    }
+  }
+  if (current.length > 0) throw new InvalidPSBT()
+  return maps
+}
+
+const writeMap = (entries: Array<{ key: Buffer, value: Buffer }>): Buffer =>
+  Buffer.concat(
+    [].concat(
+      ...entries.map(({ key, value }) => [
+        encodeCompactSize(key.length),
+        key,
+        encodeCompactSize(value.length),
+        value,
+      ]),
+      [Buffer.from([0x00])],
+    ),
+  )
+
+const writeUnknown = (unknown: { [_: string]: string }) =>
+  Object.keys(unknown).map(key => ({
+    key: Buffer.from(key, 'hex'),
+    value: Buffer.from(unknown[key], 'hex'),
+  }))
+
+export function parseTransaction(hex: string): Transaction {
+  try {
+    return Transaction.fromHex(hex)
+  } catch (e) {
+    // e.g. the transactions with a timestamp or the zcash ones
+    throw new UnsupportedPSBT()
+  }
+}
+
+// a PSBT is exchanged as binary (.psbt files) or as base64 text
+export function decodePSBT(data: Buffer | string): PSBT {
+  const buf =
+    typeof data === 'string' ? Buffer.from(data.replace(/\s/g, ''), 'base64') : data.slice(0)
+  if (buf.length < MAGIC.length || !buf.slice(0, MAGIC.length).equals(MAGIC)) {
+    throw new InvalidPSBT()
+  }
+  const maps = readMaps(buf.slice(MAGIC.length))
+  const [globalMap] = maps
+  if (!globalMap) throw new InvalidPSBT()
+
+  let unsignedTransaction
+  const unknown = {}
+  globalMap.forEach(({ key, value }) => {
+    if (key[0] === GLOBAL_UNSIGNED_TX && key.length === 1) {
+      unsignedTransaction = value.toString('hex')
+    } else {
+      unknown[key.toString('hex')] = value.toString('hex')
+    }
+  })
+  if (!unsignedTransaction) throw new InvalidPSBT()
+  const tx = parseTransaction(unsignedTransaction)
+  if (maps.length !== 1 + tx.ins.length + tx.outs.length) throw new InvalidPSBT()
+
+  const inputs = maps.slice(1, 1 + tx.ins.length).map(entries => {
+    const input: PSBTInput = { bip32Derivations: [], unknown: {} }
+    entries.forEach(({ key, value }) => {
+      switch (key[0]) {
+        case IN_NON_WITNESS_UTXO:
+          input.nonWitnessUtxo = value.toString('hex')
+          break
+        case IN_WITNESS_UTXO:
+          if (value.length < 9) throw new InvalidPSBT()
+          input.witnessUtxo = {
+            value: decodeValue(value),
+            script: value.slice(9).toString('hex'),
+          }
+          break
+        case IN_BIP32_DERIVATION:
+          input.bip32Derivations.push(decodeDerivation(key, value))
+          break
+        case IN_FINAL_SCRIPTSIG:
+          input.finalScriptSig = value.toString('hex')
+          break
+        case IN_FINAL_SCRIPTWITNESS:
+          input.finalScriptWitness = value.toString('hex')
+          break
+        default:
+          input.unknown[key.toString('hex')] = value.toString('hex')
+      }
+    })
+    return input
+  })
+
+  const outputs = maps.slice(1 + tx.ins.length).map(entries => {
+    const output: PSBTOutput = { bip32Derivations: [], unknown: {} }
+    entries.forEach(({ key, value }) => {
+      if (key[0] === OUT_BIP32_DERIVATION) {
+        output.bip32Derivations.push(decodeDerivation(key, value))
+      } else {
+        output.unknown[key.toString('hex')] = value.toString('hex')
+      }
+    })
+    return output
+  })
+
+  return { unsignedTransaction, inputs, outputs, unknown }
+}
+
+// .psbt files are binary, but some wallets save the base64 text instead
+export const readPSBTFile = (content: Buffer): string =>
+  content.slice(0, MAGIC.length).equals(MAGIC)
+    ? content.toString('base64')
+    : content.toString('utf8').trim()
+
+export function encodePSBT(psbt: PSBT): Buffer {
+  const globalMap = writeMap(
+    [
+      {
+        key: Buffer.from([GLOBAL_UNSIGNED_TX]),
+        value: Buffer.from(psbt.unsignedTransaction, 'hex'),
+      },
+    ].concat(writeUnknown(psbt.unknown)),
+  )
+  const inputMaps = psbt.inputs.map(input => {
+    const { nonWitnessUtxo, witnessUtxo, finalScriptSig, finalScriptWitness } = input
+    const entries = []
+    if (nonWitnessUtxo) {
+      entries.push({
+        key: Buffer.from([IN_NON_WITNESS_UTXO]),
+        value: Buffer.from(nonWitnessUtxo, 'hex'),
+      })
+    }
+    if (witnessUtxo) {
+      const script = Buffer.from(witnessUtxo.script, 'hex')
+      entries.push({
+        key: Buffer.from([IN_WITNESS_UTXO]),
+        value: Buffer.concat([
+          encodeValue(witnessUtxo.value),
+          encodeCompactSize(script.length),
+          script,
+        ]),
+      })
+    }
+    input.bip32Derivations.forEach(d => entries.push(encodeDerivation(IN_BIP32_DERIVATION, d)))
+    if (finalScriptSig) {
+      entries.push({
+        key: Buffer.from([IN_FINAL_SCRIPTSIG]),
+        value: Buffer.from(finalScriptSig, 'hex'),
+      })
+    }
+    if (finalScriptWitness) {
+      entries.push({
+        key: Buffer.from([IN_FINAL_SCRIPTWITNESS]),
+        value: Buffer.from(finalScriptWitness, 'hex'),
+      })
+    }
+    return writeMap(entries.concat(writeUnknown(input.unknown)))
+  })
+  const outputMaps = psbt.outputs.map(output =>
+    writeMap(
+      output.bip32Derivations
+        .map(d => encodeDerivation(OUT_BIP32_DERIVATION, d))
+        .concat(writeUnknown(output.unknown)),
+    ),
+  )
+  return Buffer.concat([MAGIC, globalMap].concat(inputMaps, outputMaps))
+}
+
+export const encodePSBTBase64 = (psbt: PSBT): string => encodePSBT(psbt).toString('base64')
+
+// the fingerprint of a key is the first 4 bytes of the hash160 of its compressed public key
+export function getKeyFingerprint(publicKey: Buffer): string {
+  const compressed =
+    publicKey.length === 65
+      ? Buffer.concat([Buffer.from([publicKey[64] % 2 ? 0x03 : 0x02]), publicKey.slice(1, 33)])
+      : publicKey
+  return bitcoinCrypto
+    .hash160(compressed)
+    .slice(0, 4)
+    .toString('hex')
+}
+
+// the master key is the one of the empty path
+export async function getDeviceMasterFingerprint(hwApp: Btc): Promise<string> {
+  const { publicKey } = await hwApp.getWalletPublicKey('')
+  return getKeyFingerprint(Buffer.from(publicKey, 'hex'))
+}
+
+// masterFingerprint is an extra field of the account (it is not in the common Account type),
+// set when the account is scanned on the device
+type MasterFingerprintField = { masterFingerprint: string }
+type AccountWithFingerprint =
+  | $Shape<Account & MasterFingerprintField>
+  | $Shape<AccountRaw & MasterFingerprintField>
+
+// null for the accounts added without the device (watch-only) or before it was kept
+export const getAccountMasterFingerprint = (account: Account | AccountRaw): ?string =>
+  (account: AccountWithFingerprint).masterFingerprint || null
+
+export const createBip32Derivation = (
+  pubkey: string,
+  masterFingerprint: ?string,
+  path: string,
+): Bip32Derivation => ({
+  pubkey,
+  fingerprint: masterFingerprint || UNKNOWN_FINGERPRINT,
+  path,
+})
+
+const isOfMasterKey = (derivation: Bip32Derivation, masterFingerprint: ?string): boolean =>
+  !masterFingerprint ||
+  derivation.fingerprint === masterFingerprint ||
+  derivation.fingerprint === UNKNOWN_FINGERPRINT
+
+// the path of the account node, without the <change>/<index> of its addresses
+export const getAccountDerivationPath = (account: Account | AccountRaw): string =>
+  account.freshAddressPath
+    .split('/')
+    .slice(0, -2)
+    .join('/')
+
+// the derivation of a key of the account, the other ones (e.g. of the cosigners) are ignored
+export function findAccountDerivation(
+  account: Account | AccountRaw,
+  masterFingerprint: ?string,
+  derivations: Bip32Derivation[],
+): ?Bip32Derivation {
+  const accountPath = getAccountDerivationPath(account)
+  return derivations.find(
+    d => d.path.startsWith(`${accountPath}/`) && isOfMasterKey(d, masterFingerprint),
+  )
+}
+
+// the public key of an address of the account is derived from its xpub (<account path>/<change>/<index>)
+export function deriveAccountPublicKey(xpub: string, change: number, index: number): ?string {
+  try {
+    const { payload } = decodeExtendedPublicKey(xpub)
+    const node = new HDNode(ECPair.fromPublicKeyBuffer(payload.slice(41, 74)), payload.slice(9, 41))
+    return node
+      .derive(change)
+      .derive(index)
+      .getPublicKeyBuffer()
+      .toString('hex')
+  } catch (e) {
+    return null
+  }
+}
+
+const getAccountOutputScript = (account: Account | AccountRaw, publicKey: Buffer): Buffer => {
+  const keyHash = bitcoinCrypto.hash160(publicKey)
+  if (isSegwitAccount(account)) {
+    const redeemScript = bitcoinScript.witnessPubKeyHash.output.encode(keyHash)
+    return bitcoinScript.scriptHash.output.encode(bitcoinCrypto.hash160(redeemScript))
+  }
+  return bitcoinScript.pubKeyHash.output.encode(keyHash)
+}
+
+// the derivations are given by whoever made the PSBT: a change output is only trusted
+// when its key is the one the account xpub gives for the path, and the output pays to it
+export function isAccountChangeOutput(
+  account: Account | AccountRaw,
+  masterFingerprint: ?string,
+  script: Buffer,
+  derivation: Bip32Derivation,
+): boolean {
+  const accountPath = getAccountDerivationPath(account)
+  if (!derivation.path.startsWith(`${accountPath}/`)) return false
+  if (!isOfMasterKey(derivation, masterFingerprint)) return false
+  const nodes = derivation.path.slice(accountPath.length + 1).split('/')
+  if (nodes.length !== 2 || nodes[0] !== '1' || !/^\d+$/.test(nodes[1])) return false
+  const pubkey = deriveAccountPublicKey(account.xpub, 1, parseInt(nodes[1], 10))
+  return (
+    !!pubkey &&
+    pubkey === derivation.pubkey &&
+    getAccountOutputScript(account, Buffer.from(pubkey, 'hex')).equals(script)
+  )
+}
+
+// the device gets the previous transactions: each one must be the one spent by its input
+export function checkPSBTCanBeSigned(psbt: PSBT) {
+  if (psbt.inputs.some(input => !input.nonWitnessUtxo)) {
+    throw new PSBTPreviousTransactionMissing()
+  }
+  const tx = parseTransaction(psbt.unsignedTransaction)
+  psbt.inputs.forEach((input, i) => getSpentOutput(input, tx.ins[i]))
+}
+
+export const isPSBTFinalized = (psbt: PSBT): boolean =>
+  psbt.inputs.every(input => !!input.finalScriptSig || !!input.finalScriptWitness)
+
+// once signed, the inputs only keep their final scripts (BIP174 "finalizer" role)
+export function finalizePSBT(psbt: PSBT, signedTransaction: string): PSBT {
+  const tx = parseTransaction(signedTransaction)
+  if (tx.ins.length !== psbt.inputs.length) throw new InvalidPSBT()
+  return {
+    ...psbt,
+    inputs: psbt.inputs.map((input, i) => {
+      const { script, witness } = tx.ins[i]
+      const unknown = {}
+      Object.keys(input.unknown).forEach(key => {
+        // partial signatures, sighash types, redeem & witness scripts are not needed anymore
+        if (parseInt(key.slice(0, 2), 16) > IN_FINAL_SCRIPTWITNESS) {
+          unknown[key] = input.unknown[key]
+        }
+      })
+      return {
+        nonWitnessUtxo: input.nonWitnessUtxo,
+        witnessUtxo: input.witnessUtxo,
+        bip32Derivations: [],
+        finalScriptSig: script.length > 0 ? script.toString('hex') : undefined,
+        finalScriptWitness:
+          witness && witness.length > 0 ? serializeWitness(witness).toString('hex') : undefined,
+        unknown,
+      }
+    }),
+  }
+}
+
+// the output spent by an input, from the previous transaction of the input.
+// the previous transaction must be the one of the input & the witness UTXO its output:
+// a witness UTXO alone can't be trusted (the signed value is the one of the device)
+export function getSpentOutput(
+  input: PSBTInput,
+  txInput: { hash: Buffer, index: number },
+): ?{ value: number, script: string } {
+  if (!input.nonWitnessUtxo) return null
+  const previousTx = parseTransaction(input.nonWitnessUtxo)
+  const hash = Buffer.from(txInput.hash)
+    .reverse()
+    .toString('hex')
+  if (previousTx.getId() !== hash) throw new InvalidPSBT()
+  const out = previousTx.outs[txInput.index]
+  if (!out) throw new InvalidPSBT()
+  const spent = { value: out.value, script: out.script.toString('hex') }
+  const { witnessUtxo } = input
+  if (witnessUtxo && (witnessUtxo.value !== spent.value || witnessUtxo.script !== spent.script)) {
+    throw new InvalidPSBT()
+  }
+  return spent
+}
+
+// the address of an output script, for the standard scripts
+export function getOutputScriptAddress(currency: CryptoCurrency, script: Buffer): ?string {
+  const { bitcoinLikeInfo } = currency
+  if (!bitcoinLikeInfo) return null
+  // P2PKH: OP_DUP OP_HASH160 <20 bytes> OP_EQUALVERIFY OP_CHECKSIG
+  if (
+    script.length === 25 &&
+    script[0] === 0x76 &&
+    script[1] === 0xa9 &&
+    script[2] === 0x14 &&
+    script[23] === 0x88 &&
+    script[24] === 0xac
+  ) {
+    return toBase58Check(script.slice(3, 23), bitcoinLikeInfo.P2PKH)
+  }
+  // P2SH: OP_HASH160 <20 bytes> OP_EQUAL
+  if (script.length === 23 && script[0] === 0xa9 && script[1] === 0x14 && script[22] === 0x87) {
+    return toBase58Check(script.slice(2, 22), bitcoinLikeInfo.P2SH)
+  }
+  // P2WPKH & P2WSH: OP_0 <20 or 32 bytes>
+  const prefix = bech32Prefixes[currency.id]
+  if (prefix && script[0] === 0x00 && script[1] === script.length - 2) {
+    if (script.length === 22 || script.length === 34) {
+      return bitcoinAddress.toBech32(script.slice(2), 0, prefix)
+    }
+  }
+  return null
+}
+
+export const isChangeDerivationPath = (path: string): boolean => {
+  const nodes = path.split('/')
+  return nodes[nodes.length - 2] === '1'
+}
+
+export function getPSBTSummary(account: Account, psbt: PSBT): PSBTSummary {
+  const masterFingerprint = getAccountMasterFingerprint(account)
+  const tx = parseTransaction(psbt.unsignedTransaction)
+  const inputs = tx.ins.map((input, i) => {
+    const spent = getSpentOutput(psbt.inputs[i], input)
+    return {
+      hash: Buffer.from(input.hash)
+        .reverse()
+        .toString('hex'),
+      index: input.index,
+      value: spent ? spent.value : null,
+    }
+  })
+  const outputs = tx.outs.map((out, i) => ({
+    address: getOutputScriptAddress(account.currency, out.script),
+    value: out.value,
+    isChange: psbt.outputs[i].bip32Derivations.some(d =>
+      isAccountChangeOutput(account, masterFingerprint, out.script, d),
+    ),
+  }))
+  const inputsValue = inputs.reduce(
+    (sum, i) => (sum === null || typeof i.value !== 'number' ? null : sum + i.value),
+    0,
+  )
+  return {
+    inputs,
+    outputs,
+    fee:
+      typeof inputsValue === 'number'
+        ? inputsValue - outputs.reduce((sum, o) => sum + o.value, 0)
+        : null,
+    isFinalized: isPSBTFinalized(psbt),
+  }
+}
@@ -0,0 +1,67 @@
+// @flow
+
+import { Transaction } from 'bitcoinjs-lib'
+import EthereumTx from 'ethereumjs-tx'
+import BinaryCodec from 'ripple-binary-codec'
+import type { CryptoCurrency } from '@ledgerhq/live-common/lib/types'
+import { createCustomErrorClass } from './errors'
+
+export const InvalidRawTransaction = createCustomErrorClass('InvalidRawTransaction')
+
+// bitcoinjs can't parse their transactions (timestamp, overwinter format...): only the hex is checked
+const NON_STANDARD_BITCOIN_FORMAT = [
+  'zcash',
+  'komodo',
+  'zencash',
+  'hcash',
+  'peercoin',
+  'stealthcoin',
+  'poswallet',
+  'clubcoin',
+]
+
+function checkBitcoinTransaction(currency: CryptoCurrency, hex: string) {
+  if (NON_STANDARD_BITCOIN_FORMAT.includes(currency.id)) return
+  const tx = Transaction.fromHex(hex)
+  if (tx.ins.length === 0 || tx.outs.length === 0) throw new InvalidRawTransaction()
+  // an unsigned input has neither a scriptSig nor a witness
+  if (tx.ins.some(input => input.script.length === 0 && input.witness.length === 0)) {
+    throw new InvalidRawTransaction()
+  }
+}
+
+function checkEthereumTransaction(hex: string) {
+  const tx = new EthereumTx(Buffer.from(hex, 'hex'))
+  if (!tx.verifySignature()) throw new InvalidRawTransaction()
+}
+
+function checkRippleTransaction(hex: string) {
+  const tx = BinaryCodec.decode(hex)
+  if (!tx.TransactionType || !(tx.TxnSignature || tx.Signers)) throw new InvalidRawTransaction()
+}
+
+// checks that the text is a signed transaction of the currency (offline)
+// and returns it as the bridge of the currency broadcasts it.
+export function parseRawTransaction(currency: CryptoCurrency, text: string): string {
+  const hex = text.trim().replace(/^0x/i, '')
+  if (!hex || hex.length % 2 !== 0 || !/^[0-9a-f]+$/i.test(hex)) {
+    throw new InvalidRawTransaction()
+  }
+  try {
+    switch (currency.family) {
+      case 'bitcoin':
+        checkBitcoinTransaction(currency, hex)
+        return hex.toLowerCase()
+      case 'ethereum':
+        checkEthereumTransaction(hex)
+        return `0x${hex.toLowerCase()}`
+      case 'ripple':
+        checkRippleTransaction(hex)
+        return hex.toUpperCase()
+      default:
+        throw new InvalidRawTransaction()
+    }
+  } catch (e) {
+    throw new InvalidRawTransaction()
+  }
+}
@@ -0,0 +1,21 @@
+// @flow
+
+import type { CryptoCurrency } from '@ledgerhq/live-common/lib/types'
+import Btc from '@ledgerhq/hw-app-btc'
+import type Transport from '@ledgerhq/hw-transport'
+
+const pad32 = (hex: string): Buffer => Buffer.from(hex.padStart(64, '0'), 'hex')
+
+// base64 signature with the BIP137 header: 31-34 for P2PKH (compressed keys), 35-38 for P2SH-P2WPKH
+export default async (
+  transport: Transport<*>,
+  currency: CryptoCurrency,
+  path: string,
+  message: string,
+  { segwit = false }: { segwit?: boolean },
+) => {
+  const btc = new Btc(transport)
+  const { v, r, s } = await btc.signMessageNew(path, Buffer.from(message, 'utf8').toString('hex'))
+  const header = 27 + v + (segwit ? 8 : 4)
+  return Buffer.concat([Buffer.from([header]), pad32(r), pad32(s)]).toString('base64')
+}
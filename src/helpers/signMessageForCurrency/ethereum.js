@@ -0,0 +1,21 @@
+// @flow
+
+import type { CryptoCurrency } from '@ledgerhq/live-common/lib/types'
+import Eth from '@ledgerhq/hw-app-eth'
+import type Transport from '@ledgerhq/hw-transport'
+
+// personal_sign signature: 0x + r + s + v (27 or 28)
+export default async (
+  transport: Transport<*>,
+  currency: CryptoCurrency,
+  path: string,
+  message: string,
+) => {
+  const eth = new Eth(transport)
+  const { v, r, s } = await eth.signPersonalMessage(
+    path,
+    Buffer.from(message, 'utf8').toString('hex'),
+  )
+  const recovery = v < 27 ? v + 27 : v
+  return `0x${r}${s}${recovery.toString(16)}`
+}
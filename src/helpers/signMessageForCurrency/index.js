@@ -0,0 +1,31 @@
+// @flow
+
+import type { CryptoCurrency } from '@ledgerhq/live-common/lib/types'
+import invariant from 'invariant'
+import type Transport from '@ledgerhq/hw-transport'
+import bitcoin from './btc'
+import ethereum from './ethereum'
+
+// returns the signature in the standard format of the currency family
+type Resolver = (
+  transport: Transport<*>,
+  currency: CryptoCurrency,
+  path: string,
+  message: string,
+  options: {
+    segwit?: boolean,
+  },
+) => Promise<string>
+
+const perFamily: { [_: string]: Resolver } = {
+  bitcoin,
+  ethereum,
+}
+
+const proxy: Resolver = (transport, currency, path, message, options) => {
+  const signMessage = perFamily[currency.family]
+  invariant(signMessage, `signMessage not implemented for ${currency.id}`)
+  return signMessage(transport, currency, path, message, options)
+}
+
+export default proxy
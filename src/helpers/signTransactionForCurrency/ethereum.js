@@ -3,9 +3,13 @@ import invariant from 'invariant'
 import Eth from '@ledgerhq/hw-app-eth'
 import type Transport from '@ledgerhq/hw-transport'
 import EthereumTx from 'ethereumjs-tx'
+import { findTokenInformation } from 'helpers/erc20'
+import { createCustomErrorClass } from 'helpers/errors'
+
+const EthereumContractDataDisabled = createCustomErrorClass('EthereumContractDataDisabled')
 
 // see https://github.com/ethereum/EIPs/blob/master/EIPS/eip-155.md
-function getNetworkId(currencyId: string): ?number {
+export function getNetworkId(currencyId: string): ?number {
   switch (currencyId) {
     case 'ethereum':
       return 1
@@ -30,6 +34,8 @@ export default async (
     gasPrice: number,
     gasLimit: number,
     amount: number,
+    // contract call data, e.g. an ERC-20 transfer (then recipient is the token contract)
+    data?: string,
   },
 ) => {
   // First, we need to create a partial tx and send to the device
@@ -42,6 +48,7 @@ export default async (
     gasLimit: `0x${t.gasLimit.toString(16)}`,
     to: t.recipient,
     value: `0x${t.amount.toString(16)}`,
+    data: t.data,
     chainId,
   })
   tx.raw[6] = Buffer.from([chainId]) // v
@@ -49,7 +56,21 @@ export default async (
   tx.raw[8] = Buffer.from([]) // s
 
   const eth = new Eth(transport)
-  const result = await eth.signTransaction(path, tx.serialize().toString('hex'))
+
+  if (t.data) {
+    const tokenInformation = findTokenInformation(t.recipient, chainId)
+    if (tokenInformation) {
+      await eth.provideERC20TokenInformation(tokenInformation)
+    }
+  }
+
+  const result = await eth.signTransaction(path, tx.serialize().toString('hex')).catch(e => {
+    // the ethereum app refuses the contract calls unless its "Contract data" setting is enabled
+    if (t.data && e && e.name === 'TransportStatusError' && e.statusCode === 0x6a80) {
+      throw new EthereumContractDataDisabled()
+    }
+    throw e
+  })
 
   // Second, we re-set some tx fields from the device signature
 
@@ -0,0 +1,35 @@
+// @flow
+
+import BigNumber from 'bignumber.js'
+import type { Account } from '@ledgerhq/live-common/lib/types'
+import type { TokenAccount, TokenOperation } from 'types/common'
+
+// token accounts are an extra field of their parent account (they are not in the common Account type)
+type AccountWithTokens = $Shape<Account & { tokenAccounts: TokenAccount[] }>
+
+type SavedTokenOperation = $Shape<TokenOperation & { value: number }>
+
+export const getTokenAccounts = (account: Account): TokenAccount[] =>
+  (account: AccountWithTokens).tokenAccounts || []
+
+export const getTokenAccountById = (account: Account, id: ?string): ?TokenAccount =>
+  id ? getTokenAccounts(account).find(t => t.id === id) : null
+
+// dates of the token operations are serialized as strings when the accounts are saved.
+// the amounts were numbers before they were made exact
+export const decodeTokenAccounts = (account: Account): Account => {
+  const tokenAccounts = getTokenAccounts(account)
+  if (tokenAccounts.length === 0) return account
+  return {
+    ...account,
+    tokenAccounts: tokenAccounts.map(tokenAccount => ({
+      ...tokenAccount,
+      balance: String(tokenAccount.balance),
+      operations: tokenAccount.operations.map((op: SavedTokenOperation) => ({
+        ...op,
+        amount: op.amount || new BigNumber(op.value).toFixed(),
+        date: new Date(op.date),
+      })),
+    })),
+  }
+}
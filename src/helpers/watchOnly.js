@@ -0,0 +1,14 @@
+// @flow
+
+import type { Account } from '@ledgerhq/live-common/lib/types'
+import { createCustomErrorClass } from './errors'
+
+export const WatchOnlyAccount = createCustomErrorClass('WatchOnlyAccount')
+
+// watch-only accounts are imported from an extended public key or an address, without the device.
+// they are synced like the other accounts but nothing can be signed with them.
+// watchOnly is an extra field of the account (it is not in the common Account type)
+type MaybeWatchOnlyAccount = $Shape<Account & { watchOnly: boolean }>
+
+export const isWatchOnlyAccount = (account: Account): boolean =>
+  !!(account: MaybeWatchOnlyAccount).watchOnly
@@ -1,12 +1,13 @@
 // @flow
 
-import { app, BrowserWindow, Menu, screen } from 'electron'
+import { app, BrowserWindow, Menu, screen, ipcMain } from 'electron'
 import debounce from 'lodash/debounce'
 import {
   MIN_HEIGHT,
   MIN_WIDTH,
   DEFAULT_WINDOW_WIDTH,
   DEFAULT_WINDOW_HEIGHT,
+  PAYMENT_URI_SCHEMES,
 } from 'config/constants'
 
 import menu from 'main/menu'
@@ -18,8 +19,29 @@ import { terminateAllTheThings } from './terminator'
 // necessary to prevent win from being garbage collected
 let mainWindow = null
 
-const isSecondInstance = app.makeSingleInstance(() => {
-  if (mainWindow) {
+// a payment URI is kept until the renderer listens to them
+let pendingPaymentURI = null
+let isRendererReady = false
+
+const findPaymentURI = (argv: string[]): ?string =>
+  argv.find(arg => PAYMENT_URI_SCHEMES.some(scheme => arg.startsWith(`${scheme}:`)))
+
+const openPaymentURI = (uri: string) => {
+  if (mainWindow && isRendererReady) {
+    mainWindow.webContents.send('deep-linking', uri)
+    if (mainWindow.isMinimized()) mainWindow.restore()
+    mainWindow.focus()
+  } else {
+    pendingPaymentURI = uri
+  }
+}
+
+// on Windows & Linux, the URI is an argument of the app launched by the OS
+const isSecondInstance = app.makeSingleInstance(argv => {
+  const uri = findPaymentURI(argv)
+  if (uri) {
+    openPaymentURI(uri)
+  } else if (mainWindow) {
     if (mainWindow.isMinimized()) mainWindow.restore()
     mainWindow.focus()
   }
@@ -115,6 +137,10 @@ function createMainWindow() {
 
   saveWindowSettings(window)
 
+  window.webContents.on('did-start-loading', () => {
+    isRendererReady = false
+  })
+
   window.loadURL(url)
 
   window.on('close', terminateAllTheThings)
@@ -156,6 +182,24 @@ const installExtensions = async () => {
 }
 
 app.setAsDefaultProtocolClient('ledgerhq')
+PAYMENT_URI_SCHEMES.forEach(scheme => app.setAsDefaultProtocolClient(scheme))
+
+pendingPaymentURI = findPaymentURI(process.argv)
+
+// on macOS, the URI comes as an event, possibly before the app is ready
+app.on('open-url', (e, url) => {
+  e.preventDefault()
+  openPaymentURI(url)
+})
+
+ipcMain.on('deep-linking-ready', () => {
+  isRendererReady = true
+  if (pendingPaymentURI) {
+    const uri = pendingPaymentURI
+    pendingPaymentURI = null
+    openPaymentURI(uri)
+  }
+})
 
 app.on('ready', async () => {
   if (__DEV__) {
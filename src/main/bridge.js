@@ -71,8 +71,13 @@ ipcMain.on('clean-processes', () => {
   killInternalProcess()
 })
 
+// the listeners of the running commands, removed once a command ends or is unsubscribed
+const commandsCleanups: { [requestId: string]: () => void } = {}
+
 ipcMainListenReceiveCommands({
   onUnsubscribe: requestId => {
+    const cleanup = commandsCleanups[requestId]
+    if (cleanup) cleanup()
     if (!internalProcess) return
     internalProcess.send({ type: 'command-unsubscribe', requestId })
   },
@@ -81,9 +86,14 @@ ipcMainListenReceiveCommands({
     const p = internalProcess
     invariant(p, 'internalProcess not started !?')
 
-    const handleExit = code => {
+    const cleanup = () => {
+      delete commandsCleanups[command.requestId]
       p.removeListener('message', handleMessage)
       p.removeListener('exit', handleExit)
+    }
+
+    const handleExit = code => {
+      cleanup()
       notifyCommandEvent({
         type: 'cmd.ERROR',
         requestId: command.requestId,
@@ -95,11 +105,11 @@ ipcMainListenReceiveCommands({
       if (payload.requestId !== command.requestId) return
       notifyCommandEvent(payload)
       if (payload.type === 'cmd.ERROR' || payload.type === 'cmd.COMPLETE') {
-        p.removeListener('message', handleMessage)
-        p.removeListener('exit', handleExit)
+        cleanup()
       }
     }
 
+    commandsCleanups[command.requestId] = cleanup
     p.on('exit', handleExit)
     p.on('message', handleMessage)
     p.send({ type: 'command', command })
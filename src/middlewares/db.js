@@ -4,6 +4,9 @@ import db from 'helpers/db'
 
 import { accountsSelector } from 'reducers/accounts'
 import { settingsExportSelector, areSettingsLoaded } from 'reducers/settings'
+import { operationNotesSelector } from 'reducers/operationNotes'
+import { contactsSelector } from 'reducers/contacts'
+import { paymentRequestsSelector } from 'reducers/paymentRequests'
 import CounterValues from 'helpers/countervalues'
 
 let DB_MIDDLEWARE_ENABLED = true
@@ -31,6 +34,18 @@ export default store => next => action => {
     if (areSettingsLoaded(newState) && oldState.settings !== newState.settings) {
       db.set('settings', settingsExportSelector(newState))
     }
+    // the notes, contacts & payment requests are encrypted with the password: rewrite them when it changes
+    const passwordChanged =
+      areSettingsLoaded(oldState) && oldState.settings.password !== newState.settings.password
+    if (oldState.operationNotes !== newState.operationNotes || passwordChanged) {
+      db.set('operationNotes', operationNotesSelector(newState))
+    }
+    if (oldState.contacts !== newState.contacts || passwordChanged) {
+      db.set('contacts', contactsSelector(newState))
+    }
+    if (oldState.paymentRequests !== newState.paymentRequests || passwordChanged) {
+      db.set('paymentRequests', paymentRequestsSelector(newState))
+    }
     return res
   }
 }
@@ -6,6 +6,7 @@ import { createAccountModel } from '@ledgerhq/live-common/lib/models/account'
 import logger from 'logger'
 import type { Account, AccountRaw } from '@ledgerhq/live-common/lib/types'
 import { OUTDATED_CONSIDERED_DELAY, DEBUG_SYNC } from 'config/constants'
+import { decodeTokenAccounts } from 'helpers/tokenAccounts'
 
 export type AccountsState = Account[]
 const state: AccountsState = []
@@ -96,7 +97,8 @@ export const decodeAccount = (account: AccountRaw): Account =>
 
 export const encodeAccount = (account: Account): AccountRaw => accountModel.encode(account).data
 
-export const decodeAccountsModel = (raws: *) => (raws || []).map(accountModel.decode)
+export const decodeAccountsModel = (raws: *) =>
+  (raws || []).map(raw => decodeTokenAccounts(accountModel.decode(raw)))
 
 export const encodeAccountsModel = (accounts: *) => (accounts || []).map(accountModel.encode)
 
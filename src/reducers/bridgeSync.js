@@ -3,6 +3,7 @@
 import { createSelector } from 'reselect'
 import { handleActions } from 'redux-actions'
 import type { State } from 'reducers'
+import { SYNC_REPEATED_FAILURES } from 'config/constants'
 import { accountsSelector } from './accounts'
 
 export type AsyncState = {
@@ -10,8 +11,19 @@ export type AsyncState = {
   error: ?Error,
 }
 
+export type AccountSyncState = {
+  pending: boolean,
+  error: ?Error,
+  // when the last successful sync ended
+  lastSuccessDate: ?number,
+  // the number of syncs which failed in a row
+  failureCount: number,
+  // when the sync is retried after a failure
+  nextRetryDate: ?number,
+}
+
 export type BridgeSyncState = {
-  syncs: { [accountId: string]: AsyncState },
+  syncs: { [accountId: string]: AccountSyncState },
 }
 
 const initialState: BridgeSyncState = {
@@ -23,7 +35,7 @@ const handlers: Object = {
     state: BridgeSyncState,
     action: {
       accountId: string,
-      state: AsyncState,
+      state: AccountSyncState,
     },
   ) => ({
     syncs: {
@@ -31,18 +43,32 @@ const handlers: Object = {
       [action.accountId]: action.state,
     },
   }),
+
+  REMOVE_ACCOUNT: (
+    state: BridgeSyncState,
+    { payload: account }: { payload: { id: string } },
+  ): BridgeSyncState => {
+    const { [account.id]: _, ...syncs } = state.syncs
+    return { syncs }
+  },
 }
 
 // Selectors
 
 export const bridgeSyncSelector = (state: State) => state.bridgeSync
 
-const nothingState = { pending: false, error: null }
+const nothingState: AccountSyncState = {
+  pending: false,
+  error: null,
+  lastSuccessDate: null,
+  failureCount: 0,
+  nextRetryDate: null,
+}
 
 export const syncStateLocalSelector = (
   bridgeSync: BridgeSyncState,
   { accountId }: { accountId: string },
-) => bridgeSync.syncs[accountId] || nothingState
+): AccountSyncState => bridgeSync.syncs[accountId] || nothingState
 
 export const globalSyncStateSelector = createSelector(
   accountsSelector,
@@ -61,4 +87,16 @@ export const globalSyncStateSelector = createSelector(
   },
 )
 
+// the accounts which keep failing to sync, to point out to the user
+export const repeatedlyFailingAccountsSelector = createSelector(
+  accountsSelector,
+  bridgeSyncSelector,
+  (accounts, bridgeSync) =>
+    accounts.filter(
+      account =>
+        syncStateLocalSelector(bridgeSync, { accountId: account.id }).failureCount >=
+        SYNC_REPEATED_FAILURES,
+    ),
+)
+
 export default handleActions(handlers, initialState)
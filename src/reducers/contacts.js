@@ -0,0 +1,57 @@
+// @flow
+
+import { createSelector } from 'reselect'
+import { handleActions } from 'redux-actions'
+import type { CryptoCurrency } from '@ledgerhq/live-common/lib/types'
+import type { State } from 'reducers'
+
+// a saved recipient of the address book
+export type Contact = {
+  id: string,
+  name: string,
+  currencyId: string,
+  addresses: string[],
+}
+
+export type ContactsState = Contact[]
+
+const state: ContactsState = []
+
+const handlers: Object = {
+  SET_CONTACTS: (state: ContactsState, { payload }: { payload: ?ContactsState }): ContactsState =>
+    payload || [],
+
+  ADD_CONTACT: (
+    state: ContactsState,
+    { payload: contact }: { payload: Contact },
+  ): ContactsState => [...state, contact],
+
+  UPDATE_CONTACT: (
+    state: ContactsState,
+    { payload: contact }: { payload: Contact },
+  ): ContactsState => state.map(c => (c.id === contact.id ? contact : c)),
+
+  REMOVE_CONTACT: (state: ContactsState, { payload: id }: { payload: string }): ContactsState =>
+    state.filter(c => c.id !== id),
+}
+
+// Selectors
+
+export const contactsSelector = (state: State): ContactsState => state.contacts
+
+export const contactsForCurrencySelector = createSelector(
+  contactsSelector,
+  (_, { currency }: { currency: CryptoCurrency }) => currency,
+  (contacts, currency) =>
+    contacts.filter(c => c.currencyId === currency.id),
+)
+
+// the contact a recipient belongs to, if it's in the address book
+export const findContactByAddress = (
+  contacts: ContactsState,
+  currency: CryptoCurrency,
+  address: string,
+): ?Contact =>
+  contacts.find(c => c.currencyId === currency.id && c.addresses.includes(address))
+
+export default handleActions(handlers, state)
@@ -15,6 +15,9 @@ import settings from './settings'
 import update from './update'
 import onboarding from './onboarding'
 import bridgeSync from './bridgeSync'
+import operationNotes from './operationNotes'
+import contacts from './contacts'
+import paymentRequests from './paymentRequests'
 
 import type { AccountsState } from './accounts'
 import type { ApplicationState } from './application'
@@ -24,6 +27,9 @@ import type { SettingsState } from './settings'
 import type { UpdateState } from './update'
 import type { OnboardingState } from './onboarding'
 import type { BridgeSyncState } from './bridgeSync'
+import type { OperationNotesState } from './operationNotes'
+import type { ContactsState } from './contacts'
+import type { PaymentRequestsState } from './paymentRequests'
 
 export type State = {
   accounts: AccountsState,
@@ -36,6 +42,9 @@ export type State = {
   update: UpdateState,
   onboarding: OnboardingState,
   bridgeSync: BridgeSyncState,
+  operationNotes: OperationNotesState,
+  contacts: ContactsState,
+  paymentRequests: PaymentRequestsState,
 }
 
 export default combineReducers({
@@ -49,4 +58,7 @@ export default combineReducers({
   update,
   onboarding,
   bridgeSync,
+  operationNotes,
+  contacts,
+  paymentRequests,
 })
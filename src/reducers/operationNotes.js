@@ -0,0 +1,63 @@
+// @flow
+
+import { handleActions } from 'redux-actions'
+import omit from 'lodash/omit'
+import type { Operation } from '@ledgerhq/live-common/lib/types'
+import type { State } from 'reducers'
+
+// what the user attached to an operation. it only lives on this computer.
+export type OperationNote = {
+  note: string,
+  tags: string[],
+}
+
+// by operation id
+export type OperationNotesState = { [operationId: string]: OperationNote }
+
+const state: OperationNotesState = {}
+
+const isEmptyNote = ({ note, tags }: OperationNote) => !note && tags.length === 0
+
+const handlers: Object = {
+  SET_OPERATION_NOTES: (
+    state: OperationNotesState,
+    { payload }: { payload: ?OperationNotesState },
+  ): OperationNotesState => payload || {},
+
+  SET_OPERATION_NOTE: (
+    state: OperationNotesState,
+    { payload: { operationId, note } }: { payload: { operationId: string, note: OperationNote } },
+  ): OperationNotesState =>
+    isEmptyNote(note) ? omit(state, operationId) : { ...state, [operationId]: note },
+}
+
+// Selectors
+
+export const operationNotesSelector = (state: State): OperationNotesState => state.operationNotes
+
+export const operationNoteSelector = (
+  state: State,
+  { operationId }: { operationId: string },
+): ?OperationNote => state.operationNotes[operationId]
+
+// tags are typed comma separated
+export const parseTags = (str: string): string[] =>
+  str
+    .split(',')
+    .map(tag => tag.trim())
+    .filter((tag, i, tags) => tag && tags.indexOf(tag) === i)
+
+// case insensitive search in the note, the tags & the hash of an operation
+export const matchOperation = (
+  operation: Operation,
+  note: ?OperationNote,
+  search: string,
+): boolean => {
+  const s = search.trim().toLowerCase()
+  if (!s) return true
+  if (operation.hash.toLowerCase().includes(s)) return true
+  if (!note) return false
+  return note.note.toLowerCase().includes(s) || note.tags.some(tag => tag.toLowerCase().includes(s))
+}
+
+export default handleActions(handlers, state)
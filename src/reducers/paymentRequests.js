@@ -0,0 +1,50 @@
+// @flow
+
+import { handleActions } from 'redux-actions'
+import type { State } from 'reducers'
+
+// an amount requested on an address of an account, e.g. to invoice a client
+export type TrackedPaymentRequest = {
+  id: string,
+  accountId: string,
+  address: string,
+  label: string,
+  // in the smallest unit of the currency
+  amount: number,
+  // timestamps: only the payments received in between are counted
+  createdAt: number,
+  expiresAt: ?number,
+}
+
+export type PaymentRequestsState = TrackedPaymentRequest[]
+
+const state: PaymentRequestsState = []
+
+const handlers: Object = {
+  SET_PAYMENT_REQUESTS: (
+    state: PaymentRequestsState,
+    { payload }: { payload: ?PaymentRequestsState },
+  ): PaymentRequestsState => payload || [],
+
+  ADD_PAYMENT_REQUEST: (
+    state: PaymentRequestsState,
+    { payload: request }: { payload: TrackedPaymentRequest },
+  ): PaymentRequestsState => [...state, request],
+
+  REMOVE_PAYMENT_REQUEST: (
+    state: PaymentRequestsState,
+    { payload: id }: { payload: string },
+  ): PaymentRequestsState => state.filter(r => r.id !== id),
+
+  // the requests of a removed account can't be tracked anymore
+  REMOVE_ACCOUNT: (
+    state: PaymentRequestsState,
+    { payload: account }: { payload: { id: string } },
+  ): PaymentRequestsState => state.filter(r => r.accountId !== account.id),
+}
+
+// Selectors
+
+export const paymentRequestsSelector = (state: State): PaymentRequestsState => state.paymentRequests
+
+export default handleActions(handlers, state)
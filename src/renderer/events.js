@@ -15,14 +15,17 @@ import network from 'api/network'
 import { ipcRenderer } from 'electron'
 import debug from 'debug'
 
-import { CHECK_UPDATE_DELAY, DISABLE_ACTIVITY_INDICATORS } from 'config/constants'
+import { CHECK_UPDATE_DELAY, DISABLE_ACTIVITY_INDICATORS, MODAL_SEND } from 'config/constants'
 import { onSetDeviceBusy } from 'components/DeviceBusyIndicator'
 import { onSetLibcoreBusy } from 'components/LibcoreBusyIndicator'
 
 import { hasPassword } from 'reducers/settings'
-import { lock } from 'reducers/application'
+import { isLocked, lock } from 'reducers/application'
+import { accountsSelector } from 'reducers/accounts'
+import { openModal } from 'reducers/modals'
 import { setUpdateStatus } from 'reducers/update'
 import { addDevice, removeDevice, resetDevices } from 'actions/devices'
+import { getSendModalDataForPaymentURI } from 'helpers/linking'
 
 import listenDevices from 'commands/listenDevices'
 
@@ -89,6 +92,28 @@ export default ({ store }: { store: Object }) => {
     }
   })
 
+  // a payment URI opened with the app waits for it to be unlocked
+  let pendingPaymentURI = null
+  const openPendingPaymentURI = () => {
+    const state = store.getState()
+    if (!pendingPaymentURI || isLocked(state)) return
+    const uri = pendingPaymentURI
+    pendingPaymentURI = null
+    const data = getSendModalDataForPaymentURI(uri, accountsSelector(state))
+    if (data) {
+      store.dispatch(openModal(MODAL_SEND, data))
+    } else {
+      logger.warn(`no account to pay ${uri}`)
+    }
+  }
+  store.subscribe(openPendingPaymentURI)
+
+  ipcRenderer.on('deep-linking', (event: any, uri: string) => {
+    pendingPaymentURI = uri
+    openPendingPaymentURI()
+  })
+  ipcRenderer.send('deep-linking-ready')
+
   ipcRenderer.on('executeHttpQueryOnRenderer', (event: any, { networkArg, id }) => {
     network(networkArg).then(
       result => {
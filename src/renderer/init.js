@@ -16,6 +16,9 @@ import { LEDGER_RESET_ALL } from 'config/constants'
 import { enableGlobalTab, disableGlobalTab, isGlobalTabEnabled } from 'config/global-tab'
 
 import { fetchAccounts } from 'actions/accounts'
+import { fetchOperationNotes } from 'actions/operationNotes'
+import { fetchContacts } from 'actions/contacts'
+import { fetchPaymentRequests } from 'actions/paymentRequests'
 import { fetchSettings } from 'actions/settings'
 import { isLocked } from 'reducers/application'
 import { languageSelector, sentryLogsSelector } from 'reducers/settings'
@@ -70,6 +73,9 @@ async function init() {
 
   if (!isLocked(store.getState())) {
     await store.dispatch(fetchAccounts())
+    store.dispatch(fetchOperationNotes())
+    store.dispatch(fetchContacts())
+    store.dispatch(fetchPaymentRequests())
   }
 
   r(<App store={store} history={history} language={language} />)
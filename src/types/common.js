@@ -1,5 +1,7 @@
 // @flow
 
+import type { OperationType, Unit } from '@ledgerhq/live-common/lib/types'
+
 export type Device = {
   manufacturer: string,
   path: string,
@@ -21,6 +23,40 @@ export type CurrenciesSettings = {
 
 export type T = (?string, ?Object) => string
 
+// -------------------- Tokens
+
+// a token (e.g. ERC-20) held by an account. it lives in the `tokenAccounts` field of its parent account.
+export type TokenAccount = {
+  // `${parentId}+${contractAddress}`
+  id: string,
+  parentId: string,
+  contractAddress: string,
+  // code is the token ticker, magnitude its decimals
+  unit: Unit,
+  // token amounts commonly exceed the precision of numbers: the exact balance is a decimal string
+  balance: string,
+  operations: TokenOperation[],
+  // set when the explorer truncated the Transfer events of a transaction: the balance may be wrong
+  isHistoryTruncated?: boolean,
+}
+
+// like an Operation, with the exact amount of tokens as a decimal string instead of the value
+export type TokenOperation = {
+  id: string,
+  hash: string,
+  type: OperationType,
+  amount: string,
+  // in the unit of the parent account
+  fee: number,
+  senders: string[],
+  recipients: string[],
+  blockHeight: ?number,
+  blockHash: ?string,
+  // the id of the token account
+  accountId: string,
+  date: Date,
+}
+
 // -------------------- Manager
 
 export type MemoryInfos = {